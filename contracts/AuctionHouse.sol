@@ -0,0 +1,358 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MarketplaceBase.sol";
+
+/// Timed English auctions and declining-price Dutch auctions for domain NFTs.
+/// Escrow and settlement (royalty, marketplace fee, recordSale) follow `Marketplace`, through the
+/// shared `MarketplaceBase`. The auctions live in their own contract: next to the listings and
+/// signed orders they would not fit in the upgradeable `Marketplace` under the 24 KB size limit.
+/// Sellers, outbid bidders and winners whose sale could not be settled withdraw with `withdrawRefund`;
+/// a token that could not be returned to its seller is claimed with `claimToken`.
+contract AuctionHouse is MarketplaceBase {
+    enum AuctionKind { English, Dutch }
+
+    struct Auction {
+        address seller;
+        address nft;
+        uint256 tokenId;
+        address paymentToken; // address(0) => native token
+        AuctionKind kind;
+        uint64 startTime;
+        uint64 endTime;       // English: extended by late bids; Dutch: price reaches reservePrice
+        uint256 startPrice;   // Dutch only: price at startTime
+        uint256 reservePrice; // English: minimum first bid; Dutch: floor price at endTime
+        uint16 minIncrementBps; // English only: minimum raise over the highest bid
+        address highestBidder;
+        uint256 highestBid;
+        bool active;
+    }
+
+    uint64 public constant MAX_DURATION = 30 days;
+
+    // A bid placed less than `extensionWindow` before the end pushes the end to now + extensionWindow
+    uint64 public extensionWindow;
+
+    uint256 public lastAuctionId;
+    mapping(uint256 => Auction) public auctions;
+
+    // Outbid bids, sale proceeds and bids of failed settlements waiting to be withdrawn:
+    // account => payment token => amount
+    mapping(address => mapping(address => uint256)) public pendingReturns;
+
+    // Closed auctions whose token could not be returned to the seller and is still held here
+    mapping(uint256 => bool) public tokenOwed;
+
+    event AuctionCreated(
+        uint256 indexed auctionId,
+        address indexed seller,
+        address indexed nft,
+        uint256 tokenId,
+        AuctionKind kind,
+        address paymentToken,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint64 endTime
+    );
+    event BidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 amount, uint64 endTime);
+    event AuctionExtended(uint256 indexed auctionId, uint64 newEndTime);
+    event AuctionSettled(
+        uint256 indexed auctionId,
+        address indexed winner,
+        uint256 price,
+        address royaltyReceiver,
+        uint256 royaltyAmount,
+        uint256 feeAmount,
+        uint256 sellerAmount
+    );
+    event AuctionCanceled(uint256 indexed auctionId);
+    event AuctionSettlementFailed(uint256 indexed auctionId, bytes reason);
+    event ExtensionWindowUpdated(uint64 window);
+    event RefundWithdrawn(address indexed bidder, address indexed paymentToken, uint256 amount);
+    event TokenReturnFailed(uint256 indexed auctionId, bytes reason);
+    event TokenClaimed(uint256 indexed auctionId, address indexed recipient, address indexed caller);
+
+    constructor(address _feeTreasury, uint96 _feeBps) initializer {
+        __MarketplaceBase_init(_feeTreasury, _feeBps);
+        extensionWindow = 10 minutes;
+    }
+
+    /* =========================
+                ADMIN
+       ========================= */
+
+    function setExtensionWindow(uint64 window) external onlyRole(ADMIN_ROLE) {
+        require(window <= 1 days, "window too long");
+        extensionWindow = window;
+        emit ExtensionWindowUpdated(window);
+    }
+
+    /* =========================
+               AUCTIONS
+       ========================= */
+
+    function createEnglishAuction(
+        address nft,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 reservePrice,
+        uint16 minIncrementBps,
+        uint64 duration
+    ) external nonReentrant returns (uint256 auctionId) {
+        require(reservePrice > 0, "price=0");
+        require(minIncrementBps <= 10_000, "increment too high");
+
+        auctionId = _createAuction(nft, tokenId, paymentToken, AuctionKind.English, 0, reservePrice, duration);
+        auctions[auctionId].minIncrementBps = minIncrementBps;
+    }
+
+    function createDutchAuction(
+        address nft,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint64 duration
+    ) external nonReentrant returns (uint256 auctionId) {
+        require(endPrice > 0, "price=0");
+        require(startPrice > endPrice, "start<=end");
+
+        auctionId = _createAuction(nft, tokenId, paymentToken, AuctionKind.Dutch, startPrice, endPrice, duration);
+    }
+
+    // English auction bid in native currency
+    function bid(uint256 auctionId) external payable nonReentrant {
+        Auction storage A = auctions[auctionId];
+        require(A.paymentToken == address(0), "payment token set");
+        _placeBid(A, auctionId, msg.value);
+    }
+
+    // English auction bid in the auction's payment token
+    function bidWithERC20(uint256 auctionId, uint256 amount) external nonReentrant {
+        Auction storage A = auctions[auctionId];
+        address paymentToken = A.paymentToken;
+        require(paymentToken != address(0), "native auction");
+
+        _pullToken(paymentToken, msg.sender, amount);
+        _placeBid(A, auctionId, amount);
+    }
+
+    // Dutch auction purchase at the current price; any excess native value is refunded
+    function buyDutch(uint256 auctionId) external payable nonReentrant {
+        Auction storage A = auctions[auctionId];
+        require(A.paymentToken == address(0), "payment token set");
+        uint256 price = _openDutchPrice(A);
+        require(msg.value >= price, "bad value");
+
+        A.active = false;
+        _settleAuction(A, auctionId, msg.sender, price);
+
+        if (msg.value > price) {
+            _refund(msg.sender, address(0), msg.value - price);
+        }
+    }
+
+    // Dutch auction purchase in the payment token; `maxPrice` bounds what the buyer pays
+    function buyDutchWithERC20(uint256 auctionId, uint256 maxPrice) external nonReentrant {
+        Auction storage A = auctions[auctionId];
+        address paymentToken = A.paymentToken;
+        require(paymentToken != address(0), "native auction");
+        uint256 price = _openDutchPrice(A);
+        require(price <= maxPrice, "price above max");
+
+        A.active = false;
+        _pullToken(paymentToken, msg.sender, price);
+        _settleAuction(A, auctionId, msg.sender, price);
+    }
+
+    // Ends an English auction after endTime: sells to the highest bidder or returns the NFT
+    // to the seller when there were no bids. Also returns unsold Dutch auctions to the seller.
+    // A sale that cannot go through (the domain expired, the winner cannot receive ERC721...)
+    // credits the bid back to the winner and returns the NFT as if nobody had bid.
+    function settleAuction(uint256 auctionId) external nonReentrant {
+        Auction storage A = auctions[auctionId];
+        require(A.active, " not active");
+        require(block.timestamp >= A.endTime, "not ended");
+
+        A.active = false;
+        if (A.highestBidder != address(0)) {
+            try this.settleWinner(auctionId) {
+                return;
+            } catch (bytes memory reason) {
+                pendingReturns[A.highestBidder][A.paymentToken] += A.highestBid;
+                emit AuctionSettlementFailed(auctionId, reason);
+            }
+        }
+        _returnToSeller(A, auctionId);
+        emit AuctionCanceled(auctionId);
+    }
+
+    // Sale step of settleAuction, called on itself so that a failure can be caught
+    function settleWinner(uint256 auctionId) external {
+        require(msg.sender == address(this), "only self");
+        Auction storage A = auctions[auctionId];
+        _settleAuction(A, auctionId, A.highestBidder, A.highestBid);
+    }
+
+    // Seller can withdraw the NFT as long as nobody has bid
+    function cancelAuction(uint256 auctionId) external nonReentrant {
+        Auction storage A = auctions[auctionId];
+        require(A.active, " not active");
+        require(A.seller == msg.sender, "not seller");
+        require(A.highestBidder == address(0), "has bids");
+
+        A.active = false;
+        IStrDomainsNFT(A.nft).safeTransferFrom(address(this), msg.sender, A.tokenId);
+
+        emit AuctionCanceled(auctionId);
+    }
+
+    // Retries the return of a token settleAuction could not send back, e.g. a name that expired
+    // during the auction and was renewed since. The seller or an admin sends it to `recipient`,
+    // or to the seller when it is address(0).
+    function claimToken(uint256 auctionId, address recipient) external nonReentrant {
+        Auction storage A = auctions[auctionId];
+        require(tokenOwed[auctionId], "nothing owed");
+        require(msg.sender == A.seller || hasRole(ADMIN_ROLE, msg.sender), "not seller");
+
+        tokenOwed[auctionId] = false;
+        address to = recipient == address(0) ? A.seller : recipient;
+        _transferNft(A.nft, address(this), to, A.tokenId);
+        emit TokenClaimed(auctionId, to, msg.sender);
+    }
+
+    function withdrawRefund(address paymentToken) external nonReentrant {
+        uint256 amount = pendingReturns[msg.sender][paymentToken];
+        require(amount > 0, "no funds");
+        pendingReturns[msg.sender][paymentToken] = 0;
+        _refund(msg.sender, paymentToken, amount);
+        emit RefundWithdrawn(msg.sender, paymentToken, amount);
+    }
+
+    /* =========================
+                 VIEWS
+       ========================= */
+
+    function getAuction(uint256 auctionId) external view returns (Auction memory) {
+        return auctions[auctionId];
+    }
+
+    // Minimum amount the next English bid has to reach
+    function minNextBid(uint256 auctionId) public view returns (uint256) {
+        Auction storage A = auctions[auctionId];
+        if (A.highestBidder == address(0)) {
+            return A.reservePrice;
+        }
+        uint256 increment = (A.highestBid * A.minIncrementBps) / 10_000;
+        return A.highestBid + (increment == 0 ? 1 : increment);
+    }
+
+    function currentDutchPrice(uint256 auctionId) external view returns (uint256) {
+        Auction storage A = auctions[auctionId];
+        require(A.kind == AuctionKind.Dutch, "not dutch");
+        return _dutchPrice(A);
+    }
+
+    /* =========================
+               INTERNAL
+       ========================= */
+
+    function _createAuction(
+        address nft,
+        uint256 tokenId,
+        address paymentToken,
+        AuctionKind kind,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint64 duration
+    ) private returns (uint256 auctionId) {
+        require(duration > 0 && duration <= MAX_DURATION, "bad duration");
+
+        // Transfer NFT to the auction house (escrow)
+        _escrowToken(nft, tokenId);
+
+        uint64 endTime = uint64(block.timestamp) + duration;
+        auctionId = ++lastAuctionId;
+        Auction storage A = auctions[auctionId];
+        A.seller = msg.sender;
+        A.nft = nft;
+        A.tokenId = tokenId;
+        A.paymentToken = paymentToken;
+        A.kind = kind;
+        A.startTime = uint64(block.timestamp);
+        A.endTime = endTime;
+        A.startPrice = startPrice;
+        A.reservePrice = reservePrice;
+        A.active = true;
+
+        emit AuctionCreated(auctionId, msg.sender, nft, tokenId, kind, paymentToken, startPrice, reservePrice, endTime);
+    }
+
+    function _placeBid(Auction storage A, uint256 auctionId, uint256 amount) private {
+        require(A.active, " not active");
+        require(A.kind == AuctionKind.English, "not english");
+        require(block.timestamp < A.endTime, "auction ended");
+        require(msg.sender != A.seller, "seller bid");
+        require(amount >= minNextBid(auctionId), "bid too low");
+
+        // Outbid bidder pulls the escrowed amount back via withdrawRefund
+        if (A.highestBidder != address(0)) {
+            pendingReturns[A.highestBidder][A.paymentToken] += A.highestBid;
+        }
+        A.highestBidder = msg.sender;
+        A.highestBid = amount;
+
+        // Anti-sniping: late bids extend the auction
+        if (A.endTime - block.timestamp < extensionWindow) {
+            A.endTime = uint64(block.timestamp) + extensionWindow;
+            emit AuctionExtended(auctionId, A.endTime);
+        }
+
+        emit BidPlaced(auctionId, msg.sender, amount, A.endTime);
+    }
+
+    function _openDutchPrice(Auction storage A) private view returns (uint256) {
+        require(A.active, " not active");
+        require(A.kind == AuctionKind.Dutch, "not dutch");
+        require(block.timestamp < A.endTime, "auction ended");
+        return _dutchPrice(A);
+    }
+
+    // Linear decline from startPrice at startTime to reservePrice at endTime
+    function _dutchPrice(Auction storage A) private view returns (uint256) {
+        if (block.timestamp >= A.endTime) {
+            return A.reservePrice;
+        }
+        uint256 elapsed = block.timestamp - A.startTime;
+        uint256 duration = A.endTime - A.startTime;
+        return A.startPrice - ((A.startPrice - A.reservePrice) * elapsed) / duration;
+    }
+
+    // An expired domain cannot move: it stays here, owed to the seller, until it is renewed and
+    // claimed or released after its grace period
+    function _returnToSeller(Auction storage A, uint256 auctionId) private {
+        try IStrDomainsNFT(A.nft).transferFrom(address(this), A.seller, A.tokenId) {} catch (bytes memory reason) {
+            tokenOwed[auctionId] = true;
+            emit TokenReturnFailed(auctionId, reason);
+        }
+    }
+
+    // Proceeds are withdrawn, so a seller that rejects payments cannot block a settlement
+    function _paySeller(address seller, address paymentToken, uint256 amount) internal override {
+        pendingReturns[seller][paymentToken] += amount;
+    }
+
+    function _settleAuction(Auction storage A, uint256 auctionId, address winner, uint256 price) private {
+        Settlement memory s = _settleSale(A.nft, A.tokenId, price, A.paymentToken, A.seller, address(this), winner);
+
+        emit AuctionSettled(
+            auctionId,
+            winner,
+            price,
+            s.royaltyReceiver,
+            s.royaltyAmount,
+            s.feeAmount,
+            s.sellerAmount
+        );
+    }
+}
@@ -1,29 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-interface IStrDomainsNFT {
-    function ownerOf(uint256 tokenId) external view returns (address);
-    function safeTransferFrom(address from, address to, uint256 tokenId) external;
-    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount);
-    function recordSale(uint256 tokenId, uint256 price, address buyer) external;
-    function getApproved(uint256 tokenId) external view returns (address);
-    function isApprovedForAll(address owner, address operator) external view returns (bool);
-
-}
-
-interface IRoyaltySplitter {
-    function depositToken(address token, uint256 amount) external;
-}
-
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-
-contract Marketplace is AccessControl, ReentrancyGuard, IERC721Receiver {
-    bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+import "./MarketplaceBase.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/// Fixed-price listings and EIP-712 signed orders, deployed behind a UUPS proxy (ERC1967Proxy).
+/// Upgrades are authorized by `ADMIN_ROLE`; new state goes after the existing variables.
+/// While paused, nothing can be listed, bought or filled; cancellations still go through.
+contract Marketplace is MarketplaceBase, UUPSUpgradeable, PausableUpgradeable {
     using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
 
     struct Listing {
         address seller;
@@ -34,15 +25,54 @@ contract Marketplace is AccessControl, ReentrancyGuard, IERC721Receiver {
         bool active;
     }
 
-    // Marketplace fee (basis points, 10000 = 100%)
-    uint96  public marketplaceFeeBps;
-    address public feeTreasury;   // default recipient for accrued fees
-    uint256 public accruedFees;   // accumulated native-token fees (in wei)
-    mapping(address => uint256) public accruedTokenFees; // payment token => accrued fees
+    // Input of listTokens; paymentToken address(0) => native token
+    struct ListingRequest {
+        address nft;
+        uint256 tokenId;
+        uint256 price;
+        address paymentToken;
+    }
+
+    // Gasless listing signed off-chain by the seller; the token stays in the seller's wallet
+    struct Order {
+        address seller;
+        address nft;
+        uint256 tokenId;
+        uint256 price;
+        address paymentToken; // address(0) => native token
+        uint64 expiry;
+        uint256 nonce; // must match nonces[seller] when filled
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address seller,address nft,uint256 tokenId,uint256 price,address paymentToken,uint64 expiry,uint256 nonce)"
+    );
 
     uint256 public lastListingId;
     mapping(uint256 => Listing) public listings;
 
+    // Active listing indexes, kept in sync by _list, _cancelListing and _purchase
+    mapping(address => mapping(uint256 => uint256)) public activeListingId; // nft => tokenId => listingId
+    mapping(address => EnumerableSet.UintSet) private _sellerListings;
+    mapping(address => EnumerableSet.UintSet) private _collectionListings;
+    uint256 public activeListingCount;
+
+    // Non-custodial listings: the token stays with the seller and is pulled at purchase. Such a
+    // listing only holds while the seller owns the token, the market is approved and the
+    // collection's transfer count (when it has one) has not moved since listing.
+    mapping(uint256 => bool) public nonCustodial;
+    mapping(uint256 => uint256) private _listedTransferCount;
+
+    // Admin-managed allowlists, also followed by the market modules. Listings can only be made in
+    // allowed collections and payment tokens, at or above the token's minimum price, and only
+    // bought while both are still allowed. The native currency (address(0)) is always accepted.
+    mapping(address => bool) public allowedCollections;
+    EnumerableSet.AddressSet private _paymentTokens;
+    mapping(address => uint256) public minPrice; // payment token => minimum listing price / offer
+
+    mapping(address => uint256) public nonces; // seller => current order nonce
+    mapping(bytes32 => bool) public orderClosed; // order hash => filled or canceled
+
     event Listed(
         uint256 indexed listingId,
         address indexed seller,
@@ -53,6 +83,13 @@ contract Marketplace is AccessControl, ReentrancyGuard, IERC721Receiver {
     );
     event ListingUpdated(uint256 indexed listingId, uint256 newPrice);
     event ListingCanceled(uint256 indexed listingId);
+    event ListedNonCustodial(uint256 indexed listingId);
+    event ListingInvalidated(uint256 indexed listingId);
+    // recipient is address(0) when no token was returned (non-custodial or burned)
+    event ListingForceDelisted(uint256 indexed listingId, address indexed admin, address recipient);
+    event FundsRescued(address indexed token, address indexed to, uint256 amount, address indexed admin);
+    event CollectionAllowed(address indexed nft, bool allowed);
+    event PaymentTokenUpdated(address indexed token, bool allowed, uint256 minPrice);
     event Purchased(
         uint256 indexed listingId,
         address indexed buyer,
@@ -63,115 +100,165 @@ contract Marketplace is AccessControl, ReentrancyGuard, IERC721Receiver {
         uint256 sellerAmount,
         address paymentToken
     );
-    event FeeWithdrawn(address indexed to, uint256 amount);
-    event TokenFeeWithdrawn(address indexed token, address indexed to, uint256 amount);
-    event SaleRecordingSuccess(uint256 indexed tokenId, uint256 price, address indexed buyer);
-    event SaleRecordingFailed(uint256 indexed tokenId, uint256 price, address indexed buyer);
-    event ReceivedNFT(
-    address operator,
-    address indexed from,
-    uint256 indexed tokenId,
-    address indexed nftContract
+    event SweepItemFailed(uint256 indexed listingId, bytes reason);
+    event SweepCompleted(address indexed buyer, uint256 filled, uint256 failed, uint256 nativeSpent, uint256 nativeRefunded);
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        address nft,
+        uint256 tokenId,
+        uint256 price,
+        address paymentToken,
+        uint256 royaltyAmount,
+        uint256 feeAmount,
+        uint256 sellerAmount
     );
+    event OrderCanceled(bytes32 indexed orderHash, address indexed seller);
+    event NonceIncremented(address indexed seller, uint256 newNonce);
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-
-
-    constructor(address _feeTreasury, uint96 _feeBps) {
-        require(_feeTreasury != address(0), "treasury=0");
-        _grantRole(ADMIN_ROLE, msg.sender);
-        feeTreasury = _feeTreasury;
-        marketplaceFeeBps = _feeBps; // e.g., 250 = 2.5%
+    function initialize(address _feeTreasury, uint96 _feeBps) external initializer {
+        __MarketplaceBase_init(_feeTreasury, _feeBps);
+        __UUPSUpgradeable_init();
+        __Pausable_init();
     }
 
+    function _authorizeUpgrade(address) internal override onlyRole(ADMIN_ROLE) {}
+
     /* =========================
-                ADMIN
+               ALLOWLISTS
        ========================= */
 
-    function setMarketplaceFeeBps(uint96 feeBps) external onlyRole(ADMIN_ROLE) {
-        require(feeBps <= 2_000, "fee too high"); // safety cap at 20%
-        marketplaceFeeBps = feeBps;
+    function setCollectionAllowed(address nft, bool allowed) external onlyRole(ADMIN_ROLE) {
+        require(nft != address(0), "nft=0");
+        allowedCollections[nft] = allowed;
+        emit CollectionAllowed(nft, allowed);
     }
 
-    function setFeeTreasury(address t) external onlyRole(ADMIN_ROLE) {
-        require(t != address(0), "treasury=0");
-        feeTreasury = t;
+    // token address(0) sets the native minimum price; the native currency cannot be disallowed
+    function setPaymentToken(address token, bool allowed, uint256 minPrice_) external onlyRole(ADMIN_ROLE) {
+        if (token == address(0)) {
+            require(allowed, "native always allowed");
+        } else if (allowed) {
+            _paymentTokens.add(token);
+        } else {
+            _paymentTokens.remove(token);
+            minPrice_ = 0;
+        }
+        minPrice[token] = minPrice_;
+        emit PaymentTokenUpdated(token, allowed, minPrice_);
     }
 
-    function withdrawFees() external onlyRole(ADMIN_ROLE) nonReentrant {
-        address recipient = feeTreasury;
-        uint256 amount = accruedFees;
-        require(amount > 0, "no fees");
-        accruedFees = 0;
-        (bool ok, ) = payable(recipient).call{ value: amount }("");
-        require(ok, "withdraw fail");
-        emit FeeWithdrawn(recipient, amount);
+    function isPaymentTokenAllowed(address token) public view returns (bool) {
+        return token == address(0) || _paymentTokens.contains(token);
     }
 
-    function withdrawTokenFees(address token) external onlyRole(ADMIN_ROLE) nonReentrant {
-        require(token != address(0), "token=0");
-        uint256 amount = accruedTokenFees[token];
-        require(amount > 0, "no fees");
-        accruedTokenFees[token] = 0;
-        IERC20(token).safeTransfer(feeTreasury, amount);
-        emit TokenFeeWithdrawn(token, feeTreasury, amount);
+    // Accepted currencies with their minimum prices, the native currency (address(0)) first
+    function getPaymentTokens() external view returns (address[] memory tokens, uint256[] memory minPrices) {
+        uint256 count = _paymentTokens.length();
+        tokens = new address[](count + 1);
+        minPrices = new uint256[](count + 1);
+        minPrices[0] = minPrice[address(0)];
+        for (uint256 i = 0; i < count; ++i) {
+            tokens[i + 1] = _paymentTokens.at(i);
+            minPrices[i + 1] = minPrice[tokens[i + 1]];
+        }
     }
 
     /* =========================
-               LISTINGS
+               EMERGENCY
        ========================= */
 
-    function listToken(address nft, uint256 tokenId, uint256 price) external returns (uint256 listingId) {
-        require(price > 0, "price=0");
-        require(IStrDomainsNFT(nft).ownerOf(tokenId) == msg.sender, "not owner");
-        require(
-            IStrDomainsNFT(nft).getApproved(tokenId) == address(this) ||
-            IStrDomainsNFT(nft).isApprovedForAll(msg.sender, address(this)),
-            "not approved"
-        );
+    function pause() external onlyRole(ADMIN_ROLE) {
+        _pause();
+    }
 
-        // Transfer NFT to marketplace (escrow)
-        // Requires prior approval from user
-        IStrDomainsNFT(nft).safeTransferFrom(msg.sender, address(this), tokenId);
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
 
-        listingId = ++lastListingId;
-        listings[listingId] = Listing({
-            seller: msg.sender,
-            nft: nft,
-            tokenId: tokenId,
-            price: price,
-            paymentToken: address(0),
-            active: true
-        });
+    // Closes a listing the seller cannot cancel. An escrowed token still held by the market goes
+    // to `recipient`, or back to the seller when it is address(0).
+    function forceDelist(uint256 listingId, address recipient) external onlyRole(ADMIN_ROLE) nonReentrant {
+        Listing storage L = listings[listingId];
+        require(L.active, " not active");
 
-        emit Listed(listingId, msg.sender, nft, tokenId, price, address(0));
+        L.active = false;
+        _unindex(L, listingId);
+
+        address to;
+        if (!nonCustodial[listingId] && _holds(L, listingId)) {
+            to = recipient == address(0) ? L.seller : recipient;
+            _transferNft(L.nft, address(this), to, L.tokenId);
+        }
+        emit ListingForceDelisted(listingId, msg.sender, to);
+    }
+
+    // Funds sent to the marketplace by mistake: the balance beyond accrued fees.
+    // token address(0) => native
+    function rescuableFunds(address token) public view returns (uint256) {
+        uint256 balance;
+        uint256 reserved;
+        if (token == address(0)) {
+            balance = address(this).balance;
+            reserved = accruedFees;
+        } else {
+            balance = _balanceOf(token);
+            reserved = accruedTokenFees[token];
+        }
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    function rescueFunds(address token, address to, uint256 amount) external onlyRole(ADMIN_ROLE) nonReentrant {
+        require(to != address(0), "to=0");
+        require(amount > 0 && amount <= rescuableFunds(token), "amount>rescuable");
+        _refund(to, token, amount);
+        emit FundsRescued(token, to, amount, msg.sender);
+    }
+
+    /* =========================
+               LISTINGS
+       ========================= */
+
+    function listToken(address nft, uint256 tokenId, uint256 price) external whenNotPaused returns (uint256 listingId) {
+        listingId = _list(nft, tokenId, price, address(0), true);
     }
 
     function listTokenERC20(address nft, uint256 tokenId, uint256 price, address paymentToken)
         external
+        whenNotPaused
         returns (uint256 listingId)
     {
         require(paymentToken != address(0), "token=0");
-        require(price > 0, "price=0");
-        require(IStrDomainsNFT(nft).ownerOf(tokenId) == msg.sender, "not owner");
-        require(
-            IStrDomainsNFT(nft).getApproved(tokenId) == address(this) ||
-                IStrDomainsNFT(nft).isApprovedForAll(msg.sender, address(this)),
-            "not approved"
-        );
-
-        IStrDomainsNFT(nft).safeTransferFrom(msg.sender, address(this), tokenId);
+        listingId = _list(nft, tokenId, price, paymentToken, true);
+    }
 
-        listingId = ++lastListingId;
-        listings[listingId] = Listing({
-            seller: msg.sender,
-            nft: nft,
-            tokenId: tokenId,
-            price: price,
-            paymentToken: paymentToken,
-            active: true
-        });
+    // Lists without escrow: the token stays in the seller's wallet until it is bought.
+    // paymentToken address(0) => native token
+    function listTokenNonCustodial(address nft, uint256 tokenId, uint256 price, address paymentToken)
+        external
+        whenNotPaused
+        returns (uint256 listingId)
+    {
+        listingId = _list(nft, tokenId, price, paymentToken, false);
+    }
 
-        emit Listed(listingId, msg.sender, nft, tokenId, price, paymentToken);
+    // Closes listings that no longer hold: non-custodial ones whose token moved or lost its approval,
+    // and escrowed ones whose token was burned. Anyone may call it; valid listings are skipped.
+    function cancelInvalidListings(uint256[] calldata listingIds) external {
+        for (uint256 i = 0; i < listingIds.length; ++i) {
+            uint256 listingId = listingIds[i];
+            Listing storage L = listings[listingId];
+            if (L.active && !_holds(L, listingId)) {
+                L.active = false;
+                _unindex(L, listingId);
+                emit ListingInvalidated(listingId);
+            }
+        }
     }
 
     function updateListing(uint256 listingId, uint256 newPrice) external {
@@ -179,179 +266,435 @@ contract Marketplace is AccessControl, ReentrancyGuard, IERC721Receiver {
         require(L.active, "!active");
         require(L.seller == msg.sender, "not seller");
         require(newPrice > 0, "price=0");
+        require(newPrice >= minPrice[L.paymentToken], "price<min");
         L.price = newPrice;
         emit ListingUpdated(listingId, newPrice);
     }
 
 function cancelListing(uint256 listingId) external nonReentrant {
-    Listing storage L = listings[listingId];
-    require(L.active, " not active");
-    require(L.seller == msg.sender, "not seller");
-    require(IStrDomainsNFT(L.nft).ownerOf(L.tokenId) == address(this), "market not owner");
-
-    L.active = false;
-
-    // Return NFT from marketplace escrow to the seller
-    IStrDomainsNFT(L.nft).safeTransferFrom(address(this), msg.sender, L.tokenId);
-
-    emit ListingCanceled(listingId);
-}
-
-function onERC721Received(
-    address operator,
-    address from,
-    uint256 tokenId,
-    bytes calldata data
-) external override returns (bytes4) {
-    emit ReceivedNFT(operator, from, tokenId, msg.sender);
-    return IERC721Receiver.onERC721Received.selector;
+    _cancelListing(listingId);
 }
 
 
 
 
     // Buy nft domain
-    function buy(uint256 listingId) external payable nonReentrant {
+    function buy(uint256 listingId) external payable nonReentrant whenNotPaused {
         Listing storage L = listings[listingId];
         require(L.active, " not active");
         require(L.paymentToken == address(0), "payment token set");
         require(msg.value == L.price, "bad value");
-        require(IStrDomainsNFT(L.nft).ownerOf(L.tokenId) == address(this), "Marketplace doesn't hold the NFT Domain"); //Check ownership
-        
-        L.active = false;
-        // 1) Fetch the royalty to be paid
-        (address royaltyReceiver, uint256 royaltyAmount) = IStrDomainsNFT(L.nft).royaltyInfo(L.tokenId, L.price);
-        // 2) Calculate fees for marketplace
-        uint256 feeAmount = (L.price * marketplaceFeeBps) / 10_000;
-        accruedFees += feeAmount;
-        // 3) Calculate the seller amount to be paid
-        uint256 sellerAmount = L.price - royaltyAmount - feeAmount;
-
-        // payment of royalty, and amount to the seller
-        if (royaltyAmount > 0) {
-            (bool okR, ) = payable(royaltyReceiver).call{ value: royaltyAmount }("");
-            require(okR, "royalty fail");
-        }
-        {
-            (bool okS, ) = payable(L.seller).call{ value: sellerAmount }("");
-            require(okS, "seller fail");
-        }
 
-        // Domain/NFT transfer from marketplace contract to the buyer
-        IStrDomainsNFT(L.nft).safeTransferFrom(address(this), msg.sender, L.tokenId);
+        _purchase(L, listingId, msg.sender);
+    }
 
+    function buyWithERC20(uint256 listingId) external nonReentrant whenNotPaused {
+        _buyWithERC20(listingId, listings[listingId].price);
+    }
 
-        // Recod new sale on collection contract
-        try IStrDomainsNFT(L.nft).recordSale(L.tokenId, L.price, msg.sender) {
+    // Pulls at most `maxPrice` from the buyer, guarding against a price raised by the seller
+    function buyWithERC20(uint256 listingId, uint256 maxPrice) external nonReentrant whenNotPaused {
+        _buyWithERC20(listingId, maxPrice);
+    }
 
-             emit SaleRecordingSuccess(L.tokenId, L.price, msg.sender);
-        } catch {
-            emit SaleRecordingFailed(L.tokenId, L.price, msg.sender);
-         }
+    /* =========================
+                 BATCH
+       ========================= */
 
-        emit Purchased(
-            listingId,
-            msg.sender,
-            L.price,
-            royaltyReceiver,
-            royaltyAmount,
-            feeAmount,
-            sellerAmount,
-            address(0)
-        );
+    // All-or-nothing: reverts if any token cannot be listed
+    function listTokens(ListingRequest[] calldata requests) external nonReentrant whenNotPaused returns (uint256[] memory listingIds) {
+        listingIds = new uint256[](requests.length);
+        for (uint256 i = 0; i < requests.length; ++i) {
+            ListingRequest calldata r = requests[i];
+            listingIds[i] = _list(r.nft, r.tokenId, r.price, r.paymentToken, true);
+        }
     }
 
-    function buyWithERC20(uint256 listingId) external nonReentrant {
+    // All-or-nothing: reverts if any listing cannot be canceled
+    function cancelListings(uint256[] calldata listingIds) external nonReentrant {
+        for (uint256 i = 0; i < listingIds.length; ++i) {
+            _cancelListing(listingIds[i]);
+        }
+    }
+
+    // Buys as many of the listings as possible. Native listings are paid from msg.value, ERC20 listings
+    // are pulled from the caller. Items that fail (sold, repriced above maxPrices[i], not enough value
+    // left, failed transfer, ...) emit SweepItemFailed and are skipped; unspent native value is refunded.
+    function sweep(uint256[] calldata listingIds, uint256[] calldata maxPrices) external payable nonReentrant whenNotPaused {
+        require(listingIds.length == maxPrices.length, "length mismatch");
+
+        uint256 budget = msg.value;
+        uint256 filled;
+        for (uint256 i = 0; i < listingIds.length; ++i) {
+            try this.sweepItem(listingIds[i], maxPrices[i], msg.sender, budget) returns (uint256 spent) {
+                budget -= spent;
+                ++filled;
+            } catch (bytes memory reason) {
+                emit SweepItemFailed(listingIds[i], reason);
+            }
+        }
+
+        if (budget > 0) {
+            _refund(msg.sender, address(0), budget);
+        }
+        emit SweepCompleted(msg.sender, filled, listingIds.length - filled, msg.value - budget, budget);
+    }
+
+    // One sweep purchase; only callable by the marketplace itself so a failure reverts just this item
+    function sweepItem(uint256 listingId, uint256 maxPrice, address buyer, uint256 nativeBudget)
+        external
+        returns (uint256 nativeSpent)
+    {
+        require(msg.sender == address(this), "only self");
         Listing storage L = listings[listingId];
         require(L.active, " not active");
-        address paymentToken = L.paymentToken;
-        require(paymentToken != address(0), "native listing");
-        require(
-            IStrDomainsNFT(L.nft).ownerOf(L.tokenId) == address(this),
-            "Marketplace doesn't hold the NFT Domain"
-        );
-
-        L.active = false;
         uint256 price = L.price;
-        address seller = L.seller;
+        require(price <= maxPrice, "price above max");
 
-        IERC20 token = IERC20(paymentToken);
-        token.safeTransferFrom(msg.sender, address(this), price);
-
-        uint256 feeAmount = (price * marketplaceFeeBps) / 10_000;
-        if (feeAmount > 0) {
-            accruedTokenFees[paymentToken] += feeAmount;
+        if (L.paymentToken == address(0)) {
+            require(price <= nativeBudget, "insufficient value");
+            nativeSpent = price;
+        } else {
+            _pullToken(L.paymentToken, buyer, price);
         }
+        _purchase(L, listingId, buyer);
+    }
 
-        (address royaltyReceiver, uint256 royaltyAmount) = IStrDomainsNFT(L.nft).royaltyInfo(L.tokenId, price);
-        uint256 sellerAmount = price - royaltyAmount - feeAmount;
+    /* =========================
+             SIGNED ORDERS
+       ========================= */
 
-        if (royaltyAmount > 0 && royaltyReceiver != address(0)) {
-            if (!_tryDepositToken(token, paymentToken, royaltyReceiver, royaltyAmount)) {
-                token.safeTransfer(royaltyReceiver, royaltyAmount);
-            }
-        }
+    function fillOrder(Order calldata order, bytes calldata signature) external payable nonReentrant whenNotPaused {
+        require(order.paymentToken == address(0), "payment token set");
+        require(msg.value == order.price, "bad value");
 
-        if (sellerAmount > 0) {
-            token.safeTransfer(seller, sellerAmount);
-        }
+        bytes32 orderHash = _useOrder(order, signature);
+        _fillOrder(order, orderHash);
+    }
 
-        IStrDomainsNFT(L.nft).safeTransferFrom(address(this), msg.sender, L.tokenId);
+    function fillOrderWithERC20(Order calldata order, bytes calldata signature) external nonReentrant whenNotPaused {
+        require(order.paymentToken != address(0), "native order");
 
-        try IStrDomainsNFT(L.nft).recordSale(L.tokenId, price, msg.sender) {
-            emit SaleRecordingSuccess(L.tokenId, price, msg.sender);
-        } catch {
-            emit SaleRecordingFailed(L.tokenId, price, msg.sender);
-        }
+        bytes32 orderHash = _useOrder(order, signature);
+        _pullToken(order.paymentToken, msg.sender, order.price);
+        _fillOrder(order, orderHash);
+    }
 
-        emit Purchased(
-            listingId,
-            msg.sender,
-            price,
-            royaltyReceiver,
-            royaltyAmount,
-            feeAmount,
-            sellerAmount,
-            paymentToken
-        );
+    function cancelOrder(Order calldata order) external {
+        require(order.seller == msg.sender, "not seller");
+        bytes32 orderHash = hashOrder(order);
+        require(!orderClosed[orderHash], "order closed");
+
+        orderClosed[orderHash] = true;
+        emit OrderCanceled(orderHash, msg.sender);
     }
 
+    // Invalidates every order the caller signed with the current nonce
+    function incrementNonce() external {
+        uint256 newNonce = ++nonces[msg.sender];
+        emit NonceIncremented(msg.sender, newNonce);
+    }
 
+    /* =========================
     /* =========================
                  VIEWS
        ========================= */
 
+    // EIP-712 digest the seller signs for `order`
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(
+            domainSeparator(),
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.seller,
+                    order.nft,
+                    order.tokenId,
+                    order.price,
+                    order.paymentToken,
+                    order.expiry,
+                    order.nonce
+                )
+            )
+        );
+    }
+
+    // EIP-712 domain "StrDomains Marketplace", version "1", of this chain and proxy. It is built from
+    // constants, so proxies deployed before signed orders need no reinitializer
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256("StrDomains Marketplace"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
     function getListing(uint256 listingId) external view returns (Listing memory) {
         return listings[listingId];
     }
 
-    function _tryDepositToken(
-        IERC20 token,
-        address paymentToken,
-        address royaltyReceiver,
-        uint256 royaltyAmount
-    ) private returns (bool) {
-        if (royaltyReceiver == address(0)) {
-            return false;
+    // Active and still backed by the token: held in escrow, or for a non-custodial listing
+    // owned by the seller with the market approved
+    function isListingValid(uint256 listingId) external view returns (bool) {
+        Listing storage L = listings[listingId];
+        return L.active && _holds(L, listingId);
+    }
+
+    // listingId is 0 when the token is not for sale
+    function getActiveListing(address nft, uint256 tokenId)
+        external
+        view
+        returns (uint256 listingId, Listing memory listing)
+    {
+        listingId = activeListingId[nft][tokenId];
+        listing = listings[listingId];
+    }
+
+    function sellerListingCount(address seller) external view returns (uint256) {
+        return _sellerListings[seller].length();
+    }
+
+    function collectionListingCount(address nft) external view returns (uint256) {
+        return _collectionListings[nft].length();
+    }
+
+    // Active listings of `seller`, `limit` items from `offset`; order changes as listings close
+    function getSellerListings(address seller, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory listingIds, Listing[] memory items)
+    {
+        return _page(_sellerListings[seller], offset, limit);
+    }
+
+    function getCollectionListings(address nft, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory listingIds, Listing[] memory items)
+    {
+        return _page(_collectionListings[nft], offset, limit);
+    }
+
+    /* =========================
+               INTERNAL
+       ========================= */
+
+    function _list(address nft, uint256 tokenId, uint256 price, address paymentToken, bool escrow)
+        private
+        returns (uint256 listingId)
+    {
+        require(price > 0, "price=0");
+        _requireAllowed(nft, paymentToken);
+        require(price >= minPrice[paymentToken], "price<min");
+
+        if (escrow) {
+            // Transfer NFT to marketplace (escrow)
+            _escrowToken(nft, tokenId);
+        } else {
+            _requireOwnerApproval(nft, tokenId);
         }
-        if (royaltyReceiver.code.length == 0) {
-            return false;
+
+        // The new listing replaces an earlier non-custodial one of the token
+        _closeNonCustodial(nft, tokenId);
+
+        listingId = ++lastListingId;
+        listings[listingId] = Listing({
+            seller: msg.sender,
+            nft: nft,
+            tokenId: tokenId,
+            price: price,
+            paymentToken: paymentToken,
+            active: true
+        });
+
+        activeListingId[nft][tokenId] = listingId;
+        _sellerListings[msg.sender].add(listingId);
+        _collectionListings[nft].add(listingId);
+        ++activeListingCount;
+
+        emit Listed(listingId, msg.sender, nft, tokenId, price, paymentToken);
+        if (!escrow) {
+            nonCustodial[listingId] = true;
+            _listedTransferCount[listingId] = _transferCount(nft, tokenId);
+            emit ListedNonCustodial(listingId);
         }
-        if (royaltyAmount == 0) {
-            return true;
+    }
+
+    // The caller owns the token, so an active listing of it can only be non-custodial:
+    // the caller's own, or a stale one of a previous owner
+    function _closeNonCustodial(address nft, uint256 tokenId) private {
+        uint256 listingId = activeListingId[nft][tokenId];
+        if (listingId != 0) {
+            listings[listingId].active = false;
+            _unindex(listings[listingId], listingId);
+            emit ListingCanceled(listingId);
         }
+    }
 
-        uint256 currentAllowance = token.allowance(address(this), royaltyReceiver);
-        if (currentAllowance != 0) {
-            token.forceApprove(royaltyReceiver, 0);
+    function _holds(Listing storage L, uint256 listingId) private view returns (bool) {
+        try IStrDomainsNFT(L.nft).ownerOf(L.tokenId) returns (address owner) {
+            if (!nonCustodial[listingId]) {
+                return owner == address(this);
+            }
+            return
+                owner == L.seller &&
+                _isApproved(L.nft, L.tokenId, owner) &&
+                _transferCount(L.nft, L.tokenId) == _listedTransferCount[listingId];
+        } catch {
+            return false; // burned
         }
-        token.forceApprove(royaltyReceiver, royaltyAmount);
-        try IRoyaltySplitter(royaltyReceiver).depositToken(paymentToken, royaltyAmount) {
-            token.forceApprove(royaltyReceiver, 0);
-            return true;
+    }
+
+    // Collections without a transfer count read as 0, leaving the owner and approval checks
+    function _transferCount(address nft, uint256 tokenId) private view returns (uint256) {
+        try IStrDomainsNFT(nft).transferCount(tokenId) returns (uint256 count) {
+            return count;
         } catch {
-            token.forceApprove(royaltyReceiver, 0);
-            return false;
+            return 0;
+        }
+    }
+
+    function _unindex(Listing storage L, uint256 listingId) private {
+        delete activeListingId[L.nft][L.tokenId];
+        _sellerListings[L.seller].remove(listingId);
+        _collectionListings[L.nft].remove(listingId);
+        --activeListingCount;
+    }
+
+    function _page(EnumerableSet.UintSet storage set, uint256 offset, uint256 limit)
+        private
+        view
+        returns (uint256[] memory listingIds, Listing[] memory items)
+    {
+        uint256 total = set.length();
+        uint256 count = offset >= total ? 0 : total - offset;
+        if (limit < count) {
+            count = limit;
+        }
+
+        listingIds = new uint256[](count);
+        items = new Listing[](count);
+        for (uint256 i = 0; i < count; ++i) {
+            listingIds[i] = set.at(offset + i);
+            items[i] = listings[listingIds[i]];
+        }
+    }
+
+    function _cancelListing(uint256 listingId) private {
+        Listing storage L = listings[listingId];
+        require(L.active, " not active");
+        require(L.seller == msg.sender, "not seller");
+        bool escrowed = !nonCustodial[listingId];
+        if (escrowed) {
+            require(_ownerOf(L.nft, L.tokenId) == address(this), "market not owner");
+        }
+
+        L.active = false;
+        _unindex(L, listingId);
+
+        // Return NFT from marketplace escrow to the seller
+        if (escrowed) {
+            _transferNft(L.nft, address(this), msg.sender, L.tokenId);
         }
+
+        emit ListingCanceled(listingId);
+    }
+
+    function _buyWithERC20(uint256 listingId, uint256 maxPrice) private {
+        Listing storage L = listings[listingId];
+        require(L.active, " not active");
+        address paymentToken = L.paymentToken;
+        require(paymentToken != address(0), "native listing");
+        uint256 price = L.price;
+        require(price <= maxPrice, "price above max");
+
+        _pullToken(paymentToken, msg.sender, price);
+        _purchase(L, listingId, msg.sender);
+    }
+
+    // Payment for the listing must already be held by the marketplace
+    function _purchase(Listing storage L, uint256 listingId, address buyer) private {
+        _requireAllowed(L.nft, L.paymentToken);
+        // Escrowed tokens leave the marketplace, non-custodial ones the seller's wallet
+        address from = address(this);
+        if (nonCustodial[listingId]) {
+            require(_holds(L, listingId), "listing invalid");
+            from = L.seller;
+        } else {
+            require(_ownerOf(L.nft, L.tokenId) == address(this), "Marketplace doesn't hold the NFT Domain"); //Check ownership
+        }
+
+        L.active = false;
+        _unindex(L, listingId);
+        // Royalty, marketplace fee and seller payout, then NFT transfer to the buyer and sale recording
+        Settlement memory s = _settleSale(L.nft, L.tokenId, L.price, L.paymentToken, L.seller, from, buyer);
+
+        emit Purchased(
+            listingId,
+            buyer,
+            L.price,
+            s.royaltyReceiver,
+            s.royaltyAmount,
+            s.feeAmount,
+            s.sellerAmount,
+            L.paymentToken
+        );
+    }
+
+    // Checks signature and order state, then closes the order so it cannot be replayed.
+    // Orders follow the allowlists and minimum prices like listings.
+    function _useOrder(Order calldata order, bytes calldata signature) private returns (bytes32 orderHash) {
+        require(block.timestamp < order.expiry, "order expired");
+        require(order.nonce == nonces[order.seller], "bad nonce");
+        require(order.seller != msg.sender, "buyer=seller");
+        _requireAllowed(order.nft, order.paymentToken);
+        require(order.price > 0, "price=0");
+        require(order.price >= minPrice[order.paymentToken], "price<min");
+
+        orderHash = hashOrder(order);
+        require(!orderClosed[orderHash], "order closed");
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(orderHash, signature);
+        require(err == ECDSA.RecoverError.NoError && signer == order.seller, "bad signature");
+
+        require(_ownerOf(order.nft, order.tokenId) == order.seller, "seller!=owner");
+        require(_isApproved(order.nft, order.tokenId, order.seller), "not approved");
+
+        orderClosed[orderHash] = true;
+    }
+
+    function _fillOrder(Order calldata order, bytes32 orderHash) private {
+        // a non-custodial listing of the token would not hold after the sale
+        _closeNonCustodial(order.nft, order.tokenId);
+        Settlement memory s = _settleSale(
+            order.nft,
+            order.tokenId,
+            order.price,
+            order.paymentToken,
+            order.seller,
+            order.seller,
+            msg.sender
+        );
+
+        emit OrderFilled(
+            orderHash,
+            order.seller,
+            msg.sender,
+            order.nft,
+            order.tokenId,
+            order.price,
+            order.paymentToken,
+            s.royaltyAmount,
+            s.feeAmount,
+            s.sellerAmount
+        );
+    }
+
+    function _requireAllowed(address nft, address paymentToken) private view {
+        require(allowedCollections[nft], "collection not allowed");
+        require(isPaymentTokenAllowed(paymentToken), "token not allowed");
     }
 }
@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IStrDomainsNFT {
+    function ownerOf(uint256 tokenId) external view returns (address);
+    function safeTransferFrom(address from, address to, uint256 tokenId) external;
+    function transferFrom(address from, address to, uint256 tokenId) external;
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount);
+    function recordSale(uint256 tokenId, uint256 price, address buyer, address paymentToken) external;
+    function getApproved(uint256 tokenId) external view returns (address);
+    function isApprovedForAll(address owner, address operator) external view returns (bool);
+    function transferCount(uint256 tokenId) external view returns (uint256);
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+    function userOf(uint256 tokenId) external view returns (address);
+
+}
+
+interface IRoyaltySplitter {
+    function depositToken(address token, uint256 amount) external;
+}
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// Shared fee configuration and sale settlement for the StrDomains markets
+/// (fixed-price and signed-order `Marketplace` and its modules, and `AuctionHouse`).
+/// Initialized rather than constructed: `Marketplace` lives behind a UUPS proxy,
+/// the other markets call `__MarketplaceBase_init` from their constructors.
+abstract contract MarketplaceBase is AccessControlUpgradeable, ReentrancyGuardUpgradeable, IERC721Receiver {
+    bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+    using SafeERC20 for IERC20;
+
+    // Payout breakdown of a settled sale
+    struct Settlement {
+        address royaltyReceiver;
+        uint256 royaltyAmount;
+        uint256 feeAmount;
+        uint256 sellerAmount;
+    }
+
+    // Marketplace fee (basis points, 10000 = 100%)
+    uint96  public marketplaceFeeBps;
+    address public feeTreasury;   // default recipient for accrued fees
+    uint256 public accruedFees;   // accumulated native-token fees (in wei)
+    mapping(address => uint256) public accruedTokenFees; // payment token => accrued fees
+
+    // Reserved slots so the base can grow without shifting the state of the markets
+    uint256[47] private __gap;
+
+    event FeeWithdrawn(address indexed to, uint256 amount);
+    event TokenFeeWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event SaleRecordingSuccess(uint256 indexed tokenId, uint256 price, address indexed buyer);
+    event SaleRecordingFailed(uint256 indexed tokenId, uint256 price, address indexed buyer);
+    event ReceivedNFT(
+    address operator,
+    address indexed from,
+    uint256 indexed tokenId,
+    address indexed nftContract
+    );
+
+    function __MarketplaceBase_init(address _feeTreasury, uint96 _feeBps) internal onlyInitializing {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        require(_feeTreasury != address(0), "treasury=0");
+        _grantRole(ADMIN_ROLE, msg.sender);
+        feeTreasury = _feeTreasury;
+        marketplaceFeeBps = _feeBps; // e.g., 250 = 2.5%
+    }
+
+    /* =========================
+                ADMIN
+       ========================= */
+
+    function setMarketplaceFeeBps(uint96 feeBps) external onlyRole(ADMIN_ROLE) {
+        require(feeBps <= 2_000, "fee too high"); // safety cap at 20%
+        marketplaceFeeBps = feeBps;
+    }
+
+    function setFeeTreasury(address t) external onlyRole(ADMIN_ROLE) {
+        require(t != address(0), "treasury=0");
+        feeTreasury = t;
+    }
+
+    function withdrawFees() external onlyRole(ADMIN_ROLE) nonReentrant {
+        address recipient = feeTreasury;
+        uint256 amount = accruedFees;
+        require(amount > 0, "no fees");
+        accruedFees = 0;
+        (bool ok, ) = payable(recipient).call{ value: amount }("");
+        require(ok, "withdraw fail");
+        emit FeeWithdrawn(recipient, amount);
+    }
+
+    function withdrawTokenFees(address token) external onlyRole(ADMIN_ROLE) nonReentrant {
+        require(token != address(0), "token=0");
+        uint256 amount = accruedTokenFees[token];
+        require(amount > 0, "no fees");
+        accruedTokenFees[token] = 0;
+        IERC20(token).safeTransfer(feeTreasury, amount);
+        emit TokenFeeWithdrawn(token, feeTreasury, amount);
+    }
+
+function onERC721Received(
+    address operator,
+    address from,
+    uint256 tokenId,
+    bytes calldata data
+) external override returns (bytes4) {
+    emit ReceivedNFT(operator, from, tokenId, msg.sender);
+    return IERC721Receiver.onERC721Received.selector;
+}
+
+    /* =========================
+               INTERNAL
+       ========================= */
+
+    // Moves a token into escrow after checking the caller owns it and approved the market
+    function _escrowToken(address nft, uint256 tokenId) internal {
+        _requireOwnerApproval(nft, tokenId);
+
+        // Requires prior approval from user
+        _transferNft(nft, msg.sender, address(this), tokenId);
+    }
+
+    function _requireOwnerApproval(address nft, uint256 tokenId) internal view {
+        require(_ownerOf(nft, tokenId) == msg.sender, "not owner");
+        require(_isApproved(nft, tokenId, msg.sender), "not approved");
+    }
+
+    // Wrappers for calls made from many places: the IR pipeline would inline the call at every site,
+    // which the Marketplace cannot afford under the contract size limit
+    function _ownerOf(address nft, uint256 tokenId) internal view returns (address) {
+        return IStrDomainsNFT(nft).ownerOf(tokenId);
+    }
+
+    function _transferNft(address nft, address from, address to, uint256 tokenId) internal {
+        IStrDomainsNFT(nft).safeTransferFrom(from, to, tokenId);
+    }
+
+    function _balanceOf(address token) internal view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    // Whether `owner` approved the market for the token, alone or for the whole collection
+    function _isApproved(address nft, uint256 tokenId, address owner) internal view returns (bool) {
+        return
+            IStrDomainsNFT(nft).getApproved(tokenId) == address(this) ||
+            IStrDomainsNFT(nft).isApprovedForAll(owner, address(this));
+    }
+
+    // Common settlement for every sale type: the price must already be held by the contract.
+    // Pays royalty (EIP-2981), accrues the marketplace fee, pays the seller, moves the NFT
+    // from `from` to `buyer` and records the sale on the collection.
+    function _settleSale(
+        address nft,
+        uint256 tokenId,
+        uint256 price,
+        address paymentToken,
+        address seller,
+        address from,
+        address buyer
+    ) internal returns (Settlement memory s) {
+        s = _distribute(nft, tokenId, price, paymentToken, seller);
+
+        // Domain/NFT transfer to the buyer
+        _transferNft(nft, from, buyer, tokenId);
+
+        // Record new sale on collection contract
+        try IStrDomainsNFT(nft).recordSale(tokenId, price, buyer, paymentToken) {
+            emit SaleRecordingSuccess(tokenId, price, buyer);
+        } catch {
+            emit SaleRecordingFailed(tokenId, price, buyer);
+        }
+    }
+
+    // Splits a payment held by the contract: royalty (EIP-2981) and marketplace fee, the rest to `seller`
+    function _distribute(
+        address nft,
+        uint256 tokenId,
+        uint256 price,
+        address paymentToken,
+        address seller
+    ) internal returns (Settlement memory s) {
+        // 1) Fetch the royalty to be paid
+        (s.royaltyReceiver, s.royaltyAmount) = IStrDomainsNFT(nft).royaltyInfo(tokenId, price);
+        // 2) Calculate fees for marketplace
+        s.feeAmount = (price * marketplaceFeeBps) / 10_000;
+        // 3) Calculate the seller amount to be paid
+        s.sellerAmount = price - s.royaltyAmount - s.feeAmount;
+
+        if (paymentToken == address(0)) {
+            accruedFees += s.feeAmount;
+            if (s.royaltyAmount > 0) {
+                (bool okR, ) = payable(s.royaltyReceiver).call{ value: s.royaltyAmount }("");
+                require(okR, "royalty fail");
+            }
+        } else {
+            IERC20 token = IERC20(paymentToken);
+            if (s.feeAmount > 0) {
+                accruedTokenFees[paymentToken] += s.feeAmount;
+            }
+            if (s.royaltyAmount > 0 && s.royaltyReceiver != address(0)) {
+                if (!_tryDepositToken(token, paymentToken, s.royaltyReceiver, s.royaltyAmount)) {
+                    token.safeTransfer(s.royaltyReceiver, s.royaltyAmount);
+                }
+            }
+        }
+        _paySeller(seller, paymentToken, s.sellerAmount);
+    }
+
+    // Sends the seller's share of a sale; markets that let sellers withdraw their proceeds override it
+    function _paySeller(address seller, address paymentToken, uint256 amount) internal virtual {
+        if (paymentToken == address(0)) {
+            (bool ok, ) = payable(seller).call{ value: amount }("");
+            require(ok, "seller fail");
+        } else if (amount > 0) {
+            IERC20(paymentToken).safeTransfer(seller, amount);
+        }
+    }
+
+    // Pulls `amount` of an ERC20 payment from `from`, measured by the balance change so that
+    // tokens delivering less than requested (fee-on-transfer, rebasing) are rejected
+    function _pullToken(address paymentToken, address from, uint256 amount) internal {
+        IERC20 token = IERC20(paymentToken);
+        uint256 balanceBefore = _balanceOf(paymentToken);
+        token.safeTransferFrom(from, address(this), amount);
+        require(_balanceOf(paymentToken) - balanceBefore >= amount, "short transfer");
+    }
+
+    function _refund(address to, address paymentToken, uint256 amount) internal {
+        if (paymentToken == address(0)) {
+            (bool ok, ) = payable(to).call{ value: amount }("");
+            require(ok, "refund fail");
+        } else {
+            IERC20(paymentToken).safeTransfer(to, amount);
+        }
+    }
+
+    function _tryDepositToken(
+        IERC20 token,
+        address paymentToken,
+        address royaltyReceiver,
+        uint256 royaltyAmount
+    ) private returns (bool) {
+        if (royaltyReceiver == address(0)) {
+            return false;
+        }
+        if (royaltyReceiver.code.length == 0) {
+            return false;
+        }
+        if (royaltyAmount == 0) {
+            return true;
+        }
+
+        uint256 currentAllowance = token.allowance(address(this), royaltyReceiver);
+        if (currentAllowance != 0) {
+            token.forceApprove(royaltyReceiver, 0);
+        }
+        token.forceApprove(royaltyReceiver, royaltyAmount);
+        try IRoyaltySplitter(royaltyReceiver).depositToken(paymentToken, royaltyAmount) {
+            token.forceApprove(royaltyReceiver, 0);
+            return true;
+        } catch {
+            token.forceApprove(royaltyReceiver, 0);
+            return false;
+        }
+    }
+}
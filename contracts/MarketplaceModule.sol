@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MarketplaceBase.sol";
+
+// Allowlists and pause switch of the Marketplace, read by its modules
+interface IMarketplaceControls {
+    function allowedCollections(address nft) external view returns (bool);
+    function isPaymentTokenAllowed(address token) external view returns (bool);
+    function minPrice(address token) external view returns (uint256);
+    function paused() external view returns (bool);
+}
+
+/// Base of the markets deployed next to `Marketplace` (offers, rentals, USD-priced listings).
+/// They keep their own fees and escrow but follow the Marketplace's collection and payment token
+/// allowlists, minimum prices and pause switch, so those are managed in one place.
+/// Keeping these features out of the upgradeable `Marketplace` leaves it room under the 24 KB
+/// contract size limit for fixes.
+abstract contract MarketplaceModule is MarketplaceBase {
+    IMarketplaceControls public immutable marketplace;
+
+    constructor(address marketplace_) {
+        require(marketplace_ != address(0), "marketplace=0");
+        marketplace = IMarketplaceControls(marketplace_);
+    }
+
+    // Nothing can be listed, bought, offered or rented while the Marketplace is paused; cancellations still go through
+    modifier whenMarketOpen() {
+        require(!marketplace.paused(), "market paused");
+        _;
+    }
+
+    function _requireAllowed(address nft, address paymentToken) internal view {
+        require(marketplace.allowedCollections(nft), "collection not allowed");
+        require(marketplace.isPaymentTokenAllowed(paymentToken), "token not allowed");
+    }
+
+    function _requireMinPrice(address paymentToken, uint256 price) internal view {
+        require(price >= marketplace.minPrice(paymentToken), "price<min");
+    }
+}
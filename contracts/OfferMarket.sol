@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MarketplaceModule.sol";
+
+/// Escrowed offers on a single token and collection-wide bids. Offers follow the Marketplace
+/// allowlists and minimum prices, and the amount stays with this market until the offer is
+/// accepted, canceled or released after expiry.
+/// Accepting an offer moves the token, so a non-custodial Marketplace listing of it no longer
+/// holds and can be closed with `cancelInvalidListings`.
+contract OfferMarket is MarketplaceModule {
+    struct Offer {
+        address bidder;
+        address nft;
+        uint256 tokenId; // ignored for collection-wide offers
+        uint256 amount; // escrowed by the market until accepted or canceled
+        address paymentToken; // address(0) => native token
+        uint64 expiresAt;
+        bool collectionWide;
+        bool active;
+    }
+
+    uint256 public lastOfferId;
+    mapping(uint256 => Offer) public offers;
+
+    event OfferCreated(
+        uint256 indexed offerId,
+        address indexed bidder,
+        address indexed nft,
+        uint256 tokenId,
+        uint256 amount,
+        address paymentToken,
+        uint64 expiresAt,
+        bool collectionWide
+    );
+    event OfferCanceled(uint256 indexed offerId, address indexed bidder);
+    event OfferAccepted(
+        uint256 indexed offerId,
+        address indexed seller,
+        uint256 indexed tokenId,
+        address bidder,
+        uint256 amount,
+        uint256 royaltyAmount,
+        uint256 feeAmount,
+        uint256 sellerAmount,
+        address paymentToken
+    );
+
+    constructor(address _feeTreasury, uint96 _feeBps, address marketplace_)
+        MarketplaceModule(marketplace_)
+        initializer
+    {
+        __MarketplaceBase_init(_feeTreasury, _feeBps);
+    }
+
+    // Offer on a single token, escrowed in native currency
+    function makeOffer(address nft, uint256 tokenId, uint64 expiresAt)
+        external
+        payable
+        whenMarketOpen
+        returns (uint256 offerId)
+    {
+        require(msg.value > 0, "amount=0");
+        require(_ownerOf(nft, tokenId) != msg.sender, "owner offer");
+        offerId = _createOffer(nft, tokenId, msg.value, address(0), expiresAt, false);
+    }
+
+    function makeOfferERC20(
+        address nft,
+        uint256 tokenId,
+        uint256 amount,
+        address paymentToken,
+        uint64 expiresAt
+    ) external nonReentrant whenMarketOpen returns (uint256 offerId) {
+        require(paymentToken != address(0), "token=0");
+        require(amount > 0, "amount=0");
+        require(_ownerOf(nft, tokenId) != msg.sender, "owner offer");
+        offerId = _createOffer(nft, tokenId, amount, paymentToken, expiresAt, false);
+    }
+
+    // Collection-wide bid: any holder of a token from `nft` can accept it
+    function makeCollectionOffer(address nft, uint64 expiresAt)
+        external
+        payable
+        whenMarketOpen
+        returns (uint256 offerId)
+    {
+        require(msg.value > 0, "amount=0");
+        offerId = _createOffer(nft, 0, msg.value, address(0), expiresAt, true);
+    }
+
+    function makeCollectionOfferERC20(
+        address nft,
+        uint256 amount,
+        address paymentToken,
+        uint64 expiresAt
+    ) external nonReentrant whenMarketOpen returns (uint256 offerId) {
+        require(paymentToken != address(0), "token=0");
+        require(amount > 0, "amount=0");
+        offerId = _createOffer(nft, 0, amount, paymentToken, expiresAt, true);
+    }
+
+    // The bidder can cancel at any time; once expired anyone can release the escrow back to the bidder
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        Offer storage O = offers[offerId];
+        require(O.active, "offer !active");
+        require(O.bidder == msg.sender || block.timestamp >= O.expiresAt, "not bidder");
+
+        O.active = false;
+        _refund(O.bidder, O.paymentToken, O.amount);
+
+        emit OfferCanceled(offerId, O.bidder);
+    }
+
+    // Token owner accepts an offer; `tokenId` selects the token for collection-wide offers
+    function acceptOffer(uint256 offerId, uint256 tokenId) external nonReentrant whenMarketOpen {
+        Offer storage O = offers[offerId];
+        require(O.active, "offer !active");
+        require(block.timestamp < O.expiresAt, "offer expired");
+        require(O.collectionWide || O.tokenId == tokenId, "wrong token");
+
+        address nft = O.nft;
+        _requireAllowed(nft, O.paymentToken);
+        require(_ownerOf(nft, tokenId) == msg.sender, "not owner");
+        require(O.bidder != msg.sender, "bidder=seller");
+        require(_isApproved(nft, tokenId, msg.sender), "not approved");
+
+        O.active = false;
+        Settlement memory s = _settleSale(nft, tokenId, O.amount, O.paymentToken, msg.sender, msg.sender, O.bidder);
+
+        emit OfferAccepted(
+            offerId,
+            msg.sender,
+            tokenId,
+            O.bidder,
+            O.amount,
+            s.royaltyAmount,
+            s.feeAmount,
+            s.sellerAmount,
+            O.paymentToken
+        );
+    }
+
+    function getOffer(uint256 offerId) external view returns (Offer memory) {
+        return offers[offerId];
+    }
+
+    function _createOffer(
+        address nft,
+        uint256 tokenId,
+        uint256 amount,
+        address paymentToken,
+        uint64 expiresAt,
+        bool collectionWide
+    ) private returns (uint256 offerId) {
+        _requireAllowed(nft, paymentToken);
+        _requireMinPrice(paymentToken, amount);
+        require(expiresAt > block.timestamp, "bad expiry");
+        // native offers arrive as msg.value
+        if (paymentToken != address(0)) {
+            _pullToken(paymentToken, msg.sender, amount);
+        }
+
+        offerId = ++lastOfferId;
+        offers[offerId] = Offer({
+            bidder: msg.sender,
+            nft: nft,
+            tokenId: tokenId,
+            amount: amount,
+            paymentToken: paymentToken,
+            expiresAt: expiresAt,
+            collectionWide: collectionWide,
+            active: true
+        });
+
+        emit OfferCreated(offerId, msg.sender, nft, tokenId, amount, paymentToken, expiresAt, collectionWide);
+    }
+}
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MarketplaceModule.sol";
+
+/// Rental listings: the owner keeps the token and the renter becomes its ERC-4907 user.
+/// Rent is split like a sale (royalty, marketplace fee, rest to the owner), and a listing stays
+/// open for the next renter once a lease ends.
+contract RentalMarket is MarketplaceModule {
+    struct Rental {
+        address owner;
+        address nft;
+        uint256 tokenId;
+        uint256 pricePerDay;
+        address paymentToken; // address(0) => native token
+        uint64 maxDays;
+        bool active;
+    }
+
+    uint256 public lastRentalId;
+    mapping(uint256 => Rental) public rentals;
+
+    event RentalListed(
+        uint256 indexed rentalId,
+        address indexed owner,
+        address indexed nft,
+        uint256 tokenId,
+        uint256 pricePerDay,
+        address paymentToken,
+        uint64 maxDays
+    );
+    event RentalCanceled(uint256 indexed rentalId);
+    event Rented(
+        uint256 indexed rentalId,
+        address indexed renter,
+        uint64 expires,
+        uint256 price,
+        uint256 royaltyAmount,
+        uint256 feeAmount,
+        uint256 ownerAmount
+    );
+
+    constructor(address _feeTreasury, uint96 _feeBps, address marketplace_)
+        MarketplaceModule(marketplace_)
+        initializer
+    {
+        __MarketplaceBase_init(_feeTreasury, _feeBps);
+    }
+
+    // The rental market sets the ERC-4907 user, so it must stay approved for the token
+    function listForRent(address nft, uint256 tokenId, uint256 pricePerDay, address paymentToken, uint64 maxDays)
+        external
+        whenMarketOpen
+        returns (uint256 rentalId)
+    {
+        require(pricePerDay > 0, "price=0");
+        require(maxDays > 0, "days=0");
+        _requireAllowed(nft, paymentToken);
+        _requireOwnerApproval(nft, tokenId);
+
+        rentalId = ++lastRentalId;
+        rentals[rentalId] = Rental({
+            owner: msg.sender,
+            nft: nft,
+            tokenId: tokenId,
+            pricePerDay: pricePerDay,
+            paymentToken: paymentToken,
+            maxDays: maxDays,
+            active: true
+        });
+
+        emit RentalListed(rentalId, msg.sender, nft, tokenId, pricePerDay, paymentToken, maxDays);
+    }
+
+    function cancelRental(uint256 rentalId) external {
+        Rental storage R = rentals[rentalId];
+        require(R.active, " not active");
+        require(R.owner == msg.sender, "not owner");
+        R.active = false;
+        emit RentalCanceled(rentalId);
+    }
+
+    // Leases the name for `days_` days. Native rentals are paid with msg.value, ERC20 rentals are
+    // pulled from the renter; the price is split like a sale (royalty, fee, rest to the owner).
+    function rent(uint256 rentalId, uint64 days_) external payable nonReentrant whenMarketOpen {
+        Rental storage R = rentals[rentalId];
+        require(R.active, " not active");
+        require(days_ > 0 && days_ <= R.maxDays, "bad duration");
+        address nft = R.nft;
+        uint256 tokenId = R.tokenId;
+        address paymentToken = R.paymentToken;
+        _requireAllowed(nft, paymentToken);
+        require(
+            _ownerOf(nft, tokenId) == R.owner && _isApproved(nft, tokenId, R.owner),
+            "rental invalid"
+        );
+        require(IStrDomainsNFT(nft).userOf(tokenId) == address(0), "already rented");
+
+        uint256 price = R.pricePerDay * days_;
+        if (paymentToken == address(0)) {
+            require(msg.value == price, "bad value");
+        } else {
+            require(msg.value == 0, "bad value");
+            _pullToken(paymentToken, msg.sender, price);
+        }
+
+        uint64 expires = uint64(block.timestamp) + days_ * 1 days;
+        IStrDomainsNFT(nft).setUser(tokenId, msg.sender, expires);
+        Settlement memory s = _distribute(nft, tokenId, price, paymentToken, R.owner);
+
+        emit Rented(rentalId, msg.sender, expires, price, s.royaltyAmount, s.feeAmount, s.sellerAmount);
+    }
+}
@@ -6,16 +6,25 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
+// RoyaltySplitterFactory: the ERC20 tokens its splitters track
+interface ITrackedTokens {
+    function isTrackedToken(address token) external view returns (bool);
+}
 
-
+/// Pull-payment royalty splitter, cloned per token by `RoyaltySplitterFactory`.
+/// Payees hold numbered slots with shares adding up to 10000; by convention slot 0 is the
+/// creator and slot 1 the treasury, followed by any referral partners or co-creators.
+/// Any ERC20 can be deposited, but only the tokens the creating factory tracks are listed for
+/// `release`, `hasBalance`, `payeeBalances` and payee updates; others are left to `withdrawToken`.
 contract RoyaltySplitter is AccessControl, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
-    // Recipients and shares (basis points, 10000 = 100%)
-    address public creator;
-    address public treasury;
-    uint16 public creatorBps;
-    uint16 public treasuryBps;
+    uint256 public constant MAX_PAYEES = 16; // bounds the loops run on every payment
+    uint256 public constant MAX_TRACKED_TOKENS = 32; // bounds the loops over deposited tokens
+
+    // Payees and their shares (basis points, 10000 = 100%), by slot
+    address[] private _payees;
+    uint16[] private _shares;
 
     bool private _initialized;
 
@@ -26,49 +35,68 @@ contract RoyaltySplitter is AccessControl, ReentrancyGuard {
     address[] private _trackedTokens;
     mapping(address => bool) private _isTrackedToken;
 
+    address public factory; // initializer of the clone, asked which deposited tokens to track
+
+    // Balances of one payee, in the order of `trackedTokens()`
+    struct PayeeBalance {
+        address payee;
+        uint16 share;
+        uint256 native;
+        uint256[] tokens;
+    }
+
     // Events
     event Initialized(address indexed creator, address indexed treasury, uint16 creatorBps, uint16 treasuryBps);
+    event PayeesInitialized(address[] payees, uint16[] shares);
     event SplitsUpdated(uint16 creatorBps, uint16 treasuryBps);
+    event SharesUpdated(uint16[] shares);
     event Received(address indexed from, uint256 amount);
     event TokenReceived(address indexed token, address indexed from, uint256 amount);
     event Withdraw(address indexed to, uint256 amount);
     event WithdrawToken(address indexed token, address indexed to, uint256 amount);
+    event PayeeUpdated(uint256 indexed slot, address indexed oldPayee, address indexed newPayee);
     event CreatorUpdated(address indexed oldCreator, address indexed newCreator);
     event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event ReleaseFailed(address indexed token, address indexed payee, uint256 amount); // token 0 = native
 
     modifier onlyOnce() {
         require(!_initialized, "already initialized");
         _;
     }
 
+    // Two-party split used by StrDomainsNFT: slot 0 creator, slot 1 treasury
     function init(
         address _creator,
         address _treasury,
         uint16 _creatorBps,
         uint16 _treasuryBps
     ) external onlyOnce {
-        require(_creator != address(0) && _treasury != address(0), "zero address");
-        require(_creatorBps + _treasuryBps == 10000, "split!=10000");
-
-        creator = _creator;
-        treasury = _treasury;
-        creatorBps = _creatorBps;
-        treasuryBps = _treasuryBps;
-
-        _initialized = true;
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        address[] memory payees_ = new address[](2);
+        uint16[] memory shares_ = new uint16[](2);
+        (payees_[0], payees_[1]) = (_creator, _treasury);
+        (shares_[0], shares_[1]) = (_creatorBps, _treasuryBps);
+        _init(payees_, shares_);
+    }
 
-        emit Initialized(_creator, _treasury, _creatorBps, _treasuryBps);
+    function initPayees(address[] calldata payees_, uint16[] calldata shares_) external onlyOnce {
+        _init(payees_, shares_);
     }
 
     function setSplits(uint16 _creatorBps, uint16 _treasuryBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(_initialized, "not init");
-        require(_creatorBps + _treasuryBps == 10000, "split!=10000");
-        creatorBps = _creatorBps;
-        treasuryBps = _treasuryBps;
+        require(_payees.length == 2, "not two payees");
+        uint16[] memory shares_ = new uint16[](2);
+        (shares_[0], shares_[1]) = (_creatorBps, _treasuryBps);
+        _setShares(shares_);
         emit SplitsUpdated(_creatorBps, _treasuryBps);
     }
 
+    function setShares(uint16[] calldata shares_) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_initialized, "not init");
+        _setShares(shares_);
+        emit SharesUpdated(shares_);
+    }
+
     receive() external payable {
         _collectNative(msg.value);
     }
@@ -84,44 +112,37 @@ contract RoyaltySplitter is AccessControl, ReentrancyGuard {
 
         IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
 
-        uint256 toCreator = (amount * creatorBps) / 10000;
-        uint256 toTreasury = amount - toCreator;
-
-        erc20Balance[token][creator] += toCreator;
-        erc20Balance[token][treasury] += toTreasury;
+        _distribute(erc20Balance[token], amount);
         _trackToken(token);
 
         emit TokenReceived(token, msg.sender, amount);
     }
 
+    // Hands a slot to a new address; see `_reassign` for what happens to accrued balances
+    function updatePayee(uint256 slot, address newPayee) external {
+        require(_initialized, "not init");
+        require(slot < _payees.length, "bad slot");
+        require(newPayee != address(0), "payee=0");
+        require(msg.sender == _payees[slot], "only payee");
+        require(newPayee != msg.sender, "same payee");
+        _reassign(slot, newPayee);
+    }
+
     function updateCreator(address newCreator) external {
         require(_initialized, "not init");
         require(newCreator != address(0), "creator=0");
-        require(msg.sender == creator, "only creator");
-
-        address oldCreator = creator;
-        require(oldCreator != newCreator, "same creator");
-
-        creator = newCreator;
-        _moveEthBalance(oldCreator, newCreator);
-        _moveTokenBalances(oldCreator, newCreator);
-
-        emit CreatorUpdated(oldCreator, newCreator);
+        require(msg.sender == _payees[0], "only creator");
+        require(newCreator != msg.sender, "same creator");
+        _reassign(0, newCreator);
     }
 
     function updateTreasury(address newTreasury) external {
         require(_initialized, "not init");
         require(newTreasury != address(0), "treasury=0");
-        require(msg.sender == treasury || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "unauthorized");
-
-        address oldTreasury = treasury;
+        address oldTreasury = _payees[1];
+        require(msg.sender == oldTreasury || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "unauthorized");
         require(oldTreasury != newTreasury, "same treasury");
-
-        treasury = newTreasury;
-        _moveEthBalance(oldTreasury, newTreasury);
-        _moveTokenBalances(oldTreasury, newTreasury);
-
-        emit TreasuryUpdated(oldTreasury, newTreasury);
+        _reassign(1, newTreasury);
     }
 
     function withdraw() external nonReentrant {
@@ -141,21 +162,176 @@ contract RoyaltySplitter is AccessControl, ReentrancyGuard {
         emit WithdrawToken(token, msg.sender, bal);
     }
 
+    /// Pushes every non-zero balance of `payee` (native and tracked ERC20) to it. Anyone may
+    /// call this, so keepers can pay out without the payee. A transfer that fails is skipped
+    /// and its balance stays withdrawable, so one bad token cannot block the others.
+    function release(address payee) external nonReentrant {
+        uint256 bal = ethBalance[payee];
+        if (bal > 0) {
+            ethBalance[payee] = 0;
+            (bool ok, ) = payable(payee).call{ value: bal }("");
+            if (ok) {
+                emit Withdraw(payee, bal);
+            } else {
+                ethBalance[payee] = bal;
+                emit ReleaseFailed(address(0), payee, bal);
+            }
+        }
+
+        uint256 len = _trackedTokens.length;
+        for (uint256 i = 0; i < len; ++i) {
+            address token = _trackedTokens[i];
+            bal = erc20Balance[token][payee];
+            if (bal == 0) continue;
+            erc20Balance[token][payee] = 0;
+            if (IERC20(token).trySafeTransfer(payee, bal)) {
+                emit WithdrawToken(token, payee, bal);
+            } else {
+                erc20Balance[token][payee] = bal;
+                emit ReleaseFailed(token, payee, bal);
+            }
+        }
+    }
+
+    /* =========================
+                VIEWS
+       ========================= */
+
+    /// Whether `account` has anything to withdraw, native or ERC20
+    function hasBalance(address account) external view returns (bool) {
+        if (ethBalance[account] > 0) return true;
+        uint256 len = _trackedTokens.length;
+        for (uint256 i = 0; i < len; ++i) {
+            if (erc20Balance[_trackedTokens[i]][account] > 0) return true;
+        }
+        return false;
+    }
+
+    function creator() external view returns (address) {
+        return _payees[0];
+    }
+
+    function treasury() external view returns (address) {
+        return _payees[1];
+    }
+
+    function creatorBps() external view returns (uint16) {
+        return _shares[0];
+    }
+
+    function treasuryBps() external view returns (uint16) {
+        return _shares[1];
+    }
+
+    function payees() external view returns (address[] memory, uint16[] memory shares) {
+        return (_payees, _shares);
+    }
+
+    /// Tracked ERC20 tokens deposited, in deposit order, up to `MAX_TRACKED_TOKENS`
+    function trackedTokens() external view returns (address[] memory) {
+        return _trackedTokens;
+    }
+
+    /// Every payee with its share and withdrawable native and tracked ERC20 balances
+    /// (untracked tokens: `erc20Balance`)
+    function payeeBalances() external view returns (address[] memory tokens, PayeeBalance[] memory balances) {
+        tokens = _trackedTokens;
+        balances = new PayeeBalance[](_payees.length);
+        for (uint256 i = 0; i < _payees.length; ++i) {
+            address payee = _payees[i];
+            uint256[] memory tokenBalances = new uint256[](tokens.length);
+            for (uint256 j = 0; j < tokens.length; ++j) {
+                tokenBalances[j] = erc20Balance[tokens[j]][payee];
+            }
+            balances[i] = PayeeBalance(payee, _shares[i], ethBalance[payee], tokenBalances);
+        }
+    }
+
+    /* =========================
+               INTERNAL
+       ========================= */
+
+    function _init(address[] memory payees_, uint16[] memory shares_) private {
+        uint256 count = payees_.length;
+        require(count >= 2 && count <= MAX_PAYEES, "bad payee count");
+        for (uint256 i = 0; i < count; ++i) {
+            require(payees_[i] != address(0), "zero address");
+            _payees.push(payees_[i]);
+        }
+        _setShares(shares_);
+
+        _initialized = true;
+        factory = msg.sender;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+
+        emit Initialized(payees_[0], payees_[1], shares_[0], shares_[1]);
+        emit PayeesInitialized(payees_, shares_);
+    }
+
+    function _setShares(uint16[] memory shares_) private {
+        require(shares_.length == _payees.length, "length mismatch");
+        uint256 total;
+        for (uint256 i = 0; i < shares_.length; ++i) {
+            total += shares_[i];
+        }
+        require(total == 10000, "split!=10000");
+        _shares = shares_;
+    }
+
+    // Each slot gets its share rounded down; the last slot also gets the rounding dust
+    function _distribute(mapping(address => uint256) storage balances, uint256 amount) private {
+        uint256 last = _payees.length - 1;
+        uint256 rest = amount;
+        for (uint256 i = 0; i < last; ++i) {
+            uint256 part = (amount * _shares[i]) / 10000;
+            balances[_payees[i]] += part;
+            rest -= part;
+        }
+        balances[_payees[last]] += rest;
+    }
+
     function _collectNative(uint256 amount) private {
         require(_initialized, "not init");
         if (amount == 0) return;
-        uint256 toCreator = (amount * creatorBps) / 10000;
-        uint256 toTreasury = amount - toCreator;
-        ethBalance[creator] += toCreator;
-        ethBalance[treasury] += toTreasury;
+        _distribute(ethBalance, amount);
         emit Received(msg.sender, amount);
     }
 
+    // Accrued balances follow the slot to the new address, unless the old address
+    // still holds another slot (it then keeps them, as they cannot be told apart)
+    function _reassign(uint256 slot, address newPayee) private {
+        address oldPayee = _payees[slot];
+        _payees[slot] = newPayee;
+        if (!_isPayee(oldPayee)) {
+            _moveEthBalance(oldPayee, newPayee);
+            _moveTokenBalances(oldPayee, newPayee);
+        }
+
+        emit PayeeUpdated(slot, oldPayee, newPayee);
+        if (slot == 0) emit CreatorUpdated(oldPayee, newPayee);
+        if (slot == 1) emit TreasuryUpdated(oldPayee, newPayee);
+    }
+
+    function _isPayee(address account) private view returns (bool) {
+        for (uint256 i = 0; i < _payees.length; ++i) {
+            if (_payees[i] == account) return true;
+        }
+        return false;
+    }
+
+    // `depositToken` is open to any token, so only the factory's tracked tokens are listed (junk
+    // deposits cannot take their place) and the list is capped to keep the loops over it within gas
     function _trackToken(address token) private {
-        if (!_isTrackedToken[token]) {
-            _isTrackedToken[token] = true;
-            _trackedTokens.push(token);
+        if (_isTrackedToken[token] || _trackedTokens.length >= MAX_TRACKED_TOKENS) return;
+        address factory_ = factory;
+        if (factory_.code.length == 0) return; // not created by a factory
+        try ITrackedTokens(factory_).isTrackedToken(token) returns (bool tracked) {
+            if (!tracked) return;
+        } catch {
+            return;
         }
+        _isTrackedToken[token] = true;
+        _trackedTokens.push(token);
     }
 
     function _moveEthBalance(address from, address to) private {
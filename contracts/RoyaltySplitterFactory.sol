@@ -6,7 +6,12 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 
 interface IRoyaltySplitter {
     function init(address creator, address treasury, uint16 creatorBps, uint16 treasuryBps) external;
+    function initPayees(address[] calldata payees, uint16[] calldata shares) external;
     function updateTreasury(address newTreasury) external;
+    function treasury() external view returns (address);
+    function setShares(uint16[] calldata shares) external;
+    function release(address payee) external;
+    function hasBalance(address account) external view returns (bool);
 }
 
 contract RoyaltySplitterFactory is AccessControl {
@@ -16,6 +21,30 @@ contract RoyaltySplitterFactory is AccessControl {
 
     address public immutable implementation; // address of the pre-deployed RoyaltySplitter implementation
 
+    // Every splitter created here, in creation order
+    address[] private _splitters;
+    mapping(address => bool) public isSplitter;
+    // Account that created each splitter (e.g. StrDomainsNFT); it may change the splitter's shares
+    mapping(address => address) public managerOf;
+    // Splitters by their creator (slot 0) at creation, and by collection and token id
+    mapping(address => address[]) private _creatorSplitters;
+    mapping(address => mapping(uint256 => address)) public tokenSplitter;
+
+    // ERC20 tokens splitters list for releases, balance views and payee updates (e.g. the
+    // Marketplace payment tokens); deposits of other tokens are only withdrawable one by one
+    mapping(address => bool) public isTrackedToken;
+
+    event TrackedTokenSet(address indexed token, bool tracked);
+    event SplitterSharesUpdated(address indexed splitter, address indexed by, uint16[] shares);
+    event TokenSplitterCreated(address indexed collection, uint256 indexed tokenId, address indexed splitter);
+    event TreasuryMigrated(
+        address indexed oldTreasury,
+        address indexed newTreasury,
+        uint256 offset,
+        uint256 end,
+        uint256 migrated
+    );
+
     event SplitterCreated(
         address indexed splitter,
         address indexed creator,
@@ -36,18 +65,176 @@ contract RoyaltySplitterFactory is AccessControl {
         uint16 creatorBps,
         uint16 treasuryBps
     ) external returns (address splitter) {
+        return _createSplitter(creator, treasury, creatorBps, treasuryBps);
+    }
+
+    /// Two-party splitter for token `tokenId` of the calling collection, found later with
+    /// `tokenSplitter(collection, tokenId)`
+    function createTokenSplitter(
+        uint256 tokenId,
+        address creator,
+        address treasury,
+        uint16 creatorBps,
+        uint16 treasuryBps
+    ) external returns (address splitter) {
+        require(tokenSplitter[msg.sender][tokenId] == address(0), "token has splitter");
+        splitter = _createSplitter(creator, treasury, creatorBps, treasuryBps);
+        tokenSplitter[msg.sender][tokenId] = splitter;
+        emit TokenSplitterCreated(msg.sender, tokenId, splitter);
+    }
+
+    /// Splitter across 2 to 16 payees; slot 0 is the creator and slot 1 the treasury.
+    /// The splitter checks the payees and that the shares add up to 10000.
+    function createSplitterWithPayees(address[] calldata payees, uint16[] calldata shares)
+        external
+        returns (address splitter)
+    {
+        splitter = implementation.clone(); // minimal proxy (EIP-1167)
+        IRoyaltySplitter(splitter).initPayees(payees, shares);
+        _record(splitter, payees[0]);
+
+        emit SplitterCreated(splitter, payees[0], payees[1], shares[0], shares[1]);
+    }
+
+    /// Splitters track `token` from their next deposit of it; a token stays tracked by the
+    /// splitters that already list it.
+    function setTrackedToken(address token, bool tracked) external onlyRole(ADMIN_ROLE) {
+        require(token != address(0), "token=0");
+        isTrackedToken[token] = tracked;
+        emit TrackedTokenSet(token, tracked);
+    }
+
+    function updateSplitterTreasury(address splitter, address newTreasury) external onlyRole(ADMIN_ROLE) {
+        require(splitter != address(0), "splitter=0");
+        IRoyaltySplitter(splitter).updateTreasury(newTreasury);
+    }
+
+    /// Moves the splitters among `limit` from `offset` (creation order) whose treasury is
+    /// `oldTreasury` to `newTreasury`, with their accrued balances (see `RoyaltySplitter.updateTreasury`;
+    /// balances of untracked tokens stay with the old treasury).
+    /// `next` is the offset to continue from, or 0 once every splitter has been scanned.
+    function migrateTreasury(address oldTreasury, address newTreasury, uint256 offset, uint256 limit)
+        external
+        onlyRole(ADMIN_ROLE)
+        returns (uint256 migrated, uint256 next)
+    {
+        require(newTreasury != address(0), "treasury=0");
+        require(oldTreasury != newTreasury, "same treasury");
+        (uint256 start, uint256 end) = _range(_splitters.length, offset, limit);
+        for (uint256 i = start; i < end; ++i) {
+            IRoyaltySplitter splitter = IRoyaltySplitter(_splitters[i]);
+            if (splitter.treasury() == oldTreasury) {
+                splitter.updateTreasury(newTreasury);
+                ++migrated;
+            }
+        }
+        emit TreasuryMigrated(oldTreasury, newTreasury, start, end, migrated);
+        next = end < _splitters.length ? end : 0;
+    }
+
+    /// Re-splits future payments of `splitter`; balances already accrued keep their split.
+    function setSplitterShares(address splitter, uint16[] calldata shares) external {
+        require(isSplitter[splitter], "unknown splitter");
+        require(msg.sender == managerOf[splitter] || hasRole(ADMIN_ROLE, msg.sender), "unauthorized");
+        IRoyaltySplitter(splitter).setShares(shares);
+        emit SplitterSharesUpdated(splitter, msg.sender, shares);
+    }
+
+    /// Pays `payee` its native and ERC20 balances on each of `splitters` in one transaction.
+    /// Permissionless like `RoyaltySplitter.release`: funds only ever go to the payee.
+    function releaseAll(address[] calldata splitters, address payee) external {
+        for (uint256 i = 0; i < splitters.length; ++i) {
+            require(isSplitter[splitters[i]], "unknown splitter");
+            IRoyaltySplitter(splitters[i]).release(payee);
+        }
+    }
+
+    function splitterCount() external view returns (uint256) {
+        return _splitters.length;
+    }
+
+    /// `limit` splitters from `offset`, in creation order
+    function getSplitters(uint256 offset, uint256 limit) external view returns (address[] memory) {
+        return _slice(_splitters, offset, limit);
+    }
+
+    function creatorSplitterCount(address creator) external view returns (uint256) {
+        return _creatorSplitters[creator].length;
+    }
+
+    /// Splitters created with `creator` in slot 0 (later payee changes are not reflected)
+    function getCreatorSplitters(address creator, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory)
+    {
+        return _slice(_creatorSplitters[creator], offset, limit);
+    }
+
+    /// Splitters among `limit` from `offset` (creation order) where `account` has a balance.
+    /// `next` is the offset to continue from, or 0 once every splitter has been scanned.
+    function splittersWithBalance(address account, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory splitters, uint256 next)
+    {
+        uint256 total = _splitters.length;
+        (uint256 start, uint256 end) = _range(total, offset, limit);
+
+        // count the matches first so the result is allocated at its exact length
+        bool[] memory held = new bool[](end - start);
+        uint256 found;
+        for (uint256 i = start; i < end; ++i) {
+            if (IRoyaltySplitter(_splitters[i]).hasBalance(account)) {
+                held[i - start] = true;
+                ++found;
+            }
+        }
+
+        splitters = new address[](found);
+        uint256 j;
+        for (uint256 i = start; i < end; ++i) {
+            if (held[i - start]) splitters[j++] = _splitters[i];
+        }
+        next = end < total ? end : 0;
+    }
+
+    function _createSplitter(address creator, address treasury, uint16 creatorBps, uint16 treasuryBps)
+        private
+        returns (address splitter)
+    {
         require(creator != address(0) && treasury != address(0), "zero addr");
         require(uint256(creatorBps) + uint256(treasuryBps) == 10000, "split!=10000");
 
         splitter = implementation.clone(); // minimal proxy (EIP-1167)
         IRoyaltySplitter(splitter).init(creator, treasury, creatorBps, treasuryBps);
+        _record(splitter, creator);
 
         emit SplitterCreated(splitter, creator, treasury, creatorBps, treasuryBps);
     }
 
-    function updateSplitterTreasury(address splitter, address newTreasury) external onlyRole(ADMIN_ROLE) {
-        require(splitter != address(0), "splitter=0");
-        IRoyaltySplitter(splitter).updateTreasury(newTreasury);
+    function _record(address splitter, address creator) private {
+        _splitters.push(splitter);
+        isSplitter[splitter] = true;
+        managerOf[splitter] = msg.sender;
+        _creatorSplitters[creator].push(splitter);
     }
 
+    // Bounds of the page of `limit` items from `offset` in a list of `total`
+    function _range(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256 start, uint256 end) {
+        start = offset < total ? offset : total;
+        end = limit < total - start ? start + limit : total;
+    }
+
+    function _slice(address[] storage list, uint256 offset, uint256 limit)
+        private
+        view
+        returns (address[] memory page)
+    {
+        (uint256 start, uint256 end) = _range(list.length, offset, limit);
+        page = new address[](end - start);
+        for (uint256 i = start; i < end; ++i) {
+            page[i - start] = list[i];
+        }
+    }
 }
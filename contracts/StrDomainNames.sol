@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// Canonical `.str` name rules, mirrored by lib/names.js.
+/// A name is `<label>.str` where the label is 1-63 characters of [a-z0-9-]
+/// and does not start or end with a hyphen.
+library StrDomainNames {
+    string internal constant TLD = ".str";
+    uint256 internal constant MIN_LABEL_LENGTH = 1;
+    uint256 internal constant MAX_LABEL_LENGTH = 63;
+
+    // Reverts unless `name` is canonical; returns its label (the part before the TLD)
+    function validate(string memory name) internal pure returns (string memory label) {
+        bytes memory b = bytes(name);
+        bytes memory tld = bytes(TLD);
+        require(b.length > tld.length, "tld");
+
+        uint256 labelLength = b.length - tld.length;
+        for (uint256 i = 0; i < tld.length; ++i) {
+            require(b[labelLength + i] == tld[i], "tld");
+        }
+
+        bytes memory labelBytes = new bytes(labelLength);
+        for (uint256 i = 0; i < labelLength; ++i) {
+            labelBytes[i] = b[i];
+        }
+        validateLabel(labelBytes);
+        label = string(labelBytes);
+    }
+
+    function validateLabel(bytes memory label) internal pure {
+        require(label.length >= MIN_LABEL_LENGTH && label.length <= MAX_LABEL_LENGTH, "label length");
+        require(label[0] != "-" && label[label.length - 1] != "-", "bad hyphen");
+
+        for (uint256 i = 0; i < label.length; ++i) {
+            bytes1 c = label[i];
+            require(!(c >= "A" && c <= "Z"), "uppercase");
+            require((c >= "a" && c <= "z") || (c >= "0" && c <= "9") || c == "-", "bad char");
+        }
+    }
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+interface IStrDomainsTokenData {
+    function getTokenData(uint256 tokenId)
+        external
+        view
+        returns (
+            address creator,
+            uint64 mintedAt_,
+            string memory uri,
+            uint256 lastPrice,
+            uint64 lastAt,
+            string memory domainName,
+            uint64 expiresAt_
+        );
+    function lastSaleOf(uint256 tokenId) external view returns (uint256 price, uint64 at, address paymentToken);
+}
+
+/// Generates base64 JSON metadata with an SVG image for StrDomainsNFT tokens,
+/// from the data returned by `getTokenData`. The last sale price is shown in the units of the token
+/// it was paid in (`lastSaleOf`).
+contract StrDomainsMetadata {
+    using Strings for uint256;
+
+    IStrDomainsTokenData public immutable registry;
+
+    struct TokenData {
+        address creator;
+        uint64 mintedAt;
+        uint256 lastPrice;
+        uint8 priceDecimals;
+        string domainName;
+        uint64 expiresAt;
+    }
+
+    constructor(address registry_) {
+        require(registry_ != address(0), "registry=0");
+        registry = IStrDomainsTokenData(registry_);
+    }
+
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        TokenData memory d = _tokenData(tokenId);
+        string memory json = string.concat(
+            '{"name":"', d.domainName,
+            '","description":"', d.domainName, ' - a .str domain name.",',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(d))), '",',
+            '"attributes":', _attributes(d),
+            "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function svg(uint256 tokenId) external view returns (string memory) {
+        return _svg(_tokenData(tokenId));
+    }
+
+    // ---------- INTERNAL ----------
+    function _tokenData(uint256 tokenId) private view returns (TokenData memory d) {
+        (d.creator, d.mintedAt, , , , d.domainName, d.expiresAt) = registry.getTokenData(tokenId);
+        address paymentToken;
+        (d.lastPrice, , paymentToken) = registry.lastSaleOf(tokenId);
+        d.priceDecimals = _decimals(paymentToken);
+    }
+
+    // 18 for the native token and for tokens without a usable `decimals()`
+    function _decimals(address token) private view returns (uint8) {
+        if (token == address(0) || token.code.length == 0) {
+            return 18;
+        }
+        try IERC20Metadata(token).decimals() returns (uint8 value) {
+            return value <= 77 ? value : 18; // 10**78 overflows
+        } catch {
+            return 18;
+        }
+    }
+
+    // Names only contain [a-z0-9-.], so no escaping is needed in SVG or JSON
+    function _svg(TokenData memory d) private pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="500" height="500" viewBox="0 0 500 500">',
+            '<rect width="500" height="500" fill="#0f172a"/>',
+            '<text x="250" y="230" font-family="monospace" font-size="', _fontSize(bytes(d.domainName).length),
+            '" fill="#f8fafc" text-anchor="middle">', d.domainName, "</text>",
+            _line(360, "Creator ", Strings.toHexString(d.creator)),
+            _line(390, "Registered ", _date(d.mintedAt)),
+            _line(420, "Last sale ", d.lastPrice == 0 ? "-" : _formatPrice(d.lastPrice, d.priceDecimals)),
+            "</svg>"
+        );
+    }
+
+    function _line(uint256 y, string memory label, string memory value) private pure returns (string memory) {
+        return string.concat(
+            '<text x="250" y="', y.toString(),
+            '" font-family="monospace" font-size="14" fill="#94a3b8" text-anchor="middle">',
+            label, value, "</text>"
+        );
+    }
+
+    function _attributes(TokenData memory d) private pure returns (string memory) {
+        return string.concat(
+            '[{"trait_type":"Length","value":', (bytes(d.domainName).length).toString(),
+            '},{"trait_type":"Creator","value":"', Strings.toHexString(d.creator),
+            '"},{"display_type":"date","trait_type":"Registered","value":', uint256(d.mintedAt).toString(),
+            '},{"display_type":"date","trait_type":"Expires","value":', uint256(d.expiresAt).toString(),
+            '},{"trait_type":"Last sale","value":"', _formatPrice(d.lastPrice, d.priceDecimals),
+            '"}]'
+        );
+    }
+
+    // Shrinks long names so they fit the 500px card
+    function _fontSize(uint256 length) private pure returns (string memory) {
+        if (length <= 12) return "40";
+        if (length <= 20) return "28";
+        if (length <= 32) return "18";
+        return "12";
+    }
+
+    // Amount with `decimals_` decimals, shown with up to 4 of them, e.g. 1.25
+    function _formatPrice(uint256 amount, uint8 decimals_) private pure returns (string memory) {
+        uint256 unit = 10 ** decimals_;
+        uint256 whole = amount / unit;
+        uint256 fraction = decimals_ >= 4
+            ? (amount % unit) / 10 ** (decimals_ - 4)
+            : (amount % unit) * 10 ** (4 - decimals_);
+        if (fraction == 0) {
+            return whole.toString();
+        }
+        bytes memory digits = bytes(Strings.toString(fraction + 10_000)); // "1xxxx"
+        uint256 end = digits.length;
+        while (digits[end - 1] == "0") {
+            --end;
+        }
+        bytes memory decimals = new bytes(end - 1);
+        for (uint256 i = 1; i < end; ++i) {
+            decimals[i - 1] = digits[i];
+        }
+        return string.concat(whole.toString(), ".", string(decimals));
+    }
+
+    // YYYY-MM-DD (UTC), civil-from-days algorithm by Howard Hinnant
+    function _date(uint64 timestamp) private pure returns (string memory) {
+        uint256 z = uint256(timestamp) / 1 days + 719_468;
+        uint256 era = z / 146_097;
+        uint256 doe = z - era * 146_097;
+        uint256 yoe = (doe - doe / 1_460 + doe / 36_524 - doe / 146_096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+        return string.concat(year.toString(), "-", _twoDigits(month), "-", _twoDigits(day));
+    }
+
+    function _twoDigits(uint256 value) private pure returns (string memory) {
+        return value < 10 ? string.concat("0", value.toString()) : value.toString();
+    }
+}
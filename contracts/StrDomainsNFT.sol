@@ -1,44 +1,75 @@
 // SPDX-License-Identifier: MIT 
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Burnable.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/token/common/ERC2981.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721URIStorageUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/common/ERC2981Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./StrDomainNames.sol";
 
 interface IRoyaltySplitterFactory {
-    function createSplitter(
+    function createTokenSplitter(
+        uint256 tokenId,
         address creator,
         address treasury,
         uint16 creatorBps,
         uint16 treasuryBps
     ) external returns (address splitter);
+    function setSplitterShares(address splitter, uint16[] calldata shares) external;
 }
 
-interface IRoyaltySplitter {
-    function depositToken(address token, uint256 amount) external;
+interface IStrDomainsMetadata {
+    function tokenURI(uint256 tokenId) external view returns (string memory);
 }
 
-/// ERC721 with EIP-2981 support, roles, and token royalty splitters (2% creator, 3% treasury).
-contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessControl, ReentrancyGuard {
-    using SafeERC20 for IERC20;
+/// ERC-4907: a time-limited user of the token, separate from its owner
+interface IERC4907 {
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+    function userOf(uint256 tokenId) external view returns (address);
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
+
+/// ERC721 with EIP-2981 support, roles, and token royalty splitters (by default 5%: 2% creator, 3% treasury).
+/// Deployed behind a UUPS proxy (ERC1967Proxy); upgrades are authorized by `DEFAULT_ADMIN_ROLE`.
+/// New state goes after the existing variables.
+/// Names can be leased through ERC-4907: the user is set by the owner or an approved operator
+/// (e.g. the RentalMarket) and is cleared whenever the token changes hands. A lease set by anyone
+/// but the owner locks the token until it ends, so it cannot be sold or given away under the renter.
+contract StrDomainsNFT is
+    IERC4907,
+    ERC721URIStorageUpgradeable,
+    ERC721BurnableUpgradeable,
+    ERC2981Upgradeable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable
+{
     // Roles
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant SALES_ROLE  = keccak256("SALES_ROLE");
 
-    // Royalty configuration
-    uint96 public constant DEFAULT_ROYALTY_BPS   = 500;  // 5% of sale price
-    uint16 public constant CREATOR_SHARE_IN_ROY  = 4000; // 40% of royalty (2% of sale price)
-    uint16 public constant TREASURY_SHARE_IN_ROY = 6000; // 60% of royalty (3% of sale price)
+    // Reserved labels can only be minted by an admin; blocked labels cannot be minted at all
+    enum LabelStatus { None, Reserved, Blocked }
+
+    // Hard cap of the default and per-token royalty rates
+    uint96 public constant MAX_ROYALTY_BPS = 1000; // 10% of sale price
+
+    // Registration configuration
+    uint64 public registrationPeriod; // length of a registration / renewal period (365 days initially)
+    uint64 public gracePeriod;        // after expiry, only the owner can renew (90 days initially)
+    uint256 public renewalPrice;                 // native price per renewal period, paid to treasury; 0 until set
 
     // Tracks the last minted token id
     uint256 private _lastId;
 
     address public treasury;
     IRoyaltySplitterFactory public splitterFactory;
+    IStrDomainsMetadata public metadataRenderer; // generates on-chain metadata for switched tokens
 
     mapping(uint256 => address) private _creator;
     mapping(uint256 => uint64)  private _mintedAt;
@@ -46,29 +77,76 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
     mapping(uint256 => uint64)  private _lastSaleAt;
     mapping(string => uint256) private _domainToTokenId;
     mapping(uint256 => string) private _tokenIdToDomain;
+    mapping(uint256 => uint64) private _expiresAt;
+    mapping(uint256 => uint256) private _transferCount; // lets the resolver drop records on transfer
+    mapping(uint256 => bool) public generatedMetadata;   // tokenURI comes from metadataRenderer
+    mapping(string => LabelStatus) public labelStatus; // label (without TLD) => status
+
+    // Subdomains (e.g. `pay.alice.str`) have no expiry of their own: they live as long as their parent
+    mapping(uint256 => uint256) private _parentOf;
+    mapping(uint256 => uint256[]) private _subdomains;
+    mapping(uint256 => uint256) private _subdomainIndex;
+    mapping(uint256 => bool) public subdomainRevocable; // parent owner may revoke the subdomain
+
+    // Royalty of new tokens, unless overridden with `mintWithRoyalty`
+    uint96 public defaultRoyaltyBps; // of the sale price
+    uint16 public creatorShareBps;   // of the royalty, splitter slot 0
+    uint16 public treasuryShareBps;  // of the royalty, splitter slot 1
+
+    // ERC-4907 users; a user is only effective until `expires`
+    struct UserInfo {
+        address user;
+        uint64 expires;
+        address operator; // caller that set the lease, the only one who may change it before `expires`
+    }
+    mapping(uint256 => UserInfo) private _users;
+
+    mapping(uint256 => address) private _lastSaleToken; // address(0) => native token
 
     event TreasuryUpdated(address indexed newTreasury);
     event DefaultRoyaltyUpdated(address indexed receiver, uint96 bps);
-    event Minted(uint256 indexed tokenId, address indexed to, address indexed creator, string tokenURI, string domain);
+    event RoyaltyDefaultsUpdated(uint96 royaltyBps, uint16 creatorShareBps, uint16 treasuryShareBps);
+    event TokenRoyaltyUpdated(uint256 indexed tokenId, uint96 royaltyBps, uint16 creatorShareBps, uint16 treasuryShareBps);
+    event Minted(
+        uint256 indexed tokenId,
+        address indexed to,
+        address indexed creator,
+        string tokenURI,
+        string domain,
+        uint64 expiresAt
+    );
+    event Renewed(uint256 indexed tokenId, address indexed payer, uint256 periods, uint64 expiresAt, uint256 cost);
+    event Released(uint256 indexed tokenId, string domain);
+    event LabelStatusUpdated(string label, LabelStatus status);
+    event SubdomainMinted(uint256 indexed parentId, uint256 indexed tokenId, string domain, bool revocable);
+    event SubdomainRevoked(uint256 indexed parentId, uint256 indexed tokenId, string domain);
+    event SubdomainMadeIrrevocable(uint256 indexed tokenId);
+    event RegistrationConfigUpdated(uint64 registrationPeriod, uint64 gracePeriod, uint256 renewalPrice);
     event SaleRecorded(uint256 indexed tokenId, uint256 price, address indexed buyer, uint64 at);
     event SplitterFactoryUpdated(address indexed newFactory);
+    event MetadataRendererUpdated(address indexed renderer);
+    event GeneratedMetadataSet(uint256 indexed tokenId, bool enabled);
     event TokenSplitterSet(uint256 indexed tokenId, address indexed splitter, uint96 royaltyBps);
-    event ERC20SaleSettled(
-        uint256 indexed tokenId,
-        address indexed paymentToken,
-        uint256 price,
-        address indexed buyer,
-        address seller,
-        uint256 royaltyAmount
-    );
 
-    constructor(
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
         string memory name_,
         string memory symbol_,
         address treasury_,
         address splitterFactory_,
-        uint96 /*ignored*/
-    ) ERC721(name_, symbol_) {
+        uint96 royaltyBps_
+    ) external initializer {
+        __ERC721_init(name_, symbol_);
+        __ERC721URIStorage_init();
+        __ERC721Burnable_init();
+        __ERC2981_init();
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
         require(treasury_ != address(0), "treasury=0");
         require(splitterFactory_ != address(0), "factory=0");
 
@@ -77,24 +155,128 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
 
         treasury = treasury_;
         splitterFactory = IRoyaltySplitterFactory(splitterFactory_);
+        registrationPeriod = 365 days;
+        gracePeriod = 90 days;
 
-        _setDefaultRoyalty(treasury, DEFAULT_ROYALTY_BPS);
-        emit DefaultRoyaltyUpdated(treasury, DEFAULT_ROYALTY_BPS);
+        // 40% of the royalty to the creator, 60% to the treasury; see setRoyaltyDefaults
+        _setRoyaltyDefaults(royaltyBps_, 4000, 6000);
         emit SplitterFactoryUpdated(splitterFactory_);
     }
 
+    // Upgrade step for proxies deployed before royalties were configurable, whose defaults read 0 bps;
+    // pass it as the `upgradeToAndCall` data. New deployments get the same defaults from `initialize`
+    function initializeRoyaltyDefaults(uint96 royaltyBps_) external reinitializer(2) onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRoyaltyDefaults(royaltyBps_, 4000, 6000);
+    }
+
     // ---------- MINT ----------
     function mint(address to, string memory uri, string memory domainName)
         external
         onlyRole(MINTER_ROLE)
         returns (uint256 tokenId)
     {
+        return _mintDomain(to, uri, domainName, defaultRoyaltyBps, creatorShareBps, treasuryShareBps);
+    }
+
+    // Mint with its own royalty rate and creator/treasury split instead of the defaults
+    function mintWithRoyalty(
+        address to,
+        string memory uri,
+        string memory domainName,
+        uint96 royaltyBps,
+        uint16 creatorBps,
+        uint16 treasuryBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256 tokenId) {
+        _checkRoyalty(royaltyBps, creatorBps, treasuryBps);
+        return _mintDomain(to, uri, domainName, royaltyBps, creatorBps, treasuryBps);
+    }
+
+    function _mintDomain(
+        address to,
+        string memory uri,
+        string memory domainName,
+        uint96 royaltyBps,
+        uint16 creatorBps,
+        uint16 treasuryBps
+    ) private returns (uint256 tokenId) {
+        _checkLabel(StrDomainNames.validate(domainName));
+
+        uint64 expiry = uint64(block.timestamp) + registrationPeriod;
+        tokenId = _registerDomain(to, uri, domainName, royaltyBps, creatorBps, treasuryBps);
+        _expiresAt[tokenId] = expiry;
+
+        _safeMint(to, tokenId);
+        emit Minted(tokenId, to, to, uri, domainName, expiry);
+    }
+
+    // ---------- SUBDOMAINS ----------
+    // The owner of a live name issues `<label>.<parent name>` to `to`
+    function mintSubdomain(uint256 parentId, string memory label, address to, string memory uri, bool revocable)
+        external
+        returns (uint256 tokenId)
+    {
+        require(_requireOwned(parentId) == msg.sender, "not parent owner");
+        require(!isExpired(parentId), "domain expired");
+        StrDomainNames.validateLabel(bytes(label));
+
+        string memory domainName = string.concat(label, ".", _tokenIdToDomain[parentId]);
+        tokenId = _registerDomain(to, uri, domainName, defaultRoyaltyBps, creatorShareBps, treasuryShareBps);
+
+        _parentOf[tokenId] = parentId;
+        _subdomainIndex[tokenId] = _subdomains[parentId].length;
+        _subdomains[parentId].push(tokenId);
+        subdomainRevocable[tokenId] = revocable;
+
+        _safeMint(to, tokenId);
+        emit Minted(tokenId, to, to, uri, domainName, _expiryOf(tokenId));
+        emit SubdomainMinted(parentId, tokenId, domainName, revocable);
+    }
+
+    // Parent owner takes back a revocable subdomain; the name becomes free again
+    function revokeSubdomain(uint256 tokenId) external {
+        uint256 parentId = _requireParentOwner(tokenId);
+        require(subdomainRevocable[tokenId], "not revocable");
+
+        string memory domainName = _tokenIdToDomain[tokenId];
+        _clearDomain(tokenId);
+        _burn(tokenId);
+        emit SubdomainRevoked(parentId, tokenId, domainName);
+    }
+
+    // One-way: gives the subdomain holder the guarantee that the parent can no longer revoke it
+    function makeSubdomainIrrevocable(uint256 tokenId) external {
+        _requireParentOwner(tokenId);
+        subdomainRevocable[tokenId] = false;
+        emit SubdomainMadeIrrevocable(tokenId);
+    }
+
+    function _requireParentOwner(uint256 tokenId) private view returns (uint256 parentId) {
+        _requireOwned(tokenId);
+        parentId = _parentOf[tokenId];
+        require(parentId != 0, "not subdomain");
+        require(_ownerOf(parentId) == msg.sender, "not parent owner");
+    }
+
+    // ---------- INTERNAL MINT ----------
+    // Records a new token for `domainName`; callers finish their own state before `_safeMint`
+    function _registerDomain(
+        address to,
+        string memory uri,
+        string memory domainName,
+        uint96 royaltyBps,
+        uint16 creatorBps,
+        uint16 treasuryBps
+    ) private returns (uint256 tokenId) {
         require(to != address(0), "to=0");
-        require(bytes(domainName).length > 0, "domain empty");
-        require(_domainToTokenId[domainName] == 0, "domain exists");
+
+        // A name whose grace period is over can be registered again
+        uint256 previousId = _domainToTokenId[domainName];
+        if (previousId != 0) {
+            require(_isReleasable(previousId), "domain exists");
+            _release(previousId);
+        }
 
         tokenId = ++_lastId;
-        _safeMint(to, tokenId);
         _setTokenURI(tokenId, uri);
 
         _creator[tokenId]  = to;
@@ -102,25 +284,105 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
         _domainToTokenId[domainName] = tokenId;
         _tokenIdToDomain[tokenId] = domainName;
 
-        address splitter = splitterFactory.createSplitter(
-            to,
-            treasury,
-            CREATOR_SHARE_IN_ROY,
-            TREASURY_SHARE_IN_ROY
-        );
-        _setTokenRoyalty(tokenId, splitter, DEFAULT_ROYALTY_BPS);
-        emit TokenSplitterSet(tokenId, splitter, DEFAULT_ROYALTY_BPS);
+        address splitter = splitterFactory.createTokenSplitter(tokenId, to, treasury, creatorBps, treasuryBps);
+        _setTokenRoyalty(tokenId, splitter, royaltyBps);
+        emit TokenSplitterSet(tokenId, splitter, royaltyBps);
+    }
+
+    // ---------- RENEWAL / EXPIRY ----------
+    // Anyone can pay to extend a live registration; during the grace period only the owner can,
+    // or anyone while a market (SALES_ROLE) holds it.
+    function renew(uint256 tokenId, uint256 periods) external payable nonReentrant {
+        address owner = _requireOwned(tokenId);
+        require(periods > 0, "periods=0");
+        require(_parentOf[tokenId] == 0, "subdomain");
+        uint64 expiry = _expiresAt[tokenId];
+        require(block.timestamp < uint256(expiry) + gracePeriod, "grace over");
+        if (block.timestamp >= expiry) {
+            // a market holding the name in escrow cannot renew it, so the seller (or anyone) may
+            require(msg.sender == owner || hasRole(SALES_ROLE, owner), "grace: owner only");
+        }
+
+        uint256 price = renewalPrice;
+        require(price > 0, "renewal price unset");
+        uint256 cost = price * periods;
+        require(msg.value == cost, "bad value");
 
-        emit Minted(tokenId, to, to, uri, domainName);
+        expiry = SafeCast.toUint64(uint256(expiry) + periods * registrationPeriod);
+        _expiresAt[tokenId] = expiry;
+
+        (bool ok, ) = payable(treasury).call{ value: cost }("");
+        require(ok, "treasury fail");
+
+        emit Renewed(tokenId, msg.sender, periods, expiry, cost);
+    }
+
+    // Frees a name whose grace period is over; callable by anyone
+    function release(uint256 tokenId) external {
+        _requireOwned(tokenId);
+        require(_isReleasable(tokenId), "not releasable");
+        _release(tokenId);
+    }
+
+    function setRegistrationConfig(uint64 period, uint64 grace, uint256 price)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(period > 0, "period=0");
+        require(price > 0, "price=0");
+        registrationPeriod = period;
+        gracePeriod = grace;
+        renewalPrice = price;
+        emit RegistrationConfigUpdated(period, grace, price);
+    }
+
+    // ---------- NAME ADMIN ----------
+    function setLabelStatus(string[] calldata labels, LabelStatus status) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < labels.length; ++i) {
+            StrDomainNames.validateLabel(bytes(labels[i]));
+            labelStatus[labels[i]] = status;
+            emit LabelStatusUpdated(labels[i], status);
+        }
+    }
+
+    function _checkLabel(string memory label) private view {
+        LabelStatus status = labelStatus[label];
+        require(status != LabelStatus.Blocked, "label blocked");
+        require(status != LabelStatus.Reserved || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "label reserved");
     }
 
     // ---------- ROYALTY ADMIN ----------
     function setTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(newTreasury != address(0), "treasury=0");
         treasury = newTreasury;
-        _setDefaultRoyalty(newTreasury, DEFAULT_ROYALTY_BPS);
+        uint96 royaltyBps = defaultRoyaltyBps;
+        _setDefaultRoyalty(newTreasury, royaltyBps);
         emit TreasuryUpdated(newTreasury);
-        emit DefaultRoyaltyUpdated(newTreasury, DEFAULT_ROYALTY_BPS);
+        emit DefaultRoyaltyUpdated(newTreasury, royaltyBps);
+    }
+
+    // Royalty rate and split of tokens minted from now on
+    function setRoyaltyDefaults(uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _setRoyaltyDefaults(royaltyBps, creatorBps, treasuryBps);
+    }
+
+    // Changes the rate of a minted token and the split of its splitter (through the splitter factory)
+    function setTokenRoyalty(uint256 tokenId, uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _requireOwned(tokenId);
+        _checkRoyalty(royaltyBps, creatorBps, treasuryBps);
+        (address splitter, ) = royaltyInfo(tokenId, 0);
+
+        uint16[] memory shares = new uint16[](2);
+        (shares[0], shares[1]) = (creatorBps, treasuryBps);
+        splitterFactory.setSplitterShares(splitter, shares);
+        _setTokenRoyalty(tokenId, splitter, royaltyBps);
+        emit TokenRoyaltyUpdated(tokenId, royaltyBps, creatorBps, treasuryBps);
     }
 
     function setSplitterFactory(address newFactory) external onlyRole(DEFAULT_ADMIN_ROLE) {
@@ -129,6 +391,23 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
         emit SplitterFactoryUpdated(newFactory);
     }
 
+    // ---------- METADATA ADMIN ----------
+    function setMetadataRenderer(address renderer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        metadataRenderer = IStrDomainsMetadata(renderer);
+        emit MetadataRendererUpdated(renderer);
+        emit BatchMetadataUpdate(1, _lastId);
+    }
+
+    // Switches tokens between the stored URI and generated on-chain metadata
+    function setGeneratedMetadata(uint256[] calldata tokenIds, bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < tokenIds.length; ++i) {
+            _requireOwned(tokenIds[i]);
+            generatedMetadata[tokenIds[i]] = enabled;
+            emit GeneratedMetadataSet(tokenIds[i], enabled);
+            emit MetadataUpdate(tokenIds[i]);
+        }
+    }
+
     // ---------- GETTERS ----------
     function getLastId() external view returns (uint256) {
         return _lastId;
@@ -137,16 +416,24 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
     function getTokenData(uint256 tokenId)
         external
         view
-        returns (address creator, uint64 mintedAt_, string memory uri, uint256 lastPrice, uint64 lastAt, string memory domainName)
+        returns (
+            address creator,
+            uint64 mintedAt_,
+            string memory uri,
+            uint256 lastPrice,
+            uint64 lastAt,
+            string memory domainName,
+            uint64 expiresAt_
+        )
     {
         _requireOwned(tokenId);
         domainName  = _tokenIdToDomain[tokenId];
         creator     = _creator[tokenId];
         mintedAt_   = _mintedAt[tokenId];
-        uri         = tokenURI(tokenId);
+        uri         = super.tokenURI(tokenId); // stored URI; the renderer reads this function
         lastPrice   = _lastSalePrice[tokenId];
         lastAt      = _lastSaleAt[tokenId];
-        
+        expiresAt_  = _expiryOf(tokenId);
     }
 
 
@@ -156,8 +443,8 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
         returns (address creator, uint64 mintedAt_, string memory uri, uint256 lastPrice, uint64 lastAt, uint256 tokenId)
     {
         tokenId = _domainToTokenId[domainName];
-        require(tokenId != 0, "domain not found");
-        _requireOwned(tokenId);
+        require(tokenId != 0, "domain not found"); // cleared on burn and release
+        require(block.timestamp < _expiryOf(tokenId), "domain expired");
         creator   = _creator[tokenId];
         mintedAt_ = _mintedAt[tokenId];
         uri       = tokenURI(tokenId);
@@ -175,108 +462,186 @@ contract StrDomainsNFT is ERC721URIStorage, ERC721Burnable, ERC2981, AccessContr
         return _mintedAt[tokenId];
     }
 
-    function lastSaleOf(uint256 tokenId) external view returns (uint256 price, uint64 at) {
+    function lastSaleOf(uint256 tokenId) external view returns (uint256 price, uint64 at, address paymentToken) {
         _requireOwned(tokenId);
-        return (_lastSalePrice[tokenId], _lastSaleAt[tokenId]);
+        return (_lastSalePrice[tokenId], _lastSaleAt[tokenId], _lastSaleToken[tokenId]);
     }
 
-
-    // ---------- SALES RECORDING ----------
-    function recordSale(uint256 tokenId, uint256 price, address buyer) external onlyRole(SALES_ROLE) {
+    function expiresAt(uint256 tokenId) external view returns (uint64) {
         _requireOwned(tokenId);
-        _lastSalePrice[tokenId] = price;
-        _lastSaleAt[tokenId]    = uint64(block.timestamp);
-        emit SaleRecorded(tokenId, price, buyer, _lastSaleAt[tokenId]);
+        return _expiryOf(tokenId);
     }
 
-    function settleSaleERC20(
-        uint256 tokenId,
-        address paymentToken,
-        uint256 price,
-        address seller,
-        address buyer
-    ) external onlyRole(SALES_ROLE) nonReentrant {
+    function isExpired(uint256 tokenId) public view returns (bool) {
         _requireOwned(tokenId);
-        require(paymentToken != address(0), "token=0");
-        require(price > 0, "price=0");
-        require(buyer != address(0), "buyer=0");
-
-        address currentOwner = ownerOf(tokenId);
-        require(currentOwner == seller, "seller!=owner");
-        require(buyer != seller, "buyer=seller");
-
-        IERC20 token = IERC20(paymentToken);
-        token.safeTransferFrom(buyer, address(this), price);
-
-        (address royaltyReceiver, uint256 royaltyAmount) = royaltyInfo(tokenId, price);
-        uint256 sellerProceeds = price - royaltyAmount;
-
-        if (royaltyAmount > 0 && royaltyReceiver != address(0)) {
-            uint256 currentAllowance = token.allowance(address(this), royaltyReceiver);
-            if (currentAllowance != 0) {
-                token.forceApprove(royaltyReceiver, 0);
-            }
-            token.forceApprove(royaltyReceiver, royaltyAmount);
-            bool deposited = _tryDepositToken(royaltyReceiver, paymentToken, royaltyAmount);
-            token.forceApprove(royaltyReceiver, 0);
-            if (!deposited) {
-                token.safeTransfer(royaltyReceiver, royaltyAmount);
-            }
-        }
+        return block.timestamp >= _expiryOf(tokenId);
+    }
 
-        if (sellerProceeds > 0) {
-            token.safeTransfer(seller, sellerProceeds);
-        }
+    // Incremented on every transfer between owners (not on mint or burn)
+    function transferCount(uint256 tokenId) external view returns (uint256) {
+        return _transferCount[tokenId];
+    }
 
-        _safeTransfer(seller, buyer, tokenId);
+    // ---------- RENTALS (ERC-4907) ----------
+    // The lease cannot outlast the registration; address(0) ends it. A running lease can only be
+    // changed by whoever set it, so an owner cannot take back a name rented out by the RentalMarket
+    // (nor move it, see `_update`)
+    function setUser(uint256 tokenId, address user, uint64 expires) external {
+        address owner = ownerOf(tokenId);
+        require(_isAuthorized(owner, msg.sender, tokenId), "not owner nor approved");
+        UserInfo storage info = _users[tokenId];
+        require(block.timestamp >= info.expires || msg.sender == info.operator, "lease active");
+        require(user == address(0) || expires <= _expiryOf(tokenId), "beyond expiry");
+        _users[tokenId] = UserInfo(user, expires, msg.sender);
+        emit UpdateUser(tokenId, user, expires);
+    }
 
-        uint64 nowTs = uint64(block.timestamp);
-        _lastSalePrice[tokenId] = price;
-        _lastSaleAt[tokenId] = nowTs;
+    // address(0) when there is no user or the lease has ended
+    function userOf(uint256 tokenId) external view returns (address) {
+        UserInfo storage info = _users[tokenId];
+        return block.timestamp < info.expires ? info.user : address(0);
+    }
 
-        emit SaleRecorded(tokenId, price, buyer, nowTs);
-        emit ERC20SaleSettled(tokenId, paymentToken, price, buyer, seller, royaltyAmount);
+    function userExpires(uint256 tokenId) external view returns (uint256) {
+        return _users[tokenId].expires;
     }
 
-    function _tryDepositToken(address splitter, address token, uint256 amount) private returns (bool) {
-        if (splitter == address(0) || splitter.code.length == 0) {
-            return false;
-        }
+    // 0 for top-level names
+    function parentOf(uint256 tokenId) external view returns (uint256) {
+        _requireOwned(tokenId);
+        return _parentOf[tokenId];
+    }
 
-        try IRoyaltySplitter(splitter).depositToken(token, amount) {
-            return true;
-        } catch {
-            return false;
+    // Direct subdomains of a name (children of a released parent are kept until they are released)
+    function subdomainsOf(uint256 tokenId) external view returns (uint256[] memory tokenIds, string[] memory names) {
+        tokenIds = _subdomains[tokenId];
+        names = new string[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; ++i) {
+            names[i] = _tokenIdToDomain[tokenIds[i]];
         }
     }
 
+
+    // ---------- SALES RECORDING ----------
+    // `price` is in `paymentToken` units (address(0) => native token)
+    function recordSale(uint256 tokenId, uint256 price, address buyer, address paymentToken)
+        external
+        onlyRole(SALES_ROLE)
+    {
+        _requireOwned(tokenId);
+        _lastSalePrice[tokenId] = price;
+        _lastSaleAt[tokenId]    = uint64(block.timestamp);
+        _lastSaleToken[tokenId] = paymentToken;
+        emit SaleRecorded(tokenId, price, buyer, _lastSaleAt[tokenId]);
+    }
+
     // ---------- BURN OVERRIDE ----------
     function burn(uint256 tokenId) public override onlyRole(DEFAULT_ADMIN_ROLE) {
         // Clean up domain mappings when token is burned
+        _clearDomain(tokenId);
+        super.burn(tokenId);
+    }
+
+    function _clearDomain(uint256 tokenId) private {
         string memory domainName = _tokenIdToDomain[tokenId];
         if (bytes(domainName).length > 0) {
             delete _domainToTokenId[domainName];
             delete _tokenIdToDomain[tokenId];
         }
-        super.burn(tokenId);
+        delete _expiresAt[tokenId];
+        delete generatedMetadata[tokenId];
+
+        uint256 parentId = _parentOf[tokenId];
+        if (parentId != 0) {
+            // swap-and-pop out of the parent's list
+            uint256[] storage siblings = _subdomains[parentId];
+            uint256 index = _subdomainIndex[tokenId];
+            uint256 lastChild = siblings[siblings.length - 1];
+            siblings[index] = lastChild;
+            _subdomainIndex[lastChild] = index;
+            siblings.pop();
+
+            delete _parentOf[tokenId];
+            delete _subdomainIndex[tokenId];
+            delete subdomainRevocable[tokenId];
+        }
+    }
+
+    function _setRoyaltyDefaults(uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps) private {
+        _checkRoyalty(royaltyBps, creatorBps, treasuryBps);
+        defaultRoyaltyBps = royaltyBps;
+        creatorShareBps = creatorBps;
+        treasuryShareBps = treasuryBps;
+        _setDefaultRoyalty(treasury, royaltyBps);
+        emit DefaultRoyaltyUpdated(treasury, royaltyBps);
+        emit RoyaltyDefaultsUpdated(royaltyBps, creatorBps, treasuryBps);
+    }
+
+    function _checkRoyalty(uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps) private pure {
+        require(royaltyBps <= MAX_ROYALTY_BPS, "royalty>max");
+        require(uint256(creatorBps) + treasuryBps == 10000, "split!=10000");
+    }
+
+    // Subdomains follow their parent; once the parent is burned or released they are expired
+    function _expiryOf(uint256 tokenId) private view returns (uint64) {
+        uint256 parentId = _parentOf[tokenId];
+        if (parentId == 0) {
+            return _expiresAt[tokenId];
+        }
+        return _ownerOf(parentId) == address(0) ? 0 : _expiryOf(parentId);
+    }
+
+    function _isReleasable(uint256 tokenId) private view returns (bool) {
+        return block.timestamp >= uint256(_expiryOf(tokenId)) + gracePeriod;
+    }
+
+    function _release(uint256 tokenId) private {
+        string memory domainName = _tokenIdToDomain[tokenId];
+        _clearDomain(tokenId);
+        _burn(tokenId);
+        emit Released(tokenId, domainName);
     }
 
     // ---------- OVERRIDES ----------
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    // Expired names cannot change hands; transfers are counted (mint and burn are unaffected).
+    // A running lease set by an operator (e.g. the RentalMarket) blocks transfers too.
+    // Any change of owner, burns included, ends the lease.
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        UserInfo storage info = _users[tokenId];
+        if (from != address(0) && to != address(0)) {
+            require(block.timestamp < _expiryOf(tokenId), "domain expired");
+            require(block.timestamp >= info.expires || info.operator == from, "leased");
+            ++_transferCount[tokenId];
+        }
+        if (from != to && info.user != address(0)) {
+            delete _users[tokenId];
+            emit UpdateUser(tokenId, address(0), 0);
+        }
+        return super._update(to, tokenId, auth);
+    }
+
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage, ERC2981, AccessControl)
+        override(ERC721Upgradeable, ERC721URIStorageUpgradeable, ERC2981Upgradeable, AccessControlUpgradeable)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC4907).interfaceId || super.supportsInterface(interfaceId);
     }
 
     function tokenURI(uint256 tokenId)
         public
         view
-        override(ERC721, ERC721URIStorage)
+        override(ERC721Upgradeable, ERC721URIStorageUpgradeable)
         returns (string memory)
     {
+        if (generatedMetadata[tokenId] && address(metadataRenderer) != address(0)) {
+            _requireOwned(tokenId);
+            return metadataRenderer.tokenURI(tokenId);
+        }
         return super.tokenURI(tokenId);
     }
 }
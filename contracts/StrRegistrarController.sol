@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./StrDomainNames.sol";
+
+interface IStrDomainsRegistry {
+    function mint(address to, string memory uri, string memory domainName) external returns (uint256 tokenId);
+    function treasury() external view returns (address);
+}
+
+/// Public registration of `.str` names through commit-reveal, priced by label length.
+/// Holds MINTER_ROLE on StrDomainsNFT, so every registration goes through `mint`
+/// (validation, expiry and the per-token royalty splitter).
+contract StrRegistrarController is AccessControl, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+
+    IStrDomainsRegistry public immutable registry;
+
+    // A commitment can be revealed between minCommitmentAge and maxCommitmentAge after commit
+    uint64 public minCommitmentAge;
+    uint64 public maxCommitmentAge;
+
+    mapping(bytes32 => uint64) public commitments; // commitment => commit timestamp
+
+    // payment token (address(0) => native) => price by label length (index 0 = 1 character);
+    // the last entry applies to all longer labels. Tokens without prices cannot be used.
+    mapping(address => uint256[]) private _lengthPrices;
+
+    event CommitmentMade(bytes32 indexed commitment, uint64 at);
+    event NameRegistered(
+        uint256 indexed tokenId,
+        string name,
+        address indexed owner,
+        address indexed paymentToken,
+        uint256 cost
+    );
+    event LengthPricesUpdated(address indexed paymentToken, uint256[] prices);
+    event CommitmentAgesUpdated(uint64 minAge, uint64 maxAge);
+
+    constructor(address registry_, uint64 minCommitmentAge_, uint64 maxCommitmentAge_) {
+        require(registry_ != address(0), "registry=0");
+        require(maxCommitmentAge_ > minCommitmentAge_, "bad ages");
+        _grantRole(ADMIN_ROLE, msg.sender);
+        registry = IStrDomainsRegistry(registry_);
+        minCommitmentAge = minCommitmentAge_;
+        maxCommitmentAge = maxCommitmentAge_;
+    }
+
+    // ---------- ADMIN ----------
+    // Empty `prices` disables `paymentToken`
+    function setLengthPrices(address paymentToken, uint256[] calldata prices) external onlyRole(ADMIN_ROLE) {
+        _lengthPrices[paymentToken] = prices;
+        emit LengthPricesUpdated(paymentToken, prices);
+    }
+
+    function setCommitmentAges(uint64 minAge, uint64 maxAge) external onlyRole(ADMIN_ROLE) {
+        require(maxAge > minAge, "bad ages");
+        minCommitmentAge = minAge;
+        maxCommitmentAge = maxAge;
+        emit CommitmentAgesUpdated(minAge, maxAge);
+    }
+
+    // ---------- COMMIT / REVEAL ----------
+    function makeCommitment(string memory name, address owner, bytes32 secret) public pure returns (bytes32) {
+        return keccak256(abi.encode(name, owner, secret));
+    }
+
+    function commit(bytes32 commitment) external {
+        // an unused commitment can only be replaced once it is too old to reveal
+        require(commitments[commitment] + maxCommitmentAge <= block.timestamp, "commitment exists");
+        commitments[commitment] = uint64(block.timestamp);
+        emit CommitmentMade(commitment, uint64(block.timestamp));
+    }
+
+    function register(string calldata name, address owner, string calldata uri, bytes32 secret)
+        external
+        payable
+        nonReentrant
+        returns (uint256 tokenId)
+    {
+        uint256 cost = rentPrice(name, address(0));
+        require(msg.value == cost, "bad value");
+        _consumeCommitment(name, owner, secret);
+
+        if (cost > 0) {
+            (bool ok, ) = payable(registry.treasury()).call{ value: cost }("");
+            require(ok, "treasury fail");
+        }
+
+        tokenId = registry.mint(owner, uri, name);
+        emit NameRegistered(tokenId, name, owner, address(0), cost);
+    }
+
+    function registerWithERC20(
+        string calldata name,
+        address owner,
+        string calldata uri,
+        bytes32 secret,
+        address paymentToken
+    ) external nonReentrant returns (uint256 tokenId) {
+        require(paymentToken != address(0), "token=0");
+        uint256 cost = rentPrice(name, paymentToken);
+        _consumeCommitment(name, owner, secret);
+
+        if (cost > 0) {
+            IERC20(paymentToken).safeTransferFrom(msg.sender, registry.treasury(), cost);
+        }
+
+        tokenId = registry.mint(owner, uri, name);
+        emit NameRegistered(tokenId, name, owner, paymentToken, cost);
+    }
+
+    // ---------- VIEWS ----------
+    // Registration price of a canonical `name` in `paymentToken`; reverts for invalid names
+    function rentPrice(string memory name, address paymentToken) public view returns (uint256) {
+        uint256[] storage prices = _lengthPrices[paymentToken];
+        require(prices.length > 0, "token not accepted");
+
+        uint256 length = bytes(StrDomainNames.validate(name)).length;
+        return length >= prices.length ? prices[prices.length - 1] : prices[length - 1];
+    }
+
+    function lengthPrices(address paymentToken) external view returns (uint256[] memory) {
+        return _lengthPrices[paymentToken];
+    }
+
+    // ---------- INTERNAL ----------
+    function _consumeCommitment(string calldata name, address owner, bytes32 secret) private {
+        bytes32 commitment = makeCommitment(name, owner, secret);
+        uint64 committedAt = commitments[commitment];
+        require(committedAt > 0, "no commitment");
+        require(block.timestamp >= committedAt + minCommitmentAge, "commitment too new");
+        require(block.timestamp < committedAt + maxCommitmentAge, "commitment expired");
+        delete commitments[commitment];
+    }
+}
@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IStrDomainsResolvable {
+    function ownerOf(uint256 tokenId) external view returns (address);
+    function isExpired(uint256 tokenId) external view returns (bool);
+    function transferCount(uint256 tokenId) external view returns (uint256);
+    function getTokenData(uint256 tokenId)
+        external
+        view
+        returns (address, uint64, string memory, uint256, uint64, string memory domainName, uint64);
+}
+
+/// Forward records (per-coin addresses, text, content hash) and primary names for StrDomainsNFT.
+/// Records are stored per token and ownership: a transfer, burn or re-mint leaves them behind.
+contract StrResolver {
+    uint256 public constant ETH_COIN_TYPE = 60; // SLIP-44, as in ENSIP-9
+
+    IStrDomainsResolvable public immutable registry;
+
+    // tokenId => version bumped by clearRecords
+    mapping(uint256 => uint256) private _recordVersion;
+
+    // record key (see _recordKey) => records
+    mapping(bytes32 => mapping(uint256 => bytes)) private _addresses; // coin type => address bytes
+    mapping(bytes32 => mapping(string => string)) private _texts;
+    mapping(bytes32 => bytes) private _contenthashes;
+
+    mapping(address => uint256) private _primaryTokenId;
+
+    event AddrChanged(uint256 indexed tokenId, uint256 indexed coinType, bytes addr);
+    event TextChanged(uint256 indexed tokenId, string indexed indexedKey, string key, string value);
+    event ContenthashChanged(uint256 indexed tokenId, bytes hash);
+    event RecordsCleared(uint256 indexed tokenId);
+    event PrimaryNameSet(address indexed account, uint256 indexed tokenId);
+
+    modifier onlyTokenOwner(uint256 tokenId) {
+        require(registry.ownerOf(tokenId) == msg.sender, "not owner");
+        require(!registry.isExpired(tokenId), "domain expired");
+        _;
+    }
+
+    constructor(address registry_) {
+        require(registry_ != address(0), "registry=0");
+        registry = IStrDomainsResolvable(registry_);
+    }
+
+    // ---------- RECORDS ----------
+    function setAddr(uint256 tokenId, uint256 coinType, bytes calldata addr_) external onlyTokenOwner(tokenId) {
+        _addresses[_recordKey(tokenId)][coinType] = addr_;
+        emit AddrChanged(tokenId, coinType, addr_);
+    }
+
+    function setText(uint256 tokenId, string calldata key, string calldata value) external onlyTokenOwner(tokenId) {
+        _texts[_recordKey(tokenId)][key] = value;
+        emit TextChanged(tokenId, key, key, value);
+    }
+
+    function setContenthash(uint256 tokenId, bytes calldata hash) external onlyTokenOwner(tokenId) {
+        _contenthashes[_recordKey(tokenId)] = hash;
+        emit ContenthashChanged(tokenId, hash);
+    }
+
+    function clearRecords(uint256 tokenId) external onlyTokenOwner(tokenId) {
+        ++_recordVersion[tokenId];
+        emit RecordsCleared(tokenId);
+    }
+
+    // ---------- REVERSE ----------
+    // The name must resolve (ETH address record) to the caller; tokenId 0 clears the primary name
+    function setPrimaryName(uint256 tokenId) external {
+        if (tokenId != 0) {
+            require(ethAddr(tokenId) == msg.sender, "not resolving");
+        }
+        _primaryTokenId[msg.sender] = tokenId;
+        emit PrimaryNameSet(msg.sender, tokenId);
+    }
+
+    // Empty unless the chosen name still resolves to `account`
+    function primaryName(address account) external view returns (string memory name) {
+        uint256 tokenId = _primaryTokenId[account];
+        if (tokenId == 0 || ethAddr(tokenId) != account) {
+            return "";
+        }
+        (, , , , , name, ) = registry.getTokenData(tokenId);
+    }
+
+    // ---------- VIEWS ----------
+    // Records of missing or expired tokens read as empty
+    function addr(uint256 tokenId, uint256 coinType) public view returns (bytes memory) {
+        if (!_isLive(tokenId)) {
+            return "";
+        }
+        return _addresses[_recordKey(tokenId)][coinType];
+    }
+
+    function ethAddr(uint256 tokenId) public view returns (address) {
+        bytes memory a = addr(tokenId, ETH_COIN_TYPE);
+        return a.length == 20 ? address(bytes20(a)) : address(0);
+    }
+
+    function text(uint256 tokenId, string calldata key) external view returns (string memory) {
+        if (!_isLive(tokenId)) {
+            return "";
+        }
+        return _texts[_recordKey(tokenId)][key];
+    }
+
+    function contenthash(uint256 tokenId) external view returns (bytes memory) {
+        if (!_isLive(tokenId)) {
+            return "";
+        }
+        return _contenthashes[_recordKey(tokenId)];
+    }
+
+    // ---------- INTERNAL ----------
+    // Token ids are never reused, so a re-minted name starts with a fresh key as well
+    function _recordKey(uint256 tokenId) private view returns (bytes32) {
+        return keccak256(abi.encode(tokenId, registry.transferCount(tokenId), _recordVersion[tokenId]));
+    }
+
+    function _isLive(uint256 tokenId) private view returns (bool) {
+        try registry.isExpired(tokenId) returns (bool expired) {
+            return !expired;
+        } catch {
+            return false; // burned or never minted
+        }
+    }
+}
@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MarketplaceModule.sol";
+
+// UsdPriceOracle, or any converter with the same checks
+interface IPriceOracle {
+    function convert(address token, uint256 usdAmount) external returns (uint256);
+}
+
+/// Escrowed listings priced in USD: the buyer pays the value of the USD price in the listing's
+/// payment token at the oracle price of the purchase. Listings, repricings and purchases follow the
+/// Marketplace allowlists, and the converted amount must meet the payment token's minimum price.
+/// Events match the Marketplace listing events, so indexers read both markets the same way.
+contract UsdMarket is MarketplaceModule {
+    struct Listing {
+        address seller;
+        address nft;
+        uint256 tokenId;
+        uint256 usdPrice; // 8 decimals
+        uint256 price; // last converted amount in paymentToken
+        address paymentToken; // address(0) => native token
+        bool active;
+    }
+
+    IPriceOracle public priceOracle;
+
+    uint256 public lastListingId;
+    mapping(uint256 => Listing) public listings;
+
+    event PriceOracleUpdated(address indexed oracle);
+    event Listed(
+        uint256 indexed listingId,
+        address indexed seller,
+        address indexed nft,
+        uint256 tokenId,
+        uint256 price,
+        address paymentToken
+    );
+    event ListedUsd(uint256 indexed listingId, uint256 usdPrice);
+    event ListingUpdated(uint256 indexed listingId, uint256 newPrice); // new USD price
+    event ListingCanceled(uint256 indexed listingId);
+    event Purchased(
+        uint256 indexed listingId,
+        address indexed buyer,
+        uint256 price,
+        address royaltyReceiver,
+        uint256 royaltyAmount,
+        uint256 feeAmount,
+        uint256 sellerAmount,
+        address paymentToken
+    );
+
+    constructor(address _feeTreasury, uint96 _feeBps, address marketplace_, address oracle)
+        MarketplaceModule(marketplace_)
+        initializer
+    {
+        __MarketplaceBase_init(_feeTreasury, _feeBps);
+        _setPriceOracle(oracle);
+    }
+
+    function setPriceOracle(address oracle) external onlyRole(ADMIN_ROLE) {
+        _setPriceOracle(oracle);
+    }
+
+    // Escrows the token; `usdPrice` has 8 decimals and is paid in `paymentToken` (address(0) => native)
+    function listToken(address nft, uint256 tokenId, uint256 usdPrice, address paymentToken)
+        external
+        whenMarketOpen
+        returns (uint256 listingId)
+    {
+        require(usdPrice > 0, "price=0");
+        uint256 price = _checkedPrice(nft, paymentToken, usdPrice);
+        _escrowToken(nft, tokenId);
+
+        listingId = ++lastListingId;
+        listings[listingId] = Listing({
+            seller: msg.sender,
+            nft: nft,
+            tokenId: tokenId,
+            usdPrice: usdPrice,
+            price: price,
+            paymentToken: paymentToken,
+            active: true
+        });
+
+        emit Listed(listingId, msg.sender, nft, tokenId, price, paymentToken);
+        emit ListedUsd(listingId, usdPrice);
+    }
+
+    // Reprices in USD, with the same checks as a new listing
+    function updateListing(uint256 listingId, uint256 newUsdPrice) external {
+        Listing storage L = listings[listingId];
+        require(L.active, "!active");
+        require(L.seller == msg.sender, "not seller");
+        require(newUsdPrice > 0, "price=0");
+        L.price = _checkedPrice(L.nft, L.paymentToken, newUsdPrice);
+        L.usdPrice = newUsdPrice;
+        emit ListingUpdated(listingId, newUsdPrice);
+    }
+
+    function cancelListing(uint256 listingId) external nonReentrant {
+        Listing storage L = listings[listingId];
+        require(L.active, " not active");
+        require(L.seller == msg.sender, "not seller");
+        require(_ownerOf(L.nft, L.tokenId) == address(this), "market not owner");
+
+        L.active = false;
+        _transferNft(L.nft, address(this), msg.sender, L.tokenId);
+        emit ListingCanceled(listingId);
+    }
+
+    // msg.value is the most the buyer pays; the rest is refunded
+    function buy(uint256 listingId) external payable nonReentrant whenMarketOpen {
+        Listing storage L = listings[listingId];
+        require(L.active, " not active");
+        require(L.paymentToken == address(0), "payment token set");
+        uint256 price = _currentPrice(L);
+        require(msg.value >= price, "bad value");
+
+        _purchase(L, listingId, msg.sender);
+        if (msg.value > price) {
+            _refund(msg.sender, address(0), msg.value - price);
+        }
+    }
+
+    // Pulls the converted price from the buyer, at most `maxPrice`
+    function buyWithERC20(uint256 listingId, uint256 maxPrice) external nonReentrant whenMarketOpen {
+        Listing storage L = listings[listingId];
+        require(L.active, " not active");
+        require(L.paymentToken != address(0), "native listing");
+        uint256 price = _currentPrice(L);
+        require(price <= maxPrice, "price above max");
+
+        _pullToken(L.paymentToken, msg.sender, price);
+        _purchase(L, listingId, msg.sender);
+    }
+
+    function getListing(uint256 listingId) external view returns (Listing memory) {
+        return listings[listingId];
+    }
+
+    function _setPriceOracle(address oracle) private {
+        require(oracle != address(0), "oracle=0");
+        priceOracle = IPriceOracle(oracle);
+        emit PriceOracleUpdated(oracle);
+    }
+
+    function _checkedPrice(address nft, address paymentToken, uint256 usdPrice) private returns (uint256 price) {
+        _requireAllowed(nft, paymentToken);
+        price = priceOracle.convert(paymentToken, usdPrice);
+        _requireMinPrice(paymentToken, price);
+    }
+
+    // Converted at the current oracle price, which becomes the listing price
+    function _currentPrice(Listing storage L) private returns (uint256) {
+        L.price = priceOracle.convert(L.paymentToken, L.usdPrice);
+        return L.price;
+    }
+
+    // Payment for the listing must already be held by the market
+    function _purchase(Listing storage L, uint256 listingId, address buyer) private {
+        _requireAllowed(L.nft, L.paymentToken);
+        require(_ownerOf(L.nft, L.tokenId) == address(this), "market not owner");
+
+        L.active = false;
+        Settlement memory s = _settleSale(L.nft, L.tokenId, L.price, L.paymentToken, L.seller, address(this), buyer);
+
+        emit Purchased(
+            listingId,
+            buyer,
+            L.price,
+            s.royaltyReceiver,
+            s.royaltyAmount,
+            s.feeAmount,
+            s.sellerAmount,
+            L.paymentToken
+        );
+    }
+}
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+// Chainlink AggregatorV3Interface
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+    function description() external view returns (string memory);
+    function version() external view returns (uint256);
+    function getRoundData(uint80 roundId)
+        external
+        view
+        returns (uint80 roundId_, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
+
+/// Converts USD amounts into payment token amounts for the UsdMarket's USD-priced listings,
+/// using one Chainlink-style `<token> / USD` feed per payment token (address(0) => native).
+/// A price is refused when the feed is older than `maxAge`, or when it moved by more than
+/// `maxDeviationBps` from the last price accepted by `convert` within the last `maxAge` seconds.
+/// An older accepted price is no reference for a jump, so after a quiet period only the
+/// staleness check applies. Round ids are not compared, since they jump when Chainlink moves a
+/// feed to a new aggregator phase.
+contract UsdPriceOracle is AccessControl {
+    bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+
+    uint8 public constant USD_DECIMALS = 8; // USD amounts are scaled by 1e8, like Chainlink USD feeds
+    uint256 private constant BPS = 10_000;
+
+    struct Feed {
+        AggregatorV3Interface aggregator;
+        uint32 maxAge;           // seconds since the last update
+        uint16 maxDeviationBps;  // change over a recent `lastPrice`; 0 disables the check
+        uint8 tokenDecimals;
+    }
+
+    mapping(address => Feed) public feeds; // payment token => feed
+    mapping(address => uint256) public lastPrice; // payment token => last accepted answer; 0 until the first `convert`
+    mapping(address => uint256) public lastPriceAt; // payment token => when `lastPrice` was accepted
+
+    event FeedUpdated(address indexed token, address indexed aggregator, uint32 maxAge, uint16 maxDeviationBps);
+
+    constructor() {
+        _grantRole(ADMIN_ROLE, msg.sender);
+    }
+
+    // aggregator address(0) removes the feed of `token`. Setting a feed clears `lastPrice`, which is
+    // also how the admin accepts a move larger than `maxDeviationBps`
+    function setFeed(address token, address aggregator, uint32 maxAge, uint16 maxDeviationBps)
+        external
+        onlyRole(ADMIN_ROLE)
+    {
+        delete lastPrice[token];
+        delete lastPriceAt[token];
+        if (aggregator == address(0)) {
+            delete feeds[token];
+        } else {
+            require(maxAge > 0, "maxAge=0");
+            require(maxDeviationBps <= BPS, "deviation>10000");
+            feeds[token] = Feed({
+                aggregator: AggregatorV3Interface(aggregator),
+                maxAge: maxAge,
+                maxDeviationBps: maxDeviationBps,
+                tokenDecimals: token == address(0) ? 18 : IERC20Metadata(token).decimals()
+            });
+        }
+        emit FeedUpdated(token, aggregator, maxAge, maxDeviationBps);
+    }
+
+    // Checked USD price of one whole token, with the feed's decimals
+    function latestPrice(address token) public view returns (uint256 price, uint8 decimals) {
+        Feed memory feed = feeds[token];
+        require(address(feed.aggregator) != address(0), "no feed");
+
+        (, int256 answer, , uint256 updatedAt, ) = feed.aggregator.latestRoundData();
+        require(answer > 0, "bad price");
+        require(updatedAt + feed.maxAge >= block.timestamp, "stale price");
+        price = uint256(answer);
+
+        // Nothing to compare with until a price of this feed has been accepted within `maxAge`
+        uint256 last = lastPrice[token];
+        if (feed.maxDeviationBps > 0 && last > 0 && lastPriceAt[token] + feed.maxAge >= block.timestamp) {
+            uint256 change = price > last ? price - last : last - price;
+            require(change * BPS <= last * feed.maxDeviationBps, "price deviation");
+        }
+        decimals = feed.aggregator.decimals();
+    }
+
+    // Amount of `token` worth `usdAmount` (USD_DECIMALS), rounded up so the seller receives at least the USD price
+    function usdToToken(address token, uint256 usdAmount) external view returns (uint256) {
+        (uint256 price, uint8 decimals) = latestPrice(token);
+        return _toToken(token, usdAmount, price, decimals);
+    }
+
+    // `usdToToken` that also records the price as the last accepted one; the UsdMarket converts with it.
+    // Open to anyone: only a price that passed the checks is recorded
+    function convert(address token, uint256 usdAmount) external returns (uint256) {
+        (uint256 price, uint8 decimals) = latestPrice(token);
+        lastPrice[token] = price;
+        lastPriceAt[token] = block.timestamp;
+        return _toToken(token, usdAmount, price, decimals);
+    }
+
+    function _toToken(address token, uint256 usdAmount, uint256 price, uint8 decimals) private view returns (uint256) {
+        return
+            Math.mulDiv(
+                usdAmount,
+                10 ** (uint256(feeds[token].tokenDecimals) + decimals),
+                price * 10 ** USD_DECIMALS,
+                Math.Rounding.Ceil
+            );
+    }
+}
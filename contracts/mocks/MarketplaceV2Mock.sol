@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../Marketplace.sol";
+
+/// Sample upgrade used in tests: appends state after the existing variables.
+/// The parents were initialized behind the proxy already; `initializeV2` only sets the new state.
+/// @custom:oz-upgrades-from Marketplace
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MarketplaceV2Mock is Marketplace {
+    uint256 public upgradeMarker;
+
+    function initializeV2(uint256 marker) external reinitializer(2) {
+        upgradeMarker = marker;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./MockERC20.sol";
+
+/// Mintable ERC20 that burns 1% of every transfer, used to test fee-on-transfer handling.
+contract MockFeeOnTransferERC20 is MockERC20 {
+    constructor(string memory name_, string memory symbol_) MockERC20(name_, symbol_) {}
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = value / 100;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
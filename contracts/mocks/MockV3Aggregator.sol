@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// Chainlink-style price feed whose rounds are set by hand, used to test USD-priced listings.
+contract MockV3Aggregator {
+    struct Round {
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+    }
+
+    uint8 public immutable decimals;
+    string public constant description = "Mock / USD";
+    uint256 public constant version = 4;
+
+    uint80 public latestRound;
+    mapping(uint80 => Round) private _rounds;
+
+    constructor(uint8 decimals_, int256 initialAnswer) {
+        decimals = decimals_;
+        updateAnswer(initialAnswer);
+    }
+
+    // New round updated now
+    function updateAnswer(int256 answer) public {
+        updateRoundData(latestRound + 1, answer, block.timestamp);
+    }
+
+    // Sets a round, e.g. with an old `updatedAt` to simulate a stale feed
+    function updateRoundData(uint80 roundId, int256 answer, uint256 updatedAt) public {
+        _rounds[roundId] = Round(answer, updatedAt, updatedAt);
+        if (roundId > latestRound) {
+            latestRound = roundId;
+        }
+    }
+
+    function getRoundData(uint80 roundId)
+        public
+        view
+        returns (uint80 roundId_, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        Round memory r = _rounds[roundId];
+        require(r.updatedAt > 0, "No data present");
+        return (roundId, r.answer, r.startedAt, r.updatedAt, roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return getRoundData(latestRound);
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../StrDomainsNFT.sol";
+
+/// Sample upgrade used in tests: appends state after the existing variables.
+/// The parents were initialized behind the proxy already; `initializeV2` only sets the new state
+/// (version 3: `initializeRoyaltyDefaults` is version 2).
+/// @custom:oz-upgrades-from StrDomainsNFT
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract StrDomainsNFTV2Mock is StrDomainsNFT {
+    uint256 public upgradeMarker;
+
+    function initializeV2(uint256 marker) external reinitializer(3) {
+        upgradeMarker = marker;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -1,13 +1,36 @@
 import { config as dotenv } from "dotenv";
-dotenv();
+dotenv({ quiet: true }); // keeps stdout clean for the JSON output of the ops tasks
 
 import "@nomicfoundation/hardhat-toolbox";
+import "@openzeppelin/hardhat-upgrades";
 import { HardhatUserConfig } from "hardhat/config";
+import "./tasks/ops";
+import "./tasks/deployment";
 
 const config: HardhatUserConfig = {
   solidity: {
-    version: "0.8.24",
-    settings: { optimizer: { enabled: true, runs: 200 } },
+    compilers: [
+      {
+        version: "0.8.24",
+        settings: { optimizer: { enabled: true, runs: 200 } },
+      },
+    ],
+    // compiled through the IR pipeline (and tuned for size) to keep the collection and the
+    // Marketplace below the 24 KB size limit
+    overrides: Object.fromEntries(
+      [
+        "contracts/StrDomainsNFT.sol",
+        "contracts/mocks/StrDomainsNFTV2Mock.sol",
+        "contracts/Marketplace.sol",
+        "contracts/mocks/MarketplaceV2Mock.sol",
+      ].map((file) => [
+        file,
+        {
+          version: "0.8.24",
+          settings: { viaIR: true, optimizer: { enabled: true, runs: 50 } },
+        },
+      ]),
+    ),
   },
   networks: {
     amoy: {
@@ -0,0 +1,282 @@
+// Human-readable ABIs of the parts of the contracts the SDK uses. Kept by hand so the SDK
+// works without compiled artifacts; keep in sync with contracts/.
+
+// OpenZeppelin custom errors the contracts can revert with
+const OZ_ERRORS = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error ReentrancyGuardReentrantCall()",
+  "error ERC721NonexistentToken(uint256 tokenId)",
+  "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+  "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+  "error ERC721InvalidReceiver(address receiver)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error SafeERC20FailedOperation(address token)",
+];
+
+const ACCESS_CONTROL_ABI = [
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+];
+
+const STR_DOMAINS_NFT_ABI = [
+  "function mint(address to, string uri, string domainName) returns (uint256 tokenId)",
+  "function mintWithRoyalty(address to, string uri, string domainName, uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps) returns (uint256 tokenId)",
+  "function MAX_ROYALTY_BPS() view returns (uint96)",
+  "function defaultRoyaltyBps() view returns (uint96)",
+  "function creatorShareBps() view returns (uint16)",
+  "function treasuryShareBps() view returns (uint16)",
+  "function setRoyaltyDefaults(uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps)",
+  "function setTokenRoyalty(uint256 tokenId, uint96 royaltyBps, uint16 creatorBps, uint16 treasuryBps)",
+  "function renew(uint256 tokenId, uint256 periods) payable",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function approve(address to, uint256 tokenId)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function transferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function burn(uint256 tokenId)",
+  "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+  "function getLastId() view returns (uint256)",
+  "function getTokenData(uint256 tokenId) view returns (address creator, uint64 mintedAt, string uri, uint256 lastPrice, uint64 lastAt, string domainName, uint64 expiresAt)",
+  "function getTokenDataByDomain(string domainName) view returns (address creator, uint64 mintedAt, string uri, uint256 lastPrice, uint64 lastAt, uint256 tokenId)",
+  "function expiresAt(uint256 tokenId) view returns (uint64)",
+  "function isExpired(uint256 tokenId) view returns (bool)",
+  "function renewalPrice() view returns (uint256)",
+  "function treasury() view returns (address)",
+  "function setTreasury(address newTreasury)",
+  "function setUser(uint256 tokenId, address user, uint64 expires)",
+  "function userOf(uint256 tokenId) view returns (address)",
+  "function userExpires(uint256 tokenId) view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event Minted(uint256 indexed tokenId, address indexed to, address indexed creator, string tokenURI, string domain, uint64 expiresAt)",
+  "event TokenSplitterSet(uint256 indexed tokenId, address indexed splitter, uint96 royaltyBps)",
+  "event RoyaltyDefaultsUpdated(uint96 royaltyBps, uint16 creatorShareBps, uint16 treasuryShareBps)",
+  "event TokenRoyaltyUpdated(uint256 indexed tokenId, uint96 royaltyBps, uint16 creatorShareBps, uint16 treasuryShareBps)",
+  "event SaleRecorded(uint256 indexed tokenId, uint256 price, address indexed buyer, uint64 at)",
+  "event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const LISTING_TUPLE =
+  "tuple(address seller, address nft, uint256 tokenId, uint256 price, address paymentToken, bool active)";
+
+const MARKETPLACE_ABI = [
+  "function marketplaceFeeBps() view returns (uint96)",
+  "function feeTreasury() view returns (address)",
+  "function accruedFees() view returns (uint256)",
+  "function accruedTokenFees(address token) view returns (uint256)",
+  "function withdrawFees()",
+  "function withdrawTokenFees(address token)",
+  "function listToken(address nft, uint256 tokenId, uint256 price) returns (uint256 listingId)",
+  "function listTokenERC20(address nft, uint256 tokenId, uint256 price, address paymentToken) returns (uint256 listingId)",
+  "function listTokenNonCustodial(address nft, uint256 tokenId, uint256 price, address paymentToken) returns (uint256 listingId)",
+  "function nonCustodial(uint256 listingId) view returns (bool)",
+  "function isListingValid(uint256 listingId) view returns (bool)",
+  "function cancelInvalidListings(uint256[] listingIds)",
+  "function allowedCollections(address nft) view returns (bool)",
+  "function setCollectionAllowed(address nft, bool allowed)",
+  "function minPrice(address token) view returns (uint256)",
+  "function isPaymentTokenAllowed(address token) view returns (bool)",
+  "function setPaymentToken(address token, bool allowed, uint256 minPrice)",
+  "function getPaymentTokens() view returns (address[] tokens, uint256[] minPrices)",
+  "function paused() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function forceDelist(uint256 listingId, address recipient)",
+  "function rescuableFunds(address token) view returns (uint256)",
+  "function rescueFunds(address token, address to, uint256 amount)",
+  "function updateListing(uint256 listingId, uint256 newPrice)",
+  "function cancelListing(uint256 listingId)",
+  "function buy(uint256 listingId) payable",
+  "function buyWithERC20(uint256 listingId)",
+  "function buyWithERC20(uint256 listingId, uint256 maxPrice)",
+  `function getListing(uint256 listingId) view returns (${LISTING_TUPLE})`,
+  `function getActiveListing(address nft, uint256 tokenId) view returns (uint256 listingId, ${LISTING_TUPLE} listing)`,
+  "event Listed(uint256 indexed listingId, address indexed seller, address indexed nft, uint256 tokenId, uint256 price, address paymentToken)",
+  "event ListingCanceled(uint256 indexed listingId)",
+  "event ListingUpdated(uint256 indexed listingId, uint256 newPrice)",
+  "event ListedNonCustodial(uint256 indexed listingId)",
+  "event ListingInvalidated(uint256 indexed listingId)",
+  "event ListingForceDelisted(uint256 indexed listingId, address indexed admin, address recipient)",
+  "event FundsRescued(address indexed token, address indexed to, uint256 amount, address indexed admin)",
+  "event CollectionAllowed(address indexed nft, bool allowed)",
+  "event PaymentTokenUpdated(address indexed token, bool allowed, uint256 minPrice)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event Purchased(uint256 indexed listingId, address indexed buyer, uint256 price, address royaltyReceiver, uint256 royaltyAmount, uint256 feeAmount, uint256 sellerAmount, address paymentToken)",
+  "event FeeWithdrawn(address indexed to, uint256 amount)",
+  "event TokenFeeWithdrawn(address indexed token, address indexed to, uint256 amount)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const USD_MARKET_ABI = [
+  "function marketplace() view returns (address)",
+  "function marketplaceFeeBps() view returns (uint96)",
+  "function feeTreasury() view returns (address)",
+  "function accruedFees() view returns (uint256)",
+  "function accruedTokenFees(address token) view returns (uint256)",
+  "function withdrawFees()",
+  "function withdrawTokenFees(address token)",
+  "function priceOracle() view returns (address)",
+  "function setPriceOracle(address oracle)",
+  "function listToken(address nft, uint256 tokenId, uint256 usdPrice, address paymentToken) returns (uint256 listingId)",
+  "function updateListing(uint256 listingId, uint256 newUsdPrice)",
+  "function cancelListing(uint256 listingId)",
+  "function buy(uint256 listingId) payable",
+  "function buyWithERC20(uint256 listingId, uint256 maxPrice)",
+  "function lastListingId() view returns (uint256)",
+  "function getListing(uint256 listingId) view returns (tuple(address seller, address nft, uint256 tokenId, uint256 usdPrice, uint256 price, address paymentToken, bool active))",
+  "event PriceOracleUpdated(address indexed oracle)",
+  "event Listed(uint256 indexed listingId, address indexed seller, address indexed nft, uint256 tokenId, uint256 price, address paymentToken)",
+  "event ListedUsd(uint256 indexed listingId, uint256 usdPrice)",
+  "event ListingUpdated(uint256 indexed listingId, uint256 newPrice)",
+  "event ListingCanceled(uint256 indexed listingId)",
+  "event Purchased(uint256 indexed listingId, address indexed buyer, uint256 price, address royaltyReceiver, uint256 royaltyAmount, uint256 feeAmount, uint256 sellerAmount, address paymentToken)",
+  "event FeeWithdrawn(address indexed to, uint256 amount)",
+  "event TokenFeeWithdrawn(address indexed token, address indexed to, uint256 amount)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const RENTAL_MARKET_ABI = [
+  "function marketplace() view returns (address)",
+  "function marketplaceFeeBps() view returns (uint96)",
+  "function feeTreasury() view returns (address)",
+  "function accruedFees() view returns (uint256)",
+  "function accruedTokenFees(address token) view returns (uint256)",
+  "function withdrawFees()",
+  "function withdrawTokenFees(address token)",
+  "function listForRent(address nft, uint256 tokenId, uint256 pricePerDay, address paymentToken, uint64 maxDays) returns (uint256 rentalId)",
+  "function cancelRental(uint256 rentalId)",
+  "function rent(uint256 rentalId, uint64 days_) payable",
+  "function lastRentalId() view returns (uint256)",
+  "function rentals(uint256 rentalId) view returns (address owner, address nft, uint256 tokenId, uint256 pricePerDay, address paymentToken, uint64 maxDays, bool active)",
+  "event RentalListed(uint256 indexed rentalId, address indexed owner, address indexed nft, uint256 tokenId, uint256 pricePerDay, address paymentToken, uint64 maxDays)",
+  "event RentalCanceled(uint256 indexed rentalId)",
+  "event Rented(uint256 indexed rentalId, address indexed renter, uint64 expires, uint256 price, uint256 royaltyAmount, uint256 feeAmount, uint256 ownerAmount)",
+  "event FeeWithdrawn(address indexed to, uint256 amount)",
+  "event TokenFeeWithdrawn(address indexed token, address indexed to, uint256 amount)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const OFFER_MARKET_ABI = [
+  "function marketplace() view returns (address)",
+  "function marketplaceFeeBps() view returns (uint96)",
+  "function feeTreasury() view returns (address)",
+  "function accruedFees() view returns (uint256)",
+  "function accruedTokenFees(address token) view returns (uint256)",
+  "function withdrawFees()",
+  "function withdrawTokenFees(address token)",
+  "function makeOffer(address nft, uint256 tokenId, uint64 expiresAt) payable returns (uint256 offerId)",
+  "function makeOfferERC20(address nft, uint256 tokenId, uint256 amount, address paymentToken, uint64 expiresAt) returns (uint256 offerId)",
+  "function makeCollectionOffer(address nft, uint64 expiresAt) payable returns (uint256 offerId)",
+  "function makeCollectionOfferERC20(address nft, uint256 amount, address paymentToken, uint64 expiresAt) returns (uint256 offerId)",
+  "function cancelOffer(uint256 offerId)",
+  "function acceptOffer(uint256 offerId, uint256 tokenId)",
+  "function lastOfferId() view returns (uint256)",
+  "function getOffer(uint256 offerId) view returns (tuple(address bidder, address nft, uint256 tokenId, uint256 amount, address paymentToken, uint64 expiresAt, bool collectionWide, bool active))",
+  "event OfferCreated(uint256 indexed offerId, address indexed bidder, address indexed nft, uint256 tokenId, uint256 amount, address paymentToken, uint64 expiresAt, bool collectionWide)",
+  "event OfferCanceled(uint256 indexed offerId, address indexed bidder)",
+  "event OfferAccepted(uint256 indexed offerId, address indexed seller, uint256 indexed tokenId, address bidder, uint256 amount, uint256 royaltyAmount, uint256 feeAmount, uint256 sellerAmount, address paymentToken)",
+  "event FeeWithdrawn(address indexed to, uint256 amount)",
+  "event TokenFeeWithdrawn(address indexed token, address indexed to, uint256 amount)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const ROYALTY_SPLITTER_ABI = [
+  "function creator() view returns (address)",
+  "function treasury() view returns (address)",
+  "function creatorBps() view returns (uint16)",
+  "function treasuryBps() view returns (uint16)",
+  "function payees() view returns (address[] payees, uint16[] shares)",
+  "function trackedTokens() view returns (address[])",
+  "function factory() view returns (address)",
+  "function payeeBalances() view returns (address[] tokens, tuple(address payee, uint16 share, uint256 native, uint256[] tokens)[] balances)",
+  "function updatePayee(uint256 slot, address newPayee)",
+  "function ethBalance(address account) view returns (uint256)",
+  "function erc20Balance(address token, address account) view returns (uint256)",
+  "function withdraw()",
+  "function withdrawToken(address token)",
+  "function release(address payee)",
+  "function hasBalance(address account) view returns (bool)",
+  "event TokenReceived(address indexed token, address indexed from, uint256 amount)",
+  "event Withdraw(address indexed to, uint256 amount)",
+  "event WithdrawToken(address indexed token, address indexed to, uint256 amount)",
+  "event PayeeUpdated(uint256 indexed slot, address indexed oldPayee, address indexed newPayee)",
+  "event ReleaseFailed(address indexed token, address indexed payee, uint256 amount)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const ROYALTY_SPLITTER_FACTORY_ABI = [
+  "function implementation() view returns (address)",
+  "function createSplitter(address creator, address treasury, uint16 creatorBps, uint16 treasuryBps) returns (address splitter)",
+  "function createSplitterWithPayees(address[] payees, uint16[] shares) returns (address splitter)",
+  "function createTokenSplitter(uint256 tokenId, address creator, address treasury, uint16 creatorBps, uint16 treasuryBps) returns (address splitter)",
+  "function tokenSplitter(address collection, uint256 tokenId) view returns (address)",
+  "function getSplitters(uint256 offset, uint256 limit) view returns (address[])",
+  "function creatorSplitterCount(address creator) view returns (uint256)",
+  "function getCreatorSplitters(address creator, uint256 offset, uint256 limit) view returns (address[])",
+  "function migrateTreasury(address oldTreasury, address newTreasury, uint256 offset, uint256 limit) returns (uint256 migrated, uint256 next)",
+  "function updateSplitterTreasury(address splitter, address newTreasury)",
+  "function isSplitter(address splitter) view returns (bool)",
+  "function managerOf(address splitter) view returns (address)",
+  "function setSplitterShares(address splitter, uint16[] shares)",
+  "function splitterCount() view returns (uint256)",
+  "function splittersWithBalance(address account, uint256 offset, uint256 limit) view returns (address[] splitters, uint256 next)",
+  "function isTrackedToken(address token) view returns (bool)",
+  "function setTrackedToken(address token, bool tracked)",
+  "event TrackedTokenSet(address indexed token, bool tracked)",
+  "function releaseAll(address[] splitters, address payee)",
+  "event SplitterSharesUpdated(address indexed splitter, address indexed by, uint16[] shares)",
+  "event TokenSplitterCreated(address indexed collection, uint256 indexed tokenId, address indexed splitter)",
+  "event TreasuryMigrated(address indexed oldTreasury, address indexed newTreasury, uint256 offset, uint256 end, uint256 migrated)",
+  "event SplitterCreated(address indexed splitter, address indexed creator, address indexed treasury, uint16 creatorBps, uint16 treasuryBps)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const USD_PRICE_ORACLE_ABI = [
+  "function USD_DECIMALS() view returns (uint8)",
+  "function feeds(address token) view returns (address aggregator, uint32 maxAge, uint16 maxDeviationBps, uint8 tokenDecimals)",
+  "function setFeed(address token, address aggregator, uint32 maxAge, uint16 maxDeviationBps)",
+  "function latestPrice(address token) view returns (uint256 price, uint8 decimals)",
+  "function usdToToken(address token, uint256 usdAmount) view returns (uint256)",
+  "event FeedUpdated(address indexed token, address indexed aggregator, uint32 maxAge, uint16 maxDeviationBps)",
+  ...ACCESS_CONTROL_ABI,
+  ...OZ_ERRORS,
+];
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  ...OZ_ERRORS,
+];
+
+module.exports = {
+  OZ_ERRORS,
+  ACCESS_CONTROL_ABI,
+  STR_DOMAINS_NFT_ABI,
+  MARKETPLACE_ABI,
+  USD_MARKET_ABI,
+  RENTAL_MARKET_ABI,
+  OFFER_MARKET_ABI,
+  ROYALTY_SPLITTER_ABI,
+  ROYALTY_SPLITTER_FACTORY_ABI,
+  USD_PRICE_ORACLE_ABI,
+  ERC20_ABI,
+};
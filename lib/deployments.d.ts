@@ -0,0 +1,45 @@
+export interface ContractDeployment {
+  address: string;
+  args?: unknown[];
+  txHash?: string;
+  blockNumber?: number;
+  /** Current implementation of a UUPS proxy; `address` is the proxy. */
+  implementation?: string;
+}
+
+export interface DeploymentStep {
+  txHash: string | null;
+  blockNumber: number | null;
+}
+
+/** Deployer inputs, also the expected values for `deployment verify`. */
+export interface DeploymentConfig {
+  admin: string;
+  marketplaceTreasury: string;
+  marketplaceFeeBps: number;
+  nftTreasury: string;
+  royaltyBps: number;
+  /** Creator share of the royalty; the treasury gets the rest of 10000. */
+  creatorShareBps: number;
+}
+
+export interface DeploymentManifest {
+  network: string;
+  chainId: number;
+  config: DeploymentConfig;
+  contracts: Record<string, ContractDeployment>;
+  steps: Record<string, DeploymentStep>;
+}
+
+export const DEPLOYMENTS_DIR: string;
+
+export function manifestPath(network: string, dir?: string): string;
+
+export function readManifest(file: string): DeploymentManifest | null;
+
+export function writeManifest(file: string, manifest: DeploymentManifest): void;
+
+export function contractAddress(
+  manifest: DeploymentManifest,
+  name: string,
+): string;
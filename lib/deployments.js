@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// deployments/<network>.json, written step by step by scripts/deploy_registry.ts:
+// {
+//   "network": "amoy", "chainId": 80002,
+//   "config": { "admin", "marketplaceTreasury", "marketplaceFeeBps", "nftTreasury", "royaltyBps", "creatorShareBps" },
+//   "contracts": { "Marketplace": { "address", "args", "txHash", "blockNumber" }, ... },
+//   "steps": { "StrDomainsNFT.grantRole(SALES_ROLE, Marketplace)": { "txHash", "blockNumber" }, ... }
+// }
+// Contracts are keyed by contract name; the RoyaltySplitter entry is the clone implementation.
+// StrDomainsNFT and Marketplace are UUPS proxies: `address` is the proxy, `args` went to
+// initialize() and `implementation` is updated by `deployment upgrade`.
+// A step found already applied on-chain is recorded with a null txHash.
+
+/**
+ * @param {string} network Hardhat network name
+ * @param {string} [dir] defaults to deployments/ at the repository root
+ */
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/** Reads a manifest file, or returns null when it does not exist. */
+function readManifest(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // write-then-rename so an interrupted write never leaves a truncated manifest
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(manifest, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Address of a deployed contract. Throws when the manifest has no such contract.
+ * @param {{ contracts: Record<string, { address: string }> }} manifest
+ * @param {string} name contract name, e.g. "StrDomainsNFT"
+ */
+function contractAddress(manifest, name) {
+  const entry = manifest.contracts?.[name];
+  if (!entry?.address) {
+    throw new Error(`${name} is not in the ${manifest.network} manifest`);
+  }
+  return entry.address;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  contractAddress,
+};
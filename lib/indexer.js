@@ -0,0 +1,459 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+// Events the indexer stores, per contract kind. Splitters are discovered from SplitterCreated.
+const EVENT_ABIS = {
+  registry: [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event Minted(uint256 indexed tokenId, address indexed to, address indexed creator, string tokenURI, string domain, uint64 expiresAt)",
+    "event SaleRecorded(uint256 indexed tokenId, uint256 price, address indexed buyer, uint64 at)",
+    "event TokenSplitterSet(uint256 indexed tokenId, address indexed splitter, uint96 royaltyBps)",
+    "event Released(uint256 indexed tokenId, string domain)",
+  ],
+  marketplace: [
+    "event Listed(uint256 indexed listingId, address indexed seller, address indexed nft, uint256 tokenId, uint256 price, address paymentToken)",
+    "event ListingUpdated(uint256 indexed listingId, uint256 newPrice)",
+    "event ListingCanceled(uint256 indexed listingId)",
+    "event ListingInvalidated(uint256 indexed listingId)",
+    "event ListingForceDelisted(uint256 indexed listingId, address indexed admin, address recipient)",
+    "event Purchased(uint256 indexed listingId, address indexed buyer, uint256 price, address royaltyReceiver, uint256 royaltyAmount, uint256 feeAmount, uint256 sellerAmount, address paymentToken)",
+  ],
+  // UsdMarket emits the Marketplace listing events
+  usdMarket: [
+    "event Listed(uint256 indexed listingId, address indexed seller, address indexed nft, uint256 tokenId, uint256 price, address paymentToken)",
+    "event ListingUpdated(uint256 indexed listingId, uint256 newPrice)",
+    "event ListedUsd(uint256 indexed listingId, uint256 usdPrice)",
+    "event ListingCanceled(uint256 indexed listingId)",
+    "event Purchased(uint256 indexed listingId, address indexed buyer, uint256 price, address royaltyReceiver, uint256 royaltyAmount, uint256 feeAmount, uint256 sellerAmount, address paymentToken)",
+  ],
+  factory: [
+    "event SplitterCreated(address indexed splitter, address indexed creator, address indexed treasury, uint16 creatorBps, uint16 treasuryBps)",
+  ],
+  splitter: [
+    "event Received(address indexed from, uint256 amount)",
+    "event TokenReceived(address indexed token, address indexed from, uint256 amount)",
+    "event Withdraw(address indexed to, uint256 amount)",
+    "event WithdrawToken(address indexed token, address indexed to, uint256 amount)",
+  ],
+};
+
+const INTERFACES = Object.fromEntries(
+  Object.entries(EVENT_ABIS).map(([kind, abi]) => [
+    kind,
+    new ethers.Interface(abi),
+  ]),
+);
+
+function emptyState() {
+  return { lastBlock: null, checkpoints: {}, splitters: [], events: [] };
+}
+
+/**
+ * Indexed events and sync progress, kept in memory and optionally persisted as JSON.
+ * Amounts are stored as decimal strings.
+ */
+class JsonStore {
+  /** @param {string|null} path JSON file, or null for an in-memory store */
+  constructor(path = null) {
+    this.path = path;
+    this.state =
+      path && fs.existsSync(path)
+        ? JSON.parse(fs.readFileSync(path, "utf8"))
+        : emptyState();
+  }
+
+  save() {
+    if (!this.path) return;
+    // write-then-rename so an interrupted save never leaves a truncated file
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.path);
+  }
+
+  get events() {
+    return this.state.events;
+  }
+}
+
+function serializeArg(value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function decodeLog(kind, log) {
+  const parsed = INTERFACES[kind].parseLog(log);
+  if (!parsed) return null;
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = serializeArg(parsed.args[i]);
+  });
+  return {
+    contract: kind,
+    address: ethers.getAddress(log.address),
+    name: parsed.name,
+    args,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+/**
+ * Backfills and follows the registry, marketplace, USD market, splitter factory and every splitter
+ * it creates.
+ * Reorgs are detected by comparing stored block hashes with the chain; indexed data past the
+ * fork point is dropped and indexed again.
+ */
+class Indexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider
+   * @param {{ registry?: string, marketplace?: string, usdMarket?: string, factory?: string }} options.contracts
+   * @param {JsonStore} options.store
+   * @param {number} [options.startBlock] first block to index
+   * @param {number} [options.batchSize] blocks per eth_getLogs call
+   * @param {number} [options.confirmations] blocks to stay behind the head
+   * @param {number} [options.reorgDepth] how many recent blocks keep a stored hash
+   */
+  constructor({
+    provider,
+    contracts,
+    store,
+    startBlock = 0,
+    batchSize = 2000,
+    confirmations = 0,
+    reorgDepth = 64,
+  }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+
+    this.kindByAddress = {};
+    for (const [kind, address] of Object.entries(contracts)) {
+      if (address) this.kindByAddress[ethers.getAddress(address)] = kind;
+    }
+    this.staticAddresses = Object.keys(this.kindByAddress);
+  }
+
+  /** Indexes up to the current head (minus confirmations). Returns the last indexed block. */
+  async sync() {
+    await this.handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const state = this.store.state;
+    let from = state.lastBlock === null ? this.startBlock : state.lastBlock + 1;
+
+    while (from <= head) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      await this.indexRange(from, to);
+      from = to + 1;
+    }
+    return state.lastBlock;
+  }
+
+  /** Polls for new blocks until the returned `stop` function is called. */
+  follow({ intervalMs = 2000, onError = console.error } = {}) {
+    let stopped = false;
+    let timer;
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (e) {
+        onError(e);
+      }
+      if (!stopped) timer = setTimeout(tick, intervalMs);
+    };
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const state = this.store.state;
+
+    // Static contracts first: splitters created in this range are indexed in the same pass
+    const logs = await this.provider.getLogs({
+      address: this.staticAddresses,
+      fromBlock,
+      toBlock,
+    });
+    const events = [];
+    for (const log of logs) {
+      const event = decodeLog(
+        this.kindByAddress[ethers.getAddress(log.address)],
+        log,
+      );
+      if (!event) continue;
+      events.push(event);
+      if (event.name === "SplitterCreated") {
+        state.splitters.push(ethers.getAddress(event.args.splitter));
+      }
+    }
+
+    if (state.splitters.length > 0) {
+      const splitterLogs = await this.provider.getLogs({
+        address: state.splitters,
+        fromBlock,
+        toBlock,
+      });
+      for (const log of splitterLogs) {
+        const event = decodeLog("splitter", log);
+        if (event) events.push(event);
+      }
+    }
+
+    events.sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex,
+    );
+    state.events.push(...events);
+
+    for (const event of events) {
+      state.checkpoints[event.blockNumber] = event.blockHash;
+    }
+    const block = await this.provider.getBlock(toBlock);
+    state.checkpoints[toBlock] = block.hash;
+    state.lastBlock = toBlock;
+    this.pruneCheckpoints();
+    this.store.save();
+  }
+
+  /** Rolls back to the newest stored block that is still on the canonical chain. */
+  async handleReorg() {
+    const state = this.store.state;
+    if (state.lastBlock === null) return false;
+
+    const numbers = Object.keys(state.checkpoints)
+      .map(Number)
+      .sort((a, b) => b - a);
+    for (const [i, number] of numbers.entries()) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === state.checkpoints[number]) {
+        if (i === 0) return false;
+        this.rollback(number);
+        return true;
+      }
+    }
+    // nothing matches within the window: start over from the window's start
+    this.rollback(
+      Math.max(this.startBlock, state.lastBlock - this.reorgDepth) - 1,
+    );
+    return true;
+  }
+
+  rollback(lastValidBlock) {
+    const state = this.store.state;
+    state.events = state.events.filter((e) => e.blockNumber <= lastValidBlock);
+    for (const number of Object.keys(state.checkpoints)) {
+      if (Number(number) > lastValidBlock) delete state.checkpoints[number];
+    }
+    const created = new Set(
+      state.events
+        .filter((e) => e.name === "SplitterCreated")
+        .map((e) => ethers.getAddress(e.args.splitter)),
+    );
+    state.splitters = state.splitters.filter((s) => created.has(s));
+    state.lastBlock = lastValidBlock < this.startBlock ? null : lastValidBlock;
+    this.store.save();
+  }
+
+  pruneCheckpoints() {
+    const state = this.store.state;
+    const oldest = state.lastBlock - this.reorgDepth;
+    for (const number of Object.keys(state.checkpoints)) {
+      if (Number(number) < oldest) delete state.checkpoints[number];
+    }
+  }
+}
+
+/* =========================
+           QUERIES
+   ========================= */
+
+function byName(store, ...names) {
+  return store.events.filter((e) => names.includes(e.name));
+}
+
+// Token ids ever minted for `domainOrTokenId` (a re-registered name has several)
+function tokenIdsFor(store, domainOrTokenId) {
+  if (/^\d+$/.test(String(domainOrTokenId))) return [String(domainOrTokenId)];
+  return byName(store, "Minted")
+    .filter((e) => e.args.domain === domainOrTokenId)
+    .map((e) => e.args.tokenId);
+}
+
+function domainOf(store, tokenId) {
+  const minted = byName(store, "Minted").find(
+    (e) => e.args.tokenId === tokenId,
+  );
+  return minted ? minted.args.domain : null;
+}
+
+/** Transfers (mint, transfers, burn) of a domain name or token id, oldest first. */
+function ownershipHistory(store, domainOrTokenId) {
+  const ids = new Set(tokenIdsFor(store, domainOrTokenId));
+  return byName(store, "Transfer")
+    .filter((e) => ids.has(e.args.tokenId))
+    .map((e) => ({
+      tokenId: e.args.tokenId,
+      from: e.args.from,
+      to: e.args.to,
+      blockNumber: e.blockNumber,
+      transactionHash: e.transactionHash,
+    }));
+}
+
+/**
+ * Sales recorded on the registry (any market), optionally for one domain or token id.
+ * Marketplace and USD market purchases add the market, listing id, payment token and payout
+ * breakdown.
+ */
+function saleHistory(store, domainOrTokenId) {
+  const ids = domainOrTokenId
+    ? new Set(tokenIdsFor(store, domainOrTokenId))
+    : null;
+  const purchases = new Map();
+  for (const e of byName(store, "Purchased")) {
+    if (!purchases.has(e.transactionHash)) purchases.set(e.transactionHash, []);
+    purchases.get(e.transactionHash).push(e);
+  }
+  // A sweep buys several listings in one transaction; the collection records each sale
+  // before the Marketplace emits its Purchased event
+  const purchaseOf = (sale) =>
+    (purchases.get(sale.transactionHash) ?? []).find(
+      (p) =>
+        p.logIndex > sale.logIndex &&
+        p.args.buyer === sale.args.buyer &&
+        p.args.price === sale.args.price,
+    );
+  return byName(store, "SaleRecorded")
+    .filter((e) => !ids || ids.has(e.args.tokenId))
+    .map((e) => {
+      const purchase = purchaseOf(e);
+      return {
+        tokenId: e.args.tokenId,
+        domain: domainOf(store, e.args.tokenId),
+        price: e.args.price,
+        buyer: e.args.buyer,
+        at: e.args.at,
+        market: purchase ? purchase.address : null,
+        listingId: purchase ? purchase.args.listingId : null,
+        paymentToken: purchase ? purchase.args.paymentToken : null,
+        royaltyAmount: purchase ? purchase.args.royaltyAmount : null,
+        feeAmount: purchase ? purchase.args.feeAmount : null,
+        transactionHash: e.transactionHash,
+      };
+    });
+}
+
+/**
+ * Marketplace and USD market listings that are still open, optionally filtered by seller or
+ * collection. Listing ids are per `market`. USD market listings carry `usdPrice` (8 decimals);
+ * their `price` is the amount at listing.
+ */
+function openListings(store, { seller, nft } = {}) {
+  const open = new Map();
+  for (const e of byName(
+    store,
+    "Listed",
+    "ListedUsd",
+    "ListingUpdated",
+    "ListingCanceled",
+    "ListingInvalidated",
+    "ListingForceDelisted",
+    "Purchased",
+  )) {
+    const id = `${e.address}:${e.args.listingId}`;
+    if (e.name === "Listed") {
+      open.set(id, {
+        market: e.address,
+        listingId: e.args.listingId,
+        seller: e.args.seller,
+        nft: e.args.nft,
+        tokenId: e.args.tokenId,
+        domain: domainOf(store, e.args.tokenId),
+        price: e.args.price,
+        paymentToken: e.args.paymentToken,
+        usdPrice: null,
+      });
+    } else if (e.name === "ListedUsd") {
+      if (open.has(id)) open.get(id).usdPrice = e.args.usdPrice;
+    } else if (e.name === "ListingUpdated") {
+      const listing = open.get(id);
+      // USD listings are repriced in USD
+      if (listing?.usdPrice != null) listing.usdPrice = e.args.newPrice;
+      else if (listing) listing.price = e.args.newPrice;
+    } else {
+      open.delete(id);
+    }
+  }
+  return [...open.values()].filter(
+    (l) =>
+      (!seller || l.seller === ethers.getAddress(seller)) &&
+      (!nft || l.nft === ethers.getAddress(nft)),
+  );
+}
+
+function add(totals, key, amount) {
+  totals[key] = (BigInt(totals[key] ?? 0) + BigInt(amount)).toString();
+}
+
+/**
+ * Royalties received and withdrawn per splitter, keyed by payment token
+ * (ethers.ZeroAddress for the native token).
+ */
+function splitterRoyalties(store, splitter) {
+  const result = new Map();
+  for (const e of byName(store, "SplitterCreated")) {
+    result.set(e.args.splitter, {
+      splitter: e.args.splitter,
+      creator: e.args.creator,
+      treasury: e.args.treasury,
+      tokenId: null,
+      domain: null,
+      accrued: {},
+      withdrawn: {},
+    });
+  }
+  for (const e of byName(store, "TokenSplitterSet")) {
+    const entry = result.get(e.args.splitter);
+    if (entry) {
+      entry.tokenId = e.args.tokenId;
+      entry.domain = domainOf(store, e.args.tokenId);
+    }
+  }
+  for (const e of byName(
+    store,
+    "Received",
+    "TokenReceived",
+    "Withdraw",
+    "WithdrawToken",
+  )) {
+    const entry = result.get(e.address);
+    if (!entry) continue;
+    const token = e.args.token ?? ethers.ZeroAddress;
+    const bucket = e.name.startsWith("Withdraw")
+      ? entry.withdrawn
+      : entry.accrued;
+    add(bucket, token, e.args.amount);
+  }
+
+  const entries = [...result.values()];
+  return splitter
+    ? entries.filter((s) => s.splitter === ethers.getAddress(splitter))
+    : entries;
+}
+
+module.exports = {
+  EVENT_ABIS,
+  JsonStore,
+  Indexer,
+  ownershipHistory,
+  saleHistory,
+  openListings,
+  splitterRoyalties,
+};
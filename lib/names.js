@@ -0,0 +1,79 @@
+// Mirrors contracts/StrDomainNames.sol: same rules, same check order and the same
+// revert reasons, so names can be checked before sending a transaction.
+// Like the contract, checks run on the UTF-8 bytes of the name (TextEncoder, so this also
+// runs in browsers).
+const TLD = ".str";
+const MIN_LABEL_LENGTH = 1;
+const MAX_LABEL_LENGTH = 63;
+
+const HYPHEN = 0x2d;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const TLD_BYTES = encoder.encode(TLD);
+
+/** @param {Uint8Array} b */
+function endsWithTld(b) {
+  const start = b.length - TLD_BYTES.length;
+  return TLD_BYTES.every((c, i) => b[start + i] === c);
+}
+
+function isUpper(c) {
+  return c >= 0x41 && c <= 0x5a;
+}
+
+function isAllowed(c) {
+  return (c >= 0x61 && c <= 0x7a) || (c >= 0x30 && c <= 0x39) || c === HYPHEN;
+}
+
+/**
+ * Returns the revert reason `StrDomainNames.validateLabel` would give, or null when valid.
+ * @param {string} label
+ */
+function labelError(label) {
+  const b = encoder.encode(label);
+  if (b.length < MIN_LABEL_LENGTH || b.length > MAX_LABEL_LENGTH) {
+    return "label length";
+  }
+  if (b[0] === HYPHEN || b[b.length - 1] === HYPHEN) return "bad hyphen";
+  for (const c of b) {
+    if (isUpper(c)) return "uppercase";
+    if (!isAllowed(c)) return "bad char";
+  }
+  return null;
+}
+
+/**
+ * Validates a full name exactly as `StrDomainNames.validate` does.
+ * @param {string} name
+ * @returns {{ valid: boolean, error: string | null, label: string | null }}
+ */
+function validateName(name) {
+  const b = encoder.encode(name);
+  if (b.length <= TLD_BYTES.length || !endsWithTld(b)) {
+    return { valid: false, error: "tld", label: null };
+  }
+  const label = decoder.decode(b.subarray(0, b.length - TLD_BYTES.length));
+  const error = labelError(label);
+  return { valid: error === null, error, label: error === null ? label : null };
+}
+
+/**
+ * Canonical form of user input: trimmed, lowercased, with the `.str` TLD appended when missing.
+ * The result still has to pass `validateName` (e.g. "my_name" stays invalid).
+ * @param {string} input
+ */
+function normalizeName(input) {
+  let name = input.trim().toLowerCase();
+  if (!name.endsWith(TLD)) name += TLD;
+  return name;
+}
+
+module.exports = {
+  TLD,
+  MIN_LABEL_LENGTH,
+  MAX_LABEL_LENGTH,
+  labelError,
+  validateName,
+  normalizeName,
+};
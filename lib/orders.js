@@ -0,0 +1,133 @@
+const { ethers } = require("ethers");
+
+// Must match Marketplace.domainSeparator() and ORDER_TYPEHASH
+const ORDER_DOMAIN_NAME = "StrDomains Marketplace";
+const ORDER_DOMAIN_VERSION = "1";
+
+const ORDER_TYPES = {
+  Order: [
+    { name: "seller", type: "address" },
+    { name: "nft", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "expiry", type: "uint64" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 domain of a Marketplace deployment.
+ * @param {bigint|number} chainId
+ * @param {string} verifyingContract Marketplace (proxy) address
+ */
+function orderDomain(chainId, verifyingContract) {
+  return {
+    name: ORDER_DOMAIN_NAME,
+    version: ORDER_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Reads chain id and address from a connected Marketplace contract instance.
+ * @param {import("ethers").Contract} marketplace
+ */
+async function getOrderDomain(marketplace) {
+  const { chainId } = await marketplace.runner.provider.getNetwork();
+  return orderDomain(chainId, await marketplace.getAddress());
+}
+
+/**
+ * Normalizes order fields. `paymentToken` defaults to native currency.
+ * When `marketplace` is passed and `nonce` is omitted, the seller's current nonce is read on-chain.
+ */
+async function buildOrder(
+  { seller, nft, tokenId, price, paymentToken, expiry, nonce },
+  marketplace,
+) {
+  if (nonce === undefined) {
+    if (!marketplace) throw new Error("nonce or marketplace required");
+    nonce = await marketplace.nonces(seller);
+  }
+  if (expiry === undefined) throw new Error("expiry required");
+
+  return {
+    seller: ethers.getAddress(seller),
+    nft: ethers.getAddress(nft),
+    tokenId: BigInt(tokenId),
+    price: BigInt(price),
+    paymentToken: ethers.getAddress(paymentToken ?? ethers.ZeroAddress),
+    expiry: BigInt(expiry),
+    nonce: BigInt(nonce),
+  };
+}
+
+/** EIP-712 digest of an order; equals Marketplace.hashOrder(order). */
+function hashOrder(order, domain) {
+  return ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, order);
+}
+
+/** Signs an order with the seller's signer. */
+async function signOrder(signer, order, domain) {
+  return signer.signTypedData(domain, ORDER_TYPES, order);
+}
+
+/** True when `signature` was produced by `order.seller` for this domain. */
+function verifyOrder(order, signature, domain) {
+  try {
+    const signer = ethers.verifyTypedData(
+      domain,
+      ORDER_TYPES,
+      order,
+      signature,
+    );
+    return signer === ethers.getAddress(order.seller);
+  } catch {
+    return false;
+  }
+}
+
+/** JSON-safe form of a signed order (bigints as decimal strings) for storage. */
+function serializeOrder(order, signature) {
+  return {
+    seller: order.seller,
+    nft: order.nft,
+    tokenId: order.tokenId.toString(),
+    price: order.price.toString(),
+    paymentToken: order.paymentToken,
+    expiry: order.expiry.toString(),
+    nonce: order.nonce.toString(),
+    signature,
+  };
+}
+
+/** Inverse of serializeOrder: returns `{ order, signature }`. */
+function deserializeOrder(stored) {
+  const { signature, ...fields } = stored;
+  return {
+    order: {
+      seller: ethers.getAddress(fields.seller),
+      nft: ethers.getAddress(fields.nft),
+      tokenId: BigInt(fields.tokenId),
+      price: BigInt(fields.price),
+      paymentToken: ethers.getAddress(fields.paymentToken),
+      expiry: BigInt(fields.expiry),
+      nonce: BigInt(fields.nonce),
+    },
+    signature,
+  };
+}
+
+module.exports = {
+  ORDER_TYPES,
+  orderDomain,
+  getOrderDomain,
+  buildOrder,
+  hashOrder,
+  signOrder,
+  verifyOrder,
+  serializeOrder,
+  deserializeOrder,
+};
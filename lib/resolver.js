@@ -0,0 +1,54 @@
+const { ethers } = require("ethers");
+
+const ETH_COIN_TYPE = 60n;
+
+// Reverts (unknown or expired name, burned token) resolve to null; other errors are rethrown.
+// JSON-RPC providers report reverts as CALL_EXCEPTION, the in-process Hardhat node as a
+// "reverted" error message.
+async function orNull(promise) {
+  try {
+    return await promise;
+  } catch (e) {
+    if (
+      ethers.isError(e, "CALL_EXCEPTION") ||
+      /reverted/.test(e.message ?? "")
+    ) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Forward resolution of a `.str` name (subdomains included).
+ * Returns the address for ETH_COIN_TYPE, the raw hex record for other coin types, or null.
+ * @param {string} name e.g. "alice.str"
+ * @param {{ registry: import("ethers").Contract, resolver: import("ethers").Contract }} contracts
+ * @param {bigint|number} [coinType]
+ */
+async function resolve(name, { registry, resolver }, coinType = ETH_COIN_TYPE) {
+  const data = await orNull(registry.getTokenDataByDomain(name));
+  if (!data) return null;
+
+  const record = await resolver.addr(data.tokenId, coinType);
+  if (record === "0x") return null;
+  if (BigInt(coinType) !== ETH_COIN_TYPE) return record;
+  return record.length === 42 ? ethers.getAddress(record) : null;
+}
+
+/**
+ * Reverse resolution: the primary name of `address`, or null.
+ * The resolver only returns names that still resolve back to `address`.
+ * @param {string} address
+ * @param {{ resolver: import("ethers").Contract }} contracts
+ */
+async function lookupAddress(address, { resolver }) {
+  const name = await resolver.primaryName(ethers.getAddress(address));
+  return name === "" ? null : name;
+}
+
+module.exports = {
+  ETH_COIN_TYPE,
+  resolve,
+  lookupAddress,
+};
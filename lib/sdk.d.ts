@@ -0,0 +1,394 @@
+import type {
+  AddressLike,
+  BigNumberish,
+  Contract,
+  ContractRunner,
+  TransactionReceipt,
+} from "ethers";
+
+/** Payment token address of native-currency listings (the zero address). */
+export const NATIVE: string;
+
+/** Human-readable ABIs used by the clients. */
+export const abis: {
+  OZ_ERRORS: string[];
+  ACCESS_CONTROL_ABI: string[];
+  STR_DOMAINS_NFT_ABI: string[];
+  MARKETPLACE_ABI: string[];
+  USD_MARKET_ABI: string[];
+  RENTAL_MARKET_ABI: string[];
+  OFFER_MARKET_ABI: string[];
+  ROYALTY_SPLITTER_ABI: string[];
+  ROYALTY_SPLITTER_FACTORY_ABI: string[];
+  USD_PRICE_ORACLE_ABI: string[];
+  ERC20_ABI: string[];
+};
+
+export type StrDomainsErrorKind = "reason" | "custom" | "panic" | "unknown";
+
+/** A decoded contract revert. */
+export class StrDomainsError extends Error {
+  /** "reason" for require messages, "custom" for custom errors, "panic" for Solidity panics */
+  readonly kind: StrDomainsErrorKind;
+  /** Require message, custom error name or `panic 0x..`; null when unknown */
+  readonly reason: string | null;
+  /** Custom error arguments, or the panic code */
+  readonly args: unknown[];
+  /** Raw revert data, when the node returned it */
+  readonly data: string | null;
+  cause?: unknown;
+}
+
+/** Decodes a failed call or transaction; null when the error is not a contract revert. */
+export function decodeError(error: unknown): StrDomainsError | null;
+
+/** Approves `spender` for `amount` if the allowance is lower; null when no approval was needed. */
+export function ensureAllowance(
+  token: string,
+  spender: string,
+  amount: bigint,
+  runner: ContractRunner,
+): Promise<TransactionReceipt | null>;
+
+export interface MintResult {
+  tokenId: bigint;
+  splitter: string;
+  expiresAt: bigint;
+  receipt: TransactionReceipt;
+}
+
+export interface RoyaltyConfig {
+  /** Share of the sale price, in basis points (at most MAX_ROYALTY_BPS). */
+  bps: BigNumberish;
+  /** Creator and treasury shares of the royalty, adding up to 10000. */
+  creatorBps: BigNumberish;
+  treasuryBps: BigNumberish;
+}
+
+export interface TokenInfo {
+  tokenId: bigint;
+  domain: string;
+  owner: string;
+  creator: string;
+  uri: string;
+  mintedAt: bigint;
+  expiresAt: bigint;
+  lastPrice: bigint;
+  lastSaleAt: bigint;
+}
+
+export class RegistryClient {
+  constructor(address: string, runner: ContractRunner);
+  readonly address: string;
+  readonly contract: Contract;
+  mint(args: {
+    to: string;
+    uri: string;
+    domain: string;
+    royalty?: RoyaltyConfig;
+  }): Promise<MintResult>;
+  tokenIdOf(domain: string): Promise<bigint | null>;
+  getToken(tokenId: BigNumberish): Promise<TokenInfo>;
+  royaltyDefaults(): Promise<{
+    bps: bigint;
+    creatorBps: bigint;
+    treasuryBps: bigint;
+  }>;
+  setTokenRoyalty(
+    tokenId: BigNumberish,
+    royalty: RoyaltyConfig,
+  ): Promise<TransactionReceipt>;
+  /** The ERC-4907 user of a token; `user` is null when the token is not rented. */
+  userOf(
+    tokenId: BigNumberish,
+  ): Promise<{ user: string | null; expires: bigint }>;
+  splitterOf(tokenId: BigNumberish): Promise<string>;
+  transfer(tokenId: BigNumberish, to: AddressLike): Promise<TransactionReceipt>;
+  burn(tokenId: BigNumberish): Promise<TransactionReceipt>;
+}
+
+export interface Listing {
+  listingId: bigint;
+  seller: string;
+  nft: string;
+  tokenId: bigint;
+  price: bigint;
+  paymentToken: string;
+  active: boolean;
+  /** The token stays with the seller and is pulled at purchase. */
+  nonCustodial: boolean;
+  /** Active and backed by the token: in escrow, or owned by the seller with the market approved. */
+  valid: boolean;
+}
+
+export interface UsdListing {
+  listingId: bigint;
+  seller: string;
+  nft: string;
+  tokenId: bigint;
+  /** USD price with 8 decimals, converted at purchase. */
+  usdPrice: bigint;
+  /** The amount the USD price was last converted to. */
+  price: bigint;
+  paymentToken: string;
+  active: boolean;
+}
+
+export interface SaleQuote {
+  price: bigint;
+  royaltyReceiver: string;
+  royaltyAmount: bigint;
+  feeAmount: bigint;
+  sellerAmount: bigint;
+}
+
+export interface ListResult {
+  listingId: bigint;
+  approvalReceipt: TransactionReceipt | null;
+  receipt: TransactionReceipt;
+}
+
+export interface BuyResult extends SaleQuote {
+  listingId: bigint;
+  tokenId: bigint;
+  paymentToken: string;
+  approvalReceipt: TransactionReceipt | null;
+  receipt: TransactionReceipt;
+}
+
+export interface Rental {
+  rentalId: bigint;
+  owner: string;
+  nft: string;
+  tokenId: bigint;
+  pricePerDay: bigint;
+  paymentToken: string;
+  maxDays: bigint;
+  active: boolean;
+}
+
+export interface RentResult {
+  rentalId: bigint;
+  tokenId: bigint;
+  /** End of the lease (unix seconds). */
+  expires: bigint;
+  price: bigint;
+  royaltyAmount: bigint;
+  feeAmount: bigint;
+  ownerAmount: bigint;
+  approvalReceipt: TransactionReceipt | null;
+  receipt: TransactionReceipt;
+}
+
+export class MarketplaceClient {
+  constructor(
+    address: string,
+    runner: ContractRunner,
+    registryAddress?: string,
+  );
+  readonly address: string;
+  readonly contract: Contract;
+  getListing(listingId: BigNumberish): Promise<Listing>;
+  activeListing(tokenId: BigNumberish, nft?: string): Promise<Listing | null>;
+  paymentTokens(): Promise<{ token: string; minPrice: bigint }[]>;
+  quote(
+    listingOrSale:
+      | BigNumberish
+      | { nft?: string; tokenId: BigNumberish; price: BigNumberish },
+  ): Promise<SaleQuote>;
+  list(args: {
+    tokenId: BigNumberish;
+    price: BigNumberish;
+    paymentToken?: string;
+    nft?: string;
+    nonCustodial?: boolean;
+    /** Approve the marketplace for every token of the collection instead of this one. */
+    approveAll?: boolean;
+  }): Promise<ListResult>;
+  updatePrice(
+    listingId: BigNumberish,
+    price: BigNumberish,
+  ): Promise<TransactionReceipt>;
+  cancel(listingId: BigNumberish): Promise<TransactionReceipt>;
+  cancelInvalid(listingIds: BigNumberish[]): Promise<TransactionReceipt | null>;
+  buy(
+    listingId: BigNumberish,
+    options?: { maxPrice?: BigNumberish },
+  ): Promise<BuyResult>;
+}
+
+export class UsdMarketClient {
+  constructor(
+    address: string,
+    runner: ContractRunner,
+    registryAddress?: string,
+  );
+  readonly address: string;
+  readonly contract: Contract;
+  getListing(listingId: BigNumberish): Promise<UsdListing>;
+  usdToToken(paymentToken: string, usdAmount: BigNumberish): Promise<bigint>;
+  currentPrice(listing: UsdListing): Promise<bigint>;
+  quote(
+    listingOrSale:
+      | BigNumberish
+      | {
+          nft?: string;
+          tokenId: BigNumberish;
+          usdPrice: BigNumberish;
+          paymentToken?: string;
+        },
+  ): Promise<SaleQuote>;
+  list(args: {
+    tokenId: BigNumberish;
+    /** USD price with 8 decimals, converted into `paymentToken` at purchase. */
+    usdPrice: BigNumberish;
+    paymentToken?: string;
+    nft?: string;
+    /** Approve the market for every token of the collection instead of this one. */
+    approveAll?: boolean;
+  }): Promise<ListResult>;
+  updatePrice(
+    listingId: BigNumberish,
+    usdPrice: BigNumberish,
+  ): Promise<TransactionReceipt>;
+  cancel(listingId: BigNumberish): Promise<TransactionReceipt>;
+  /** Pays at most `maxPrice`, or the current price plus `slippageBps` (default 100). */
+  buy(
+    listingId: BigNumberish,
+    options?: { maxPrice?: BigNumberish; slippageBps?: number },
+  ): Promise<BuyResult>;
+}
+
+export class RentalMarketClient {
+  constructor(
+    address: string,
+    runner: ContractRunner,
+    registryAddress?: string,
+  );
+  readonly address: string;
+  readonly contract: Contract;
+  getRental(rentalId: BigNumberish): Promise<Rental>;
+  listForRent(args: {
+    tokenId: BigNumberish;
+    pricePerDay: BigNumberish;
+    maxDays: BigNumberish;
+    paymentToken?: string;
+    nft?: string;
+    /** Approve the rental market for every token of the collection instead of this one. */
+    approveAll?: boolean;
+  }): Promise<{
+    rentalId: bigint;
+    approvalReceipt: TransactionReceipt | null;
+    receipt: TransactionReceipt;
+  }>;
+  cancelRental(rentalId: BigNumberish): Promise<TransactionReceipt>;
+  rent(rentalId: BigNumberish, days: BigNumberish): Promise<RentResult>;
+}
+
+export interface SplitterBalances {
+  native: bigint;
+  /** token address => amount */
+  tokens: Record<string, bigint>;
+}
+
+export class SplitterClient {
+  constructor(address: string, runner: ContractRunner);
+  readonly address: string;
+  readonly contract: Contract;
+  info(): Promise<{
+    creator: string;
+    treasury: string;
+    creatorBps: bigint;
+    treasuryBps: bigint;
+    payees: { payee: string; share: bigint }[];
+  }>;
+  payeeBalances(): Promise<PayeeBalance[]>;
+  updatePayee(slot: number, newPayee: string): Promise<TransactionReceipt>;
+  receivedTokens(options?: { fromBlock?: number }): Promise<string[]>;
+  balances(options?: {
+    account?: string;
+    tokens?: string[];
+  }): Promise<SplitterBalances>;
+  withdrawAll(options?: {
+    tokens?: string[];
+  }): Promise<SplitterBalances & { receipts: TransactionReceipt[] }>;
+  release(payee: string): Promise<TransactionReceipt>;
+}
+
+export interface PayeeBalance {
+  payee: string;
+  share: bigint;
+  native: bigint;
+  /** token address => balance, for every token the splitter has received */
+  tokens: Record<string, bigint>;
+}
+
+export interface SplitterInfo {
+  splitter: string;
+  creator: string;
+  treasury: string;
+  creatorBps: bigint;
+  treasuryBps: bigint;
+  blockNumber: number;
+}
+
+export class SplitterFactoryClient {
+  constructor(address: string, runner: ContractRunner);
+  readonly address: string;
+  readonly contract: Contract;
+  createSplitter(
+    payees: { payee: string; share: number }[],
+  ): Promise<{ splitter: string; receipt: TransactionReceipt }>;
+  splitters(options?: {
+    creator?: string | null;
+    treasury?: string | null;
+    fromBlock?: number;
+  }): Promise<SplitterInfo[]>;
+  tokenSplitter(
+    collection: string,
+    tokenId: BigNumberish,
+  ): Promise<string | null>;
+  creatorSplitters(
+    creator: string,
+    options?: { pageSize?: number },
+  ): Promise<string[]>;
+  migrateTreasury(args: {
+    oldTreasury: string;
+    newTreasury: string;
+    pageSize?: number;
+  }): Promise<{ migrated: bigint; receipts: TransactionReceipt[] }>;
+  splittersWithBalance(options?: {
+    account?: string;
+    pageSize?: number;
+  }): Promise<string[]>;
+  /** Resolves to null when there is nothing to release. */
+  releaseAll(options?: {
+    payee?: string;
+    splitters?: string[];
+  }): Promise<TransactionReceipt | null>;
+  updateSplitterTreasury(
+    splitter: string,
+    newTreasury: string,
+  ): Promise<TransactionReceipt>;
+}
+
+export interface StrDomainsClients {
+  registry: RegistryClient | null;
+  marketplace: MarketplaceClient | null;
+  usdMarket: UsdMarketClient | null;
+  rentals: RentalMarketClient | null;
+  factory: SplitterFactoryClient | null;
+  splitter(address: string): SplitterClient;
+}
+
+/** Clients for a deployment; the client of an omitted address is null. */
+export function connect(
+  addresses: {
+    registry?: string;
+    marketplace?: string;
+    usdMarket?: string;
+    rentals?: string;
+    factory?: string;
+  },
+  runner: ContractRunner,
+): StrDomainsClients;
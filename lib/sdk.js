@@ -0,0 +1,1017 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+const {
+  OZ_ERRORS,
+  STR_DOMAINS_NFT_ABI,
+  MARKETPLACE_ABI,
+  USD_MARKET_ABI,
+  RENTAL_MARKET_ABI,
+  ROYALTY_SPLITTER_ABI,
+  ROYALTY_SPLITTER_FACTORY_ABI,
+  USD_PRICE_ORACLE_ABI,
+  ERC20_ABI,
+} = abis;
+
+const NATIVE = ethers.ZeroAddress;
+const BPS = 10_000n;
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string), i.e. require/revert messages
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+const errorsInterface = new ethers.Interface(OZ_ERRORS);
+
+/**
+ * A decoded contract revert.
+ * `kind` is "reason" for require messages, "custom" for custom errors (`reason` is the error
+ * name and `args` its arguments), "panic" for Solidity panics (`args[0]` is the code) and
+ * "unknown" when the revert data could not be decoded.
+ */
+class StrDomainsError extends Error {
+  constructor(kind, reason, args = [], data = null) {
+    super(reason ? `reverted: ${reason}` : "reverted");
+    this.name = "StrDomainsError";
+    this.kind = kind;
+    this.reason = reason;
+    this.args = args;
+    this.data = data;
+  }
+}
+
+function decodeRevertData(data) {
+  const selector = data.slice(0, 10);
+  if (selector === ERROR_SELECTOR) {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["string"],
+      ethers.dataSlice(data, 4),
+    );
+    return new StrDomainsError("reason", reason, [], data);
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["uint256"],
+      ethers.dataSlice(data, 4),
+    );
+    return new StrDomainsError(
+      "panic",
+      `panic 0x${code.toString(16)}`,
+      [code],
+      data,
+    );
+  }
+  const parsed = errorsInterface.parseError(data);
+  if (parsed) {
+    return new StrDomainsError("custom", parsed.name, [...parsed.args], data);
+  }
+  return new StrDomainsError("unknown", null, [], data);
+}
+
+// Revert data sits at different depths depending on the provider and how the call failed
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return null;
+  if (typeof error.data === "string" && ethers.isHexString(error.data)) {
+    return error.data;
+  }
+  for (const nested of [
+    error.data,
+    error.error,
+    error.info?.error,
+    error.cause,
+  ]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+/**
+ * Turns a failed call or transaction into a StrDomainsError.
+ * Returns null when `error` is not a contract revert (network errors, user rejection...).
+ * @param {unknown} error
+ */
+function decodeError(error) {
+  if (error instanceof StrDomainsError) return error;
+  const data = findRevertData(error);
+  let decoded = null;
+  if (data && data !== "0x") {
+    decoded = decodeRevertData(data);
+  } else {
+    // Nodes that only report a message, e.g. the in-process Hardhat network
+    const message = error?.message ?? "";
+    const reason = message.match(/reverted with reason string '(.*)'/s);
+    const custom = message.match(/reverted with custom error '(\w+)\(/);
+    const panic = message.match(/reverted with panic code (0x[0-9a-f]+)/);
+    if (reason) decoded = new StrDomainsError("reason", reason[1]);
+    else if (custom) decoded = new StrDomainsError("custom", custom[1]);
+    else if (panic) {
+      decoded = new StrDomainsError("panic", `panic ${panic[1]}`, [
+        BigInt(panic[1]),
+      ]);
+    } else if (
+      ethers.isError(error, "CALL_EXCEPTION") ||
+      /reverted/.test(message)
+    ) {
+      decoded = new StrDomainsError("unknown", null);
+    }
+  }
+  if (decoded) decoded.cause = error;
+  return decoded;
+}
+
+async function call(promise) {
+  try {
+    return await promise;
+  } catch (e) {
+    throw decodeError(e) ?? e;
+  }
+}
+
+// Sends a transaction and waits for its receipt
+async function send(txPromise) {
+  return call(txPromise.then((tx) => tx.wait()));
+}
+
+async function signerAddress(runner) {
+  if (typeof runner?.getAddress !== "function") {
+    throw new Error("a signer is required for this action");
+  }
+  return ethers.getAddress(await runner.getAddress());
+}
+
+function findEvent(contract, receipt, name) {
+  const target = ethers.getAddress(contract.target);
+  for (const log of receipt.logs) {
+    if (ethers.getAddress(log.address) !== target) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) return parsed.args;
+  }
+  throw new Error(`${name} event not found in ${receipt.hash}`);
+}
+
+/**
+ * Approves `spender` for `amount` of an ERC20 token if the current allowance is lower.
+ * Returns the approval receipt, or null when no approval was needed.
+ */
+async function ensureAllowance(token, spender, amount, runner) {
+  const erc20 = new ethers.Contract(token, ERC20_ABI, runner);
+  const owner = await signerAddress(runner);
+  if ((await call(erc20.allowance(owner, spender))) >= amount) return null;
+  return send(erc20.approve(spender, amount));
+}
+
+/**
+ * Approves `operator` for `tokenId` unless it is already approved for it, or for every token of
+ * `collection` with `approveAll`. Returns the approval receipt, or null when no approval was needed.
+ */
+async function ensureApproval(
+  collection,
+  operator,
+  tokenId,
+  runner,
+  approveAll = false,
+) {
+  const owner = await signerAddress(runner);
+  const [approvedForAll, approved] = await Promise.all([
+    call(collection.isApprovedForAll(owner, operator)),
+    call(collection.getApproved(tokenId)),
+  ]);
+  if (approvedForAll || approved === operator) return null;
+  return send(
+    approveAll
+      ? collection.setApprovalForAll(operator, true)
+      : collection.approve(operator, tokenId),
+  );
+}
+
+/** StrDomainsNFT: minting and token data. */
+class RegistryClient {
+  constructor(address, runner) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.contract = new ethers.Contract(
+      this.address,
+      STR_DOMAINS_NFT_ABI,
+      runner,
+    );
+  }
+
+  /**
+   * Mints `domain` to `to` (MINTER_ROLE). Passing `royalty` mints with its own rate and
+   * creator/treasury split instead of the defaults (DEFAULT_ADMIN_ROLE).
+   * @param {{ to: string, uri: string, domain: string, royalty?: { bps: number, creatorBps: number, treasuryBps: number } }} args
+   */
+  async mint({ to, uri, domain, royalty }) {
+    const receipt = await send(
+      royalty
+        ? this.contract.mintWithRoyalty(
+            to,
+            uri,
+            domain,
+            royalty.bps,
+            royalty.creatorBps,
+            royalty.treasuryBps,
+          )
+        : this.contract.mint(to, uri, domain),
+    );
+    const minted = findEvent(this.contract, receipt, "Minted");
+    const { splitter } = findEvent(this.contract, receipt, "TokenSplitterSet");
+    return {
+      tokenId: minted.tokenId,
+      splitter: ethers.getAddress(splitter),
+      expiresAt: minted.expiresAt,
+      receipt,
+    };
+  }
+
+  /** Token id of a live name, or null for unknown and expired names. */
+  async tokenIdOf(domain) {
+    try {
+      return (await call(this.contract.getTokenDataByDomain(domain))).tokenId;
+    } catch (e) {
+      if (e instanceof StrDomainsError) return null;
+      throw e;
+    }
+  }
+
+  async getToken(tokenId) {
+    const [owner, data] = await Promise.all([
+      call(this.contract.ownerOf(tokenId)),
+      call(this.contract.getTokenData(tokenId)),
+    ]);
+    return {
+      tokenId: BigInt(tokenId),
+      domain: data.domainName,
+      owner,
+      creator: data.creator,
+      uri: data.uri,
+      mintedAt: data.mintedAt,
+      expiresAt: data.expiresAt,
+      lastPrice: data.lastPrice,
+      lastSaleAt: data.lastAt,
+    };
+  }
+
+  /** Royalty rate and creator/treasury split of newly minted tokens. */
+  async royaltyDefaults() {
+    const [bps, creatorBps, treasuryBps] = await Promise.all([
+      call(this.contract.defaultRoyaltyBps()),
+      call(this.contract.creatorShareBps()),
+      call(this.contract.treasuryShareBps()),
+    ]);
+    return { bps, creatorBps, treasuryBps };
+  }
+
+  /** Changes the rate and split of a minted token and its splitter (DEFAULT_ADMIN_ROLE). */
+  async setTokenRoyalty(tokenId, { bps, creatorBps, treasuryBps }) {
+    return send(
+      this.contract.setTokenRoyalty(tokenId, bps, creatorBps, treasuryBps),
+    );
+  }
+
+  /** The ERC-4907 user (renter) of a token and the end of the lease; `user` is null when none. */
+  async userOf(tokenId) {
+    const [user, expires] = await Promise.all([
+      call(this.contract.userOf(tokenId)),
+      call(this.contract.userExpires(tokenId)),
+    ]);
+    return user === ethers.ZeroAddress
+      ? { user: null, expires: 0n }
+      : { user, expires };
+  }
+
+  /** The royalty receiver of a token, i.e. its RoyaltySplitter. */
+  async splitterOf(tokenId) {
+    const [receiver] = await call(this.contract.royaltyInfo(tokenId, BPS));
+    return receiver;
+  }
+
+  async transfer(tokenId, to) {
+    const from = await signerAddress(this.runner);
+    return send(
+      this.contract["safeTransferFrom(address,address,uint256)"](
+        from,
+        to,
+        tokenId,
+      ),
+    );
+  }
+
+  /** Burns a token (DEFAULT_ADMIN_ROLE). */
+  async burn(tokenId) {
+    return send(this.contract.burn(tokenId));
+  }
+}
+
+function toListing(listingId, l, nonCustodial, valid) {
+  return {
+    listingId: BigInt(listingId),
+    seller: l.seller,
+    nft: l.nft,
+    tokenId: l.tokenId,
+    price: l.price,
+    paymentToken: l.paymentToken,
+    active: l.active,
+    nonCustodial,
+    valid,
+  };
+}
+
+/**
+ * Payout breakdown of a sale, computed like the markets: royalty (EIP-2981), then the fee of
+ * `market`, the rest to the seller.
+ */
+async function quoteSale(market, runner, { nft, tokenId, price }) {
+  const collection = new ethers.Contract(nft, STR_DOMAINS_NFT_ABI, runner);
+  const [[royaltyReceiver, royaltyAmount], feeBps] = await Promise.all([
+    call(collection.royaltyInfo(tokenId, price)),
+    call(market.marketplaceFeeBps()),
+  ]);
+  const feeAmount = (BigInt(price) * feeBps) / BPS;
+  return {
+    price: BigInt(price),
+    royaltyReceiver,
+    royaltyAmount,
+    feeAmount,
+    sellerAmount: BigInt(price) - royaltyAmount - feeAmount,
+  };
+}
+
+/** Marketplace: fixed-price listings. `nft` defaults to the registry the client was created with. */
+class MarketplaceClient {
+  constructor(address, runner, registryAddress) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.registryAddress =
+      registryAddress && ethers.getAddress(registryAddress);
+    this.contract = new ethers.Contract(this.address, MARKETPLACE_ABI, runner);
+  }
+
+  async getListing(listingId) {
+    const [listing, nonCustodial, valid] = await Promise.all([
+      call(this.contract.getListing(listingId)),
+      call(this.contract.nonCustodial(listingId)),
+      call(this.contract.isListingValid(listingId)),
+    ]);
+    return toListing(listingId, listing, nonCustodial, valid);
+  }
+
+  /** Accepted currencies with their minimum prices, the native currency (NATIVE) first. */
+  async paymentTokens() {
+    const [tokens, minPrices] = await call(this.contract.getPaymentTokens());
+    return tokens.map((token, i) => ({ token, minPrice: minPrices[i] }));
+  }
+
+  /** The active listing of a token, or null. */
+  async activeListing(tokenId, nft = this.registryAddress) {
+    const [listingId] = await call(
+      this.contract.getActiveListing(nft, tokenId),
+    );
+    return listingId === 0n ? null : this.getListing(listingId);
+  }
+
+  /**
+   * Payout breakdown of a sale, computed like the contract: royalty (EIP-2981), then the
+   * marketplace fee, the rest to the seller.
+   * @param {bigint|number|{ nft?: string, tokenId: bigint|number, price: bigint }} listingOrSale
+   *   a listing id, or the token and price of a prospective sale
+   */
+  async quote(listingOrSale) {
+    const {
+      nft = this.registryAddress,
+      tokenId,
+      price,
+    } = typeof listingOrSale === "object"
+      ? listingOrSale
+      : await this.getListing(listingOrSale);
+    return quoteSale(this.contract, this.runner, { nft, tokenId, price });
+  }
+
+  /**
+   * Approves the marketplace for the token if needed (for the whole collection with
+   * `approveAll`), then lists the token.
+   * `paymentToken` defaults to the native currency. With `nonCustodial` the token stays in the
+   * seller's wallet until it is bought; the listing lapses if it is moved or the approval revoked.
+   */
+  async list({
+    tokenId,
+    price,
+    paymentToken = NATIVE,
+    nft = this.registryAddress,
+    nonCustodial = false,
+    approveAll = false,
+  }) {
+    const collection = new ethers.Contract(
+      nft,
+      STR_DOMAINS_NFT_ABI,
+      this.runner,
+    );
+    const approvalReceipt = await ensureApproval(
+      collection,
+      this.address,
+      tokenId,
+      this.runner,
+      approveAll,
+    );
+
+    let listing;
+    if (nonCustodial) {
+      listing = this.contract.listTokenNonCustodial(
+        nft,
+        tokenId,
+        price,
+        paymentToken,
+      );
+    } else if (paymentToken === NATIVE) {
+      listing = this.contract.listToken(nft, tokenId, price);
+    } else {
+      listing = this.contract.listTokenERC20(nft, tokenId, price, paymentToken);
+    }
+    const receipt = await send(listing);
+    const { listingId } = findEvent(this.contract, receipt, "Listed");
+    return { listingId, approvalReceipt, receipt };
+  }
+
+  async updatePrice(listingId, price) {
+    return send(this.contract.updateListing(listingId, price));
+  }
+
+  async cancel(listingId) {
+    return send(this.contract.cancelListing(listingId));
+  }
+
+  /**
+   * Closes the given listings that no longer hold (non-custodial token moved or unapproved,
+   * escrowed token burned); returns null when none.
+   */
+  async cancelInvalid(listingIds) {
+    const listings = await Promise.all(
+      listingIds.map((id) => this.getListing(id)),
+    );
+    const invalid = listings
+      .filter((l) => l.active && !l.valid)
+      .map((l) => l.listingId);
+    if (invalid.length === 0) return null;
+    return send(this.contract.cancelInvalidListings(invalid));
+  }
+
+  /**
+   * Buys a listing, paying in its currency. For ERC20 listings the marketplace allowance is
+   * raised to the price first if needed. `maxPrice` guards against a price raised by the seller.
+   */
+  async buy(listingId, { maxPrice } = {}) {
+    const listing = await this.getListing(listingId);
+    if (!listing.active) {
+      throw new StrDomainsError("reason", " not active");
+    }
+    if (!listing.valid) {
+      throw new StrDomainsError("reason", "listing invalid");
+    }
+    const { price } = listing;
+    if (maxPrice !== undefined && price > BigInt(maxPrice)) {
+      throw new StrDomainsError("reason", "price above max");
+    }
+
+    let approvalReceipt = null;
+    let receipt;
+    if (listing.paymentToken === NATIVE) {
+      receipt = await send(this.contract.buy(listingId, { value: price }));
+    } else {
+      approvalReceipt = await ensureAllowance(
+        listing.paymentToken,
+        this.address,
+        price,
+        this.runner,
+      );
+      receipt = await send(
+        this.contract["buyWithERC20(uint256,uint256)"](listingId, price),
+      );
+    }
+    const purchased = findEvent(this.contract, receipt, "Purchased");
+    return {
+      listingId: BigInt(listingId),
+      tokenId: listing.tokenId,
+      price: purchased.price,
+      paymentToken: purchased.paymentToken,
+      royaltyReceiver: purchased.royaltyReceiver,
+      royaltyAmount: purchased.royaltyAmount,
+      feeAmount: purchased.feeAmount,
+      sellerAmount: purchased.sellerAmount,
+      approvalReceipt,
+      receipt,
+    };
+  }
+}
+
+/** UsdMarket: escrowed listings priced in USD. `nft` defaults to the registry the client was created with. */
+class UsdMarketClient {
+  constructor(address, runner, registryAddress) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.registryAddress =
+      registryAddress && ethers.getAddress(registryAddress);
+    this.contract = new ethers.Contract(this.address, USD_MARKET_ABI, runner);
+  }
+
+  /** `usdPrice` has 8 decimals; `price` is the amount it was last converted to. */
+  async getListing(listingId) {
+    const l = await call(this.contract.getListing(listingId));
+    return {
+      listingId: BigInt(listingId),
+      seller: l.seller,
+      nft: l.nft,
+      tokenId: l.tokenId,
+      usdPrice: l.usdPrice,
+      price: l.price,
+      paymentToken: l.paymentToken,
+      active: l.active,
+    };
+  }
+
+  /** Amount of `paymentToken` worth `usdAmount` (8 decimals) at the current oracle price. */
+  async usdToToken(paymentToken, usdAmount) {
+    const oracle = new ethers.Contract(
+      await call(this.contract.priceOracle()),
+      USD_PRICE_ORACLE_ABI,
+      this.runner,
+    );
+    return call(oracle.usdToToken(paymentToken, usdAmount));
+  }
+
+  /** What buying the listing costs now, at the oracle price. */
+  async currentPrice(listing) {
+    return this.usdToToken(listing.paymentToken, listing.usdPrice);
+  }
+
+  /**
+   * Payout breakdown of buying a listing, or of selling `{ nft, tokenId, usdPrice, paymentToken }`,
+   * at the current oracle price, computed like the contract.
+   */
+  async quote(listingOrSale) {
+    const {
+      nft = this.registryAddress,
+      tokenId,
+      usdPrice,
+      paymentToken = NATIVE,
+    } = typeof listingOrSale === "object"
+      ? listingOrSale
+      : await this.getListing(listingOrSale);
+    return quoteSale(this.contract, this.runner, {
+      nft,
+      tokenId,
+      price: await this.usdToToken(paymentToken, usdPrice),
+    });
+  }
+
+  /**
+   * Approves the market for the token if needed (for the whole collection with `approveAll`),
+   * then escrows it at `usdPrice` (8 decimals), paid in `paymentToken` (default: the native
+   * currency) at the oracle price of the purchase.
+   */
+  async list({
+    tokenId,
+    usdPrice,
+    paymentToken = NATIVE,
+    nft = this.registryAddress,
+    approveAll = false,
+  }) {
+    const collection = new ethers.Contract(
+      nft,
+      STR_DOMAINS_NFT_ABI,
+      this.runner,
+    );
+    const approvalReceipt = await ensureApproval(
+      collection,
+      this.address,
+      tokenId,
+      this.runner,
+      approveAll,
+    );
+    const receipt = await send(
+      this.contract.listToken(nft, tokenId, usdPrice, paymentToken),
+    );
+    const { listingId } = findEvent(this.contract, receipt, "Listed");
+    return { listingId, approvalReceipt, receipt };
+  }
+
+  /** Reprices a listing in USD (8 decimals). */
+  async updatePrice(listingId, usdPrice) {
+    return send(this.contract.updateListing(listingId, usdPrice));
+  }
+
+  async cancel(listingId) {
+    return send(this.contract.cancelListing(listingId));
+  }
+
+  /**
+   * Buys a listing at the oracle price of the purchase, paying at most `maxPrice`, or the current
+   * price plus `slippageBps` (default 1%). Unspent native value is refunded by the contract; for
+   * ERC20 listings the allowance is raised to the limit first if needed.
+   */
+  async buy(listingId, { maxPrice, slippageBps = 100 } = {}) {
+    const listing = await this.getListing(listingId);
+    if (!listing.active) {
+      throw new StrDomainsError("reason", " not active");
+    }
+    const price = await this.currentPrice(listing);
+    if (maxPrice !== undefined && price > BigInt(maxPrice)) {
+      throw new StrDomainsError("reason", "price above max");
+    }
+    const limit =
+      maxPrice !== undefined
+        ? BigInt(maxPrice)
+        : (price * (BPS + BigInt(slippageBps))) / BPS;
+
+    let approvalReceipt = null;
+    let receipt;
+    if (listing.paymentToken === NATIVE) {
+      receipt = await send(this.contract.buy(listingId, { value: limit }));
+    } else {
+      approvalReceipt = await ensureAllowance(
+        listing.paymentToken,
+        this.address,
+        limit,
+        this.runner,
+      );
+      receipt = await send(this.contract.buyWithERC20(listingId, limit));
+    }
+    const purchased = findEvent(this.contract, receipt, "Purchased");
+    return {
+      listingId: BigInt(listingId),
+      tokenId: listing.tokenId,
+      price: purchased.price,
+      paymentToken: purchased.paymentToken,
+      royaltyReceiver: purchased.royaltyReceiver,
+      royaltyAmount: purchased.royaltyAmount,
+      feeAmount: purchased.feeAmount,
+      sellerAmount: purchased.sellerAmount,
+      approvalReceipt,
+      receipt,
+    };
+  }
+}
+
+/** RentalMarket: leases of names as their ERC-4907 user. `nft` defaults to the registry the client was created with. */
+class RentalMarketClient {
+  constructor(address, runner, registryAddress) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.registryAddress =
+      registryAddress && ethers.getAddress(registryAddress);
+    this.contract = new ethers.Contract(
+      this.address,
+      RENTAL_MARKET_ABI,
+      runner,
+    );
+  }
+
+  async getRental(rentalId) {
+    const r = await call(this.contract.rentals(rentalId));
+    return {
+      rentalId: BigInt(rentalId),
+      owner: r.owner,
+      nft: r.nft,
+      tokenId: r.tokenId,
+      pricePerDay: r.pricePerDay,
+      paymentToken: r.paymentToken,
+      maxDays: r.maxDays,
+      active: r.active,
+    };
+  }
+
+  /**
+   * Approves the rental market for the token if needed (for the whole collection with
+   * `approveAll`), then offers the token for rent.
+   * The token stays with the owner; renters become its ERC-4907 user for up to `maxDays` days.
+   */
+  async listForRent({
+    tokenId,
+    pricePerDay,
+    maxDays,
+    paymentToken = NATIVE,
+    nft = this.registryAddress,
+    approveAll = false,
+  }) {
+    const collection = new ethers.Contract(
+      nft,
+      STR_DOMAINS_NFT_ABI,
+      this.runner,
+    );
+    const approvalReceipt = await ensureApproval(
+      collection,
+      this.address,
+      tokenId,
+      this.runner,
+      approveAll,
+    );
+    const receipt = await send(
+      this.contract.listForRent(
+        nft,
+        tokenId,
+        pricePerDay,
+        paymentToken,
+        maxDays,
+      ),
+    );
+    const { rentalId } = findEvent(this.contract, receipt, "RentalListed");
+    return { rentalId, approvalReceipt, receipt };
+  }
+
+  async cancelRental(rentalId) {
+    return send(this.contract.cancelRental(rentalId));
+  }
+
+  /**
+   * Rents a token for `days` days, paying `pricePerDay * days` in the listing currency. For ERC20
+   * rentals the rental market allowance is raised first if needed.
+   */
+  async rent(rentalId, days) {
+    const rental = await this.getRental(rentalId);
+    if (!rental.active) {
+      throw new StrDomainsError("reason", " not active");
+    }
+    const price = rental.pricePerDay * BigInt(days);
+
+    let approvalReceipt = null;
+    let receipt;
+    if (rental.paymentToken === NATIVE) {
+      receipt = await send(
+        this.contract.rent(rentalId, days, { value: price }),
+      );
+    } else {
+      approvalReceipt = await ensureAllowance(
+        rental.paymentToken,
+        this.address,
+        price,
+        this.runner,
+      );
+      receipt = await send(this.contract.rent(rentalId, days));
+    }
+    const rented = findEvent(this.contract, receipt, "Rented");
+    return {
+      rentalId: BigInt(rentalId),
+      tokenId: rental.tokenId,
+      expires: rented.expires,
+      price: rented.price,
+      royaltyAmount: rented.royaltyAmount,
+      feeAmount: rented.feeAmount,
+      ownerAmount: rented.ownerAmount,
+      approvalReceipt,
+      receipt,
+    };
+  }
+}
+
+/** A RoyaltySplitter clone: pull-payment balances of its payees (slot 0 creator, slot 1 treasury). */
+class SplitterClient {
+  constructor(address, runner) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.contract = new ethers.Contract(
+      this.address,
+      ROYALTY_SPLITTER_ABI,
+      runner,
+    );
+  }
+
+  async info() {
+    const [payees, shares] = await call(this.contract.payees());
+    return {
+      creator: payees[0],
+      treasury: payees[1],
+      creatorBps: shares[0],
+      treasuryBps: shares[1],
+      payees: payees.map((payee, i) => ({ payee, share: shares[i] })),
+    };
+  }
+
+  /** Every payee with its share and withdrawable balances, in slot order. */
+  async payeeBalances() {
+    const [tokens, balances] = await call(this.contract.payeeBalances());
+    return balances.map((b) => ({
+      payee: b.payee,
+      share: b.share,
+      native: b.native,
+      tokens: Object.fromEntries(tokens.map((t, i) => [t, b.tokens[i]])),
+    }));
+  }
+
+  /** Hands the signer's slot, with its accrued balances, to `newPayee`. */
+  async updatePayee(slot, newPayee) {
+    return send(this.contract.updatePayee(slot, newPayee));
+  }
+
+  /** ERC20 tokens the splitter has received, from its TokenReceived events. */
+  async receivedTokens({ fromBlock = 0 } = {}) {
+    const events = await call(
+      this.contract.queryFilter(
+        this.contract.filters.TokenReceived(),
+        fromBlock,
+      ),
+    );
+    return [...new Set(events.map((e) => ethers.getAddress(e.args.token)))];
+  }
+
+  /**
+   * Withdrawable balances of `account` (defaults to the signer).
+   * `tokens` defaults to every token the splitter has received.
+   */
+  async balances({ account, tokens } = {}) {
+    account = account ?? (await signerAddress(this.runner));
+    tokens = tokens ?? (await this.receivedTokens());
+    const [native, ...amounts] = await Promise.all([
+      call(this.contract.ethBalance(account)),
+      ...tokens.map((t) => call(this.contract.erc20Balance(t, account))),
+    ]);
+    return {
+      native,
+      tokens: Object.fromEntries(
+        tokens.map((t, i) => [ethers.getAddress(t), amounts[i]]),
+      ),
+    };
+  }
+
+  /** Withdraws every non-zero balance of the signer, native first. */
+  async withdrawAll({ tokens } = {}) {
+    const { native, tokens: balances } = await this.balances({ tokens });
+    const receipts = [];
+    if (native > 0n) receipts.push(await send(this.contract.withdraw()));
+    for (const [token, amount] of Object.entries(balances)) {
+      if (amount > 0n)
+        receipts.push(await send(this.contract.withdrawToken(token)));
+    }
+    const withdrawn = Object.fromEntries(
+      Object.entries(balances).filter(([, amount]) => amount > 0n),
+    );
+    return { native, tokens: withdrawn, receipts };
+  }
+
+  /** Pushes every balance of `payee` to it in one transaction; any signer may send it. */
+  async release(payee) {
+    return send(this.contract.release(payee));
+  }
+}
+
+/** RoyaltySplitterFactory: splitter registry, batch releases and treasury migrations. */
+class SplitterFactoryClient {
+  constructor(address, runner) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.contract = new ethers.Contract(
+      this.address,
+      ROYALTY_SPLITTER_FACTORY_ABI,
+      runner,
+    );
+  }
+
+  /**
+   * Creates a splitter across `payees` (slot 0 creator, slot 1 treasury, then any others).
+   * @param {{ payee: string, share: number }[]} payees shares in basis points, adding up to 10000
+   */
+  async createSplitter(payees) {
+    const receipt = await send(
+      this.contract.createSplitterWithPayees(
+        payees.map((p) => p.payee),
+        payees.map((p) => p.share),
+      ),
+    );
+    const created = findEvent(this.contract, receipt, "SplitterCreated");
+    return { splitter: ethers.getAddress(created.splitter), receipt };
+  }
+
+  /** Splitters created by the factory, optionally filtered by creator or treasury. */
+  async splitters({ creator = null, treasury = null, fromBlock = 0 } = {}) {
+    const events = await call(
+      this.contract.queryFilter(
+        this.contract.filters.SplitterCreated(null, creator, treasury),
+        fromBlock,
+      ),
+    );
+    return events.map((e) => ({
+      splitter: ethers.getAddress(e.args.splitter),
+      creator: e.args.creator,
+      treasury: e.args.treasury,
+      creatorBps: e.args.creatorBps,
+      treasuryBps: e.args.treasuryBps,
+      blockNumber: e.blockNumber,
+    }));
+  }
+
+  /** Splitter of token `tokenId` of `collection`, or null when the factory did not create one. */
+  async tokenSplitter(collection, tokenId) {
+    const splitter = await call(
+      this.contract.tokenSplitter(collection, tokenId),
+    );
+    return splitter === ethers.ZeroAddress ? null : splitter;
+  }
+
+  /** Splitters created with `creator` in slot 0, in creation order. */
+  async creatorSplitters(creator, { pageSize = 500 } = {}) {
+    const count = await call(this.contract.creatorSplitterCount(creator));
+    const found = [];
+    for (let offset = 0n; offset < count; offset += BigInt(pageSize)) {
+      found.push(
+        ...(await call(
+          this.contract.getCreatorSplitters(creator, offset, pageSize),
+        )),
+      );
+    }
+    return found;
+  }
+
+  /**
+   * Moves every splitter whose treasury is `oldTreasury` to `newTreasury`, with its balances
+   * (ADMIN_ROLE). Sends one transaction per `pageSize` splitters.
+   */
+  async migrateTreasury({ oldTreasury, newTreasury, pageSize = 200 }) {
+    const receipts = [];
+    let migrated = 0n;
+    let offset = 0n;
+    do {
+      const receipt = await send(
+        this.contract.migrateTreasury(
+          oldTreasury,
+          newTreasury,
+          offset,
+          pageSize,
+        ),
+      );
+      const page = findEvent(this.contract, receipt, "TreasuryMigrated");
+      receipts.push(receipt);
+      migrated += page.migrated;
+      offset = page.end;
+    } while (offset < (await call(this.contract.splitterCount())));
+    return { migrated, receipts };
+  }
+
+  /**
+   * Splitters where `account` (defaults to the signer) has a native or ERC20 balance.
+   * Scans every splitter of the factory, `pageSize` per call.
+   */
+  async splittersWithBalance({ account, pageSize = 500 } = {}) {
+    account = account ?? (await signerAddress(this.runner));
+    const found = [];
+    let offset = 0n;
+    do {
+      const [page, next] = await call(
+        this.contract.splittersWithBalance(account, offset, pageSize),
+      );
+      found.push(...page.map((s) => ethers.getAddress(s)));
+      offset = next;
+    } while (offset !== 0n);
+    return found;
+  }
+
+  /**
+   * Pays `payee` (defaults to the signer) everything it has on `splitters`, in one transaction.
+   * `splitters` defaults to those where it has a balance.
+   */
+  async releaseAll({ payee, splitters } = {}) {
+    payee = payee ?? (await signerAddress(this.runner));
+    splitters =
+      splitters ?? (await this.splittersWithBalance({ account: payee }));
+    if (splitters.length === 0) return null;
+    return send(this.contract.releaseAll(splitters, payee));
+  }
+
+  /** Moves a splitter's treasury share and balances to a new treasury (ADMIN_ROLE). */
+  async updateSplitterTreasury(splitter, newTreasury) {
+    return send(this.contract.updateSplitterTreasury(splitter, newTreasury));
+  }
+}
+
+/**
+ * Clients for a StrDomains deployment. Any address may be omitted; its client is then null.
+ * @param {{ registry?: string, marketplace?: string, usdMarket?: string, rentals?: string, factory?: string }} addresses
+ * @param {import("ethers").ContractRunner} runner a signer, or a provider for read-only use
+ */
+function connect(
+  { registry, marketplace, usdMarket, rentals, factory },
+  runner,
+) {
+  return {
+    registry: registry ? new RegistryClient(registry, runner) : null,
+    marketplace: marketplace
+      ? new MarketplaceClient(marketplace, runner, registry)
+      : null,
+    usdMarket: usdMarket
+      ? new UsdMarketClient(usdMarket, runner, registry)
+      : null,
+    rentals: rentals ? new RentalMarketClient(rentals, runner, registry) : null,
+    factory: factory ? new SplitterFactoryClient(factory, runner) : null,
+    splitter: (address) => new SplitterClient(address, runner),
+  };
+}
+
+module.exports = {
+  NATIVE,
+  abis,
+  StrDomainsError,
+  decodeError,
+  ensureAllowance,
+  RegistryClient,
+  MarketplaceClient,
+  UsdMarketClient,
+  RentalMarketClient,
+  SplitterClient,
+  SplitterFactoryClient,
+  connect,
+};
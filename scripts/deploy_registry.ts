@@ -1,6 +1,237 @@
-import { ethers } from "hardhat";
+import { ethers, network, upgrades } from "hardhat";
 import * as dotenv from "dotenv";
-dotenv.config();
+import type { ContractTransactionResponse } from "ethers";
+import {
+  DeploymentConfig,
+  DeploymentManifest,
+  manifestPath,
+  readManifest,
+  writeManifest,
+} from "../lib/deployments";
+dotenv.config({ quiet: true });
+
+const MINTER_ROLE = ethers.id("MINTER_ROLE");
+const SALES_ROLE = ethers.id("SALES_ROLE");
+// Deployed as UUPS proxies; their arguments go to initialize()
+const PROXIED = ["StrDomainsNFT", "Marketplace"];
+
+// Constructor arguments as stored in the manifest (bigints as strings)
+function serialize(args: unknown[]) {
+  return JSON.parse(
+    JSON.stringify(args, (_, v) => (typeof v === "bigint" ? v.toString() : v)),
+  );
+}
+
+/**
+ * Deploys and wires the whole system, recording every step in `manifestFile`.
+ * Steps already recorded there are skipped, so a failed run can simply be started again.
+ */
+export async function deployRegistry(
+  config: DeploymentConfig,
+  manifestFile = manifestPath(network.name),
+): Promise<DeploymentManifest> {
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  const [deployer] = await ethers.getSigners();
+
+  const manifest: DeploymentManifest = readManifest(manifestFile) ?? {
+    network: network.name,
+    chainId,
+    config,
+    contracts: {},
+    steps: {},
+  };
+  if (manifest.chainId !== chainId) {
+    throw new Error(
+      `${manifestFile} is for chain ${manifest.chainId}, connected to ${chainId}`,
+    );
+  }
+  if (JSON.stringify(manifest.config) !== JSON.stringify(config)) {
+    throw new Error(
+      `${manifestFile} was created with another configuration; move it away to start over`,
+    );
+  }
+  const save = () => writeManifest(manifestFile, manifest);
+
+  async function deploy(name: string, args: unknown[]) {
+    const recorded = manifest.contracts[name];
+    if (recorded) {
+      if (JSON.stringify(recorded.args) !== JSON.stringify(serialize(args))) {
+        throw new Error(`${name} was deployed with other arguments`);
+      }
+      if ((await ethers.provider.getCode(recorded.address)) === "0x") {
+        throw new Error(`${name}: no code at ${recorded.address}`);
+      }
+      console.log(`${name}: ${recorded.address} (already deployed)`);
+      return recorded.address;
+    }
+
+    const Factory = await ethers.getContractFactory(name);
+    const proxied = PROXIED.includes(name);
+    const contract = proxied
+      ? await upgrades.deployProxy(Factory, args, { kind: "uups" })
+      : await Factory.deploy(...args);
+    const receipt = await contract.deploymentTransaction()!.wait();
+    const address = await contract.getAddress();
+    manifest.contracts[name] = {
+      address,
+      args: serialize(args),
+      txHash: receipt!.hash,
+      blockNumber: receipt!.blockNumber,
+      ...(proxied && {
+        implementation:
+          await upgrades.erc1967.getImplementationAddress(address),
+      }),
+    };
+    save();
+    console.log(`${name}: ${address}`);
+    return address;
+  }
+
+  // `done` checks the chain, so a step whose transaction was mined but not recorded is not resent
+  async function configure(
+    step: string,
+    done: () => Promise<boolean>,
+    send: () => Promise<ContractTransactionResponse>,
+  ) {
+    if (manifest.steps[step]) {
+      console.log(`${step} (already done)`);
+      return;
+    }
+    if (await done()) {
+      manifest.steps[step] = { txHash: null, blockNumber: null };
+    } else {
+      const receipt = await (await send()).wait();
+      manifest.steps[step] = {
+        txHash: receipt!.hash,
+        blockNumber: receipt!.blockNumber,
+      };
+    }
+    save();
+    console.log(step);
+  }
+
+  console.log("Deploying with:", deployer.address);
+
+  // 1) RoyaltySplitter (имплементация)
+  const splitterImplAddr = await deploy("RoyaltySplitter", []);
+
+  // 2) RoyaltySplitterFactory (клоны EIP-1167)
+  const factoryAddr = await deploy("RoyaltySplitterFactory", [
+    splitterImplAddr,
+  ]);
+
+  //3) StrDomainsNFT (реестр, роялти по умолчанию config.royaltyBps; доли создателя/казны
+  // задаются setRoyaltyDefaults ниже), UUPS-прокси
+  const registryAddr = await deploy("StrDomainsNFT", [
+    "Str Domains",
+    "STRDOM",
+    config.nftTreasury,
+    factoryAddr,
+    config.royaltyBps,
+  ]);
+  const registry = await ethers.getContractAt("StrDomainsNFT", registryAddr);
+  const treasuryShareBps = 10_000 - config.creatorShareBps;
+  await configure(
+    `StrDomainsNFT.setRoyaltyDefaults(${config.royaltyBps}, ${config.creatorShareBps}, ${treasuryShareBps})`,
+    async () =>
+      Number(await registry.creatorShareBps()) === config.creatorShareBps,
+    () =>
+      registry.setRoyaltyDefaults(
+        config.royaltyBps,
+        config.creatorShareBps,
+        treasuryShareBps,
+      ),
+  );
+
+  // 4) Marketplace (UUPS proxy, listings and EIP-712 signed orders) and
+  // 5) AuctionHouse (English / Dutch auctions), with the same fee setup
+  const marketAddrs: string[] = [];
+  for (const name of ["Marketplace", "AuctionHouse"]) {
+    marketAddrs.push(
+      await deploy(name, [
+        config.marketplaceTreasury,
+        config.marketplaceFeeBps,
+      ]),
+    );
+  }
+
+  // 6) RentalMarket (ERC-4907 leases), following the Marketplace allowlists and pause switch
+  await deploy("RentalMarket", [
+    config.marketplaceTreasury,
+    config.marketplaceFeeBps,
+    marketAddrs[0],
+  ]);
+
+  // 7) StrRegistrarController (public commit-reveal registration; prices are set afterwards)
+  const controllerAddr = await deploy("StrRegistrarController", [
+    registryAddr,
+    60,
+    24 * 60 * 60,
+  ]);
+  await configure(
+    "StrDomainsNFT.grantRole(MINTER_ROLE, StrRegistrarController)",
+    () => registry.hasRole(MINTER_ROLE, controllerAddr),
+    () => registry.grantRole(MINTER_ROLE, controllerAddr),
+  );
+
+  // 8) StrResolver (address/text/contenthash records and primary names)
+  await deploy("StrResolver", [registryAddr]);
+
+  // 9) StrDomainsMetadata (on-chain JSON/SVG, enabled per token with setGeneratedMetadata)
+  const metadataAddr = await deploy("StrDomainsMetadata", [registryAddr]);
+  await configure(
+    "StrDomainsNFT.setMetadataRenderer(StrDomainsMetadata)",
+    async () => (await registry.metadataRenderer()) === metadataAddr,
+    () => registry.setMetadataRenderer(metadataAddr),
+  );
+
+  // 10) the markets record sales on the collection
+  for (const [i, name] of ["Marketplace", "AuctionHouse"].entries()) {
+    await configure(
+      `StrDomainsNFT.grantRole(SALES_ROLE, ${name})`,
+      () => registry.hasRole(SALES_ROLE, marketAddrs[i]),
+      () => registry.grantRole(SALES_ROLE, marketAddrs[i]),
+    );
+  }
+
+  // 11) the Marketplace only accepts allowlisted collections (ERC20 payment tokens are added with ops)
+  const marketplace = await ethers.getContractAt("Marketplace", marketAddrs[0]);
+  await configure(
+    "Marketplace.setCollectionAllowed(StrDomainsNFT)",
+    () => marketplace.allowedCollections(registryAddr),
+    () => marketplace.setCollectionAllowed(registryAddr, true),
+  );
+
+  // 12) UsdPriceOracle converts USD-priced listings (its token feeds are set with ops price-feed)
+  const oracleAddr = await deploy("UsdPriceOracle", []);
+
+  // 13) UsdMarket (USD-priced listings), following the Marketplace allowlists; it records sales too
+  const usdMarketAddr = await deploy("UsdMarket", [
+    config.marketplaceTreasury,
+    config.marketplaceFeeBps,
+    marketAddrs[0],
+    oracleAddr,
+  ]);
+  await configure(
+    "StrDomainsNFT.grantRole(SALES_ROLE, UsdMarket)",
+    () => registry.hasRole(SALES_ROLE, usdMarketAddr),
+    () => registry.grantRole(SALES_ROLE, usdMarketAddr),
+  );
+
+  // 14) OfferMarket (escrowed token offers and collection bids), following the Marketplace allowlists
+  const offerMarketAddr = await deploy("OfferMarket", [
+    config.marketplaceTreasury,
+    config.marketplaceFeeBps,
+    marketAddrs[0],
+  ]);
+  await configure(
+    "StrDomainsNFT.grantRole(SALES_ROLE, OfferMarket)",
+    () => registry.hasRole(SALES_ROLE, offerMarketAddr),
+    () => registry.grantRole(SALES_ROLE, offerMarketAddr),
+  );
+
+  return manifest;
+}
 
 async function main() {
   const isProduction = process.env.PRODUCTION === "true";
@@ -8,8 +239,6 @@ async function main() {
   const [deployer, marketplaceTreasury, RoyaltyNftTreasury] =
     await ethers.getSigners();
 
-  console.log("Deploying with:", deployer.address);
-
   const balance = await deployer.provider.getBalance(deployer.address);
   console.log("Deployer balance:", ethers.formatEther(balance));
 
@@ -28,81 +257,58 @@ async function main() {
     throw new Error("Set FEE_MARKETPLACE_BPS in .env");
   if (!process.env.ROYALTY) throw new Error("Set ROYALTY in .env");
 
-  const MARKETPLACE_TREASURY = isProduction
-    ? process.env.MARKETPLACE_TREASURY
-    : marketplaceTreasury.address;
-  const FEE_MARKETPLACE_BPS = isProduction
-    ? process.env.FEE_MARKETPLACE_BPS
-    : 250; // 2.5%
-  const NFT_ROYALTY_TREASURY = isProduction
-    ? process.env.NFT_ROYALTY_TREASURY
-    : RoyaltyNftTreasury.address;
-  const ROYALTY = isProduction ? process.env.ROYALTY : 500; // 5%
-
-  // 1) RoyaltySplitter (имплементация)
-  const Splitter = await ethers.getContractFactory("RoyaltySplitter");
-  const splitterImpl = await Splitter.deploy();
-  await splitterImpl.waitForDeployment();
-  const splitterImplAddr = await splitterImpl.getAddress();
-  console.log("RoyaltySplitter implementation:", splitterImplAddr);
-
-  // 2) RoyaltySplitterFactory (клоны EIP-1167)
-  const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
-  const factory = await Factory.deploy(splitterImplAddr);
-  await factory.waitForDeployment();
-  const factoryAddr = await factory.getAddress();
-  console.log("RoyaltySplitterFactory:", factoryAddr);
-
-  //3) StrDomainsNFT (реестр с фикс-роялти 5%: 2% создателю, 3% казне)
-  const Registry = await ethers.getContractFactory("StrDomainsNFT");
-  // последний аргумент в конструкторе игнорируется (для совместимости)
-  const registry = await Registry.deploy(
-    "Str Domains",
-    "STRDOM",
-    NFT_ROYALTY_TREASURY,
-    factoryAddr,
-    ROYALTY,
-  );
-  await registry.waitForDeployment();
-  const registryAddr = await registry.getAddress();
-  console.log("StrDomainsNFT:", registryAddr);
-
-  // 4)Marketplace deployment
-  const Marketplace = await ethers.getContractFactory("Marketplace");
-  const MarketplaceInstance = await Marketplace.deploy(
-    MARKETPLACE_TREASURY,
-    FEE_MARKETPLACE_BPS,
-  );
-  await MarketplaceInstance.waitForDeployment();
-  const marketplaceAddr = await MarketplaceInstance.getAddress();
-
-  const SALES_ROLE = ethers.id("SALES_ROLE");
+  const config: DeploymentConfig = {
+    admin: deployer.address,
+    marketplaceTreasury: isProduction
+      ? process.env.MARKETPLACE_TREASURY
+      : marketplaceTreasury.address,
+    marketplaceFeeBps: isProduction
+      ? Number(process.env.FEE_MARKETPLACE_BPS)
+      : 250, // 2.5%
+    nftTreasury: isProduction
+      ? process.env.NFT_ROYALTY_TREASURY
+      : RoyaltyNftTreasury.address,
+    royaltyBps: isProduction ? Number(process.env.ROYALTY) : 500, // 5%
+    // 40% of the royalty to the creator, 60% to the treasury unless configured
+    creatorShareBps: Number(process.env.ROYALTY_CREATOR_SHARE ?? 4000),
+  };
 
-  const tx = await registry.grantRole(SALES_ROLE, marketplaceAddr);
-  await tx.wait();
-
-  const hasRole = await registry.hasRole(SALES_ROLE, marketplaceAddr);
-  if (!hasRole) throw new Error("Marketplace should have SALES_ROLE");
+  const manifestFile = manifestPath(network.name);
+  const manifest = await deployRegistry(config, manifestFile);
+  const address = (name: string) => manifest.contracts[name].address;
 
   console.log("\nDONE ✅ below you can find all the setup data");
   console.log("===============================\n");
 
-  console.log(`Deployer: ${deployer.address}\n`);
+  console.log(`Deployer: ${deployer.address}`);
+  console.log(`Manifest: ${manifestFile}\n`);
 
-  console.log(`SPLITTER_IMPLEMENTATION_ADDRESS=${splitterImplAddr}`);
-  console.log(`SPLITTER_FACTORY_ADDRESS=${factoryAddr}`);
-  console.log(`STR_DOMAIN_NFT_COLLECTION=${registryAddr}`);
-  console.log(`MARKETPLACE_ADDRESS=${marketplaceAddr}`);
+  console.log(`SPLITTER_IMPLEMENTATION_ADDRESS=${address("RoyaltySplitter")}`);
+  console.log(`SPLITTER_FACTORY_ADDRESS=${address("RoyaltySplitterFactory")}`);
+  console.log(`STR_DOMAIN_NFT_COLLECTION=${address("StrDomainsNFT")}`);
+  console.log(`MARKETPLACE_ADDRESS=${address("Marketplace")}`);
+  console.log(`AUCTION_HOUSE_ADDRESS=${address("AuctionHouse")}`);
+  console.log(`RENTAL_MARKET_ADDRESS=${address("RentalMarket")}`);
+  console.log(
+    `REGISTRAR_CONTROLLER_ADDRESS=${address("StrRegistrarController")}`,
+  );
+  console.log(`RESOLVER_ADDRESS=${address("StrResolver")}`);
+  console.log(`METADATA_RENDERER_ADDRESS=${address("StrDomainsMetadata")}`);
+  console.log(`USD_PRICE_ORACLE_ADDRESS=${address("UsdPriceOracle")}`);
+  console.log(`USD_MARKET_ADDRESS=${address("UsdMarket")}`);
+  console.log(`OFFER_MARKET_ADDRESS=${address("OfferMarket")}`);
 
   console.log(`\n=============Treasury==========\n`);
 
-  console.log(`NFT_ROYALTY_TREASURY=${NFT_ROYALTY_TREASURY}`);
-  console.log(`MARKETPLACE_TREASURY=${MARKETPLACE_TREASURY}`);
+  console.log(`NFT_ROYALTY_TREASURY=${config.nftTreasury}`);
+  console.log(`MARKETPLACE_TREASURY=${config.marketplaceTreasury}`);
 
   console.log("\n===============================\n");
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
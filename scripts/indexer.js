@@ -0,0 +1,108 @@
+// Local event indexer and query CLI.
+//
+//   node scripts/indexer.js sync [--follow]
+//   node scripts/indexer.js owners <name|tokenId>
+//   node scripts/indexer.js sales [name|tokenId]
+//   node scripts/indexer.js listings [--seller <address>] [--nft <address>]
+//   node scripts/indexer.js royalties [splitter]
+//
+// Configuration (.env or environment): RPC_URL, STR_DOMAIN_NFT_COLLECTION, MARKETPLACE_ADDRESS,
+// SPLITTER_FACTORY_ADDRESS, INDEXER_START_BLOCK, INDEXER_CONFIRMATIONS, INDEXER_DB.
+require("dotenv").config({ quiet: true });
+const { ethers } = require("ethers");
+const {
+  JsonStore,
+  Indexer,
+  ownershipHistory,
+  saleHistory,
+  openListings,
+  splitterRoyalties,
+} = require("../lib/indexer");
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        flags[key] = true;
+      } else {
+        flags[key] = next;
+        i++;
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+function print(rows) {
+  console.log(JSON.stringify(rows, null, 2));
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command, arg] = positional;
+  const store = new JsonStore(process.env.INDEXER_DB || "indexer-db.json");
+
+  switch (command) {
+    case "sync": {
+      const provider = new ethers.JsonRpcProvider(
+        process.env.RPC_URL || "http://127.0.0.1:8545",
+      );
+      const indexer = new Indexer({
+        provider,
+        store,
+        contracts: {
+          registry: process.env.STR_DOMAIN_NFT_COLLECTION,
+          marketplace: process.env.MARKETPLACE_ADDRESS,
+          usdMarket: process.env.USD_MARKET_ADDRESS,
+          factory: process.env.SPLITTER_FACTORY_ADDRESS,
+        },
+        startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+      });
+
+      const last = await indexer.sync();
+      console.log(
+        `Indexed up to block ${last} (${store.events.length} events)`,
+      );
+      if (flags.follow) {
+        console.log("Following new blocks, Ctrl+C to stop");
+        const stop = indexer.follow();
+        process.on("SIGINT", () => {
+          stop();
+          provider.destroy();
+        });
+      } else {
+        provider.destroy();
+      }
+      break;
+    }
+    case "owners":
+      if (!arg) throw new Error("Usage: owners <name|tokenId>");
+      print(ownershipHistory(store, arg));
+      break;
+    case "sales":
+      print(saleHistory(store, arg));
+      break;
+    case "listings":
+      print(openListings(store, { seller: flags.seller, nft: flags.nft }));
+      break;
+    case "royalties":
+      print(splitterRoyalties(store, arg));
+      break;
+    default:
+      throw new Error(
+        "Usage: indexer.js <sync [--follow] | owners | sales | listings | royalties>",
+      );
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message ?? e);
+  process.exit(1);
+});
@@ -0,0 +1,405 @@
+import { scope } from "hardhat/config";
+import type { HardhatRuntimeEnvironment } from "hardhat/types";
+import { ethers, Contract, EventLog } from "ethers";
+import { abis } from "../lib/sdk";
+import {
+  DeploymentManifest,
+  manifestPath,
+  readManifest,
+  writeManifest,
+} from "../lib/deployments";
+
+// Post-deploy checks of a manifest against the chain, and upgrades of the UUPS proxies:
+//   npx hardhat --network <network> deployment verify [--manifest <file>]
+//   npx hardhat --network <network> deployment upgrade <contract> [--to <contract>] [--dry-run] [--manifest <file>]
+// Both print a JSON report and exit non-zero on failure.
+
+const ROLE_NAMES: Record<string, string> = {
+  [ethers.ZeroHash]: "DEFAULT_ADMIN_ROLE",
+  [ethers.id("MINTER_ROLE")]: "MINTER_ROLE",
+  [ethers.id("SALES_ROLE")]: "SALES_ROLE",
+};
+// Markets that record sales on the registry; RentalMarket only charges the same fee
+const MARKETS = ["Marketplace", "AuctionHouse", "UsdMarket", "OfferMarket"];
+const FEE_MARKETS = [...MARKETS, "RentalMarket"];
+
+export interface DeploymentCheck {
+  contract: string;
+  check: string;
+  expected: unknown;
+  actual: unknown;
+  ok: boolean;
+}
+
+function sameAddresses(a: string[], b: string[]) {
+  const norm = (list: string[]) => list.map((x) => ethers.getAddress(x)).sort();
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+// Holders per role, replayed from RoleGranted/RoleRevoked since the deployment block
+async function roleHolders(contract: Contract, fromBlock: number) {
+  const events = [
+    ...(await contract.queryFilter(contract.filters.RoleGranted(), fromBlock)),
+    ...(await contract.queryFilter(contract.filters.RoleRevoked(), fromBlock)),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const holders: Record<string, Set<string>> = {};
+  for (const event of events) {
+    if (!(event instanceof EventLog)) continue;
+    const [role, account] = event.args;
+    holders[role] ??= new Set();
+    if (event.eventName === "RoleGranted") holders[role].add(account);
+    else holders[role].delete(account);
+  }
+  return holders;
+}
+
+// Role holders the deployer sets up; the admin keeps DEFAULT_ADMIN_ROLE everywhere
+function expectedRoles(manifest: DeploymentManifest) {
+  const address = (name: string) => manifest.contracts[name]?.address;
+  const admin = manifest.config.admin;
+  const expected: Record<string, Record<string, string[]>> = {
+    StrDomainsNFT: {
+      [ethers.ZeroHash]: [admin],
+      [ethers.id("MINTER_ROLE")]: [admin, address("StrRegistrarController")],
+      [ethers.id("SALES_ROLE")]: MARKETS.map(address),
+    },
+  };
+  for (const name of [
+    ...FEE_MARKETS,
+    "RoyaltySplitterFactory",
+    "StrRegistrarController",
+    "UsdPriceOracle",
+  ]) {
+    expected[name] = { [ethers.ZeroHash]: [admin] };
+  }
+  // contracts missing from the manifest are not expected to hold roles
+  for (const roles of Object.values(expected)) {
+    for (const role of Object.keys(roles)) {
+      roles[role] = roles[role].filter(Boolean);
+    }
+  }
+  return expected;
+}
+
+/** Compares the live configuration of every contract in `manifest` with what the deployer set up. */
+export async function verifyDeployment(
+  hre: HardhatRuntimeEnvironment,
+  manifest: DeploymentManifest,
+): Promise<DeploymentCheck[]> {
+  const provider = hre.ethers.provider;
+  const { config, contracts } = manifest;
+  const checks: DeploymentCheck[] = [];
+  const check = (
+    contract: string,
+    name: string,
+    expected: unknown,
+    actual: unknown,
+    ok = expected === actual,
+  ) => checks.push({ contract, check: name, expected, actual, ok });
+  const at = (name: string) => contracts[name]?.address;
+
+  for (const [name, { address, implementation }] of Object.entries(contracts)) {
+    check(name, "code", true, (await provider.getCode(address)) !== "0x");
+    if (implementation) {
+      check(
+        name,
+        "implementation",
+        implementation,
+        await hre.upgrades.erc1967.getImplementationAddress(address),
+      );
+    }
+  }
+
+  if (at("StrDomainsNFT")) {
+    const registry = await hre.ethers.getContractAt(
+      "StrDomainsNFT",
+      at("StrDomainsNFT"),
+    );
+    check(
+      "StrDomainsNFT",
+      "treasury",
+      config.nftTreasury,
+      await registry.treasury(),
+    );
+    check(
+      "StrDomainsNFT",
+      "defaultRoyaltyBps",
+      config.royaltyBps,
+      Number(await registry.defaultRoyaltyBps()),
+    );
+    check(
+      "StrDomainsNFT",
+      "creatorShareBps",
+      config.creatorShareBps,
+      Number(await registry.creatorShareBps()),
+    );
+    if (at("RoyaltySplitterFactory")) {
+      check(
+        "StrDomainsNFT",
+        "splitterFactory",
+        at("RoyaltySplitterFactory"),
+        await registry.splitterFactory(),
+      );
+    }
+    if (at("StrDomainsMetadata")) {
+      check(
+        "StrDomainsNFT",
+        "metadataRenderer",
+        at("StrDomainsMetadata"),
+        await registry.metadataRenderer(),
+      );
+    }
+  }
+
+  if (at("Marketplace") && at("StrDomainsNFT")) {
+    const marketplace = new Contract(
+      at("Marketplace"),
+      abis.MARKETPLACE_ABI,
+      provider,
+    );
+    check(
+      "Marketplace",
+      "StrDomainsNFT allowed",
+      true,
+      await marketplace.allowedCollections(at("StrDomainsNFT")),
+    );
+  }
+
+  if (at("RentalMarket") && at("Marketplace")) {
+    const rentals = new Contract(
+      at("RentalMarket"),
+      abis.RENTAL_MARKET_ABI,
+      provider,
+    );
+    check(
+      "RentalMarket",
+      "marketplace",
+      at("Marketplace"),
+      await rentals.marketplace(),
+    );
+  }
+
+  if (at("OfferMarket") && at("Marketplace")) {
+    const offerMarket = new Contract(
+      at("OfferMarket"),
+      abis.OFFER_MARKET_ABI,
+      provider,
+    );
+    check(
+      "OfferMarket",
+      "marketplace",
+      at("Marketplace"),
+      await offerMarket.marketplace(),
+    );
+  }
+
+  if (at("UsdMarket") && at("Marketplace")) {
+    const usdMarket = new Contract(
+      at("UsdMarket"),
+      abis.USD_MARKET_ABI,
+      provider,
+    );
+    check(
+      "UsdMarket",
+      "marketplace",
+      at("Marketplace"),
+      await usdMarket.marketplace(),
+    );
+    if (at("UsdPriceOracle")) {
+      check(
+        "UsdMarket",
+        "priceOracle",
+        at("UsdPriceOracle"),
+        await usdMarket.priceOracle(),
+      );
+    }
+  }
+
+  for (const name of FEE_MARKETS.filter(at)) {
+    const market = new Contract(at(name), abis.MARKETPLACE_ABI, provider);
+    check(
+      name,
+      "feeTreasury",
+      config.marketplaceTreasury,
+      await market.feeTreasury(),
+    );
+    check(
+      name,
+      "marketplaceFeeBps",
+      config.marketplaceFeeBps,
+      Number(await market.marketplaceFeeBps()),
+    );
+  }
+
+  if (at("RoyaltySplitterFactory")) {
+    const factory = await hre.ethers.getContractAt(
+      "RoyaltySplitterFactory",
+      at("RoyaltySplitterFactory"),
+    );
+    check(
+      "RoyaltySplitterFactory",
+      "implementation",
+      at("RoyaltySplitter"),
+      await factory.implementation(),
+    );
+  }
+
+  for (const name of [
+    "StrRegistrarController",
+    "StrResolver",
+    "StrDomainsMetadata",
+  ].filter(at)) {
+    const dependent = new Contract(
+      at(name),
+      ["function registry() view returns (address)"],
+      provider,
+    );
+    check(name, "registry", at("StrDomainsNFT"), await dependent.registry());
+  }
+
+  for (const [name, expected] of Object.entries(expectedRoles(manifest))) {
+    if (!at(name)) continue;
+    const contract = new Contract(at(name), abis.ACCESS_CONTROL_ABI, provider);
+    const holders = await roleHolders(
+      contract,
+      contracts[name].blockNumber ?? 0,
+    );
+    for (const role of new Set([
+      ...Object.keys(expected),
+      ...Object.keys(holders),
+    ])) {
+      const want = expected[role] ?? [];
+      const have = [...(holders[role] ?? [])];
+      check(
+        name,
+        `${ROLE_NAMES[role] ?? role} holders`,
+        want,
+        have,
+        sameAddresses(want, have),
+      );
+    }
+  }
+
+  return checks;
+}
+
+const deployment = scope("deployment", "Deployment manifest tools");
+
+deployment
+  .task("verify", "Check the live wiring of a deployment against its manifest")
+  .addOptionalParam(
+    "manifest",
+    "Deployment manifest (default: deployments/<network>.json)",
+  )
+  .setAction(async (args: { manifest?: string }, hre) => {
+    const file = args.manifest ?? manifestPath(hre.network.name);
+    const manifest = readManifest(file);
+    if (!manifest) throw new Error(`No deployment manifest at ${file}`);
+
+    const checks = await verifyDeployment(hre, manifest);
+    const failed = checks.filter((c) => !c.ok);
+    console.log(
+      JSON.stringify(
+        { ok: failed.length === 0, network: hre.network.name, failed, checks },
+        null,
+        2,
+      ),
+    );
+    if (failed.length > 0) process.exitCode = 1;
+  });
+
+deployment
+  .task(
+    "upgrade",
+    "Upgrade a UUPS proxy of the manifest to the compiled contract",
+  )
+  .addPositionalParam(
+    "contract",
+    "Proxied contract name (StrDomainsNFT, Marketplace)",
+  )
+  .addOptionalParam(
+    "to",
+    "Contract to upgrade to when it was renamed (default: the same name)",
+  )
+  .addFlag("dryRun", "Only check that the new implementation is upgrade-safe")
+  .addOptionalParam(
+    "manifest",
+    "Deployment manifest (default: deployments/<network>.json)",
+  )
+  .setAction(
+    async (
+      args: {
+        contract: string;
+        to?: string;
+        dryRun: boolean;
+        manifest?: string;
+      },
+      hre,
+    ) => {
+      const file = args.manifest ?? manifestPath(hre.network.name);
+      const report: Record<string, unknown> = {
+        contract: args.contract,
+        to: args.to ?? args.contract,
+        network: hre.network.name,
+        dryRun: args.dryRun,
+      };
+      try {
+        const manifest = readManifest(file);
+        if (!manifest) throw new Error(`No deployment manifest at ${file}`);
+        const entry = manifest.contracts[args.contract];
+        if (!entry?.implementation) {
+          throw new Error(`${args.contract} is not a proxy in ${file}`);
+        }
+        const [signer] = await hre.ethers.getSigners();
+        const proxy = new Contract(
+          entry.address,
+          [
+            ...abis.ACCESS_CONTROL_ABI,
+            "function upgradeToAndCall(address newImplementation, bytes data) payable",
+          ],
+          signer,
+        );
+        if (!(await proxy.hasRole(ethers.ZeroHash, signer.address))) {
+          throw new Error(
+            `${signer.address} lacks DEFAULT_ADMIN_ROLE on ${args.contract}`,
+          );
+        }
+
+        // compares the storage layout with the implementation currently behind the proxy
+        const Factory = await hre.ethers.getContractFactory(
+          args.to ?? args.contract,
+        );
+        report.previousImplementation =
+          await hre.upgrades.erc1967.getImplementationAddress(entry.address);
+        if (args.dryRun) {
+          await hre.upgrades.validateUpgrade(entry.address, Factory, {
+            kind: "uups",
+          });
+        } else {
+          const implementation = String(
+            await hre.upgrades.prepareUpgrade(entry.address, Factory, {
+              kind: "uups",
+            }),
+          );
+          const receipt = await (
+            await proxy.upgradeToAndCall(implementation, "0x")
+          ).wait();
+          entry.implementation = implementation;
+          manifest.steps[
+            `${args.contract}.upgradeToAndCall(${implementation})`
+          ] = {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+          };
+          writeManifest(file, manifest);
+          Object.assign(report, { implementation, txHash: receipt.hash });
+        }
+        console.log(JSON.stringify({ ok: true, ...report }, null, 2));
+      } catch (err) {
+        const error = err instanceof Error ? err.message : String(err);
+        console.log(JSON.stringify({ ok: false, ...report, error }, null, 2));
+        process.exitCode = 1;
+      }
+    },
+  );
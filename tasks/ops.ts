@@ -0,0 +1,1051 @@
+import { scope } from "hardhat/config";
+import type { HardhatRuntimeEnvironment } from "hardhat/types";
+import type { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { ethers, Contract, Interface, ParamType, Result } from "ethers";
+import {
+  abis,
+  connect,
+  decodeError,
+  NATIVE,
+  StrDomainsClients,
+} from "../lib/sdk";
+import {
+  contractAddress,
+  DeploymentManifest,
+  manifestPath,
+  readManifest,
+} from "../lib/deployments";
+
+// Operations CLI: npx hardhat --network <network> ops <command> [arguments] [--dry-run]
+//
+// Contract addresses come from deployments/<network>.json (or --manifest). Every command checks
+// the signer's permissions before sending anything and prints a JSON document on stdout; with
+// --dry-run the transactions are simulated and their decoded results printed instead.
+
+const ops = scope("ops", "StrDomains operations with JSON output");
+
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+const MINTER_ROLE = ethers.id("MINTER_ROLE");
+
+interface Step {
+  label: string;
+  contract: Contract;
+  method: string;
+  args: unknown[];
+  value?: bigint;
+  // Later steps depend on its effect (e.g. an approval), so a dry run cannot simulate them
+  prerequisite?: boolean;
+}
+
+interface Plan {
+  checks: Record<string, unknown>;
+  steps: Step[];
+}
+
+interface Context {
+  network: string;
+  manifest: DeploymentManifest;
+  signer: HardhatEthersSigner;
+  sdk: StrDomainsClients;
+}
+
+interface CommonArgs {
+  dryRun: boolean;
+  manifest?: string;
+}
+
+const EVENT_INTERFACES = [
+  abis.STR_DOMAINS_NFT_ABI,
+  abis.MARKETPLACE_ABI,
+  abis.RENTAL_MARKET_ABI,
+  abis.USD_MARKET_ABI,
+  abis.OFFER_MARKET_ABI,
+  abis.ROYALTY_SPLITTER_ABI,
+  abis.ROYALTY_SPLITTER_FACTORY_ABI,
+  abis.USD_PRICE_ORACLE_ABI,
+  abis.ERC20_ABI,
+].map((abi) => new Interface(abi));
+
+function print(value: unknown) {
+  console.log(
+    JSON.stringify(
+      value,
+      (_, v) => (typeof v === "bigint" ? v.toString() : v),
+      2,
+    ),
+  );
+}
+
+function plain(value: unknown): unknown {
+  return value instanceof Result ? value.toArray(true) : value;
+}
+
+function named(params: readonly ParamType[], values: ArrayLike<unknown>) {
+  return Object.fromEntries(
+    params.map((p, i) => [p.name || String(i), plain(values[i])]),
+  );
+}
+
+async function context(
+  hre: HardhatRuntimeEnvironment,
+  manifestFile?: string,
+): Promise<Context> {
+  const network = hre.network.name;
+  const file = manifestFile ?? manifestPath(network);
+  const manifest = readManifest(file);
+  if (!manifest) throw new Error(`No deployment manifest at ${file}`);
+
+  const [signer] = await hre.ethers.getSigners();
+  const optional = (name: string) => manifest.contracts[name]?.address;
+  const sdk = connect(
+    {
+      registry: optional("StrDomainsNFT"),
+      marketplace: optional("Marketplace"),
+      usdMarket: optional("UsdMarket"),
+      rentals: optional("RentalMarket"),
+      factory: optional("RoyaltySplitterFactory"),
+    },
+    signer,
+  );
+  return { network, manifest, signer, sdk };
+}
+
+function required<T>(client: T | null, name: string): T {
+  if (!client) throw new Error(`${name} is not in the deployment manifest`);
+  return client;
+}
+
+// Manifest contract name or address
+function resolveContract(ctx: Context, nameOrAddress: string) {
+  return ethers.isAddress(nameOrAddress)
+    ? ethers.getAddress(nameOrAddress)
+    : contractAddress(ctx.manifest, nameOrAddress);
+}
+
+// Role name (MINTER_ROLE, DEFAULT_ADMIN_ROLE...) or bytes32 hash
+function resolveRole(role: string) {
+  if (role === "DEFAULT_ADMIN_ROLE" || role === "ADMIN_ROLE") {
+    return DEFAULT_ADMIN_ROLE;
+  }
+  return ethers.isHexString(role, 32) ? role : ethers.id(role);
+}
+
+async function requireRole(
+  contract: Contract,
+  role: string,
+  account: string,
+  label: string,
+) {
+  if (!(await contract.hasRole(role, account))) {
+    throw new Error(`${account} lacks ${label}`);
+  }
+}
+
+// Owner, approved address or operator of a token, like ERC721's own check
+async function requireTokenAuthority(
+  nft: Contract,
+  tokenId: bigint,
+  account: string,
+) {
+  const owner: string = await nft.ownerOf(tokenId);
+  const authorized =
+    owner === account ||
+    (await nft.getApproved(tokenId)) === account ||
+    (await nft.isApprovedForAll(owner, account));
+  if (!authorized) {
+    throw new Error(
+      `${account} is neither the owner of ${tokenId} nor approved`,
+    );
+  }
+  return owner;
+}
+
+function decodeEvents(
+  logs: readonly { address: string; topics: readonly string[]; data: string }[],
+) {
+  const events = [];
+  for (const log of logs) {
+    for (const iface of EVENT_INTERFACES) {
+      let parsed;
+      try {
+        parsed = iface.parseLog(log);
+      } catch {
+        continue; // same signature, different indexing (ERC20 vs ERC721 Transfer)
+      }
+      if (!parsed) continue;
+      events.push({
+        address: log.address,
+        name: parsed.name,
+        args: named(parsed.fragment.inputs, parsed.args),
+      });
+      break;
+    }
+  }
+  return events;
+}
+
+async function execute(steps: Step[], dryRun: boolean) {
+  const transactions = [];
+  let blocked = false;
+  for (const step of steps) {
+    const fn = step.contract.getFunction(step.method);
+    const overrides = { value: step.value ?? 0n };
+    const entry = {
+      step: step.label,
+      to: step.contract.target as string,
+      method: fn.fragment.format(),
+      args: step.args,
+      value: overrides.value,
+    };
+
+    if (dryRun) {
+      if (blocked) {
+        transactions.push({ ...entry, simulated: false });
+        continue;
+      }
+      const result = await fn.staticCallResult(...step.args, overrides);
+      const gasEstimate = await fn.estimateGas(...step.args, overrides);
+      transactions.push({
+        ...entry,
+        simulated: true,
+        result: named(fn.fragment.outputs, result),
+        gasEstimate,
+      });
+      blocked = Boolean(step.prerequisite);
+    } else {
+      const tx = await fn.send(...step.args, overrides);
+      const receipt = (await tx.wait())!;
+      transactions.push({
+        ...entry,
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        events: decodeEvents(receipt.logs),
+      });
+    }
+  }
+  return transactions;
+}
+
+function command<A>(
+  name: string,
+  description: string,
+  plan: (ctx: Context, args: A) => Promise<Plan>,
+) {
+  return ops
+    .task(name, description)
+    .addFlag(
+      "dryRun",
+      "Simulate the transactions and print the decoded results",
+    )
+    .addOptionalParam(
+      "manifest",
+      "Deployment manifest (default: deployments/<network>.json)",
+    )
+    .setAction(async (args: A & CommonArgs, hre) => {
+      try {
+        const ctx = await context(hre, args.manifest);
+        const { checks, steps } = await plan(ctx, args);
+        const transactions = await execute(steps, args.dryRun);
+        print({
+          ok: true,
+          command: name,
+          network: ctx.network,
+          signer: ctx.signer.address,
+          dryRun: args.dryRun,
+          checks,
+          transactions,
+        });
+      } catch (e) {
+        const revert = decodeError(e);
+        print({
+          ok: false,
+          command: name,
+          error: revert
+            ? {
+                kind: revert.kind,
+                reason: revert.reason,
+                args: revert.args.map(plain),
+              }
+            : { message: (e as Error).message },
+        });
+        process.exitCode = 1;
+      }
+    });
+}
+
+// ---------- DOMAINS ----------
+command<{ domain: string; to?: string; uri: string }>(
+  "mint",
+  "Mint a domain (MINTER_ROLE)",
+  async (ctx, args) => {
+    const registry = required(ctx.sdk.registry, "StrDomainsNFT").contract;
+    await requireRole(
+      registry,
+      MINTER_ROLE,
+      ctx.signer.address,
+      "MINTER_ROLE on StrDomainsNFT",
+    );
+    const to = ethers.getAddress(args.to ?? ctx.signer.address);
+    return {
+      checks: { minter: true },
+      steps: [
+        {
+          label: "mint",
+          contract: registry,
+          method: "mint",
+          args: [to, args.uri, args.domain],
+        },
+      ],
+    };
+  },
+)
+  .addPositionalParam("domain", "Full name, e.g. alice.str")
+  .addOptionalParam("to", "Recipient (default: signer)")
+  .addOptionalParam("uri", "Token URI", "");
+
+command<{ tokenId: string }>(
+  "burn",
+  "Burn a token (DEFAULT_ADMIN_ROLE, and owner or approved)",
+  async (ctx, args) => {
+    const registry = required(ctx.sdk.registry, "StrDomainsNFT").contract;
+    const tokenId = BigInt(args.tokenId);
+    await requireRole(
+      registry,
+      DEFAULT_ADMIN_ROLE,
+      ctx.signer.address,
+      "DEFAULT_ADMIN_ROLE on StrDomainsNFT",
+    );
+    const owner = await requireTokenAuthority(
+      registry,
+      tokenId,
+      ctx.signer.address,
+    );
+    return {
+      checks: { admin: true, owner },
+      steps: [
+        { label: "burn", contract: registry, method: "burn", args: [tokenId] },
+      ],
+    };
+  },
+).addPositionalParam("tokenId", "Token id");
+
+command<{ tokenId: string; to: string; data?: string; unsafe: boolean }>(
+  "transfer",
+  "Transfer a token (owner or approved)",
+  async (ctx, args) => {
+    const registry = required(ctx.sdk.registry, "StrDomainsNFT").contract;
+    const tokenId = BigInt(args.tokenId);
+    const to = ethers.getAddress(args.to);
+    const owner = await requireTokenAuthority(
+      registry,
+      tokenId,
+      ctx.signer.address,
+    );
+
+    let step: Step;
+    if (args.unsafe) {
+      step = {
+        label: "transfer",
+        contract: registry,
+        method: "transferFrom",
+        args: [owner, to, tokenId],
+      };
+    } else if (args.data) {
+      step = {
+        label: "transfer",
+        contract: registry,
+        method: "safeTransferFrom(address,address,uint256,bytes)",
+        args: [owner, to, tokenId, args.data],
+      };
+    } else {
+      step = {
+        label: "transfer",
+        contract: registry,
+        method: "safeTransferFrom(address,address,uint256)",
+        args: [owner, to, tokenId],
+      };
+    }
+    return { checks: { owner }, steps: [step] };
+  },
+)
+  .addPositionalParam("tokenId", "Token id")
+  .addPositionalParam("to", "Recipient")
+  .addOptionalParam("data", "Hex data passed to onERC721Received")
+  .addFlag("unsafe", "Use transferFrom instead of safeTransferFrom");
+
+// ---------- MARKETPLACE ----------
+command<{
+  tokenId: string;
+  price: string;
+  token?: string;
+  nft?: string;
+  nonCustodial: boolean;
+  usd: boolean;
+  approveAll: boolean;
+}>(
+  "list",
+  "List a token on the Marketplace (or the UsdMarket with --usd), approving it first if needed",
+  async (ctx, args) => {
+    if (args.usd && args.nonCustodial)
+      throw new Error("USD listings cannot be non-custodial");
+    const marketplace = args.usd
+      ? required(ctx.sdk.usdMarket, "UsdMarket")
+      : required(ctx.sdk.marketplace, "Marketplace");
+    const nftAddress = args.nft
+      ? resolveContract(ctx, args.nft)
+      : required(ctx.sdk.registry, "StrDomainsNFT").address;
+    const nft = new Contract(nftAddress, abis.STR_DOMAINS_NFT_ABI, ctx.signer);
+    const tokenId = BigInt(args.tokenId);
+    const price = BigInt(args.price);
+    const paymentToken = args.token ? ethers.getAddress(args.token) : NATIVE;
+
+    const owner = await nft.ownerOf(tokenId);
+    if (owner !== ctx.signer.address)
+      throw new Error(`${ctx.signer.address} does not own ${tokenId}`);
+
+    const steps: Step[] = [];
+    const approved =
+      (await nft.isApprovedForAll(owner, marketplace.address)) ||
+      (await nft.getApproved(tokenId)) === marketplace.address;
+    if (!approved) {
+      steps.push({
+        label: "approve marketplace",
+        contract: nft,
+        ...(args.approveAll
+          ? { method: "setApprovalForAll", args: [marketplace.address, true] }
+          : { method: "approve", args: [marketplace.address, tokenId] }),
+        prerequisite: true,
+      });
+    }
+    steps.push(
+      args.usd
+        ? {
+            label: "list",
+            contract: marketplace.contract,
+            method: "listToken",
+            args: [nftAddress, tokenId, price, paymentToken],
+          }
+        : args.nonCustodial
+          ? {
+              label: "list",
+              contract: marketplace.contract,
+              method: "listTokenNonCustodial",
+              args: [nftAddress, tokenId, price, paymentToken],
+            }
+          : paymentToken === NATIVE
+            ? {
+                label: "list",
+                contract: marketplace.contract,
+                method: "listToken",
+                args: [nftAddress, tokenId, price],
+              }
+            : {
+                label: "list",
+                contract: marketplace.contract,
+                method: "listTokenERC20",
+                args: [nftAddress, tokenId, price, paymentToken],
+              },
+    );
+    // a USD price is quoted at the current oracle price
+    const sale = { nft: nftAddress, tokenId };
+    return {
+      checks: {
+        owner,
+        approved,
+        quote: args.usd
+          ? await required(ctx.sdk.usdMarket, "UsdMarket").quote({
+              ...sale,
+              usdPrice: price,
+              paymentToken,
+            })
+          : await required(ctx.sdk.marketplace, "Marketplace").quote({
+              ...sale,
+              price,
+            }),
+      },
+      steps,
+    };
+  },
+)
+  .addPositionalParam("tokenId", "Token id")
+  .addPositionalParam(
+    "price",
+    "Price in base units (wei or ERC20 units), or in USD with 8 decimals with --usd",
+  )
+  .addOptionalParam("token", "ERC20 payment token (default: native currency)")
+  .addOptionalParam(
+    "nft",
+    "Collection name or address (default: StrDomainsNFT)",
+  )
+  .addFlag("nonCustodial", "Keep the token in the wallet until it is bought")
+  .addFlag("usd", "Price in USD, paid in the payment token at the oracle price")
+  .addFlag(
+    "approveAll",
+    "Approve the market for the whole collection instead of this token",
+  );
+
+command<{ listingId: string; usd: boolean }>(
+  "cancel",
+  "Cancel a listing (seller)",
+  async (ctx, args) => {
+    const marketplace = args.usd
+      ? required(ctx.sdk.usdMarket, "UsdMarket")
+      : required(ctx.sdk.marketplace, "Marketplace");
+    const listing = await marketplace.getListing(args.listingId);
+    if (!listing.active)
+      throw new Error(`Listing ${args.listingId} is not active`);
+    if (listing.seller !== ctx.signer.address)
+      throw new Error(`${ctx.signer.address} is not the seller`);
+    return {
+      checks: { listing },
+      steps: [
+        {
+          label: "cancel",
+          contract: marketplace.contract,
+          method: "cancelListing",
+          args: [listing.listingId],
+        },
+      ],
+    };
+  },
+)
+  .addPositionalParam("listingId", "Listing id")
+  .addFlag("usd", "Cancel a UsdMarket listing");
+
+command<{
+  listingId: string;
+  maxPrice?: string;
+  slippageBps: string;
+  usd: boolean;
+}>(
+  "buy",
+  "Buy a listing, approving the ERC20 payment first if needed",
+  async (ctx, args) => {
+    let marketplace;
+    let listing;
+    let price: bigint;
+    let limit: bigint;
+    if (args.usd) {
+      // USD listings are converted again when the purchase is mined
+      marketplace = required(ctx.sdk.usdMarket, "UsdMarket");
+      listing = await marketplace.getListing(args.listingId);
+      if (!listing.active)
+        throw new Error(`Listing ${args.listingId} is not active`);
+      price = await marketplace.currentPrice(listing);
+      limit =
+        args.maxPrice !== undefined
+          ? BigInt(args.maxPrice)
+          : (price * (10_000n + BigInt(args.slippageBps))) / 10_000n;
+    } else {
+      marketplace = required(ctx.sdk.marketplace, "Marketplace");
+      listing = await marketplace.getListing(args.listingId);
+      if (!listing.active)
+        throw new Error(`Listing ${args.listingId} is not active`);
+      if (!listing.valid)
+        throw new Error(
+          `Listing ${args.listingId} no longer holds: the seller moved the token or revoked the approval`,
+        );
+      price = limit = listing.price;
+    }
+    if (args.maxPrice !== undefined && price > BigInt(args.maxPrice)) {
+      throw new Error(`Price ${price} is above --max-price`);
+    }
+
+    const steps: Step[] = [];
+    if (listing.paymentToken === NATIVE) {
+      const balance = await ctx.signer.provider.getBalance(ctx.signer.address);
+      if (balance < limit)
+        throw new Error(`Balance ${balance} is below the price`);
+      steps.push({
+        label: "buy",
+        contract: marketplace.contract,
+        method: "buy",
+        args: [listing.listingId],
+        value: limit,
+      });
+    } else {
+      const token = new Contract(
+        listing.paymentToken,
+        abis.ERC20_ABI,
+        ctx.signer,
+      );
+      const balance: bigint = await token.balanceOf(ctx.signer.address);
+      if (balance < limit)
+        throw new Error(`Token balance ${balance} is below the price`);
+      if (
+        (await token.allowance(ctx.signer.address, marketplace.address)) < limit
+      ) {
+        steps.push({
+          label: "approve payment",
+          contract: token,
+          method: "approve",
+          args: [marketplace.address, limit],
+          prerequisite: true,
+        });
+      }
+      steps.push({
+        label: "buy",
+        contract: marketplace.contract,
+        method: "buyWithERC20(uint256,uint256)",
+        args: [listing.listingId, limit],
+      });
+    }
+    return {
+      checks: { listing, quote: await marketplace.quote(listing.listingId) },
+      steps,
+    };
+  },
+)
+  .addPositionalParam("listingId", "Listing id")
+  .addOptionalParam("maxPrice", "Refuse to buy above this price (base units)")
+  .addOptionalParam(
+    "slippageBps",
+    "USD listings: allowed price move until the purchase is mined",
+    "100",
+  )
+  .addFlag("usd", "Buy a UsdMarket listing");
+
+command<{ token?: string; market: string }>(
+  "withdraw-fees",
+  "Send accrued marketplace fees to the fee treasury (ADMIN_ROLE)",
+  async (ctx, args) => {
+    const market = new Contract(
+      resolveContract(ctx, args.market),
+      abis.MARKETPLACE_ABI,
+      ctx.signer,
+    );
+    await requireRole(
+      market,
+      DEFAULT_ADMIN_ROLE,
+      ctx.signer.address,
+      `ADMIN_ROLE on ${args.market}`,
+    );
+
+    const token = args.token ? ethers.getAddress(args.token) : NATIVE;
+    const accrued: bigint =
+      token === NATIVE
+        ? await market.accruedFees()
+        : await market.accruedTokenFees(token);
+    if (accrued === 0n) throw new Error("No fees accrued");
+    return {
+      checks: { feeTreasury: await market.feeTreasury(), accrued },
+      steps: [
+        token === NATIVE
+          ? {
+              label: "withdraw fees",
+              contract: market,
+              method: "withdrawFees",
+              args: [],
+            }
+          : {
+              label: "withdraw fees",
+              contract: market,
+              method: "withdrawTokenFees",
+              args: [token],
+            },
+      ],
+    };
+  },
+)
+  .addOptionalParam("token", "ERC20 token (default: native currency)")
+  .addOptionalParam(
+    "market",
+    "Marketplace, UsdMarket, OfferMarket, AuctionHouse, RentalMarket or an address",
+    "Marketplace",
+  );
+
+// ---------- EMERGENCY ----------
+// Marketplace is fixed here: AuctionHouse cannot be paused, and the Marketplace modules
+// (UsdMarket, OfferMarket, RentalMarket) follow its switch
+async function adminMarketplace(ctx: Context) {
+  const marketplace = required(ctx.sdk.marketplace, "Marketplace");
+  await requireRole(
+    marketplace.contract,
+    DEFAULT_ADMIN_ROLE,
+    ctx.signer.address,
+    "ADMIN_ROLE on Marketplace",
+  );
+  return marketplace;
+}
+
+for (const [name, pause] of [
+  ["pause", true],
+  ["unpause", false],
+] as const) {
+  command<Record<string, never>>(
+    name,
+    `${pause ? "Stop" : "Resume"} listing, buying and offers on the Marketplace and its modules (ADMIN_ROLE)`,
+    async (ctx) => {
+      const market = (await adminMarketplace(ctx)).contract;
+      const paused: boolean = await market.paused();
+      // Nothing to send when the marketplace is already in the requested state
+      const steps: Step[] =
+        paused === pause
+          ? []
+          : [{ label: name, contract: market, method: name, args: [] }];
+      return { checks: { paused }, steps };
+    },
+  );
+}
+
+command<{ listingId: string; recipient?: string }>(
+  "force-delist",
+  "Close a stuck listing, returning an escrowed token to the seller or --recipient (ADMIN_ROLE)",
+  async (ctx, args) => {
+    const marketplace = await adminMarketplace(ctx);
+    const listing = await marketplace.getListing(args.listingId);
+    if (!listing.active)
+      throw new Error(`Listing ${args.listingId} is not active`);
+    const recipient = args.recipient
+      ? ethers.getAddress(args.recipient)
+      : NATIVE;
+    return {
+      checks: { listing },
+      steps: [
+        {
+          label: "force delist",
+          contract: marketplace.contract,
+          method: "forceDelist",
+          args: [listing.listingId, recipient],
+        },
+      ],
+    };
+  },
+)
+  .addPositionalParam("listingId", "Listing id")
+  .addOptionalParam(
+    "recipient",
+    "Recovery address for the escrowed token (default: the seller)",
+  );
+
+command<{ to: string; token?: string; amount?: string }>(
+  "rescue-funds",
+  "Send funds sent to the Marketplace by mistake to an address; fees are untouched (ADMIN_ROLE)",
+  async (ctx, args) => {
+    const market = (await adminMarketplace(ctx)).contract;
+    const token = args.token ? ethers.getAddress(args.token) : NATIVE;
+    const rescuable: bigint = await market.rescuableFunds(token);
+    const amount = args.amount ? BigInt(args.amount) : rescuable;
+    if (amount === 0n) throw new Error("Nothing to rescue");
+    if (amount > rescuable) throw new Error(`Only ${rescuable} can be rescued`);
+    return {
+      checks: { rescuable },
+      steps: [
+        {
+          label: "rescue funds",
+          contract: market,
+          method: "rescueFunds",
+          args: [token, ethers.getAddress(args.to), amount],
+        },
+      ],
+    };
+  },
+)
+  .addPositionalParam("to", "Recipient")
+  .addOptionalParam("token", "ERC20 token (default: native currency)")
+  .addOptionalParam("amount", "Amount in base units (default: all rescuable)");
+
+command<{ nft: string; disallow: boolean }>(
+  "allow-collection",
+  "Allow a collection on the Marketplace, or remove it with --disallow (ADMIN_ROLE)",
+  async (ctx, args) => {
+    const market = (await adminMarketplace(ctx)).contract;
+    const nft = resolveContract(ctx, args.nft);
+    const allowed: boolean = await market.allowedCollections(nft);
+    const steps: Step[] =
+      allowed === !args.disallow
+        ? []
+        : [
+            {
+              label: args.disallow ? "disallow collection" : "allow collection",
+              contract: market,
+              method: "setCollectionAllowed",
+              args: [nft, !args.disallow],
+            },
+          ];
+    return { checks: { nft, allowed }, steps };
+  },
+)
+  .addPositionalParam("nft", "Collection name or address")
+  .addFlag("disallow", "Remove the collection from the allowlist");
+
+command<{ token: string; minPrice: string; disallow: boolean }>(
+  "payment-token",
+  "Accept an ERC20 payment token on the Marketplace with a minimum price and track it on the royalty splitters, or remove it (ADMIN_ROLE)",
+  async (ctx, args) => {
+    const market = (await adminMarketplace(ctx)).contract;
+    // "native" sets the minimum price of the native currency
+    const token =
+      args.token === "native" ? NATIVE : ethers.getAddress(args.token);
+    const steps: Step[] = [
+      {
+        label: args.disallow ? "disallow token" : "set payment token",
+        contract: market,
+        method: "setPaymentToken",
+        args: [token, !args.disallow, BigInt(args.minPrice)],
+      },
+    ];
+    // royalties paid in the token are listed by the splitters only if the factory tracks it
+    const factory = ctx.sdk.factory;
+    let tracked: boolean | null = null;
+    if (factory && token !== NATIVE) {
+      tracked = await factory.contract.isTrackedToken(token);
+      if (tracked === args.disallow) {
+        await requireRole(
+          factory.contract,
+          DEFAULT_ADMIN_ROLE,
+          ctx.signer.address,
+          "ADMIN_ROLE on RoyaltySplitterFactory",
+        );
+        steps.push({
+          label: args.disallow
+            ? "stop tracking on splitters"
+            : "track on splitters",
+          contract: factory.contract,
+          method: "setTrackedToken",
+          args: [token, !args.disallow],
+        });
+      }
+    }
+    return {
+      checks: {
+        allowed: await market.isPaymentTokenAllowed(token),
+        minPrice: await market.minPrice(token),
+        tracked,
+      },
+      steps,
+    };
+  },
+)
+  .addPositionalParam("token", 'ERC20 token address, or "native"')
+  .addOptionalParam("minPrice", "Minimum price in base units", "0")
+  .addFlag("disallow", "Stop accepting the token");
+
+command<{
+  token: string;
+  aggregator: string;
+  maxAge: string;
+  maxDeviationBps: string;
+}>(
+  "price-feed",
+  "Set the <token> / USD feed of the price oracle for USD listings, or remove it with aggregator 0 (ADMIN_ROLE)",
+  async (ctx, args) => {
+    const oracle = new Contract(
+      contractAddress(ctx.manifest, "UsdPriceOracle"),
+      abis.USD_PRICE_ORACLE_ABI,
+      ctx.signer,
+    );
+    await requireRole(
+      oracle,
+      DEFAULT_ADMIN_ROLE,
+      ctx.signer.address,
+      "ADMIN_ROLE on UsdPriceOracle",
+    );
+    // "native" sets the feed of the native currency
+    const token =
+      args.token === "native" ? NATIVE : ethers.getAddress(args.token);
+    const aggregator =
+      args.aggregator === "0" ? NATIVE : ethers.getAddress(args.aggregator);
+    if (aggregator !== NATIVE) {
+      const feed = new Contract(
+        aggregator,
+        [
+          "function description() view returns (string)",
+          "function decimals() view returns (uint8)",
+        ],
+        ctx.signer,
+      );
+      // fails early on an address that is not an aggregator
+      await Promise.all([feed.description(), feed.decimals()]);
+    }
+    return {
+      checks: {
+        current: named(
+          oracle.interface.getFunction("feeds")!.outputs,
+          await oracle.feeds(token),
+        ),
+      },
+      steps: [
+        {
+          label: aggregator === NATIVE ? "remove feed" : "set feed",
+          contract: oracle,
+          method: "setFeed",
+          args: [
+            token,
+            aggregator,
+            BigInt(args.maxAge),
+            BigInt(args.maxDeviationBps),
+          ],
+        },
+      ],
+    };
+  },
+)
+  .addPositionalParam("token", 'ERC20 token address, or "native"')
+  .addPositionalParam(
+    "aggregator",
+    'Chainlink-style <token> / USD feed, or "0"',
+  )
+  .addOptionalParam("maxAge", "Refuse prices older than this (seconds)", "3600")
+  .addOptionalParam(
+    "maxDeviationBps",
+    "Refuse prices that moved more than this over the previous round (0: off)",
+    "0",
+  );
+
+// ---------- ROLES ----------
+function roleCommand(name: string, grant: boolean) {
+  command<{ contract: string; role: string; account: string }>(
+    name,
+    `${grant ? "Grant" : "Revoke"} a role (role admin)`,
+    async (ctx, args) => {
+      const target = new Contract(
+        resolveContract(ctx, args.contract),
+        abis.ACCESS_CONTROL_ABI,
+        ctx.signer,
+      );
+      const role = resolveRole(args.role);
+      const account = ethers.getAddress(args.account);
+      const adminRole: string = await target.getRoleAdmin(role);
+      await requireRole(
+        target,
+        adminRole,
+        ctx.signer.address,
+        `the admin role of ${args.role} on ${args.contract}`,
+      );
+
+      const hasRole: boolean = await target.hasRole(role, account);
+      // Nothing to send when the role is already in the requested state
+      const steps: Step[] =
+        hasRole === grant
+          ? []
+          : [
+              {
+                label: name,
+                contract: target,
+                method: grant ? "grantRole" : "revokeRole",
+                args: [role, account],
+              },
+            ];
+      return { checks: { role, adminRole, hasRole }, steps };
+    },
+  )
+    .addPositionalParam(
+      "contract",
+      "Contract name in the manifest, or an address",
+    )
+    .addPositionalParam("role", "Role name (e.g. MINTER_ROLE) or bytes32 hash")
+    .addPositionalParam("account", "Account");
+}
+
+roleCommand("grant-role", true);
+roleCommand("revoke-role", false);
+
+// ---------- SPLITTERS ----------
+command<{ splitter: string; tokens?: string }>(
+  "splitter-withdraw",
+  "Withdraw the signer's native and ERC20 balances from a royalty splitter",
+  async (ctx, args) => {
+    const address = ethers.isAddress(args.splitter)
+      ? args.splitter
+      : await required(ctx.sdk.registry, "StrDomainsNFT").splitterOf(
+          BigInt(args.splitter),
+        );
+    const splitter = ctx.sdk.splitter(address);
+    const tokens = args.tokens
+      ?.split(",")
+      .map((t) => ethers.getAddress(t.trim()));
+    const balances = await splitter.balances({ tokens });
+
+    const steps: Step[] = [];
+    if (balances.native > 0n) {
+      steps.push({
+        label: "withdraw native",
+        contract: splitter.contract,
+        method: "withdraw",
+        args: [],
+      });
+    }
+    for (const [token, amount] of Object.entries(balances.tokens)) {
+      if (amount > 0n) {
+        steps.push({
+          label: `withdraw ${token}`,
+          contract: splitter.contract,
+          method: "withdrawToken",
+          args: [token],
+        });
+      }
+    }
+    if (steps.length === 0) throw new Error("Nothing to withdraw");
+    return { checks: { splitter: splitter.address, balances }, steps };
+  },
+)
+  .addPositionalParam(
+    "splitter",
+    "Splitter address, or the token id whose splitter to use",
+  )
+  .addOptionalParam(
+    "tokens",
+    "Comma-separated ERC20 tokens (default: every token received)",
+  );
+
+command<{ newTreasury: string; old?: string; pageSize: string }>(
+  "migrate-treasury",
+  "Move the collection and every royalty splitter on the old treasury to a new one (admin)",
+  async (ctx, args) => {
+    const factory = required(ctx.sdk.factory, "RoyaltySplitterFactory");
+    const registry = ctx.sdk.registry;
+    const newTreasury = ethers.getAddress(args.newTreasury);
+    const collectionTreasury: string | null = registry
+      ? await registry.contract.treasury()
+      : null;
+    const oldTreasury = args.old
+      ? ethers.getAddress(args.old)
+      : required(collectionTreasury, "StrDomainsNFT");
+    if (oldTreasury === newTreasury) throw new Error("Same treasury");
+    await requireRole(
+      factory.contract,
+      DEFAULT_ADMIN_ROLE,
+      ctx.signer.address,
+      "ADMIN_ROLE on RoyaltySplitterFactory",
+    );
+
+    const steps: Step[] = [];
+    if (registry && collectionTreasury === oldTreasury) {
+      await requireRole(
+        registry.contract,
+        DEFAULT_ADMIN_ROLE,
+        ctx.signer.address,
+        "DEFAULT_ADMIN_ROLE on StrDomainsNFT",
+      );
+      steps.push({
+        label: "set collection treasury",
+        contract: registry.contract,
+        method: "setTreasury",
+        args: [newTreasury],
+      });
+    }
+    // one transaction per page keeps each below the block gas limit
+    const splitters: bigint = await factory.contract.splitterCount();
+    const pageSize = BigInt(args.pageSize);
+    for (let offset = 0n; offset < splitters; offset += pageSize) {
+      steps.push({
+        label: `migrate splitters ${offset}-${offset + pageSize - 1n}`,
+        contract: factory.contract,
+        method: "migrateTreasury",
+        args: [oldTreasury, newTreasury, offset, pageSize],
+      });
+    }
+    return {
+      checks: { oldTreasury, newTreasury, collectionTreasury, splitters },
+      steps,
+    };
+  },
+)
+  .addPositionalParam("newTreasury", "New treasury address")
+  .addOptionalParam(
+    "old",
+    "Treasury to move away from (default: the collection's current treasury)",
+  )
+  .addOptionalParam("pageSize", "Splitters per transaction", "200");
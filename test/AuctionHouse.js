@@ -0,0 +1,353 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("AuctionHouse", function () {
+  let admin, seller, bidder1, bidder2, feeTreasury, nftTreasury;
+  let nft, auctionHouse, token;
+
+  const HOUR = 3600;
+
+  beforeEach(async function () {
+    [admin, seller, bidder1, bidder2, feeTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        nftTreasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    const AuctionHouse = await ethers.getContractFactory("AuctionHouse");
+    auctionHouse = await AuctionHouse.deploy(feeTreasury.address, 250);
+    await auctionHouse.waitForDeployment();
+
+    await nft.grantRole(await nft.SALES_ROLE(), auctionHouse.target);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock USD", "mUSD");
+    await token.waitForDeployment();
+
+    await nft.mint(seller.address, "premium.str", "premium.str");
+    await nft.connect(seller).approve(auctionHouse.target, 1);
+  });
+
+  describe("English auction", function () {
+    beforeEach(async function () {
+      // reserve 1 ETH, 10% minimum increment, 1 day
+      await auctionHouse
+        .connect(seller)
+        .createEnglishAuction(
+          nft.target,
+          1,
+          ethers.ZeroAddress,
+          ethers.parseEther("1"),
+          1000,
+          24 * HOUR,
+        );
+    });
+
+    it("escrows the domain", async function () {
+      expect(await nft.ownerOf(1)).to.equal(auctionHouse.target);
+      const auction = await auctionHouse.getAuction(1);
+      expect(auction.seller).to.equal(seller.address);
+      expect(auction.active).to.be.true;
+    });
+
+    it("enforces the reserve price and minimum increment", async function () {
+      await expect(
+        auctionHouse
+          .connect(bidder1)
+          .bid(1, { value: ethers.parseEther("0.9") }),
+      ).to.be.revertedWith("bid too low");
+
+      await auctionHouse
+        .connect(bidder1)
+        .bid(1, { value: ethers.parseEther("1") });
+      expect(await auctionHouse.minNextBid(1)).to.equal(
+        ethers.parseEther("1.1"),
+      );
+
+      await expect(
+        auctionHouse
+          .connect(bidder2)
+          .bid(1, { value: ethers.parseEther("1.05") }),
+      ).to.be.revertedWith("bid too low");
+    });
+
+    it("credits outbid bidders for withdrawal", async function () {
+      await auctionHouse
+        .connect(bidder1)
+        .bid(1, { value: ethers.parseEther("1") });
+      await auctionHouse
+        .connect(bidder2)
+        .bid(1, { value: ethers.parseEther("1.5") });
+
+      expect(
+        await auctionHouse.pendingReturns(bidder1.address, ethers.ZeroAddress),
+      ).to.equal(ethers.parseEther("1"));
+      await expect(
+        auctionHouse.connect(bidder1).withdrawRefund(ethers.ZeroAddress),
+      ).to.changeEtherBalance(bidder1, ethers.parseEther("1"));
+    });
+
+    it("extends the auction when a bid lands in the last minutes", async function () {
+      const { endTime } = await auctionHouse.getAuction(1);
+      await time.increaseTo(endTime - 60n);
+
+      await expect(
+        auctionHouse.connect(bidder1).bid(1, { value: ethers.parseEther("1") }),
+      ).to.emit(auctionHouse, "AuctionExtended");
+
+      const auction = await auctionHouse.getAuction(1);
+      expect(auction.endTime).to.equal(BigInt(await time.latest()) + 600n);
+    });
+
+    it("settles to the highest bidder with royalty and fee", async function () {
+      await auctionHouse
+        .connect(bidder1)
+        .bid(1, { value: ethers.parseEther("2") });
+      await expect(auctionHouse.settleAuction(1)).to.be.revertedWith(
+        "not ended",
+      );
+
+      await time.increase(24 * HOUR);
+      await auctionHouse.settleAuction(1);
+
+      // the seller withdraws the proceeds
+      expect(
+        await auctionHouse.pendingReturns(seller.address, ethers.ZeroAddress),
+      ).to.equal(ethers.parseEther("1.85"));
+      await expect(
+        auctionHouse.connect(seller).withdrawRefund(ethers.ZeroAddress),
+      ).to.changeEtherBalance(seller, ethers.parseEther("1.85"));
+
+      expect(await nft.ownerOf(1)).to.equal(bidder1.address);
+      expect(await auctionHouse.accruedFees()).to.equal(
+        ethers.parseEther("0.05"),
+      );
+      const [lastPrice] = await nft.lastSaleOf(1);
+      expect(lastPrice).to.equal(ethers.parseEther("2"));
+    });
+
+    it("returns the domain when nobody bid", async function () {
+      await time.increase(24 * HOUR);
+      await expect(auctionHouse.settleAuction(1))
+        .to.emit(auctionHouse, "AuctionCanceled")
+        .withArgs(1);
+      expect(await nft.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("credits the bid back when the domain expired before settlement", async function () {
+      await auctionHouse
+        .connect(bidder1)
+        .bid(1, { value: ethers.parseEther("1") });
+      await time.increase(366 * 24 * HOUR);
+
+      await expect(auctionHouse.settleAuction(1))
+        .to.emit(auctionHouse, "AuctionSettlementFailed")
+        .and.to.emit(auctionHouse, "AuctionCanceled")
+        .withArgs(1);
+      expect((await auctionHouse.getAuction(1)).active).to.be.false;
+      await expect(
+        auctionHouse.connect(bidder1).withdrawRefund(ethers.ZeroAddress),
+      ).to.changeEtherBalance(bidder1, ethers.parseEther("1"));
+      expect(
+        await auctionHouse.pendingReturns(seller.address, ethers.ZeroAddress),
+      ).to.equal(0n);
+
+      // the expired name cannot go back to the seller; it is freed after the grace period
+      expect(await nft.ownerOf(1)).to.equal(auctionHouse.target);
+      expect(await auctionHouse.tokenOwed(1)).to.be.true;
+      await time.increase(90 * 24 * HOUR);
+      await nft.release(1);
+      await expect(nft.ownerOf(1)).to.be.revertedWithCustomError(
+        nft,
+        "ERC721NonexistentToken",
+      );
+    });
+
+    it("seller cannot cancel once bids exist", async function () {
+      await auctionHouse
+        .connect(bidder1)
+        .bid(1, { value: ethers.parseEther("1") });
+      await expect(
+        auctionHouse.connect(seller).cancelAuction(1),
+      ).to.be.revertedWith("has bids");
+    });
+  });
+
+  describe("English auction in ERC20", function () {
+    it("escrows bids in the payment token and deposits royalty in the splitter", async function () {
+      const unit = ethers.parseUnits("1", 18);
+      await auctionHouse
+        .connect(seller)
+        .createEnglishAuction(
+          nft.target,
+          1,
+          token.target,
+          100n * unit,
+          0,
+          HOUR,
+        );
+
+      for (const b of [bidder1, bidder2]) {
+        await token.mint(b.address, 1000n * unit);
+        await token.connect(b).approve(auctionHouse.target, 1000n * unit);
+      }
+
+      await auctionHouse.connect(bidder1).bidWithERC20(1, 100n * unit);
+      await auctionHouse.connect(bidder2).bidWithERC20(1, 200n * unit);
+      await auctionHouse.connect(bidder1).withdrawRefund(token.target);
+      expect(await token.balanceOf(bidder1.address)).to.equal(1000n * unit);
+
+      await time.increase(HOUR);
+      await auctionHouse.settleAuction(1);
+
+      expect(await nft.ownerOf(1)).to.equal(bidder2.address);
+      expect(
+        await auctionHouse.pendingReturns(seller.address, token.target),
+      ).to.equal(185n * unit);
+      await auctionHouse.connect(seller).withdrawRefund(token.target);
+      expect(await token.balanceOf(seller.address)).to.equal(185n * unit);
+      expect(await auctionHouse.accruedTokenFees(token.target)).to.equal(
+        5n * unit,
+      );
+      const [splitterAddr] = await nft.royaltyInfo(1, 200n * unit);
+      expect(await token.balanceOf(splitterAddr)).to.equal(10n * unit);
+    });
+  });
+
+  describe("Dutch auction", function () {
+    beforeEach(async function () {
+      // 10 ETH declining to 2 ETH over 8 hours
+      await auctionHouse
+        .connect(seller)
+        .createDutchAuction(
+          nft.target,
+          1,
+          ethers.ZeroAddress,
+          ethers.parseEther("10"),
+          ethers.parseEther("2"),
+          8 * HOUR,
+        );
+    });
+
+    it("declines linearly to the floor price", async function () {
+      const { startTime } = await auctionHouse.getAuction(1);
+      await time.increaseTo(startTime + BigInt(4 * HOUR));
+      expect(await auctionHouse.currentDutchPrice(1)).to.equal(
+        ethers.parseEther("6"),
+      );
+
+      await time.increase(8 * HOUR);
+      expect(await auctionHouse.currentDutchPrice(1)).to.equal(
+        ethers.parseEther("2"),
+      );
+    });
+
+    it("sells at the current price and refunds the excess", async function () {
+      const { startTime } = await auctionHouse.getAuction(1);
+      await time.setNextBlockTimestamp(startTime + BigInt(2 * HOUR));
+
+      await expect(
+        auctionHouse
+          .connect(bidder1)
+          .buyDutch(1, { value: ethers.parseEther("10") }),
+      ).to.changeEtherBalance(bidder1, ethers.parseEther("-8"));
+      expect(
+        await auctionHouse.pendingReturns(seller.address, ethers.ZeroAddress),
+      ).to.equal(ethers.parseEther("7.4"));
+      expect(await nft.ownerOf(1)).to.equal(bidder1.address);
+    });
+
+    it("cannot be bought after it ended and returns to the seller on settle", async function () {
+      await time.increase(8 * HOUR);
+      await expect(
+        auctionHouse
+          .connect(bidder1)
+          .buyDutch(1, { value: ethers.parseEther("10") }),
+      ).to.be.revertedWith("auction ended");
+
+      await auctionHouse.settleAuction(1);
+      expect(await nft.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("rejects English bids", async function () {
+      await expect(
+        auctionHouse
+          .connect(bidder1)
+          .bid(1, { value: ethers.parseEther("10") }),
+      ).to.be.revertedWith("not english");
+    });
+  });
+
+  describe("Unreturnable tokens", function () {
+    it("keeps a token that cannot go back to the seller claimable", async function () {
+      // a subdomain expires with its parent, which another account owns and renews
+      await nft.mint(bidder2.address, "club.str", "club.str"); // 2
+      await nft
+        .connect(bidder2)
+        .mintSubdomain(2, "vip", seller.address, "", false); // 3
+      await nft.connect(seller).approve(auctionHouse.target, 3);
+      await auctionHouse
+        .connect(seller)
+        .createEnglishAuction(
+          nft.target,
+          3,
+          ethers.ZeroAddress,
+          ethers.parseEther("1"),
+          1000,
+          24 * HOUR,
+        );
+      await auctionHouse
+        .connect(bidder1)
+        .bid(1, { value: ethers.parseEther("1") });
+      await time.increase(366 * 24 * HOUR);
+
+      await expect(auctionHouse.settleAuction(1))
+        .to.emit(auctionHouse, "TokenReturnFailed")
+        .withArgs(1, anyValue)
+        .and.to.emit(auctionHouse, "AuctionCanceled");
+      expect(await auctionHouse.tokenOwed(1)).to.be.true;
+      expect(await nft.ownerOf(3)).to.equal(auctionHouse.target);
+
+      await expect(
+        auctionHouse.connect(bidder1).claimToken(1, bidder1.address),
+      ).to.be.revertedWith("not seller");
+      await expect(
+        auctionHouse.connect(seller).claimToken(1, ethers.ZeroAddress),
+      ).to.be.revertedWith("domain expired");
+
+      // the parent owner renews in the grace period; an admin returns the token to the seller
+      const period = await nft.registrationPeriod();
+      await nft.setRegistrationConfig(period, 90 * 24 * HOUR, 1000n);
+      await nft.connect(bidder2).renew(2, 1, { value: 1000n });
+      await expect(auctionHouse.claimToken(1, ethers.ZeroAddress))
+        .to.emit(auctionHouse, "TokenClaimed")
+        .withArgs(1, seller.address, admin.address);
+      expect(await nft.ownerOf(3)).to.equal(seller.address);
+      expect(await auctionHouse.tokenOwed(1)).to.be.false;
+      await expect(
+        auctionHouse.connect(seller).claimToken(1, ethers.ZeroAddress),
+      ).to.be.revertedWith("nothing owed");
+    });
+  });
+});
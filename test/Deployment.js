@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readManifest, writeManifest } = require("../lib/deployments");
+const { deployRegistry } = require("../scripts/deploy_registry");
+
+const { ethers, upgrades } = hre;
+
+// Runs a deployment task and returns its parsed JSON output
+async function run(task, args) {
+  const lines = [];
+  const log = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    await hre.run({ scope: "deployment", task }, args);
+  } finally {
+    console.log = log;
+  }
+  return JSON.parse(lines.join("\n"));
+}
+
+const verify = (manifest) => run("verify", { manifest });
+
+// deployRegistry logs every step; keep the test output readable
+async function deployQuietly(config, manifest) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await deployRegistry(config, manifest);
+  } finally {
+    console.log = log;
+  }
+}
+
+describe("deployment manifest", function () {
+  let admin, alice, marketplaceTreasury, nftTreasury;
+  let config, dir, manifest;
+
+  beforeEach(async function () {
+    [admin, alice, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    config = {
+      admin: admin.address,
+      marketplaceTreasury: marketplaceTreasury.address,
+      marketplaceFeeBps: 250,
+      nftTreasury: nftTreasury.address,
+      royaltyBps: 500,
+      creatorShareBps: 5000,
+    };
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+    manifest = path.join(dir, "hardhat.json");
+    process.exitCode = undefined;
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  it("records every contract and step and verifies the wiring", async function () {
+    const deployed = await deployQuietly(config, manifest);
+
+    expect(readManifest(manifest)).to.deep.equal(deployed);
+    expect(Object.keys(deployed.contracts)).to.have.length(12);
+    expect(deployed.contracts.Marketplace.blockNumber).to.be.a("number");
+    expect(deployed.contracts.Marketplace.args).to.deep.equal([
+      marketplaceTreasury.address,
+      250,
+    ]);
+    expect(deployed.contracts.Marketplace.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(Object.keys(deployed.steps)).to.have.length(8);
+    const nft = await ethers.getContractAt(
+      "StrDomainsNFT",
+      deployed.contracts.StrDomainsNFT.address,
+    );
+    expect(await nft.defaultRoyaltyBps()).to.equal(500n);
+    expect(await nft.treasuryShareBps()).to.equal(5000n);
+
+    const report = await verify(manifest);
+    expect(report.failed).to.deep.equal([]);
+    expect(report.ok).to.be.true;
+    expect(process.exitCode).to.equal(undefined);
+  });
+
+  it("resumes an interrupted deployment from the last recorded step", async function () {
+    const full = await deployQuietly(config, manifest);
+
+    // as if the run had stopped right after deploying the resolver
+    const partial = structuredClone(full);
+    delete partial.contracts.StrDomainsMetadata;
+    for (const step of Object.keys(partial.steps)) {
+      if (!step.includes("MINTER_ROLE")) delete partial.steps[step];
+    }
+    writeManifest(manifest, partial);
+
+    const resumed = await deployQuietly(config, manifest);
+    for (const name of Object.keys(partial.contracts)) {
+      expect(resumed.contracts[name]).to.deep.equal(full.contracts[name]);
+    }
+    expect(resumed.contracts.StrDomainsMetadata.address).to.not.equal(
+      full.contracts.StrDomainsMetadata.address,
+    );
+    // the SALES_ROLE grants were mined before the interruption
+    expect(
+      resumed.steps["StrDomainsNFT.grantRole(SALES_ROLE, Marketplace)"],
+    ).to.deep.equal({ txHash: null, blockNumber: null });
+    expect(
+      resumed.steps["StrDomainsNFT.setMetadataRenderer(StrDomainsMetadata)"]
+        .txHash,
+    ).to.match(/^0x/);
+
+    expect((await verify(manifest)).ok).to.be.true;
+  });
+
+  it("refuses a manifest created with another configuration", async function () {
+    await deployQuietly(config, manifest);
+    await expect(
+      deployQuietly({ ...config, marketplaceFeeBps: 300 }, manifest),
+    ).to.be.rejectedWith(/another configuration/);
+  });
+
+  it("reports drifted settings and unexpected role holders", async function () {
+    const deployed = await deployQuietly(config, manifest);
+    const nft = await ethers.getContractAt(
+      "StrDomainsNFT",
+      deployed.contracts.StrDomainsNFT.address,
+    );
+    const marketplace = await ethers.getContractAt(
+      "Marketplace",
+      deployed.contracts.Marketplace.address,
+    );
+    await marketplace.setMarketplaceFeeBps(300);
+    await nft.setRoyaltyDefaults(700, 5000, 5000);
+    await nft.grantRole(await nft.MINTER_ROLE(), alice.address);
+    await nft.revokeRole(
+      await nft.SALES_ROLE(),
+      deployed.contracts.AuctionHouse.address,
+    );
+
+    const report = await verify(manifest);
+    expect(report.ok).to.be.false;
+    expect(process.exitCode).to.equal(1);
+    expect(
+      report.failed.map((c) => `${c.contract} ${c.check}`),
+    ).to.have.members([
+      "Marketplace marketplaceFeeBps",
+      "StrDomainsNFT defaultRoyaltyBps",
+      "StrDomainsNFT MINTER_ROLE holders",
+      "StrDomainsNFT SALES_ROLE holders",
+    ]);
+    const minters = report.failed.find(
+      (c) => c.check === "MINTER_ROLE holders",
+    );
+    expect(minters.actual).to.include(alice.address);
+  });
+
+  it("deploys the registry and marketplace behind UUPS proxies", async function () {
+    const deployed = await deployQuietly(config, manifest);
+    for (const name of ["StrDomainsNFT", "Marketplace"]) {
+      const { address, implementation } = deployed.contracts[name];
+      expect(implementation).to.equal(
+        await upgrades.erc1967.getImplementationAddress(address),
+      );
+    }
+    expect(deployed.contracts.AuctionHouse.implementation).to.equal(undefined);
+
+    const nft = await ethers.getContractAt(
+      "StrDomainsNFT",
+      deployed.contracts.StrDomainsNFT.address,
+    );
+    expect(await nft.name()).to.equal("Str Domains");
+    expect(await nft.registrationPeriod()).to.equal(365n * 24n * 3600n);
+  });
+
+  it("upgrades a proxy and records the new implementation", async function () {
+    const deployed = await deployQuietly(config, manifest);
+    const { address, implementation } = deployed.contracts.Marketplace;
+
+    const dryRun = await run("upgrade", {
+      contract: "Marketplace",
+      to: "MarketplaceV2Mock",
+      dryRun: true,
+      manifest,
+    });
+    expect(dryRun.ok).to.be.true;
+    expect(await upgrades.erc1967.getImplementationAddress(address)).to.equal(
+      implementation,
+    );
+
+    const out = await run("upgrade", {
+      contract: "Marketplace",
+      to: "MarketplaceV2Mock",
+      dryRun: false,
+      manifest,
+    });
+    expect(out.ok).to.be.true;
+    expect(out.previousImplementation).to.equal(implementation);
+    expect(await upgrades.erc1967.getImplementationAddress(address)).to.equal(
+      out.implementation,
+    );
+
+    const updated = readManifest(manifest);
+    expect(updated.contracts.Marketplace.implementation).to.equal(
+      out.implementation,
+    );
+    expect(
+      updated.steps[`Marketplace.upgradeToAndCall(${out.implementation})`]
+        .txHash,
+    ).to.equal(out.txHash);
+    expect((await verify(manifest)).ok).to.be.true;
+
+    const market = await ethers.getContractAt("MarketplaceV2Mock", address);
+    expect(await market.version()).to.equal(2n);
+    expect(await market.marketplaceFeeBps()).to.equal(250n);
+  });
+
+  it("refuses upgrades from a signer without the admin role", async function () {
+    await deployQuietly(config, manifest);
+    const nft = await ethers.getContractAt(
+      "StrDomainsNFT",
+      readManifest(manifest).contracts.StrDomainsNFT.address,
+    );
+    await nft.renounceRole(ethers.ZeroHash, admin.address);
+
+    const out = await run("upgrade", {
+      contract: "StrDomainsNFT",
+      dryRun: false,
+      manifest,
+    });
+    expect(out.ok).to.be.false;
+    expect(out.error).to.match(/lacks DEFAULT_ADMIN_ROLE/);
+    expect(process.exitCode).to.equal(1);
+  });
+});
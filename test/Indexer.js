@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers, network, upgrades } = require("hardhat");
+const {
+  JsonStore,
+  Indexer,
+  ownershipHistory,
+  saleHistory,
+  openListings,
+  splitterRoyalties,
+} = require("../lib/indexer");
+
+describe("Event indexer", function () {
+  let admin, alice, bob, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, factory, store, indexer, startBlock;
+
+  beforeEach(async function () {
+    [admin, alice, bob, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      ["Str Domains", "STRDOM", nftTreasury.address, factory.target, 500],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [marketplaceTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await marketplace.waitForDeployment();
+    await nft.grantRole(await nft.SALES_ROLE(), marketplace.target);
+    await marketplace.setCollectionAllowed(nft.target, true);
+
+    store = new JsonStore();
+    indexer = new Indexer({
+      provider: ethers.provider,
+      store,
+      startBlock,
+      batchSize: 5,
+      contracts: {
+        registry: nft.target,
+        marketplace: marketplace.target,
+        factory: factory.target,
+      },
+    });
+
+    await nft.mint(alice.address, "a.str", "alice.str");
+    await nft.mint(alice.address, "b.str", "bob.str");
+    await nft.connect(alice).setApprovalForAll(marketplace.target, true);
+    await marketplace.connect(alice).listToken(nft.target, 1, 1_000_000n); // 1
+    await marketplace.connect(alice).listToken(nft.target, 2, 2_000_000n); // 2
+    await marketplace.connect(alice).updateListing(2, 3_000_000n);
+    await marketplace.connect(bob).buy(1, { value: 1_000_000n });
+  });
+
+  it("backfills ownership, sales and open listings", async function () {
+    const last = await indexer.sync();
+    expect(last).to.equal(await ethers.provider.getBlockNumber());
+
+    const owners = ownershipHistory(store, "alice.str");
+    expect(owners.map((t) => t.to)).to.deep.equal([
+      alice.address,
+      marketplace.target,
+      bob.address,
+    ]);
+    expect(owners[0].from).to.equal(ethers.ZeroAddress);
+
+    const sales = saleHistory(store, "alice.str");
+    expect(sales).to.have.length(1);
+    expect(sales[0]).to.include({
+      tokenId: "1",
+      domain: "alice.str",
+      price: "1000000",
+      buyer: bob.address,
+      market: marketplace.target,
+      listingId: "1",
+      royaltyAmount: "50000",
+      feeAmount: "25000",
+    });
+
+    const listings = openListings(store, { seller: alice.address });
+    expect(listings).to.have.length(1);
+    expect(listings[0]).to.include({
+      listingId: "2",
+      domain: "bob.str",
+      price: "3000000",
+    });
+    expect(openListings(store, { nft: bob.address })).to.have.length(0);
+  });
+
+  it("matches each sale of a sweep with its own listing", async function () {
+    await nft.mint(alice.address, "c.str", "carol.str");
+    await marketplace.connect(alice).listToken(nft.target, 3, 5_000_000n); // 3
+    await marketplace
+      .connect(bob)
+      .sweep([2, 3], [3_000_000n, 5_000_000n], { value: 8_000_000n });
+
+    await indexer.sync();
+    const [second] = saleHistory(store, "bob.str");
+    expect(second).to.include({
+      listingId: "2",
+      price: "3000000",
+      royaltyAmount: "150000",
+      feeAmount: "75000",
+    });
+    const [third] = saleHistory(store, "carol.str");
+    expect(third).to.include({
+      listingId: "3",
+      price: "5000000",
+      royaltyAmount: "250000",
+      feeAmount: "125000",
+    });
+    expect(third.transactionHash).to.equal(second.transactionHash);
+  });
+
+  it("keeps the USD price of UsdMarket listings", async function () {
+    const Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const feed = await Aggregator.deploy(8, 2000_00000000n);
+    const Oracle = await ethers.getContractFactory("UsdPriceOracle");
+    const oracle = await Oracle.deploy();
+    await oracle.setFeed(ethers.ZeroAddress, feed.target, 3600, 0);
+    const UsdMarket = await ethers.getContractFactory("UsdMarket");
+    const usdMarket = await UsdMarket.deploy(
+      marketplaceTreasury.address,
+      250,
+      marketplace.target,
+      oracle.target,
+    );
+    await nft.mint(alice.address, "c.str", "carol.str");
+    await nft.connect(alice).approve(usdMarket.target, 3);
+    await usdMarket
+      .connect(alice)
+      .listToken(nft.target, 3, 100_00000000n, ethers.ZeroAddress); // 1
+    await usdMarket.connect(alice).updateListing(1, 150_00000000n);
+
+    const usdStore = new JsonStore();
+    await new Indexer({
+      provider: ethers.provider,
+      store: usdStore,
+      startBlock,
+      contracts: {
+        registry: nft.target,
+        marketplace: marketplace.target,
+        usdMarket: usdMarket.target,
+      },
+    }).sync();
+    const listings = openListings(usdStore, { seller: alice.address });
+    // listing ids are per market
+    const fixed = listings.find((l) => l.market === marketplace.target);
+    expect(fixed).to.include({ listingId: "2", usdPrice: null });
+    expect(listings.find((l) => l.market === usdMarket.target)).to.include({
+      listingId: "1",
+      tokenId: "3",
+      price: ethers.parseEther("0.05").toString(),
+      usdPrice: "15000000000",
+    });
+  });
+
+  it("tracks royalties accrued and withdrawn per splitter", async function () {
+    const [splitterAddress] = await nft.royaltyInfo(1, 1);
+    const splitter = await ethers.getContractAt(
+      "RoyaltySplitter",
+      splitterAddress,
+    );
+    await splitter.connect(alice).withdraw(); // creator share: 40% of 50000
+
+    await indexer.sync();
+    const [entry] = splitterRoyalties(store, splitterAddress);
+    expect(entry).to.include({
+      tokenId: "1",
+      domain: "alice.str",
+      creator: alice.address,
+    });
+    expect(entry.accrued).to.deep.equal({ [ethers.ZeroAddress]: "50000" });
+    expect(entry.withdrawn).to.deep.equal({ [ethers.ZeroAddress]: "20000" });
+    expect(splitterRoyalties(store)).to.have.length(2);
+  });
+
+  it("follows new blocks incrementally", async function () {
+    await indexer.sync();
+    const before = store.events.length;
+
+    await marketplace.connect(alice).cancelListing(2);
+    await indexer.sync();
+
+    expect(store.events.length).to.equal(before + 2); // Transfer + ListingCanceled
+    expect(openListings(store)).to.have.length(0);
+  });
+
+  it("drops events from reorged blocks", async function () {
+    await indexer.sync();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await marketplace.connect(alice).cancelListing(2);
+    await indexer.sync();
+    expect(openListings(store)).to.have.length(0);
+
+    // replace the block with a different one at the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await nft.mint(bob.address, "c.str", "carol.str");
+
+    expect(await indexer.handleReorg()).to.be.true;
+    await indexer.sync();
+    expect(openListings(store)).to.have.length(1);
+    expect(ownershipHistory(store, "carol.str")).to.have.length(1);
+    expect(store.events.some((e) => e.name === "ListingCanceled")).to.be.false;
+  });
+});
@@ -1,5 +1,16 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  buildOrder,
+  getOrderDomain,
+  hashOrder,
+  signOrder,
+  verifyOrder,
+  serializeOrder,
+  deserializeOrder,
+} = require("../lib/orders");
 
 describe("Marketplace tests", function () {
   const feeMarketplaceBps = 250; //2.5%
@@ -58,12 +69,16 @@ describe("Marketplace tests", function () {
 
     // 3) StrDomainsNFT deployment - collection of NFTs
     const collection = await ethers.getContractFactory("StrDomainsNFT");
-    StrDomainsNFTInstance = await collection.deploy(
-      "Str Domains",
-      "STRDOM",
-      NftRoyaltyTreasury.address,
-      factoryAddr,
-      feeRoyaltyBps,
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        NftRoyaltyTreasury.address,
+        factoryAddr,
+        feeRoyaltyBps,
+      ],
+      { kind: "uups" },
     );
     await StrDomainsNFTInstance.waitForDeployment();
     const registryAddr = await StrDomainsNFTInstance.getAddress();
@@ -72,12 +87,14 @@ describe("Marketplace tests", function () {
 
     // 4)Marketplace deployment
     const Marketplace = await ethers.getContractFactory("Marketplace");
-    MarketplaceInstance = await Marketplace.deploy(
-      marketplaceTreasury.address,
-      feeMarketplaceBps,
+    MarketplaceInstance = await upgrades.deployProxy(
+      Marketplace,
+      [marketplaceTreasury.address, feeMarketplaceBps],
+      { kind: "uups" },
     );
     await MarketplaceInstance.waitForDeployment();
     const marketplaceAddr = await MarketplaceInstance.getAddress();
+    await MarketplaceInstance.setCollectionAllowed(registryAddr, true);
     //console.log("Marketplace:", marketplaceAddr);
     //
   });
@@ -86,7 +103,7 @@ describe("Marketplace tests", function () {
     const tx = await StrDomainsNFTInstance.connect(minterAccount).mint(
       buyer1.address,
       "example.str",
-      "exampleDomainName.str",
+      "exampledomainname.str",
     );
     await tx.wait();
     expect(await StrDomainsNFTInstance.ownerOf(1)).to.equal(buyer1.address);
@@ -256,3 +273,973 @@ describe("Marketplace tests", function () {
     expect(royaltyOriginalCreatorFinalBalance).to.equal(expectedFinalBalance);
   });
 });
+
+// Fresh splitter/factory/collection/marketplace setup with the marketplace allowed to record sales
+async function deployMarketplaceSystem(
+  admin,
+  marketplaceTreasury,
+  nftTreasury,
+) {
+  const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+  const splitterImpl = await Splitter.deploy();
+  await splitterImpl.waitForDeployment();
+
+  const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+  const factory = await Factory.deploy(await splitterImpl.getAddress());
+  await factory.waitForDeployment();
+
+  const Collection = await ethers.getContractFactory("StrDomainsNFT");
+  const nft = await upgrades.deployProxy(
+    Collection.connect(admin),
+    [
+      "Str Domains",
+      "STRDOM",
+      nftTreasury.address,
+      await factory.getAddress(),
+      500,
+    ],
+    { kind: "uups" },
+  );
+  await nft.waitForDeployment();
+
+  const Marketplace = await ethers.getContractFactory("Marketplace");
+  const marketplace = await upgrades.deployProxy(
+    Marketplace.connect(admin),
+    [marketplaceTreasury.address, 250],
+    { kind: "uups" },
+  );
+  await marketplace.waitForDeployment();
+
+  await nft
+    .connect(admin)
+    .grantRole(await nft.SALES_ROLE(), await marketplace.getAddress());
+
+  const Token = await ethers.getContractFactory("MockERC20");
+  const token = await Token.deploy("Mock USD", "mUSD");
+  await token.waitForDeployment();
+
+  await marketplace.connect(admin).setCollectionAllowed(nft.target, true);
+  await marketplace.connect(admin).setPaymentToken(token.target, true, 0);
+
+  return { nft, marketplace, token };
+}
+
+describe("Marketplace batch operations", function () {
+  let admin, seller, buyer, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, token;
+
+  const NATIVE_PRICE = ethers.parseEther("1");
+  const TOKEN_PRICE = 1_000n;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace, token } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+
+    for (const name of ["a", "b", "c"]) {
+      await nft.connect(admin).mint(seller.address, "", `${name}.str`);
+    }
+    await nft.connect(seller).setApprovalForAll(marketplace.target, true);
+
+    // 1, 2: native; 3: ERC20
+    await marketplace.connect(seller).listTokens([
+      {
+        nft: nft.target,
+        tokenId: 1,
+        price: NATIVE_PRICE,
+        paymentToken: ethers.ZeroAddress,
+      },
+      {
+        nft: nft.target,
+        tokenId: 2,
+        price: NATIVE_PRICE,
+        paymentToken: ethers.ZeroAddress,
+      },
+      {
+        nft: nft.target,
+        tokenId: 3,
+        price: TOKEN_PRICE,
+        paymentToken: token.target,
+      },
+    ]);
+
+    await token.mint(buyer.address, 10_000n);
+    await token.connect(buyer).approve(marketplace.target, 10_000n);
+  });
+
+  it("lists many tokens with mixed payment tokens", async function () {
+    expect(await marketplace.lastListingId()).to.equal(3);
+    expect(await nft.ownerOf(3)).to.equal(marketplace.target);
+    const listing = await marketplace.getListing(3);
+    expect(listing.paymentToken).to.equal(token.target);
+    expect(listing.price).to.equal(TOKEN_PRICE);
+
+    // all-or-nothing
+    await nft.connect(admin).mint(seller.address, "", "d.str");
+    await expect(
+      marketplace.connect(seller).listTokens([
+        {
+          nft: nft.target,
+          tokenId: 4,
+          price: 1n,
+          paymentToken: ethers.ZeroAddress,
+        },
+        {
+          nft: nft.target,
+          tokenId: 4,
+          price: 0n,
+          paymentToken: ethers.ZeroAddress,
+        },
+      ]),
+    ).to.be.revertedWith("price=0");
+    expect(await nft.ownerOf(4)).to.equal(seller.address);
+  });
+
+  it("cancels many listings", async function () {
+    await expect(
+      marketplace.connect(buyer).cancelListings([1, 2]),
+    ).to.be.revertedWith("not seller");
+
+    await expect(marketplace.connect(seller).cancelListings([1, 3]))
+      .to.emit(marketplace, "ListingCanceled")
+      .withArgs(1)
+      .and.to.emit(marketplace, "ListingCanceled")
+      .withArgs(3);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+    expect(await nft.ownerOf(3)).to.equal(seller.address);
+    expect((await marketplace.getListing(2)).active).to.be.true;
+  });
+
+  it("sweeps native and ERC20 listings in one transaction", async function () {
+    const tx = marketplace
+      .connect(buyer)
+      .sweep([1, 2, 3], [NATIVE_PRICE, NATIVE_PRICE, TOKEN_PRICE], {
+        value: NATIVE_PRICE * 2n,
+      });
+    await expect(tx)
+      .to.emit(marketplace, "SweepCompleted")
+      .withArgs(buyer.address, 3, 0, NATIVE_PRICE * 2n, 0);
+    await expect(tx).to.changeTokenBalance(token, buyer, -TOKEN_PRICE);
+
+    for (const id of [1, 2, 3]) {
+      expect(await nft.ownerOf(id)).to.equal(buyer.address);
+    }
+  });
+
+  it("skips failing items, reports them and refunds unspent value", async function () {
+    // listing 2 is gone, listing 3 was repriced above the buyer's max
+    await marketplace.connect(seller).cancelListing(2);
+    await marketplace.connect(seller).updateListing(3, TOKEN_PRICE * 2n);
+
+    const sent = NATIVE_PRICE * 3n;
+    const tx = marketplace
+      .connect(buyer)
+      .sweep([1, 2, 3], [NATIVE_PRICE, NATIVE_PRICE, TOKEN_PRICE], {
+        value: sent,
+      });
+
+    const notActive = marketplace.interface.encodeErrorResult("Error", [
+      " not active",
+    ]);
+    const aboveMax = marketplace.interface.encodeErrorResult("Error", [
+      "price above max",
+    ]);
+    await expect(tx)
+      .to.emit(marketplace, "SweepItemFailed")
+      .withArgs(2, notActive)
+      .and.to.emit(marketplace, "SweepItemFailed")
+      .withArgs(3, aboveMax);
+    await expect(tx)
+      .to.emit(marketplace, "SweepCompleted")
+      .withArgs(buyer.address, 1, 2, NATIVE_PRICE, sent - NATIVE_PRICE);
+    await expect(tx).to.changeEtherBalance(buyer, -NATIVE_PRICE);
+
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await nft.ownerOf(3)).to.equal(marketplace.target);
+    expect((await marketplace.getListing(3)).active).to.be.true;
+  });
+
+  it("stops buying native listings when the value runs out", async function () {
+    const tx = marketplace
+      .connect(buyer)
+      .sweep([1, 2], [NATIVE_PRICE, NATIVE_PRICE], { value: NATIVE_PRICE });
+    await expect(tx)
+      .to.emit(marketplace, "SweepItemFailed")
+      .withArgs(
+        2,
+        marketplace.interface.encodeErrorResult("Error", [
+          "insufficient value",
+        ]),
+      );
+    expect(await nft.ownerOf(2)).to.equal(marketplace.target);
+
+    await expect(
+      marketplace.connect(buyer).sweepItem(2, NATIVE_PRICE, buyer.address, 0),
+    ).to.be.revertedWith("only self");
+  });
+});
+
+describe("Marketplace listing queries", function () {
+  let admin, alice, bob, buyer, marketplaceTreasury, nftTreasury;
+  let nft, otherNft, marketplace, token;
+
+  beforeEach(async function () {
+    [admin, alice, bob, buyer, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace, token } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+    ({ nft: otherNft } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+    await otherNft
+      .connect(admin)
+      .grantRole(await otherNft.SALES_ROLE(), marketplace.target);
+    await marketplace
+      .connect(admin)
+      .setCollectionAllowed(otherNft.target, true);
+
+    for (const name of ["a", "b", "c"]) {
+      await nft.connect(admin).mint(alice.address, "", `${name}.str`);
+    }
+    await nft.connect(admin).mint(bob.address, "", "d.str");
+    await otherNft.connect(admin).mint(alice.address, "", "e.str");
+
+    await nft.connect(alice).setApprovalForAll(marketplace.target, true);
+    await nft.connect(bob).setApprovalForAll(marketplace.target, true);
+    await otherNft.connect(alice).setApprovalForAll(marketplace.target, true);
+
+    await marketplace.connect(alice).listToken(nft.target, 1, 100n); // 1
+    await marketplace.connect(alice).listToken(nft.target, 2, 200n); // 2
+    await token.mint(buyer.address, 1_000n);
+    await token.connect(buyer).approve(marketplace.target, 1_000n);
+    await marketplace
+      .connect(alice)
+      .listTokenERC20(nft.target, 3, 300n, token.target); // 3
+    await marketplace.connect(bob).listToken(nft.target, 4, 400n); // 4
+    await marketplace.connect(alice).listToken(otherNft.target, 1, 500n); // 5
+  });
+
+  async function ids(promise) {
+    const [listingIds] = await promise;
+    return listingIds.map(Number).sort();
+  }
+
+  it("finds the active listing of a token", async function () {
+    const [listingId, listing] = await marketplace.getActiveListing(
+      nft.target,
+      2,
+    );
+    expect(listingId).to.equal(2);
+    expect(listing.price).to.equal(200n);
+
+    const [none] = await marketplace.getActiveListing(otherNft.target, 2);
+    expect(none).to.equal(0);
+  });
+
+  it("pages active listings per seller and per collection", async function () {
+    expect(await marketplace.activeListingCount()).to.equal(5);
+    expect(await marketplace.sellerListingCount(alice.address)).to.equal(4);
+    expect(await marketplace.collectionListingCount(nft.target)).to.equal(4);
+
+    expect(
+      await ids(marketplace.getSellerListings(alice.address, 0, 10)),
+    ).to.deep.equal([1, 2, 3, 5]);
+    expect(
+      await ids(marketplace.getCollectionListings(nft.target, 0, 100)),
+    ).to.deep.equal([1, 2, 3, 4]);
+
+    const [page, items] = await marketplace.getSellerListings(
+      alice.address,
+      1,
+      2,
+    );
+    expect(page.length).to.equal(2);
+    expect(items[0].seller).to.equal(alice.address);
+    const [empty] = await marketplace.getSellerListings(
+      alice.address,
+      10,
+      ethers.MaxUint256,
+    );
+    expect(empty.length).to.equal(0);
+  });
+
+  it("stays consistent through buy, cancel and update", async function () {
+    await marketplace.connect(buyer).buy(1, { value: 100n });
+    await marketplace.connect(buyer).buyWithERC20(3);
+    await marketplace.connect(bob).cancelListing(4);
+    await marketplace.connect(alice).updateListing(2, 250n);
+
+    expect(await marketplace.activeListingCount()).to.equal(2);
+    expect(
+      await ids(marketplace.getSellerListings(alice.address, 0, 10)),
+    ).to.deep.equal([2, 5]);
+    expect(await marketplace.sellerListingCount(bob.address)).to.equal(0);
+    expect(
+      await ids(marketplace.getCollectionListings(nft.target, 0, 10)),
+    ).to.deep.equal([2]);
+
+    const [cleared] = await marketplace.getActiveListing(nft.target, 1);
+    expect(cleared).to.equal(0);
+    const [, updated] = await marketplace.getActiveListing(nft.target, 2);
+    expect(updated.price).to.equal(250n);
+
+    // relisting by the new owner is indexed again
+    await nft.connect(buyer).setApprovalForAll(marketplace.target, true);
+    await marketplace.connect(buyer).listToken(nft.target, 1, 150n);
+    const [relisted] = await marketplace.getActiveListing(nft.target, 1);
+    expect(relisted).to.equal(6);
+    expect(await marketplace.sellerListingCount(buyer.address)).to.equal(1);
+  });
+});
+
+describe("Marketplace non-custodial listings", function () {
+  let admin, seller, buyer, other, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, token;
+
+  const PRICE = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [admin, seller, buyer, other, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace, token } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+
+    await nft.connect(admin).mint(seller.address, "", "a.str");
+    await nft.connect(admin).mint(seller.address, "", "b.str");
+    await nft.connect(seller).setApprovalForAll(marketplace.target, true);
+    await expect(
+      marketplace
+        .connect(seller)
+        .listTokenNonCustodial(nft.target, 1, PRICE, ethers.ZeroAddress),
+    )
+      .to.emit(marketplace, "Listed")
+      .withArgs(1, seller.address, nft.target, 1, PRICE, ethers.ZeroAddress)
+      .and.to.emit(marketplace, "ListedNonCustodial")
+      .withArgs(1);
+  });
+
+  it("keeps the token with the seller and pulls it at purchase", async function () {
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+    expect(await marketplace.nonCustodial(1)).to.be.true;
+    expect(await marketplace.isListingValid(1)).to.be.true;
+
+    const fee = (PRICE * 250n) / 10_000n;
+    const royalty = (PRICE * 500n) / 10_000n;
+    await expect(
+      marketplace.connect(buyer).buy(1, { value: PRICE }),
+    ).to.changeEtherBalances([buyer, seller], [-PRICE, PRICE - fee - royalty]);
+
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await marketplace.accruedFees()).to.equal(fee);
+    expect((await nft.lastSaleOf(1)).price).to.equal(PRICE);
+    expect(await marketplace.isListingValid(1)).to.be.false;
+  });
+
+  it("settles ERC20 listings from the seller's wallet", async function () {
+    await marketplace
+      .connect(seller)
+      .listTokenNonCustodial(nft.target, 2, 1_000n, token.target);
+    await token.mint(buyer.address, 1_000n);
+    await token.connect(buyer).approve(marketplace.target, 1_000n);
+
+    await marketplace.connect(buyer).buyWithERC20(2);
+    expect(await nft.ownerOf(2)).to.equal(buyer.address);
+    // 1000 - 2.5% fee - 5% royalty
+    expect(await token.balanceOf(seller.address)).to.equal(925n);
+  });
+
+  it("lapses when the token is transferred", async function () {
+    await nft.connect(seller).transferFrom(seller.address, other.address, 1);
+    expect(await marketplace.isListingValid(1)).to.be.false;
+    await expect(
+      marketplace.connect(buyer).buy(1, { value: PRICE }),
+    ).to.be.revertedWith("listing invalid");
+
+    // anyone can clean it up; valid listings are left alone
+    await marketplace
+      .connect(seller)
+      .listTokenNonCustodial(nft.target, 2, PRICE, ethers.ZeroAddress);
+    await expect(marketplace.connect(buyer).cancelInvalidListings([1, 2]))
+      .to.emit(marketplace, "ListingInvalidated")
+      .withArgs(1);
+    expect((await marketplace.getListing(1)).active).to.be.false;
+    expect((await marketplace.getListing(2)).active).to.be.true;
+    expect(await marketplace.sellerListingCount(seller.address)).to.equal(1);
+  });
+
+  it("lapses when the token leaves and comes back", async function () {
+    await nft.connect(seller).transferFrom(seller.address, other.address, 1);
+    await nft.connect(other).transferFrom(other.address, seller.address, 1);
+
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+    expect(await marketplace.isListingValid(1)).to.be.false;
+  });
+
+  it("lapses while the approval is revoked", async function () {
+    await nft.connect(seller).setApprovalForAll(marketplace.target, false);
+    expect(await marketplace.isListingValid(1)).to.be.false;
+    await expect(
+      marketplace.connect(buyer).buy(1, { value: PRICE }),
+    ).to.be.revertedWith("listing invalid");
+
+    await nft.connect(seller).approve(marketplace.target, 1);
+    expect(await marketplace.isListingValid(1)).to.be.true;
+  });
+
+  it("is replaced by a new listing of the token", async function () {
+    // the new owner lists over the stale listing of the previous one
+    await nft.connect(seller).transferFrom(seller.address, other.address, 1);
+    await nft.connect(other).setApprovalForAll(marketplace.target, true);
+    await expect(marketplace.connect(other).listToken(nft.target, 1, PRICE))
+      .to.emit(marketplace, "ListingCanceled")
+      .withArgs(1);
+
+    const [listingId, listing] = await marketplace.getActiveListing(
+      nft.target,
+      1,
+    );
+    expect(listingId).to.equal(2);
+    expect(listing.seller).to.equal(other.address);
+    expect(await marketplace.nonCustodial(2)).to.be.false;
+    expect(await nft.ownerOf(1)).to.equal(marketplace.target);
+  });
+
+  it("is canceled without moving the token", async function () {
+    await expect(marketplace.connect(seller).cancelListing(1))
+      .to.emit(marketplace, "ListingCanceled")
+      .withArgs(1);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+  });
+});
+
+describe("Marketplace signed orders", function () {
+  let admin, seller, buyer, other, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, token, domain;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, other, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace, token } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+
+    await nft.connect(admin).mint(seller.address, "a.str", "alice.str");
+    await nft.connect(admin).mint(seller.address, "b.str", "bob.str");
+    // one-time approval; no escrow per order
+    await nft.connect(seller).setApprovalForAll(marketplace.target, true);
+
+    domain = await getOrderDomain(marketplace);
+  });
+
+  async function signedOrder(fields = {}) {
+    const order = await buildOrder(
+      {
+        seller: seller.address,
+        nft: nft.target,
+        tokenId: 1,
+        price: ethers.parseEther("1"),
+        expiry: (await time.latest()) + 3600,
+        ...fields,
+      },
+      marketplace,
+    );
+    const signature = await signOrder(seller, order, domain);
+    return { order, signature };
+  }
+
+  it("JS helper hash and signature match the contract", async function () {
+    const { order, signature } = await signedOrder();
+    expect(await marketplace.hashOrder(order)).to.equal(
+      hashOrder(order, domain),
+    );
+    expect(verifyOrder(order, signature, domain)).to.be.true;
+    expect(verifyOrder({ ...order, price: 1n }, signature, domain)).to.be.false;
+
+    const restored = deserializeOrder(
+      JSON.parse(JSON.stringify(serializeOrder(order, signature))),
+    );
+    expect(restored.order).to.deep.equal(order);
+    expect(restored.signature).to.equal(signature);
+  });
+
+  it("buyer fills a native order; domain never leaves the seller before", async function () {
+    const { order, signature } = await signedOrder();
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+
+    const tx = marketplace.connect(buyer).fillOrder(order, signature, {
+      value: order.price,
+    });
+    await expect(tx).to.emit(marketplace, "OrderFilled");
+    await expect(tx).to.changeEtherBalance(seller, ethers.parseEther("0.925"));
+
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await marketplace.accruedFees()).to.equal(
+      ethers.parseEther("0.025"),
+    );
+    const [lastPrice] = await nft.lastSaleOf(1);
+    expect(lastPrice).to.equal(order.price);
+
+    await expect(
+      marketplace
+        .connect(other)
+        .fillOrder(order, signature, { value: order.price }),
+    ).to.be.revertedWith("order closed");
+  });
+
+  it("fills an ERC20 order", async function () {
+    const price = ethers.parseUnits("100", 18);
+    const { order, signature } = await signedOrder({
+      price,
+      paymentToken: token.target,
+    });
+    await token.mint(buyer.address, price);
+    await token.connect(buyer).approve(marketplace.target, price);
+
+    await marketplace.connect(buyer).fillOrderWithERC20(order, signature);
+
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await token.balanceOf(seller.address)).to.equal(
+      ethers.parseUnits("92.5", 18),
+    );
+  });
+
+  it("rejects forged, expired and tampered orders", async function () {
+    const { order } = await signedOrder();
+    const forged = await signOrder(other, order, domain);
+    await expect(
+      marketplace
+        .connect(buyer)
+        .fillOrder(order, forged, { value: order.price }),
+    ).to.be.revertedWith("bad signature");
+
+    const { order: cheap, signature } = await signedOrder();
+    const tampered = { ...cheap, price: 1n };
+    await expect(
+      marketplace.connect(buyer).fillOrder(tampered, signature, { value: 1n }),
+    ).to.be.revertedWith("bad signature");
+
+    const { order: short, signature: shortSig } = await signedOrder({
+      expiry: (await time.latest()) + 60,
+    });
+    await time.increase(120);
+    await expect(
+      marketplace
+        .connect(buyer)
+        .fillOrder(short, shortSig, { value: short.price }),
+    ).to.be.revertedWith("order expired");
+  });
+
+  it("seller cancels one order", async function () {
+    const { order, signature } = await signedOrder();
+    await expect(
+      marketplace.connect(other).cancelOrder(order),
+    ).to.be.revertedWith("not seller");
+    await expect(marketplace.connect(seller).cancelOrder(order))
+      .to.emit(marketplace, "OrderCanceled")
+      .withArgs(hashOrder(order, domain), seller.address);
+
+    await expect(
+      marketplace.connect(buyer).fillOrder(order, signature, {
+        value: order.price,
+      }),
+    ).to.be.revertedWith("order closed");
+  });
+
+  it("bumping the nonce cancels all outstanding orders", async function () {
+    const first = await signedOrder({ tokenId: 1 });
+    const second = await signedOrder({ tokenId: 2 });
+
+    await expect(marketplace.connect(seller).incrementNonce())
+      .to.emit(marketplace, "NonceIncremented")
+      .withArgs(seller.address, 1);
+
+    for (const { order, signature } of [first, second]) {
+      await expect(
+        marketplace
+          .connect(buyer)
+          .fillOrder(order, signature, { value: order.price }),
+      ).to.be.revertedWith("bad nonce");
+    }
+
+    const fresh = await signedOrder({ tokenId: 2 });
+    expect(fresh.order.nonce).to.equal(1n);
+    await marketplace
+      .connect(buyer)
+      .fillOrder(fresh.order, fresh.signature, { value: fresh.order.price });
+    expect(await nft.ownerOf(2)).to.equal(buyer.address);
+  });
+
+  it("fails when the seller no longer owns the domain", async function () {
+    const { order, signature } = await signedOrder();
+    await nft
+      .connect(seller)
+      .transferFrom(seller.address, other.address, order.tokenId);
+
+    await expect(
+      marketplace.connect(buyer).fillOrder(order, signature, {
+        value: order.price,
+      }),
+    ).to.be.revertedWith("seller!=owner");
+  });
+
+  it("follows the allowlists, minimum prices and pause switch", async function () {
+    await marketplace.setPaymentToken(ethers.ZeroAddress, true, 1000n);
+    const cheap = await signedOrder({ price: 999n });
+    await expect(
+      marketplace
+        .connect(buyer)
+        .fillOrder(cheap.order, cheap.signature, { value: 999n }),
+    ).to.be.revertedWith("price<min");
+
+    const { order, signature } = await signedOrder();
+    await marketplace.pause();
+    await expect(
+      marketplace
+        .connect(buyer)
+        .fillOrder(order, signature, { value: order.price }),
+    ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+    // sellers can still cancel while paused
+    await marketplace.connect(seller).cancelOrder(cheap.order);
+    await marketplace.unpause();
+
+    await marketplace.setCollectionAllowed(nft.target, false);
+    await expect(
+      marketplace
+        .connect(buyer)
+        .fillOrder(order, signature, { value: order.price }),
+    ).to.be.revertedWith("collection not allowed");
+  });
+
+  it("closes a non-custodial listing of the sold token", async function () {
+    await marketplace
+      .connect(seller)
+      .listTokenNonCustodial(nft.target, 1, 5000n, ethers.ZeroAddress);
+    const { order, signature } = await signedOrder();
+
+    await expect(
+      marketplace
+        .connect(buyer)
+        .fillOrder(order, signature, { value: order.price }),
+    )
+      .to.emit(marketplace, "ListingCanceled")
+      .withArgs(1);
+    expect(await marketplace.activeListingCount()).to.equal(0);
+  });
+});
+
+describe("Marketplace emergency controls", function () {
+  let admin, seller, buyer, recovery, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, token;
+
+  const PRICE = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [admin, seller, buyer, recovery, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace, token } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+
+    for (const name of ["a", "b", "c"]) {
+      await nft.connect(admin).mint(seller.address, "", `${name}.str`);
+    }
+    await nft.connect(seller).setApprovalForAll(marketplace.target, true);
+    await marketplace.connect(seller).listToken(nft.target, 1, PRICE); // 1
+  });
+
+  it("stops listing and buying while paused", async function () {
+    await expect(
+      marketplace.connect(seller).pause(),
+    ).to.be.revertedWithCustomError(
+      marketplace,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(marketplace.pause())
+      .to.emit(marketplace, "Paused")
+      .withArgs(admin.address);
+
+    await expect(
+      marketplace.connect(seller).listToken(nft.target, 2, PRICE),
+    ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+    await expect(
+      marketplace.connect(buyer).buy(1, { value: PRICE }),
+    ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+    await expect(
+      marketplace.connect(buyer).sweep([1], [PRICE], { value: PRICE }),
+    ).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+
+    // sellers can still get their tokens back
+    await marketplace.connect(seller).cancelListing(1);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+
+    await marketplace.unpause();
+    await marketplace.connect(seller).listToken(nft.target, 1, PRICE);
+  });
+
+  it("force-delists to the seller or a recovery address", async function () {
+    await marketplace.connect(seller).listToken(nft.target, 2, PRICE); // 2
+
+    await expect(
+      marketplace.connect(seller).forceDelist(1, ethers.ZeroAddress),
+    ).to.be.revertedWithCustomError(
+      marketplace,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(marketplace.forceDelist(1, ethers.ZeroAddress))
+      .to.emit(marketplace, "ListingForceDelisted")
+      .withArgs(1, admin.address, seller.address);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+
+    await expect(marketplace.forceDelist(2, recovery.address))
+      .to.emit(marketplace, "ListingForceDelisted")
+      .withArgs(2, admin.address, recovery.address);
+    expect(await nft.ownerOf(2)).to.equal(recovery.address);
+    expect(await marketplace.activeListingCount()).to.equal(0);
+
+    await expect(
+      marketplace.forceDelist(2, ethers.ZeroAddress),
+    ).to.be.revertedWith(" not active");
+  });
+
+  it("cleans up listings whose token was burned", async function () {
+    // the name expires and is released (burned) after the grace period
+    const expiresAt = await nft.expiresAt(1);
+    await time.increaseTo(expiresAt + (await nft.gracePeriod()));
+    await nft.release(1);
+
+    expect(await marketplace.isListingValid(1)).to.be.false;
+    await expect(marketplace.connect(seller).cancelListing(1)).to.be.reverted;
+
+    await expect(marketplace.connect(buyer).cancelInvalidListings([1]))
+      .to.emit(marketplace, "ListingInvalidated")
+      .withArgs(1);
+    expect(await marketplace.activeListingCount()).to.equal(0);
+  });
+
+  it("force-delists a burned listing without a transfer", async function () {
+    const expiresAt = await nft.expiresAt(1);
+    await time.increaseTo(expiresAt + (await nft.gracePeriod()));
+    await nft.release(1);
+
+    await expect(marketplace.forceDelist(1, recovery.address))
+      .to.emit(marketplace, "ListingForceDelisted")
+      .withArgs(1, admin.address, ethers.ZeroAddress);
+  });
+
+  it("rescues only funds beyond fees", async function () {
+    await marketplace
+      .connect(seller)
+      .listTokenERC20(nft.target, 2, 1_000n, token.target);
+    await token.mint(buyer.address, 10_000n);
+    await token.connect(buyer).approve(marketplace.target, 10_000n);
+    await marketplace.connect(buyer).buyWithERC20(2); // 25 in fees
+    await token.connect(buyer).transfer(marketplace.target, 100n); // by mistake
+
+    expect(await marketplace.rescuableFunds(token.target)).to.equal(100n);
+    await expect(
+      marketplace.rescueFunds(token.target, recovery.address, 101n),
+    ).to.be.revertedWith("amount>rescuable");
+    await expect(marketplace.rescueFunds(token.target, recovery.address, 100n))
+      .to.emit(marketplace, "FundsRescued")
+      .withArgs(token.target, recovery.address, 100n, admin.address);
+    expect(await token.balanceOf(recovery.address)).to.equal(100n);
+
+    // the fees are still covered
+    await marketplace.withdrawTokenFees(token.target);
+    expect(await token.balanceOf(marketplace.target)).to.equal(0n);
+  });
+
+  it("rescues native value beyond fees", async function () {
+    await marketplace.connect(buyer).buy(1, { value: PRICE });
+    const held = await ethers.provider.getBalance(marketplace.target);
+    // e.g. forced in by selfdestruct or as a block reward
+    await hre.network.provider.send("hardhat_setBalance", [
+      marketplace.target,
+      ethers.toQuantity(held + 1234n),
+    ]);
+
+    expect(await marketplace.rescuableFunds(ethers.ZeroAddress)).to.equal(
+      1234n,
+    );
+    await expect(
+      marketplace.rescueFunds(ethers.ZeroAddress, recovery.address, 1234n),
+    ).to.changeEtherBalance(recovery, 1234n);
+    expect(await marketplace.rescuableFunds(ethers.ZeroAddress)).to.equal(0n);
+  });
+});
+
+describe("Marketplace allowlists", function () {
+  let admin, seller, buyer, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, token, otherNft;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace, token } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+    ({ nft: otherNft } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+
+    await nft.connect(admin).mint(seller.address, "", "a.str");
+    await nft.connect(admin).mint(seller.address, "", "b.str");
+    await otherNft.connect(admin).mint(seller.address, "", "c.str");
+    await nft.connect(seller).setApprovalForAll(marketplace.target, true);
+    await otherNft.connect(seller).setApprovalForAll(marketplace.target, true);
+    await token.mint(buyer.address, 10_000n);
+    await token.connect(buyer).approve(marketplace.target, 10_000n);
+  });
+
+  it("only lists allowed collections and payment tokens", async function () {
+    await expect(
+      marketplace.connect(seller).listToken(otherNft.target, 1, 100n),
+    ).to.be.revertedWith("collection not allowed");
+    await expect(
+      marketplace.connect(seller).setCollectionAllowed(otherNft.target, true),
+    ).to.be.revertedWithCustomError(
+      marketplace,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(marketplace.setCollectionAllowed(otherNft.target, true))
+      .to.emit(marketplace, "CollectionAllowed")
+      .withArgs(otherNft.target, true);
+    await marketplace.connect(seller).listToken(otherNft.target, 1, 100n);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    const unknown = await Token.deploy("Unknown", "UNK");
+    await expect(
+      marketplace
+        .connect(seller)
+        .listTokenERC20(nft.target, 1, 100n, unknown.target),
+    ).to.be.revertedWith("token not allowed");
+  });
+
+  it("enforces per-token minimum prices", async function () {
+    await expect(marketplace.setPaymentToken(token.target, true, 500n))
+      .to.emit(marketplace, "PaymentTokenUpdated")
+      .withArgs(token.target, true, 500n);
+    await marketplace.setPaymentToken(ethers.ZeroAddress, true, 1000n);
+
+    await expect(
+      marketplace
+        .connect(seller)
+        .listTokenERC20(nft.target, 1, 499n, token.target),
+    ).to.be.revertedWith("price<min");
+    await expect(
+      marketplace.connect(seller).listToken(nft.target, 2, 999n),
+    ).to.be.revertedWith("price<min");
+
+    await marketplace
+      .connect(seller)
+      .listTokenERC20(nft.target, 1, 500n, token.target);
+    await expect(
+      marketplace.connect(seller).updateListing(1, 499n),
+    ).to.be.revertedWith("price<min");
+
+    const [tokens, minPrices] = await marketplace.getPaymentTokens();
+    expect(tokens).to.deep.equal([ethers.ZeroAddress, token.target]);
+    expect(minPrices).to.deep.equal([1000n, 500n]);
+  });
+
+  it("stops sales in a removed payment token until the seller cancels", async function () {
+    await marketplace
+      .connect(seller)
+      .listTokenERC20(nft.target, 1, 1_000n, token.target);
+    await expect(marketplace.setPaymentToken(token.target, false, 500n))
+      .to.emit(marketplace, "PaymentTokenUpdated")
+      .withArgs(token.target, false, 0);
+    await expect(
+      marketplace.setPaymentToken(ethers.ZeroAddress, false, 0),
+    ).to.be.revertedWith("native always allowed");
+
+    expect(await marketplace.isPaymentTokenAllowed(token.target)).to.be.false;
+    expect(await marketplace.minPrice(token.target)).to.equal(0n);
+    await expect(marketplace.connect(buyer).buyWithERC20(1)).to.be.revertedWith(
+      "token not allowed",
+    );
+
+    await marketplace.connect(seller).cancelListing(1);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+  });
+
+  it("rejects payment tokens that deliver less than the price", async function () {
+    const FeeToken = await ethers.getContractFactory("MockFeeOnTransferERC20");
+    const feeToken = await FeeToken.deploy("Fee", "FEE");
+    await marketplace.setPaymentToken(feeToken.target, true, 0);
+    await feeToken.mint(buyer.address, 10_000n);
+    await feeToken.connect(buyer).approve(marketplace.target, 10_000n);
+
+    await marketplace
+      .connect(seller)
+      .listTokenERC20(nft.target, 1, 1_000n, feeToken.target);
+    await expect(marketplace.connect(buyer).buyWithERC20(1)).to.be.revertedWith(
+      "short transfer",
+    );
+
+    expect(await marketplace.accruedTokenFees(feeToken.target)).to.equal(0n);
+    expect(await nft.ownerOf(1)).to.equal(marketplace.target);
+  });
+});
+
+describe("Marketplace expiring names", function () {
+  const YEAR = 365 * 24 * 3600;
+  let admin, seller, buyer, marketplaceTreasury, nftTreasury;
+  let nft, marketplace;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+    ({ nft, marketplace } = await deployMarketplaceSystem(
+      admin,
+      marketplaceTreasury,
+      nftTreasury,
+    ));
+    await nft.connect(admin).setRegistrationConfig(YEAR, 90 * 24 * 3600, 100n);
+
+    await nft.connect(admin).mint(seller.address, "", "a.str");
+    await nft.connect(seller).setApprovalForAll(marketplace.target, true);
+  });
+
+  it("lets the seller renew a name that expired while listed", async function () {
+    await marketplace.connect(seller).listToken(nft.target, 1, 1000n);
+    await time.increase(YEAR);
+
+    // the expired name can neither be sold nor handed back
+    await expect(
+      marketplace.connect(buyer).buy(1, { value: 1000n }),
+    ).to.be.revertedWith("domain expired");
+    await expect(
+      marketplace.connect(seller).cancelListing(1),
+    ).to.be.revertedWith("domain expired");
+
+    // the marketplace holds it, so renewing in grace is not limited to the owner
+    await expect(nft.connect(seller).renew(1, 1, { value: 100n }))
+      .to.emit(nft, "Renewed")
+      .withArgs(1, seller.address, 1, anyValue, 100n);
+    expect(await nft.isExpired(1)).to.be.false;
+
+    await marketplace.connect(seller).cancelListing(1);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+  });
+});
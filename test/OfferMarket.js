@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("OfferMarket", function () {
+  let admin, owner, bidder, other, feeTreasury, nftTreasury;
+  let nft, marketplace, offerMarket, token;
+
+  beforeEach(async function () {
+    [admin, owner, bidder, other, feeTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        nftTreasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    // the offer market follows the Marketplace's allowlists, minimum prices and pause switch
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [feeTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await marketplace.waitForDeployment();
+
+    const OfferMarket = await ethers.getContractFactory("OfferMarket");
+    offerMarket = await OfferMarket.deploy(
+      feeTreasury.address,
+      250,
+      marketplace.target,
+    );
+    await offerMarket.waitForDeployment();
+    await nft.grantRole(await nft.SALES_ROLE(), offerMarket.target);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock USD", "mUSD");
+    await token.waitForDeployment();
+
+    await marketplace.setCollectionAllowed(nft.target, true);
+    await marketplace.setPaymentToken(token.target, true, 0);
+
+    await nft.mint(owner.address, "a.str", "alice.str");
+    await nft.mint(owner.address, "b.str", "bob.str");
+  });
+
+  async function expiry(seconds = 3600) {
+    return (await time.latest()) + seconds;
+  }
+
+  it("owner accepts a native offer through the buy settlement path", async function () {
+    const amount = ethers.parseEther("1");
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 1, await expiry(), { value: amount });
+
+    const offer = await offerMarket.getOffer(1);
+    expect(offer.bidder).to.equal(bidder.address);
+    expect(offer.active).to.be.true;
+
+    await nft.connect(owner).approve(offerMarket.target, 1);
+    const sellerBefore = await ethers.provider.getBalance(owner.address);
+    const tx = await offerMarket.connect(owner).acceptOffer(1, 1);
+    const receipt = await tx.wait();
+    const gas = receipt.gasUsed * receipt.gasPrice;
+
+    await expect(tx)
+      .to.emit(offerMarket, "OfferAccepted")
+      .withArgs(
+        1,
+        owner.address,
+        1,
+        bidder.address,
+        amount,
+        ethers.parseEther("0.05"),
+        ethers.parseEther("0.025"),
+        ethers.parseEther("0.925"),
+        ethers.ZeroAddress,
+      );
+    await expect(tx).to.emit(offerMarket, "SaleRecordingSuccess");
+
+    expect(await nft.ownerOf(1)).to.equal(bidder.address);
+    expect(await ethers.provider.getBalance(owner.address)).to.equal(
+      sellerBefore + ethers.parseEther("0.925") - gas,
+    );
+    expect(await offerMarket.accruedFees()).to.equal(
+      ethers.parseEther("0.025"),
+    );
+    const [lastPrice] = await nft.lastSaleOf(1);
+    expect(lastPrice).to.equal(amount);
+    expect((await offerMarket.getOffer(1)).active).to.be.false;
+  });
+
+  it("bidder can cancel and gets the escrow back", async function () {
+    const amount = ethers.parseEther("1");
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 1, await expiry(), { value: amount });
+
+    await expect(offerMarket.connect(other).cancelOffer(1)).to.be.revertedWith(
+      "not bidder",
+    );
+    await expect(
+      offerMarket.connect(bidder).cancelOffer(1),
+    ).to.changeEtherBalances([bidder, offerMarket], [amount, -amount]);
+
+    await nft.connect(owner).approve(offerMarket.target, 1);
+    await expect(
+      offerMarket.connect(owner).acceptOffer(1, 1),
+    ).to.be.revertedWith("offer !active");
+  });
+
+  it("expired offers cannot be accepted and anyone can release them", async function () {
+    const amount = ethers.parseEther("1");
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 1, await expiry(60), { value: amount });
+    await time.increase(120);
+
+    await nft.connect(owner).approve(offerMarket.target, 1);
+    await expect(
+      offerMarket.connect(owner).acceptOffer(1, 1),
+    ).to.be.revertedWith("offer expired");
+    await expect(
+      offerMarket.connect(other).cancelOffer(1),
+    ).to.changeEtherBalance(bidder, amount);
+  });
+
+  it("token offers can only be accepted by the owner of that token", async function () {
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 1, await expiry(), { value: 1000n });
+
+    await expect(
+      offerMarket.connect(owner).acceptOffer(1, 2),
+    ).to.be.revertedWith("wrong token");
+    await expect(
+      offerMarket.connect(other).acceptOffer(1, 1),
+    ).to.be.revertedWith("not owner");
+    await expect(
+      offerMarket.connect(owner).acceptOffer(1, 1),
+    ).to.be.revertedWith("not approved");
+  });
+
+  it("any holder can accept an ERC20 collection-wide offer", async function () {
+    const amount = ethers.parseUnits("100", 18);
+    await token.mint(bidder.address, amount);
+    await token.connect(bidder).approve(offerMarket.target, amount);
+
+    await expect(
+      offerMarket
+        .connect(bidder)
+        .makeCollectionOfferERC20(
+          nft.target,
+          amount,
+          token.target,
+          await expiry(),
+        ),
+    ).to.emit(offerMarket, "OfferCreated");
+    expect(await token.balanceOf(offerMarket.target)).to.equal(amount);
+
+    await nft.connect(owner).setApprovalForAll(offerMarket.target, true);
+    await offerMarket.connect(owner).acceptOffer(1, 2);
+
+    expect(await nft.ownerOf(2)).to.equal(bidder.address);
+    const lastSale = await nft.lastSaleOf(2);
+    expect(lastSale.price).to.equal(amount);
+    expect(lastSale.paymentToken).to.equal(token.target);
+    expect(await token.balanceOf(owner.address)).to.equal(
+      ethers.parseUnits("92.5", 18),
+    );
+    expect(await offerMarket.accruedTokenFees(token.target)).to.equal(
+      ethers.parseUnits("2.5", 18),
+    );
+
+    const [splitterAddr] = await nft.royaltyInfo(2, amount);
+    const splitter = await ethers.getContractAt(
+      "RoyaltySplitter",
+      splitterAddr,
+    );
+    expect(await splitter.erc20Balance(token.target, owner.address)).to.equal(
+      ethers.parseUnits("2", 18),
+    );
+    expect(
+      await splitter.erc20Balance(token.target, nftTreasury.address),
+    ).to.equal(ethers.parseUnits("3", 18));
+  });
+
+  it("follows the Marketplace allowlists and minimum prices", async function () {
+    const Token = await ethers.getContractFactory("MockERC20");
+    const unknown = await Token.deploy("Unknown", "UNK");
+    await expect(
+      offerMarket
+        .connect(bidder)
+        .makeCollectionOfferERC20(
+          nft.target,
+          100n,
+          unknown.target,
+          await expiry(),
+        ),
+    ).to.be.revertedWith("token not allowed");
+
+    await marketplace.setPaymentToken(ethers.ZeroAddress, true, 1000n);
+    await expect(
+      offerMarket
+        .connect(bidder)
+        .makeOffer(nft.target, 2, await expiry(), { value: 999n }),
+    ).to.be.revertedWith("price<min");
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 2, await expiry(), { value: 1000n });
+
+    // an open offer cannot be accepted once the collection is removed
+    await marketplace.setCollectionAllowed(nft.target, false);
+    await nft.connect(owner).approve(offerMarket.target, 2);
+    await expect(
+      offerMarket.connect(owner).acceptOffer(1, 2),
+    ).to.be.revertedWith("collection not allowed");
+  });
+
+  it("stops offers while the Marketplace is paused but lets bidders cancel", async function () {
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 1, await expiry(), { value: 1000n });
+    await marketplace.pause();
+
+    await expect(
+      offerMarket
+        .connect(bidder)
+        .makeOffer(nft.target, 2, await expiry(), { value: 1000n }),
+    ).to.be.revertedWith("market paused");
+    await nft.connect(owner).approve(offerMarket.target, 1);
+    await expect(
+      offerMarket.connect(owner).acceptOffer(1, 1),
+    ).to.be.revertedWith("market paused");
+
+    await expect(
+      offerMarket.connect(bidder).cancelOffer(1),
+    ).to.changeEtherBalance(bidder, 1000n);
+  });
+
+  it("leaves a non-custodial Marketplace listing of the sold token invalid", async function () {
+    await nft.connect(owner).setApprovalForAll(marketplace.target, true);
+    await nft.connect(owner).setApprovalForAll(offerMarket.target, true);
+    await marketplace
+      .connect(owner)
+      .listTokenNonCustodial(nft.target, 1, 5000n, ethers.ZeroAddress);
+    await offerMarket
+      .connect(bidder)
+      .makeOffer(nft.target, 1, await expiry(), { value: 1000n });
+
+    await offerMarket.connect(owner).acceptOffer(1, 1);
+    expect(await marketplace.isListingValid(1)).to.be.false;
+    await expect(
+      marketplace.connect(other).buy(1, { value: 5000n }),
+    ).to.be.revertedWith("listing invalid");
+    await expect(marketplace.connect(other).cancelInvalidListings([1]))
+      .to.emit(marketplace, "ListingInvalidated")
+      .withArgs(1);
+    expect(await marketplace.activeListingCount()).to.equal(0);
+  });
+});
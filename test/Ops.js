@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeManifest } = require("../lib/deployments");
+
+const { ethers, upgrades } = hre;
+
+// Runs an ops task and returns its parsed JSON output
+async function ops(task, args) {
+  const lines = [];
+  const log = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    await hre.run({ scope: "ops", task }, { dryRun: false, ...args });
+  } finally {
+    console.log = log;
+  }
+  return JSON.parse(lines.join("\n"));
+}
+
+describe("ops tasks", function () {
+  let admin, alice, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, factory, manifest, dir;
+
+  beforeEach(async function () {
+    [admin, alice, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    factory = await Factory.deploy(splitterImpl.target);
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      ["Str Domains", "STRDOM", nftTreasury.address, factory.target, 500],
+      { kind: "uups" },
+    );
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [marketplaceTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await nft.grantRole(await nft.SALES_ROLE(), marketplace.target);
+    await marketplace.setCollectionAllowed(nft.target, true);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ops-"));
+    manifest = path.join(dir, "hardhat.json");
+    writeManifest(manifest, {
+      network: "hardhat",
+      chainId: 31337,
+      contracts: {
+        RoyaltySplitterFactory: { address: factory.target },
+        StrDomainsNFT: { address: nft.target },
+        Marketplace: { address: marketplace.target },
+      },
+    });
+    process.exitCode = undefined;
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  it("simulates without sending in dry-run mode", async function () {
+    const out = await ops("mint", {
+      domain: "alice.str",
+      to: alice.address,
+      uri: "ipfs://a",
+      manifest,
+      dryRun: true,
+    });
+    expect(out.ok).to.be.true;
+    expect(out.transactions[0]).to.include({ simulated: true });
+    expect(out.transactions[0].result).to.deep.equal({ tokenId: "1" });
+    expect(await nft.getLastId()).to.equal(0n);
+  });
+
+  it("mints, lists and withdraws fees with decoded events", async function () {
+    const minted = await ops("mint", {
+      domain: "alice.str",
+      uri: "ipfs://a",
+      manifest,
+    });
+    expect(minted.transactions[0].events.map((e) => e.name)).to.include(
+      "Minted",
+    );
+
+    // the admin owns the token and has not approved the marketplace yet
+    const listed = await ops("list", {
+      tokenId: "1",
+      price: "1000000",
+      manifest,
+    });
+    expect(listed.ok).to.be.true;
+    expect(listed.transactions.map((t) => t.step)).to.deep.equal([
+      "approve marketplace",
+      "list",
+    ]);
+    const listedEvent = listed.transactions[1].events.find(
+      (e) => e.name === "Listed",
+    );
+    expect(listedEvent.args.listingId).to.equal("1");
+
+    await marketplace.connect(alice).buy(1, { value: 1_000_000n });
+    const withdrawn = await ops("withdraw-fees", { manifest });
+    expect(withdrawn.checks.accrued).to.equal("25000");
+    expect(await marketplace.accruedFees()).to.equal(0n);
+
+    // the admin is also the creator: 40% of the 5% royalty
+    const royalties = await ops("splitter-withdraw", {
+      splitter: "1",
+      manifest,
+    });
+    expect(royalties.checks.balances.native).to.equal("20000");
+    expect(royalties.transactions[0].events[0]).to.include({
+      name: "Withdraw",
+    });
+  });
+
+  it("refuses before sending when the signer lacks permission", async function () {
+    await nft.mint(alice.address, "ipfs://a", "alice.str");
+
+    const out = await ops("transfer", {
+      tokenId: "1",
+      to: admin.address,
+      manifest,
+    });
+    expect(out.ok).to.be.false;
+    expect(out.error.message).to.match(/neither the owner/);
+    expect(process.exitCode).to.equal(1);
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+  });
+
+  it("grants and revokes roles by name", async function () {
+    const granted = await ops("grant-role", {
+      contract: "StrDomainsNFT",
+      role: "MINTER_ROLE",
+      account: alice.address,
+      manifest,
+    });
+    expect(granted.transactions[0].events[0].name).to.equal("RoleGranted");
+    expect(await nft.hasRole(await nft.MINTER_ROLE(), alice.address)).to.be
+      .true;
+
+    // already granted: nothing to send
+    const again = await ops("grant-role", {
+      contract: "StrDomainsNFT",
+      role: "MINTER_ROLE",
+      account: alice.address,
+      manifest,
+    });
+    expect(again.transactions).to.have.length(0);
+
+    await ops("revoke-role", {
+      contract: "StrDomainsNFT",
+      role: "MINTER_ROLE",
+      account: alice.address,
+      manifest,
+    });
+    expect(await nft.hasRole(await nft.MINTER_ROLE(), alice.address)).to.be
+      .false;
+  });
+
+  it("migrates the collection and its splitters to a new treasury", async function () {
+    await nft.mint(alice.address, "ipfs://a", "alice.str");
+    await nft.mint(alice.address, "ipfs://b", "bob.str");
+    const splitter = await ethers.getContractAt(
+      "RoyaltySplitter",
+      (await nft.royaltyInfo(1, 0))[0],
+    );
+    await admin.sendTransaction({ to: splitter.target, value: 1000n });
+
+    const out = await ops("migrate-treasury", {
+      newTreasury: alice.address,
+      pageSize: "1",
+      manifest,
+    });
+    expect(out.ok).to.be.true;
+    expect(out.checks.oldTreasury).to.equal(nftTreasury.address);
+    expect(out.transactions.map((t) => t.step)).to.deep.equal([
+      "set collection treasury",
+      "migrate splitters 0-0",
+      "migrate splitters 1-1",
+    ]);
+    expect(await nft.treasury()).to.equal(alice.address);
+    expect(await splitter.treasury()).to.equal(alice.address);
+    expect(await splitter.ethBalance(alice.address)).to.equal(1000n);
+  });
+
+  it("pauses the marketplace and force-delists a stuck listing", async function () {
+    await nft.mint(alice.address, "ipfs://a", "alice.str");
+    await nft.connect(alice).setApprovalForAll(marketplace.target, true);
+    await marketplace.connect(alice).listToken(nft.target, 1, 1000n);
+
+    const paused = await ops("pause", { manifest });
+    expect(paused.transactions[0].events[0].name).to.equal("Paused");
+    expect(await marketplace.paused()).to.be.true;
+    expect((await ops("pause", { manifest })).transactions).to.have.length(0);
+
+    const delisted = await ops("force-delist", {
+      listingId: "1",
+      recipient: admin.address,
+      manifest,
+    });
+    expect(delisted.transactions[0].events.map((e) => e.name)).to.include(
+      "ListingForceDelisted",
+    );
+    expect(await nft.ownerOf(1)).to.equal(admin.address);
+
+    const rescue = await ops("rescue-funds", { to: admin.address, manifest });
+    expect(rescue.ok).to.be.false;
+    expect(rescue.error.message).to.match(/Nothing to rescue/);
+  });
+
+  it("manages the marketplace allowlists", async function () {
+    const removed = await ops("allow-collection", {
+      nft: "StrDomainsNFT",
+      disallow: true,
+      manifest,
+    });
+    expect(removed.checks.allowed).to.be.true;
+    expect(await marketplace.allowedCollections(nft.target)).to.be.false;
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    const token = await Token.deploy("Mock", "MCK");
+    await ops("payment-token", {
+      token: token.target,
+      minPrice: "500",
+      manifest,
+    });
+    expect(await marketplace.minPrice(token.target)).to.equal(500n);
+    // its royalties are tracked by the splitters too
+    expect(await factory.isTrackedToken(token.target)).to.be.true;
+    await ops("payment-token", { token: "native", minPrice: "7", manifest });
+    expect(await marketplace.minPrice(ethers.ZeroAddress)).to.equal(7n);
+  });
+
+  it("sets price feeds and trades USD listings", async function () {
+    const Oracle = await ethers.getContractFactory("UsdPriceOracle");
+    const oracle = await Oracle.deploy();
+    const UsdMarket = await ethers.getContractFactory("UsdMarket");
+    const usdMarket = await UsdMarket.deploy(
+      marketplaceTreasury.address,
+      250,
+      marketplace.target,
+      oracle.target,
+    );
+    const Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const feed = await Aggregator.deploy(8, 2000_00000000n); // $2000
+    const file = JSON.parse(fs.readFileSync(manifest, "utf8"));
+    file.contracts.UsdPriceOracle = { address: oracle.target };
+    file.contracts.UsdMarket = { address: usdMarket.target };
+    writeManifest(manifest, file);
+
+    const set = await ops("price-feed", {
+      token: "native",
+      aggregator: feed.target,
+      maxAge: "3600",
+      maxDeviationBps: "0",
+      manifest,
+    });
+    expect(set.transactions[0].events[0].name).to.equal("FeedUpdated");
+    expect((await oracle.feeds(ethers.ZeroAddress)).aggregator).to.equal(
+      feed.target,
+    );
+
+    await nft.mint(admin.address, "ipfs://a", "alice.str");
+    const refused = await ops("list", {
+      tokenId: "1",
+      price: "10000000000",
+      usd: true,
+      nonCustodial: true,
+      manifest,
+    });
+    expect(refused.error.message).to.match(/cannot be non-custodial/);
+    const listed = await ops("list", {
+      tokenId: "1",
+      price: "10000000000", // $100
+      usd: true,
+      manifest,
+    });
+    expect(listed.checks.quote.price).to.equal(
+      ethers.parseEther("0.05").toString(),
+    );
+    expect(listed.transactions[1].events.map((e) => e.name)).to.include(
+      "ListedUsd",
+    );
+    expect(await nft.ownerOf(1)).to.equal(usdMarket.target);
+
+    // ETH drops to $1980: the buyer sends 1% more than the current price
+    await feed.updateAnswer(1980_00000000n);
+    const price = await oracle.usdToToken(ethers.ZeroAddress, 10_000_000_000n);
+    const bought = await ops("buy", {
+      listingId: "1",
+      slippageBps: "100",
+      usd: true,
+      manifest,
+    });
+    expect(bought.transactions[0].events.map((e) => e.name)).to.include(
+      "Purchased",
+    );
+    expect(
+      bought.transactions[0].events.find((e) => e.name === "Purchased").args
+        .price,
+    ).to.equal(price.toString());
+  });
+
+  it("reports reverts as decoded errors", async function () {
+    await nft.mint(alice.address, "ipfs://a", "alice.str");
+    const out = await ops("mint", {
+      domain: "alice.str",
+      uri: "ipfs://b",
+      manifest,
+      dryRun: true,
+    });
+    expect(out.ok).to.be.false;
+    expect(out.error).to.include({ kind: "reason", reason: "domain exists" });
+  });
+});
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("RentalMarket", function () {
+  let admin, owner, renter, other, feeTreasury, nftTreasury;
+  let nft, marketplace, rentals, token;
+
+  beforeEach(async function () {
+    [admin, owner, renter, other, feeTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        nftTreasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    // the rental market follows the Marketplace's allowlists and pause switch
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [feeTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await marketplace.waitForDeployment();
+
+    const RentalMarket = await ethers.getContractFactory("RentalMarket");
+    rentals = await RentalMarket.deploy(
+      feeTreasury.address,
+      250,
+      marketplace.target,
+    );
+    await rentals.waitForDeployment();
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock USD", "mUSD");
+    await token.waitForDeployment();
+
+    await marketplace.setCollectionAllowed(nft.target, true);
+    await marketplace.setPaymentToken(token.target, true, 0);
+
+    await nft.mint(owner.address, "", "a.str");
+    await nft.connect(owner).setApprovalForAll(rentals.target, true);
+    await token.mint(renter.address, 10_000n);
+    await token.connect(renter).approve(rentals.target, 10_000n);
+  });
+
+  it("rents for a duration while the owner keeps the token", async function () {
+    await expect(
+      rentals
+        .connect(owner)
+        .listForRent(nft.target, 1, 1000n, ethers.ZeroAddress, 7),
+    )
+      .to.emit(rentals, "RentalListed")
+      .withArgs(1, owner.address, nft.target, 1, 1000n, ethers.ZeroAddress, 7);
+
+    await expect(
+      rentals.connect(renter).rent(1, 8, { value: 8000n }),
+    ).to.be.revertedWith("bad duration");
+    await expect(
+      rentals.connect(renter).rent(1, 3, { value: 2000n }),
+    ).to.be.revertedWith("bad value");
+
+    // same split as a sale: 5% royalty, 2.5% fee, the rest to the owner
+    const before = await ethers.provider.getBalance(owner.address);
+    const tx = await rentals.connect(renter).rent(1, 3, { value: 3000n });
+    const expires = (await time.latest()) + 3 * 24 * 3600;
+    await expect(tx)
+      .to.emit(rentals, "Rented")
+      .withArgs(1, renter.address, expires, 3000n, 150n, 75n, 2775n);
+    expect(await ethers.provider.getBalance(owner.address)).to.equal(
+      before + 2775n,
+    );
+    expect(await rentals.accruedFees()).to.equal(75n);
+    expect(await nft.ownerOf(1)).to.equal(owner.address);
+    expect(await nft.userOf(1)).to.equal(renter.address);
+    expect(await nft.userExpires(1)).to.equal(expires);
+
+    // one lease at a time; the listing stays open for the next renter
+    await expect(
+      rentals.connect(other).rent(1, 1, { value: 1000n }),
+    ).to.be.revertedWith("already rented");
+    await time.increaseTo(expires);
+    await rentals.connect(other).rent(1, 1, { value: 1000n });
+    expect(await nft.userOf(1)).to.equal(other.address);
+  });
+
+  it("keeps a paid lease from being revoked or overwritten by the owner", async function () {
+    await rentals
+      .connect(owner)
+      .listForRent(nft.target, 1, 1000n, ethers.ZeroAddress, 7);
+    await rentals.connect(renter).rent(1, 3, { value: 3000n });
+    const expires = await nft.userExpires(1);
+
+    await expect(
+      nft.connect(owner).setUser(1, ethers.ZeroAddress, 0),
+    ).to.be.revertedWith("lease active");
+    await expect(
+      nft.connect(owner).setUser(1, other.address, expires),
+    ).to.be.revertedWith("lease active");
+    expect(await nft.userOf(1)).to.equal(renter.address);
+
+    // once the lease has run out the owner has the name back
+    await time.increaseTo(expires);
+    await nft.connect(owner).setUser(1, other.address, expires + 3600n);
+    expect(await nft.userOf(1)).to.equal(other.address);
+  });
+
+  it("takes ERC20 rent and locks the token until the lease ends", async function () {
+    await rentals
+      .connect(owner)
+      .listForRent(nft.target, 1, 100n, token.target, 30);
+    await expect(
+      rentals.connect(renter).rent(1, 2, { value: 1n }),
+    ).to.be.revertedWith("bad value");
+    await rentals.connect(renter).rent(1, 2);
+    expect(await token.balanceOf(owner.address)).to.equal(185n);
+    expect(await rentals.accruedTokenFees(token.target)).to.equal(5n);
+
+    // neither a transfer nor a sale can end the lease early
+    await expect(
+      nft.connect(owner).transferFrom(owner.address, other.address, 1),
+    ).to.be.revertedWith("leased");
+    await nft.connect(owner).setApprovalForAll(marketplace.target, true);
+    await expect(
+      marketplace.connect(owner).listToken(nft.target, 1, 1000n),
+    ).to.be.revertedWith("leased");
+    expect(await nft.userOf(1)).to.equal(renter.address);
+
+    await time.increaseTo(await nft.userExpires(1));
+    await nft.connect(owner).transferFrom(owner.address, other.address, 1);
+    expect(await nft.userExpires(1)).to.equal(0n);
+    // the listing belongs to the previous owner and can no longer be rented
+    await expect(rentals.connect(renter).rent(1, 1)).to.be.revertedWith(
+      "rental invalid",
+    );
+  });
+
+  it("only the owner lists and cancels, and paused rentals are refused", async function () {
+    await expect(
+      rentals
+        .connect(other)
+        .listForRent(nft.target, 1, 100n, ethers.ZeroAddress, 7),
+    ).to.be.revertedWith("not owner");
+    await expect(
+      rentals
+        .connect(owner)
+        .listForRent(nft.target, 1, 0n, ethers.ZeroAddress, 7),
+    ).to.be.revertedWith("price=0");
+    await rentals
+      .connect(owner)
+      .listForRent(nft.target, 1, 100n, ethers.ZeroAddress, 7);
+
+    await marketplace.connect(admin).pause();
+    await expect(
+      rentals.connect(renter).rent(1, 1, { value: 100n }),
+    ).to.be.revertedWith("market paused");
+    await marketplace.connect(admin).unpause();
+
+    await expect(rentals.connect(other).cancelRental(1)).to.be.revertedWith(
+      "not owner",
+    );
+    await expect(rentals.connect(owner).cancelRental(1))
+      .to.emit(rentals, "RentalCanceled")
+      .withArgs(1);
+    await expect(
+      rentals.connect(renter).rent(1, 1, { value: 100n }),
+    ).to.be.revertedWith(" not active");
+  });
+
+  it("follows the Marketplace allowlists", async function () {
+    await rentals
+      .connect(owner)
+      .listForRent(nft.target, 1, 100n, token.target, 7);
+
+    await marketplace.setPaymentToken(token.target, false, 0);
+    await expect(rentals.connect(renter).rent(1, 1)).to.be.revertedWith(
+      "token not allowed",
+    );
+    await marketplace.setCollectionAllowed(nft.target, false);
+    await expect(
+      rentals
+        .connect(owner)
+        .listForRent(nft.target, 1, 100n, ethers.ZeroAddress, 7),
+    ).to.be.revertedWith("collection not allowed");
+  });
+});
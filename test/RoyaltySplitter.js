@@ -0,0 +1,483 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("RoyaltySplitter payees", function () {
+  let admin, creator, treasury, partner, coCreator, stranger;
+  let factory, token;
+
+  // Creates a clone through the factory and returns it attached to the splitter ABI
+  async function createSplitter(payees, shares) {
+    const tx = await factory.createSplitterWithPayees(payees, shares);
+    const receipt = await tx.wait();
+    const created = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .find((log) => log && log.name === "SplitterCreated");
+    return ethers.getContractAt("RoyaltySplitter", created.args.splitter);
+  }
+
+  beforeEach(async function () {
+    [admin, creator, treasury, partner, coCreator, stranger] =
+      await ethers.getSigners();
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const implementation = await Splitter.deploy();
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    factory = await Factory.deploy(implementation.target);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock", "MCK");
+    await token.mint(admin.address, 1_000_000n);
+    await factory.setTrackedToken(token.target, true);
+  });
+
+  it("splits native and ERC20 payments across every payee", async function () {
+    const payees = [creator, treasury, partner, coCreator].map(
+      (s) => s.address,
+    );
+    const splitter = await createSplitter(payees, [4000, 3000, 2000, 1000]);
+
+    expect(await splitter.creator()).to.equal(creator.address);
+    expect(await splitter.treasury()).to.equal(treasury.address);
+    expect(await splitter.creatorBps()).to.equal(4000n);
+    const [listed, shares] = await splitter.payees();
+    expect(listed).to.deep.equal(payees);
+    expect(shares).to.deep.equal([4000n, 3000n, 2000n, 1000n]);
+
+    // 10001 wei: every slot is rounded down, the last one also gets the dust
+    await admin.sendTransaction({ to: splitter.target, value: 10_001n });
+    await token.approve(splitter.target, 1000n);
+    await splitter.depositToken(token.target, 1000n);
+
+    const [tokens, balances] = await splitter.payeeBalances();
+    expect(tokens).to.deep.equal([token.target]);
+    expect(
+      balances.map((b) => [b.payee, b.share, b.native, [...b.tokens]]),
+    ).to.deep.equal([
+      [creator.address, 4000n, 4000n, [400n]],
+      [treasury.address, 3000n, 3000n, [300n]],
+      [partner.address, 2000n, 2000n, [200n]],
+      [coCreator.address, 1000n, 1001n, [100n]],
+    ]);
+
+    await expect(splitter.connect(partner).withdraw()).to.changeEtherBalance(
+      partner,
+      2000n,
+    );
+    await splitter.connect(coCreator).withdrawToken(token.target);
+    expect(await token.balanceOf(coCreator.address)).to.equal(100n);
+  });
+
+  it("lists tracked token balances per payee whatever junk was deposited", async function () {
+    const splitter = await createSplitter(
+      [creator.address, treasury.address, partner.address],
+      [5000, 3000, 2000],
+    );
+    const Token = await ethers.getContractFactory("MockERC20");
+    const max = await splitter.MAX_TRACKED_TOKENS();
+    for (let i = 0n; i < max; ++i) {
+      const junk = await Token.connect(stranger).deploy("Junk", "JNK");
+      await junk.connect(stranger).mint(stranger.address, 10n);
+      await junk.connect(stranger).approve(splitter.target, 10n);
+      await splitter.connect(stranger).depositToken(junk.target, 10n);
+    }
+    await token.approve(splitter.target, 1000n);
+    await splitter.depositToken(token.target, 1000n);
+
+    const [tokens, balances] = await splitter.payeeBalances();
+    expect(tokens).to.deep.equal([token.target]);
+    expect(balances.map((b) => [b.payee, [...b.tokens]])).to.deep.equal([
+      [creator.address, [500n]],
+      [treasury.address, [300n]],
+      [partner.address, [200n]],
+    ]);
+  });
+
+  it("rejects invalid payee lists", async function () {
+    const two = [creator.address, treasury.address];
+    await expect(
+      factory.createSplitterWithPayees(two, [5000, 4999]),
+    ).to.be.revertedWith("split!=10000");
+    await expect(
+      factory.createSplitterWithPayees(two, [10000]),
+    ).to.be.revertedWith("length mismatch");
+    await expect(
+      factory.createSplitterWithPayees([creator.address], [10000]),
+    ).to.be.revertedWith("bad payee count");
+    await expect(
+      factory.createSplitterWithPayees(Array(17).fill(creator.address), [
+        ...Array(16).fill(600),
+        400,
+      ]),
+    ).to.be.revertedWith("bad payee count");
+    await expect(
+      factory.createSplitterWithPayees(
+        [creator.address, ethers.ZeroAddress],
+        [5000, 5000],
+      ),
+    ).to.be.revertedWith("zero address");
+  });
+
+  it("lets a payee hand its slot and balances to a new address", async function () {
+    const splitter = await createSplitter(
+      [creator.address, treasury.address, partner.address],
+      [5000, 3000, 2000],
+    );
+    await admin.sendTransaction({ to: splitter.target, value: 10_000n });
+    await token.approve(splitter.target, 100n);
+    await splitter.depositToken(token.target, 100n);
+
+    await expect(
+      splitter.connect(stranger).updatePayee(2, stranger.address),
+    ).to.be.revertedWith("only payee");
+    await expect(
+      splitter.connect(partner).updatePayee(3, stranger.address),
+    ).to.be.revertedWith("bad slot");
+    await expect(
+      splitter.connect(partner).updatePayee(2, partner.address),
+    ).to.be.revertedWith("same payee");
+
+    await expect(splitter.connect(partner).updatePayee(2, stranger.address))
+      .to.emit(splitter, "PayeeUpdated")
+      .withArgs(2, partner.address, stranger.address);
+    expect(await splitter.ethBalance(partner.address)).to.equal(0n);
+    expect(await splitter.ethBalance(stranger.address)).to.equal(2000n);
+    expect(
+      await splitter.erc20Balance(token.target, stranger.address),
+    ).to.equal(20n);
+
+    // the creator slot also reports through the two-party event
+    await expect(splitter.connect(creator).updatePayee(0, coCreator.address))
+      .to.emit(splitter, "CreatorUpdated")
+      .withArgs(creator.address, coCreator.address);
+    expect(await splitter.creator()).to.equal(coCreator.address);
+
+    await admin.sendTransaction({ to: splitter.target, value: 10_000n });
+    expect(await splitter.ethBalance(stranger.address)).to.equal(4000n);
+    expect(await splitter.ethBalance(coCreator.address)).to.equal(10_000n);
+  });
+
+  it("keeps balances with an address that still holds another slot", async function () {
+    const splitter = await createSplitter(
+      [creator.address, treasury.address, creator.address],
+      [5000, 3000, 2000],
+    );
+    await admin.sendTransaction({ to: splitter.target, value: 10_000n });
+    expect(await splitter.ethBalance(creator.address)).to.equal(7000n);
+
+    await splitter.connect(creator).updatePayee(2, partner.address);
+    expect(await splitter.ethBalance(creator.address)).to.equal(7000n);
+    expect(await splitter.ethBalance(partner.address)).to.equal(0n);
+
+    await admin.sendTransaction({ to: splitter.target, value: 10_000n });
+    expect(await splitter.ethBalance(creator.address)).to.equal(12_000n);
+    expect(await splitter.ethBalance(partner.address)).to.equal(2000n);
+  });
+
+  it("lets the admin change the shares of every slot", async function () {
+    // initialized directly, so the caller is the admin instead of the factory
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitter = await Splitter.deploy();
+    await splitter.initPayees(
+      [creator.address, treasury.address, partner.address],
+      [5000, 3000, 2000],
+    );
+
+    await expect(
+      splitter.connect(creator).setShares([4000, 4000, 2000]),
+    ).to.be.revertedWithCustomError(
+      splitter,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(splitter.setShares([4000, 4000])).to.be.revertedWith(
+      "length mismatch",
+    );
+    await expect(splitter.setSplits(5000, 5000)).to.be.revertedWith(
+      "not two payees",
+    );
+    await expect(splitter.setShares([4000, 4000, 2000]))
+      .to.emit(splitter, "SharesUpdated")
+      .withArgs([4000, 4000, 2000]);
+
+    await admin.sendTransaction({ to: splitter.target, value: 10_000n });
+    expect(await splitter.ethBalance(treasury.address)).to.equal(4000n);
+    await expect(
+      splitter.initPayees([creator.address, treasury.address], [5000, 5000]),
+    ).to.be.revertedWith("already initialized");
+  });
+
+  it("keeps the two-party creator and treasury API", async function () {
+    await factory.createSplitter(creator.address, treasury.address, 4000, 6000);
+    const [created] = await factory.queryFilter(
+      factory.filters.SplitterCreated(),
+    );
+    const splitter = await ethers.getContractAt(
+      "RoyaltySplitter",
+      created.args.splitter,
+    );
+    const [payees, shares] = await splitter.payees();
+    expect(payees).to.deep.equal([creator.address, treasury.address]);
+    expect(shares).to.deep.equal([4000n, 6000n]);
+
+    await admin.sendTransaction({ to: splitter.target, value: 999n });
+    expect(await splitter.ethBalance(creator.address)).to.equal(399n);
+    expect(await splitter.ethBalance(treasury.address)).to.equal(600n);
+
+    await factory.updateSplitterTreasury(splitter.target, partner.address);
+    expect(await splitter.treasury()).to.equal(partner.address);
+    expect(await splitter.ethBalance(partner.address)).to.equal(600n);
+  });
+
+  it("releases a payee's balances from any caller", async function () {
+    // the token contract cannot receive ether, so its native push fails
+    const splitter = await createSplitter(
+      [creator.address, treasury.address, token.target],
+      [5000, 3000, 2000],
+    );
+    await admin.sendTransaction({ to: splitter.target, value: 10_000n });
+    await token.approve(splitter.target, 1000n);
+    await splitter.depositToken(token.target, 1000n);
+    expect(await splitter.hasBalance(creator.address)).to.be.true;
+
+    await expect(
+      splitter.connect(stranger).release(creator.address),
+    ).to.changeEtherBalance(creator, 5000n);
+    expect(await token.balanceOf(creator.address)).to.equal(500n);
+    expect(await splitter.hasBalance(creator.address)).to.be.false;
+
+    // nothing left: a no-op rather than a revert
+    await expect(splitter.release(creator.address)).not.to.emit(
+      splitter,
+      "Withdraw",
+    );
+
+    // the failed native transfer stays withdrawable, the token is still paid
+    await expect(splitter.release(token.target))
+      .to.emit(splitter, "ReleaseFailed")
+      .withArgs(ethers.ZeroAddress, token.target, 2000n)
+      .and.to.emit(splitter, "WithdrawToken")
+      .withArgs(token.target, token.target, 200n);
+    expect(await splitter.ethBalance(token.target)).to.equal(2000n);
+  });
+
+  it("only tracks the factory's tokens, so junk deposits cannot crowd them out", async function () {
+    const splitter = await createSplitter(
+      [creator.address, treasury.address],
+      [5000, 5000],
+    );
+    const Token = await ethers.getContractFactory("MockERC20");
+    const max = await splitter.MAX_TRACKED_TOKENS();
+    // anyone can deposit junk tokens; they are credited but not tracked
+    let junk;
+    for (let i = 0n; i < max; ++i) {
+      junk = await Token.connect(stranger).deploy("Junk", "JNK");
+      await junk.connect(stranger).mint(stranger.address, 2n);
+      await junk.connect(stranger).approve(splitter.target, 2n);
+      await splitter.connect(stranger).depositToken(junk.target, 2n);
+    }
+    await token.approve(splitter.target, 1000n);
+    await splitter.depositToken(token.target, 1000n);
+    expect(await splitter.trackedTokens()).to.deep.equal([token.target]);
+
+    await splitter.release(creator.address);
+    expect(await token.balanceOf(creator.address)).to.equal(500n);
+    expect(await splitter.hasBalance(creator.address)).to.be.false;
+    // the untracked junk is still withdrawable directly
+    await expect(
+      splitter.connect(creator).withdrawToken(junk.target),
+    ).to.changeTokenBalance(junk, creator, 1n);
+
+    await expect(
+      factory.connect(stranger).setTrackedToken(junk.target, true),
+    ).to.be.revertedWithCustomError(
+      factory,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(factory.setTrackedToken(junk.target, true))
+      .to.emit(factory, "TrackedTokenSet")
+      .withArgs(junk.target, true);
+    // tracked from its next deposit on, with the balance accrued so far
+    await junk.connect(stranger).mint(stranger.address, 2n);
+    await junk.connect(stranger).approve(splitter.target, 2n);
+    await splitter.connect(stranger).depositToken(junk.target, 2n);
+    expect(await splitter.trackedTokens()).to.deep.equal([
+      token.target,
+      junk.target,
+    ]);
+    expect(await splitter.hasBalance(treasury.address)).to.be.true;
+  });
+
+  it("releases across splitters and finds those holding a balance", async function () {
+    const splitters = [];
+    for (let i = 0; i < 3; ++i) {
+      splitters.push(
+        await createSplitter([creator.address, treasury.address], [4000, 6000]),
+      );
+    }
+    await admin.sendTransaction({ to: splitters[0].target, value: 1000n });
+    await admin.sendTransaction({ to: splitters[2].target, value: 2000n });
+    await token.approve(splitters[1].target, 500n);
+    await splitters[1].depositToken(token.target, 500n);
+
+    expect(await factory.splitterCount()).to.equal(3n);
+    const [all, done] = await factory.splittersWithBalance(
+      treasury.address,
+      0,
+      10,
+    );
+    expect(all).to.deep.equal(splitters.map((s) => s.target));
+    expect(done).to.equal(0n);
+    // pages follow creation order; `next` is where the following page starts
+    const [page, next] = await factory.splittersWithBalance(
+      treasury.address,
+      1,
+      1,
+    );
+    expect(page).to.deep.equal([splitters[1].target]);
+    expect(next).to.equal(2n);
+    const [none] = await factory.splittersWithBalance(stranger.address, 0, 10);
+    expect(none).to.deep.equal([]);
+
+    // a keeper claims the treasury's share of every splitter in one transaction
+    await expect(
+      factory.connect(stranger).releaseAll([...all], treasury.address),
+    ).to.changeEtherBalance(treasury, 1800n);
+    expect(await token.balanceOf(treasury.address)).to.equal(300n);
+    const [left] = await factory.splittersWithBalance(treasury.address, 0, 10);
+    expect(left).to.deep.equal([]);
+    const [creatorLeft] = await factory.splittersWithBalance(
+      creator.address,
+      0,
+      10,
+    );
+    expect(creatorLeft).to.have.length(3);
+
+    await expect(
+      factory.releaseAll([stranger.address], treasury.address),
+    ).to.be.revertedWith("unknown splitter");
+  });
+
+  it("indexes splitters by creator and by collection token", async function () {
+    // the signer stands in for a collection
+    await factory.createTokenSplitter(
+      7,
+      creator.address,
+      treasury.address,
+      4000,
+      6000,
+    );
+    await createSplitter([partner.address, treasury.address], [5000, 5000]);
+    await createSplitter([creator.address, treasury.address], [5000, 5000]);
+
+    const all = await factory.getSplitters(0, 10);
+    expect(all).to.have.length(3);
+    expect(await factory.tokenSplitter(admin.address, 7)).to.equal(all[0]);
+    expect(await factory.tokenSplitter(admin.address, 8)).to.equal(
+      ethers.ZeroAddress,
+    );
+    expect(await factory.creatorSplitterCount(creator.address)).to.equal(2n);
+    expect(
+      await factory.getCreatorSplitters(creator.address, 0, 10),
+    ).to.deep.equal([all[0], all[2]]);
+    expect(
+      await factory.getCreatorSplitters(creator.address, 1, 10),
+    ).to.deep.equal([all[2]]);
+    expect(await factory.getSplitters(3, 10)).to.deep.equal([]);
+
+    await expect(
+      factory.createTokenSplitter(
+        7,
+        creator.address,
+        treasury.address,
+        4000,
+        6000,
+      ),
+    ).to.be.revertedWith("token has splitter");
+  });
+
+  it("migrates the treasury of every splitter page by page", async function () {
+    const splitters = [];
+    for (let i = 0; i < 3; ++i) {
+      splitters.push(
+        await createSplitter([creator.address, treasury.address], [4000, 6000]),
+      );
+    }
+    // keeps its own treasury
+    const other = await createSplitter(
+      [creator.address, partner.address],
+      [4000, 6000],
+    );
+    await admin.sendTransaction({ to: splitters[0].target, value: 1000n });
+
+    await expect(
+      factory
+        .connect(stranger)
+        .migrateTreasury(treasury.address, coCreator.address, 0, 2),
+    ).to.be.revertedWithCustomError(
+      factory,
+      "AccessControlUnauthorizedAccount",
+    );
+
+    const [migrated, next] = await factory.migrateTreasury.staticCall(
+      treasury.address,
+      coCreator.address,
+      0,
+      2,
+    );
+    expect([migrated, next]).to.deep.equal([2n, 2n]);
+    await expect(
+      factory.migrateTreasury(treasury.address, coCreator.address, 0, 2),
+    )
+      .to.emit(factory, "TreasuryMigrated")
+      .withArgs(treasury.address, coCreator.address, 0, 2, 2);
+    await expect(
+      factory.migrateTreasury(treasury.address, coCreator.address, 2, 2),
+    )
+      .to.emit(factory, "TreasuryMigrated")
+      .withArgs(treasury.address, coCreator.address, 2, 4, 1);
+
+    for (const splitter of splitters) {
+      expect(await splitter.treasury()).to.equal(coCreator.address);
+    }
+    expect(await other.treasury()).to.equal(partner.address);
+    // accrued balances moved with the slot, as with updateTreasury
+    expect(await splitters[0].ethBalance(coCreator.address)).to.equal(600n);
+    expect(await splitters[0].ethBalance(treasury.address)).to.equal(0n);
+
+    await expect(
+      factory.migrateTreasury(coCreator.address, coCreator.address, 0, 10),
+    ).to.be.revertedWith("same treasury");
+  });
+
+  it("migrates tracked token balances even after a flood of junk deposits", async function () {
+    const splitter = await createSplitter(
+      [creator.address, treasury.address],
+      [4000, 6000],
+    );
+    const Token = await ethers.getContractFactory("MockERC20");
+    const max = await splitter.MAX_TRACKED_TOKENS();
+    let junk;
+    for (let i = 0n; i <= max; ++i) {
+      junk = await Token.connect(stranger).deploy("Junk", "JNK");
+      await junk.connect(stranger).mint(stranger.address, 10n);
+      await junk.connect(stranger).approve(splitter.target, 10n);
+      await splitter.connect(stranger).depositToken(junk.target, 10n);
+    }
+    await token.approve(splitter.target, 1000n);
+    await splitter.depositToken(token.target, 1000n);
+
+    await factory.migrateTreasury(treasury.address, coCreator.address, 0, 10);
+    expect(await splitter.treasury()).to.equal(coCreator.address);
+    expect(
+      await splitter.erc20Balance(token.target, coCreator.address),
+    ).to.equal(600n);
+    expect(
+      await splitter.erc20Balance(token.target, treasury.address),
+    ).to.equal(0n);
+    // untracked junk stays with the old treasury, which can still withdraw it
+    expect(await splitter.erc20Balance(junk.target, treasury.address)).to.equal(
+      6n,
+    );
+    await expect(
+      splitter.connect(treasury).withdrawToken(junk.target),
+    ).to.changeTokenBalance(junk, treasury, 6n);
+  });
+});
@@ -0,0 +1,503 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { connect, StrDomainsError, decodeError } = require("../lib/sdk");
+
+describe("SDK", function () {
+  let admin, alice, bob, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, factory, token, addresses;
+
+  beforeEach(async function () {
+    [admin, alice, bob, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      ["Str Domains", "STRDOM", nftTreasury.address, factory.target, 500],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [marketplaceTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await marketplace.waitForDeployment();
+    await nft.grantRole(await nft.SALES_ROLE(), marketplace.target);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock", "MCK");
+    await token.waitForDeployment();
+    await token.mint(bob.address, ethers.parseEther("10"));
+    await marketplace.setCollectionAllowed(nft.target, true);
+    await marketplace.setPaymentToken(token.target, true, 0);
+    await factory.setTrackedToken(token.target, true);
+
+    const RentalMarket = await ethers.getContractFactory("RentalMarket");
+    const rentals = await RentalMarket.deploy(
+      marketplaceTreasury.address,
+      250,
+      marketplace.target,
+    );
+    await rentals.waitForDeployment();
+
+    addresses = {
+      registry: nft.target,
+      marketplace: marketplace.target,
+      rentals: rentals.target,
+      factory: factory.target,
+    };
+  });
+
+  it("mints and reads token data", async function () {
+    const sdk = connect(addresses, admin);
+    const minted = await sdk.registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+    expect(minted.tokenId).to.equal(1n);
+    expect(minted.splitter).to.equal(await sdk.registry.splitterOf(1));
+
+    expect(await sdk.registry.tokenIdOf("alice.str")).to.equal(1n);
+    expect(await sdk.registry.tokenIdOf("nobody.str")).to.be.null;
+    const data = await sdk.registry.getToken(1);
+    expect(data).to.include({
+      domain: "alice.str",
+      owner: alice.address,
+      creator: alice.address,
+      uri: "ipfs://a",
+    });
+
+    const [splitter] = await sdk.factory.splitters({ creator: alice.address });
+    expect(splitter.splitter).to.equal(minted.splitter);
+  });
+
+  it("approves, lists, quotes and buys with native currency", async function () {
+    await connect(addresses, admin).registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+
+    const seller = connect(addresses, alice);
+    const price = ethers.parseEther("1");
+    const listed = await seller.marketplace.list({ tokenId: 1, price });
+    expect(listed.approvalReceipt).to.not.be.null;
+    expect(listed.listingId).to.equal(1n);
+
+    const quote = await seller.marketplace.quote(listed.listingId);
+    expect(quote).to.include({
+      price,
+      royaltyAmount: price / 20n,
+      feeAmount: (price * 250n) / 10_000n,
+    });
+    expect(quote.sellerAmount).to.equal(
+      price - quote.royaltyAmount - quote.feeAmount,
+    );
+    expect(await seller.marketplace.activeListing(1)).to.include({
+      seller: alice.address,
+      price,
+    });
+
+    const buyer = connect(addresses, bob);
+    await expect(
+      buyer.marketplace.buy(1, { maxPrice: price - 1n }),
+    ).to.be.rejectedWith(StrDomainsError, "price above max");
+
+    const sale = await buyer.marketplace.buy(1);
+    expect(sale).to.include({
+      price,
+      royaltyAmount: quote.royaltyAmount,
+      feeAmount: quote.feeAmount,
+      sellerAmount: quote.sellerAmount,
+    });
+    expect(await nft.ownerOf(1)).to.equal(bob.address);
+    expect(await buyer.marketplace.activeListing(1)).to.be.null;
+  });
+
+  it("approves the listed token only, unless asked for the collection", async function () {
+    const minter = connect(addresses, admin);
+    for (const domain of ["alice.str", "bob.str"]) {
+      await minter.registry.mint({ to: alice.address, uri: "", domain });
+    }
+
+    const seller = connect(addresses, alice);
+    await seller.marketplace.list({
+      tokenId: 1,
+      price: 100n,
+      nonCustodial: true,
+    });
+    expect(await nft.getApproved(1)).to.equal(marketplace.target);
+    expect(await nft.isApprovedForAll(alice.address, marketplace.target)).to.be
+      .false;
+
+    await seller.marketplace.list({
+      tokenId: 2,
+      price: 100n,
+      approveAll: true,
+    });
+    expect(await nft.isApprovedForAll(alice.address, marketplace.target)).to.be
+      .true;
+  });
+
+  it("reads the accepted payment tokens", async function () {
+    await marketplace.setPaymentToken(token.target, true, 100n);
+    expect(
+      await connect(addresses, alice).marketplace.paymentTokens(),
+    ).to.deep.equal([
+      { token: ethers.ZeroAddress, minPrice: 0n },
+      { token: token.target, minPrice: 100n },
+    ]);
+  });
+
+  it("lists without escrow and skips lapsed listings", async function () {
+    await connect(addresses, admin).registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+
+    const seller = connect(addresses, alice);
+    const price = ethers.parseEther("1");
+    await seller.marketplace.list({ tokenId: 1, price, nonCustodial: true });
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+    expect(await seller.marketplace.activeListing(1)).to.include({
+      nonCustodial: true,
+      valid: true,
+    });
+
+    await nft.connect(alice).transferFrom(alice.address, admin.address, 1);
+    const buyer = connect(addresses, bob);
+    await expect(buyer.marketplace.buy(1)).to.be.rejectedWith(
+      StrDomainsError,
+      "listing invalid",
+    );
+
+    expect(await buyer.marketplace.cancelInvalid([1])).to.not.be.null;
+    expect(await buyer.marketplace.activeListing(1)).to.be.null;
+    expect(await buyer.marketplace.cancelInvalid([1])).to.be.null;
+  });
+
+  it("lists a name for rent and leases it in ERC20", async function () {
+    await connect(addresses, admin).registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+    await token.mint(bob.address, 1000n);
+
+    const owner = connect(addresses, alice);
+    const listed = await owner.rentals.listForRent({
+      tokenId: 1,
+      pricePerDay: 100n,
+      maxDays: 30,
+      paymentToken: token.target,
+    });
+    expect(listed.approvalReceipt).to.not.be.null;
+    expect(listed.rentalId).to.equal(1n);
+
+    const renter = connect(addresses, bob);
+    const lease = await renter.rentals.rent(1, 3);
+    expect(lease.approvalReceipt).to.not.be.null;
+    expect(lease).to.include({
+      price: 300n,
+      royaltyAmount: 15n,
+      feeAmount: 7n,
+      ownerAmount: 278n,
+    });
+    expect(await renter.registry.userOf(1)).to.deep.equal({
+      user: bob.address,
+      expires: lease.expires,
+    });
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+
+    await owner.rentals.cancelRental(1);
+    await expect(renter.rentals.rent(1, 1)).to.be.rejectedWith(
+      StrDomainsError,
+      " not active",
+    );
+  });
+
+  it("lists at a USD price and buys within the slippage", async function () {
+    const Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const feed = await Aggregator.deploy(8, 100_000_000n); // $1
+    const Oracle = await ethers.getContractFactory("UsdPriceOracle");
+    const oracle = await Oracle.deploy();
+    await oracle.setFeed(token.target, feed.target, 3600, 0);
+    const UsdMarket = await ethers.getContractFactory("UsdMarket");
+    const usdMarket = await UsdMarket.deploy(
+      marketplaceTreasury.address,
+      250,
+      marketplace.target,
+      oracle.target,
+    );
+    const withUsd = { ...addresses, usdMarket: usdMarket.target };
+    await connect(withUsd, admin).registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+
+    const seller = connect(withUsd, alice);
+    expect(
+      (
+        await seller.usdMarket.quote({
+          tokenId: 1,
+          usdPrice: 2_00000000n,
+          paymentToken: token.target,
+        })
+      ).price,
+    ).to.equal(ethers.parseEther("2"));
+    const { listingId } = await seller.usdMarket.list({
+      tokenId: 1,
+      usdPrice: 2_00000000n, // $2
+      paymentToken: token.target,
+    });
+    const buyer = connect(withUsd, bob);
+    const listing = await buyer.usdMarket.getListing(listingId);
+    expect(listing.usdPrice).to.equal(2_00000000n);
+    expect(listing.price).to.equal(ethers.parseEther("2"));
+
+    // $0.50 per token: twice as many tokens, too many for a 1% slippage limit
+    await feed.updateAnswer(50_000_000n);
+    expect(await buyer.usdMarket.currentPrice(listing)).to.equal(
+      ethers.parseEther("4"),
+    );
+    expect((await buyer.usdMarket.quote(listingId)).price).to.equal(
+      ethers.parseEther("4"),
+    );
+    await expect(
+      buyer.usdMarket.buy(listingId, { maxPrice: ethers.parseEther("3") }),
+    ).to.be.rejectedWith(StrDomainsError, "price above max");
+
+    const bought = await buyer.usdMarket.buy(listingId);
+    expect(bought.price).to.equal(ethers.parseEther("4"));
+    // the allowance covered the slippage limit, only the price was spent
+    expect(await token.allowance(bob.address, usdMarket.target)).to.equal(
+      ethers.parseEther("0.04"),
+    );
+    expect(await nft.ownerOf(1)).to.equal(bob.address);
+  });
+
+  it("raises the ERC20 allowance and withdraws all splitter balances", async function () {
+    await connect(addresses, admin).registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+    await connect(addresses, admin).registry.mint({
+      to: alice.address,
+      uri: "ipfs://b",
+      domain: "second.str",
+    });
+
+    const seller = connect(addresses, alice);
+    const price = ethers.parseEther("2");
+    await seller.marketplace.list({
+      tokenId: 1,
+      price,
+      paymentToken: token.target,
+      approveAll: true,
+    });
+    const second = await seller.marketplace.list({ tokenId: 2, price: 1000n });
+    expect(second.approvalReceipt).to.be.null; // approved for all by the first listing
+
+    const buyer = connect(addresses, bob);
+    const sale = await buyer.marketplace.buy(1);
+    expect(sale.approvalReceipt).to.not.be.null;
+    expect(sale.paymentToken).to.equal(token.target);
+    await buyer.marketplace.buy(2);
+
+    // creator share (40%) of both royalties, in the token and in native currency
+    const splitter = seller.splitter(await seller.registry.splitterOf(1));
+    const balances = await splitter.balances();
+    expect(balances.native).to.equal(0n);
+    expect(balances.tokens).to.deep.equal({
+      [token.target]: (sale.royaltyAmount * 4000n) / 10_000n,
+    });
+
+    const result = await splitter.withdrawAll();
+    expect(result.receipts).to.have.length(1);
+    expect(await token.balanceOf(alice.address)).to.equal(
+      sale.sellerAmount + result.tokens[token.target],
+    );
+
+    const other = seller.splitter(await seller.registry.splitterOf(2));
+    const nativeResult = await other.withdrawAll();
+    expect(nativeResult.native).to.equal((50n * 4000n) / 10_000n);
+    expect((await other.balances()).native).to.equal(0n);
+  });
+
+  it("creates multi-payee splitters and lists payee balances", async function () {
+    const sdk = connect(addresses, admin);
+    const { splitter: address } = await sdk.factory.createSplitter([
+      { payee: alice.address, share: 5000 },
+      { payee: nftTreasury.address, share: 3000 },
+      { payee: bob.address, share: 2000 },
+    ]);
+    const splitter = sdk.splitter(address);
+
+    const info = await splitter.info();
+    expect(info.creator).to.equal(alice.address);
+    expect(info.treasury).to.equal(nftTreasury.address);
+    expect(info.payees.map((p) => p.share)).to.deep.equal([
+      5000n,
+      3000n,
+      2000n,
+    ]);
+
+    await admin.sendTransaction({ to: address, value: 1000n });
+    await token.connect(bob).approve(address, 100n);
+    const raw = await ethers.getContractAt("RoyaltySplitter", address);
+    await raw.connect(bob).depositToken(token.target, 100n);
+
+    const balances = await splitter.payeeBalances();
+    expect(balances[2]).to.deep.equal({
+      payee: bob.address,
+      share: 2000n,
+      native: 200n,
+      tokens: { [token.target]: 20n },
+    });
+
+    await connect(addresses, bob)
+      .splitter(address)
+      .updatePayee(2, admin.address);
+    const [, , moved] = await splitter.payeeBalances();
+    expect(moved.payee).to.equal(admin.address);
+    expect(moved.native).to.equal(200n);
+  });
+
+  it("releases the treasury share of every splitter in one transaction", async function () {
+    const sdk = connect(addresses, admin);
+    for (const [i, to] of [alice, bob].entries()) {
+      await sdk.registry.mint({
+        to: to.address,
+        uri: "ipfs://x",
+        domain: `d${i}.str`,
+      });
+    }
+    for (const id of [1, 2]) {
+      await admin.sendTransaction({
+        to: await sdk.registry.splitterOf(id),
+        value: 1000n,
+      });
+    }
+
+    const keeper = connect(addresses, bob);
+    const found = await keeper.factory.splittersWithBalance({
+      account: nftTreasury.address,
+      pageSize: 1,
+    });
+    expect(found).to.deep.equal([
+      await sdk.registry.splitterOf(1),
+      await sdk.registry.splitterOf(2),
+    ]);
+
+    const before = await ethers.provider.getBalance(nftTreasury.address);
+    await keeper.factory.releaseAll({ payee: nftTreasury.address });
+    expect(await ethers.provider.getBalance(nftTreasury.address)).to.equal(
+      before + 1200n,
+    );
+    expect(await keeper.factory.releaseAll({ payee: nftTreasury.address })).to
+      .be.null;
+
+    // a keeper pays a creator directly from one splitter
+    const splitter = keeper.splitter(await sdk.registry.splitterOf(1));
+    await splitter.release(alice.address);
+    expect(
+      (await splitter.balances({ account: alice.address })).native,
+    ).to.equal(0n);
+  });
+
+  it("mints with a royalty override and updates it later", async function () {
+    const sdk = connect(addresses, admin);
+    expect(await sdk.registry.royaltyDefaults()).to.deep.equal({
+      bps: 500n,
+      creatorBps: 4000n,
+      treasuryBps: 6000n,
+    });
+    const { tokenId, splitter } = await sdk.registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+      royalty: { bps: 1000, creatorBps: 7000, treasuryBps: 3000 },
+    });
+    expect((await sdk.splitter(splitter).info()).creatorBps).to.equal(7000n);
+
+    await sdk.registry.setTokenRoyalty(tokenId, {
+      bps: 250,
+      creatorBps: 8000,
+      treasuryBps: 2000,
+    });
+    expect((await sdk.splitter(splitter).info()).creatorBps).to.equal(8000n);
+    expect((await nft.royaltyInfo(tokenId, 10_000))[1]).to.equal(250n);
+  });
+
+  it("finds splitters by token and creator and migrates their treasury", async function () {
+    const sdk = connect(addresses, admin);
+    const { splitter } = await sdk.registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+    expect(await sdk.factory.tokenSplitter(nft.target, 1)).to.equal(splitter);
+    expect(await sdk.factory.tokenSplitter(nft.target, 2)).to.be.null;
+    expect(
+      await sdk.factory.creatorSplitters(alice.address, { pageSize: 1 }),
+    ).to.deep.equal([splitter]);
+
+    const { migrated, receipts } = await sdk.factory.migrateTreasury({
+      oldTreasury: nftTreasury.address,
+      newTreasury: bob.address,
+    });
+    expect(migrated).to.equal(1n);
+    expect(receipts).to.have.length(1);
+    expect((await sdk.splitter(splitter).info()).treasury).to.equal(
+      bob.address,
+    );
+  });
+
+  it("decodes reverts into typed errors", async function () {
+    const sdk = connect(addresses, admin);
+    await sdk.registry.mint({
+      to: alice.address,
+      uri: "ipfs://a",
+      domain: "alice.str",
+    });
+
+    const reason = await sdk.registry
+      .mint({ to: bob.address, uri: "ipfs://b", domain: "alice.str" })
+      .catch((e) => e);
+    expect(reason).to.be.instanceOf(StrDomainsError);
+    expect(reason).to.include({ kind: "reason", reason: "domain exists" });
+
+    const custom = await connect(addresses, bob)
+      .registry.mint({ to: bob.address, uri: "ipfs://b", domain: "bob.str" })
+      .catch((e) => e);
+    expect(custom).to.include({
+      kind: "custom",
+      reason: "AccessControlUnauthorizedAccount",
+    });
+    expect(custom.args[0]).to.equal(bob.address);
+
+    const data = nft.interface.encodeErrorResult("ERC721NonexistentToken", [7]);
+    const decoded = decodeError({ code: "CALL_EXCEPTION", data });
+    expect(decoded).to.include({
+      kind: "custom",
+      reason: "ERC721NonexistentToken",
+    });
+    expect(decoded.args).to.deep.equal([7n]);
+    expect(decodeError(new Error("network down"))).to.be.null;
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+function decodeDataUri(uri, prefix) {
+  expect(uri.startsWith(prefix)).to.be.true;
+  return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+}
+
+describe("StrDomainsMetadata", function () {
+  let admin, alice, treasury;
+  let registry, renderer, mintedAt;
+
+  beforeEach(async function () {
+    [admin, alice, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    registry = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        treasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await registry.waitForDeployment();
+
+    const Renderer = await ethers.getContractFactory("StrDomainsMetadata");
+    renderer = await Renderer.deploy(registry.target);
+    await renderer.waitForDeployment();
+
+    await registry.setMetadataRenderer(renderer.target);
+    await registry.grantRole(await registry.SALES_ROLE(), admin.address);
+
+    // some time into a later UTC day, so the rendered date is predictable
+    mintedAt = (Math.floor((await time.latest()) / 86400) + 2) * 86400 + 3600;
+    await time.setNextBlockTimestamp(mintedAt);
+    await registry.mint(alice.address, "ipfs://stored", "alice.str");
+  });
+
+  it("keeps the stored URI until the token is switched", async function () {
+    expect(await registry.tokenURI(1)).to.equal("ipfs://stored");
+
+    await expect(
+      registry.connect(alice).setGeneratedMetadata([1], true),
+    ).to.be.revertedWithCustomError(
+      registry,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(registry.setGeneratedMetadata([1], true))
+      .to.emit(registry, "GeneratedMetadataSet")
+      .withArgs(1, true)
+      .and.to.emit(registry, "MetadataUpdate")
+      .withArgs(1);
+    expect(await registry.tokenURI(1)).to.match(
+      /^data:application\/json;base64,/,
+    );
+
+    // getTokenData keeps reporting the stored URI
+    const data = await registry.getTokenData(1);
+    expect(data.uri).to.equal("ipfs://stored");
+
+    await registry.setGeneratedMetadata([1], false);
+    expect(await registry.tokenURI(1)).to.equal("ipfs://stored");
+  });
+
+  it("generates JSON and SVG from the token data", async function () {
+    await registry.recordSale(
+      1,
+      ethers.parseEther("1.25"),
+      alice.address,
+      ethers.ZeroAddress,
+    );
+    await registry.setGeneratedMetadata([1], true);
+
+    const json = JSON.parse(
+      decodeDataUri(
+        await registry.tokenURI(1),
+        "data:application/json;base64,",
+      ),
+    );
+    expect(json.name).to.equal("alice.str");
+    const attributes = Object.fromEntries(
+      json.attributes.map((a) => [a.trait_type, a.value]),
+    );
+    expect(attributes.Length).to.equal(9);
+    expect(attributes.Creator).to.equal(alice.address.toLowerCase());
+    expect(attributes.Registered).to.equal(mintedAt);
+    expect(attributes.Expires).to.equal(Number(await registry.expiresAt(1)));
+    expect(attributes["Last sale"]).to.equal("1.25");
+
+    const svg = decodeDataUri(json.image, "data:image/svg+xml;base64,");
+    expect(svg).to.equal(await renderer.svg(1));
+    expect(svg).to.contain(">alice.str</text>");
+    const date = new Date(mintedAt * 1000).toISOString().slice(0, 10);
+    expect(svg).to.contain(`Registered ${date}`);
+    expect(svg).to.contain("Last sale 1.25");
+  });
+
+  it("shows the last sale in the decimals of its payment token", async function () {
+    const Token = await ethers.getContractFactory("MockERC20Decimals");
+    const usdc = await Token.deploy("Mock USDC", "mUSDC", 6);
+    await registry.recordSale(1, 1_250_000n, alice.address, usdc.target);
+    expect((await registry.lastSaleOf(1)).paymentToken).to.equal(usdc.target);
+
+    await registry.setGeneratedMetadata([1], true);
+    expect(await renderer.svg(1)).to.contain("Last sale 1.25<");
+
+    const Plain = await ethers.getContractFactory("MockERC20");
+    const plain = await Plain.deploy("Mock USD", "mUSD");
+    await registry.recordSale(1, 5n * 10n ** 17n, alice.address, plain.target);
+    expect(await renderer.svg(1)).to.contain("Last sale 0.5<");
+  });
+
+  it("falls back to the stored URI without a renderer", async function () {
+    await registry.setGeneratedMetadata([1], true);
+    await registry.setMetadataRenderer(ethers.ZeroAddress);
+    expect(await registry.tokenURI(1)).to.equal("ipfs://stored");
+  });
+});
@@ -1,5 +1,8 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { validateName, normalizeName } = require("../lib/names");
 
 describe("Collection tests", function () {
   let owner;
@@ -27,15 +30,12 @@ describe("Collection tests", function () {
     const factoryAddr = await RoyaltySplitterFactoryInstance.getAddress();
     //console.log("RoyaltySplitterFactory:", factoryAddr);
 
-    // 3) StrDomainsNFT (реестр с фикс-роялти 5%: 2% создателю, 3% казне)
+    // 3) StrDomainsNFT (реестр с роялти 5%: по умолчанию 2% создателю, 3% казне)
     const Registry = await ethers.getContractFactory("StrDomainsNFT");
-    // последний аргумент в конструкторе игнорируется (для совместимости)
-    StrDomainsNFTInstance = await Registry.deploy(
-      "Str Domains",
-      "STRDOM",
-      treasury,
-      factoryAddr,
-      500,
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      ["Str Domains", "STRDOM", treasury.address, factoryAddr, 500],
+      { kind: "uups" },
     );
     await StrDomainsNFTInstance.waitForDeployment();
     const registryAddr = await StrDomainsNFTInstance.getAddress();
@@ -50,7 +50,7 @@ describe("Collection tests", function () {
     const tx = await StrDomainsNFTInstance.connect(owner).mint(
       owner.address,
       "example.str",
-      "exampleDomainName.str",
+      "exampledomainname.str",
     );
     const txData = await tx.wait();
     mintingBlock = await ethers.provider.getBlock(txData.blockNumber);
@@ -68,11 +68,11 @@ describe("Collection tests", function () {
     const tx = await StrDomainsNFTInstance.connect(owner).mint(
       owner.address,
       "test.str",
-      "exampleDomainName2.str",
+      "exampledomainname2.str",
     );
     await tx.wait();
     const data = await StrDomainsNFTInstance.getTokenDataByDomain(
-      "exampleDomainName2.str",
+      "exampledomainname2.str",
     );
     const uri = data[2];
     expect(uri).to.equal("test.str");
@@ -82,7 +82,7 @@ describe("Collection tests", function () {
     const tx = await StrDomainsNFTInstance.connect(owner).burn(2);
     await tx.wait();
     await expect(
-      StrDomainsNFTInstance.getTokenDataByDomain("exampleDomainName2.str"),
+      StrDomainsNFTInstance.getTokenDataByDomain("exampledomainname2.str"),
     ).to.be.revertedWith("domain not found");
   });
 
@@ -90,11 +90,11 @@ describe("Collection tests", function () {
     const tx = await StrDomainsNFTInstance.connect(owner).mint(
       owner.address,
       "reminted.str",
-      "exampleDomainName2.str",
+      "exampledomainname2.str",
     );
     await tx.wait();
     const data = await StrDomainsNFTInstance.getTokenDataByDomain(
-      "exampleDomainName2.str",
+      "exampledomainname2.str",
     );
     const uri = data[2];
     expect(uri).to.equal("reminted.str");
@@ -148,7 +148,12 @@ describe("Collection tests", function () {
     //expect(hasRole).to.be.false;
 
     await expect(
-      StrDomainsNFTInstance.connect(owner).recordSale(tokenId, price, buyer),
+      StrDomainsNFTInstance.connect(owner).recordSale(
+        tokenId,
+        price,
+        buyer,
+        ethers.ZeroAddress,
+      ),
     ).to.be.revertedWithCustomError(
       StrDomainsNFTInstance,
       "AccessControlUnauthorizedAccount",
@@ -176,7 +181,12 @@ describe("Collection tests", function () {
     expect(hasRole).to.be.false;
 
     await expect(
-      StrDomainsNFTInstance.connect(owner).recordSale(tokenId, price, buyer),
+      StrDomainsNFTInstance.connect(owner).recordSale(
+        tokenId,
+        price,
+        buyer,
+        ethers.ZeroAddress,
+      ),
     ).to.be.revertedWithCustomError(
       StrDomainsNFTInstance,
       "AccessControlUnauthorizedAccount",
@@ -209,15 +219,12 @@ describe("Transfer", function () {
     const factoryAddr = await RoyaltySplitterFactoryInstance.getAddress();
     //console.log("RoyaltySplitterFactory:", factoryAddr);
 
-    // 3) StrDomainsNFT (реестр с фикс-роялти 5%: 2% создателю, 3% казне)
+    // 3) StrDomainsNFT (реестр с роялти 5%: по умолчанию 2% создателю, 3% казне)
     const Registry = await ethers.getContractFactory("StrDomainsNFT");
-    // последний аргумент в конструкторе игнорируется (для совместимости)
-    StrDomainsNFTInstance = await Registry.deploy(
-      "Str Domains",
-      "STRDOM",
-      treasury,
-      factoryAddr,
-      500,
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      ["Str Domains", "STRDOM", treasury.address, factoryAddr, 500],
+      { kind: "uups" },
     );
     await StrDomainsNFTInstance.waitForDeployment();
     const registryAddr = await StrDomainsNFTInstance.getAddress();
@@ -227,7 +234,7 @@ describe("Transfer", function () {
     const tx = await StrDomainsNFTInstance.connect(owner).mint(
       owner.address,
       "example.str",
-      "exampleDomainName2.str",
+      "exampledomainname2.str",
     );
     await tx.wait();
     expect(await StrDomainsNFTInstance.ownerOf(1)).to.equal(owner.address);
@@ -271,15 +278,12 @@ describe("Treasury", function () {
     const factoryAddr = await RoyaltySplitterFactoryInstance.getAddress();
     //console.log("RoyaltySplitterFactory:", factoryAddr);
 
-    // 3) StrDomainsNFT (реестр с фикс-роялти 5%: 2% создателю, 3% казне)
+    // 3) StrDomainsNFT (реестр с роялти 5%: по умолчанию 2% создателю, 3% казне)
     const Registry = await ethers.getContractFactory("StrDomainsNFT");
-    // последний аргумент в конструкторе игнорируется (для совместимости)
-    StrDomainsNFTInstance = await Registry.deploy(
-      "Str Domains",
-      "STRDOM",
-      treasury,
-      factoryAddr,
-      500,
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      ["Str Domains", "STRDOM", treasury.address, factoryAddr, 500],
+      { kind: "uups" },
     );
     await StrDomainsNFTInstance.waitForDeployment();
     const registryAddr = await StrDomainsNFTInstance.getAddress();
@@ -331,15 +335,12 @@ describe("SplitterFactory", function () {
     const factoryAddr = await RoyaltySplitterFactoryInstance.getAddress();
     //console.log("RoyaltySplitterFactory:", factoryAddr);
 
-    // 3) StrDomainsNFT (реестр с фикс-роялти 5%: 2% создателю, 3% казне)
+    // 3) StrDomainsNFT (реестр с роялти 5%: по умолчанию 2% создателю, 3% казне)
     const Registry = await ethers.getContractFactory("StrDomainsNFT");
-    // последний аргумент в конструкторе игнорируется (для совместимости)
-    StrDomainsNFTInstance = await Registry.deploy(
-      "Str Domains",
-      "STRDOM",
-      treasury,
-      factoryAddr,
-      500,
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      ["Str Domains", "STRDOM", treasury.address, factoryAddr, 500],
+      { kind: "uups" },
     );
     await StrDomainsNFTInstance.waitForDeployment();
     const registryAddr = await StrDomainsNFTInstance.getAddress();
@@ -379,3 +380,802 @@ describe("SplitterFactory", function () {
     );
   });
 });
+
+describe("Registration expiry", function () {
+  const YEAR = 365 * 24 * 3600;
+  const GRACE = 90 * 24 * 3600;
+
+  let owner, holder, other, treasury;
+  let StrDomainsNFTInstance, factory;
+
+  beforeEach(async function () {
+    [owner, holder, other, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Registry = await ethers.getContractFactory("StrDomainsNFT");
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      [
+        "Str Domains",
+        "STRDOM",
+        treasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await StrDomainsNFTInstance.waitForDeployment();
+
+    await StrDomainsNFTInstance.setRegistrationConfig(
+      YEAR,
+      GRACE,
+      ethers.parseEther("0.01"),
+    );
+    await StrDomainsNFTInstance.mint(holder.address, "a.str", "alice.str");
+  });
+
+  it("registers for one period and exposes the expiry", async function () {
+    const expiry = BigInt(await time.latest()) + BigInt(YEAR);
+    expect(await StrDomainsNFTInstance.expiresAt(1)).to.equal(expiry);
+
+    const data = await StrDomainsNFTInstance.getTokenData(1);
+    expect(data[6]).to.equal(expiry);
+    expect(await StrDomainsNFTInstance.isExpired(1)).to.be.false;
+  });
+
+  it("renewal is paid to the treasury and extends the expiry", async function () {
+    const before = await StrDomainsNFTInstance.expiresAt(1);
+    const cost = ethers.parseEther("0.02");
+
+    await expect(
+      StrDomainsNFTInstance.connect(other).renew(1, 2, { value: 1n }),
+    ).to.be.revertedWith("bad value");
+
+    const tx = StrDomainsNFTInstance.connect(other).renew(1, 2, {
+      value: cost,
+    });
+    await expect(tx)
+      .to.emit(StrDomainsNFTInstance, "Renewed")
+      .withArgs(1, other.address, 2, before + BigInt(2 * YEAR), cost);
+    await expect(tx).to.changeEtherBalance(treasury, cost);
+  });
+
+  it("expired names do not resolve and cannot be transferred", async function () {
+    await time.increase(YEAR);
+
+    expect(await StrDomainsNFTInstance.isExpired(1)).to.be.true;
+    await expect(
+      StrDomainsNFTInstance.getTokenDataByDomain("alice.str"),
+    ).to.be.revertedWith("domain expired");
+    await expect(
+      StrDomainsNFTInstance.connect(holder).transferFrom(
+        holder.address,
+        other.address,
+        1,
+      ),
+    ).to.be.revertedWith("domain expired");
+  });
+
+  it("renews only at a set price and within the expiry range", async function () {
+    await expect(
+      StrDomainsNFTInstance.setRegistrationConfig(YEAR, GRACE, 0),
+    ).to.be.revertedWith("price=0");
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    const unpriced = await upgrades.deployProxy(
+      Collection,
+      ["Str Domains", "STRDOM", treasury.address, factory.target, 500],
+      { kind: "uups" },
+    );
+    await unpriced.mint(holder.address, "a.str", "alice.str");
+    await expect(unpriced.renew(1, 1)).to.be.revertedWith(
+      "renewal price unset",
+    );
+
+    // an expiry past 2^64 seconds reverts instead of wrapping around
+    await StrDomainsNFTInstance.setRegistrationConfig(YEAR, GRACE, 1n);
+    const periods = 2n ** 64n / BigInt(YEAR);
+    await expect(
+      StrDomainsNFTInstance.renew(1, periods, { value: periods }),
+    ).to.be.revertedWithCustomError(
+      StrDomainsNFTInstance,
+      "SafeCastOverflowedUintDowncast",
+    );
+  });
+
+  it("only the owner can renew during the grace period", async function () {
+    await time.increase(YEAR + 10);
+    const price = ethers.parseEther("0.01");
+
+    await expect(
+      StrDomainsNFTInstance.connect(other).renew(1, 1, { value: price }),
+    ).to.be.revertedWith("grace: owner only");
+    await StrDomainsNFTInstance.connect(holder).renew(1, 1, { value: price });
+
+    expect(await StrDomainsNFTInstance.isExpired(1)).to.be.false;
+    const data = await StrDomainsNFTInstance.getTokenDataByDomain("alice.str");
+    expect(data[5]).to.equal(1);
+  });
+
+  it("after the grace period anyone can release and the name can be re-registered", async function () {
+    await expect(StrDomainsNFTInstance.release(1)).to.be.revertedWith(
+      "not releasable",
+    );
+    await expect(
+      StrDomainsNFTInstance.mint(other.address, "b.str", "alice.str"),
+    ).to.be.revertedWith("domain exists");
+
+    await time.increase(YEAR + GRACE);
+    await expect(
+      StrDomainsNFTInstance.connect(holder).renew(1, 1, {
+        value: ethers.parseEther("0.01"),
+      }),
+    ).to.be.revertedWith("grace over");
+
+    await expect(StrDomainsNFTInstance.connect(other).release(1))
+      .to.emit(StrDomainsNFTInstance, "Released")
+      .withArgs(1, "alice.str");
+    await expect(
+      StrDomainsNFTInstance.getTokenDataByDomain("alice.str"),
+    ).to.be.revertedWith("domain not found");
+
+    await StrDomainsNFTInstance.mint(other.address, "b.str", "alice.str");
+    const data = await StrDomainsNFTInstance.getTokenDataByDomain("alice.str");
+    expect(data[5]).to.equal(2);
+    expect(await StrDomainsNFTInstance.ownerOf(2)).to.equal(other.address);
+  });
+
+  it("minting over a name past its grace period releases the old token", async function () {
+    await time.increase(YEAR + GRACE);
+    await expect(
+      StrDomainsNFTInstance.mint(other.address, "b.str", "alice.str"),
+    )
+      .to.emit(StrDomainsNFTInstance, "Released")
+      .withArgs(1, "alice.str");
+    await expect(
+      StrDomainsNFTInstance.ownerOf(1),
+    ).to.be.revertedWithCustomError(
+      StrDomainsNFTInstance,
+      "ERC721NonexistentToken",
+    );
+  });
+});
+
+describe("Domain names", function () {
+  let owner, minter, holder, treasury;
+  let StrDomainsNFTInstance;
+
+  before(async function () {
+    [owner, minter, holder, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Registry = await ethers.getContractFactory("StrDomainsNFT");
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      [
+        "Str Domains",
+        "STRDOM",
+        treasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await StrDomainsNFTInstance.waitForDeployment();
+
+    await StrDomainsNFTInstance.grantRole(
+      await StrDomainsNFTInstance.MINTER_ROLE(),
+      minter.address,
+    );
+  });
+
+  const cases = [
+    "alice.str",
+    "a.str",
+    "x-1.str",
+    "123.str",
+    "a".repeat(63) + ".str",
+    "a".repeat(64) + ".str",
+    ".str",
+    "str",
+    "",
+    "alice",
+    "alice.STR",
+    "Alice.str",
+    "exAmple.str",
+    "alice.str ",
+    " alice.str",
+    "-alice.str",
+    "alice-.str",
+    "al_ice.str",
+    "al.ice.str",
+    "alicé.str",
+  ];
+
+  it("contract and lib/names.js agree on every name", async function () {
+    for (const name of cases) {
+      const { valid, error } = validateName(name);
+      const call = StrDomainsNFTInstance.connect(minter).mint.staticCall(
+        holder.address,
+        "uri",
+        name,
+      );
+      if (valid) {
+        await expect(call, name).not.to.be.reverted;
+      } else {
+        await expect(call, name).to.be.revertedWith(error);
+      }
+    }
+  });
+
+  it("lib/names.js does not need Node's Buffer", async function () {
+    const { Buffer } = globalThis;
+    delete globalThis.Buffer;
+    try {
+      expect(validateName("café.str").error).to.equal("bad char");
+      expect(validateName("ab-c.str")).to.deep.equal({
+        valid: true,
+        error: null,
+        label: "ab-c",
+      });
+    } finally {
+      globalThis.Buffer = Buffer;
+    }
+  });
+
+  it("normalizes user input to the canonical form", async function () {
+    expect(normalizeName(" Example.STR ")).to.equal("example.str");
+    expect(normalizeName("exAmple")).to.equal("example.str");
+    expect(validateName(normalizeName("Example.str ")).valid).to.be.true;
+  });
+
+  it("blocked labels cannot be minted by anyone", async function () {
+    await expect(
+      StrDomainsNFTInstance.connect(minter).setLabelStatus(["scam"], 2),
+    ).to.be.revertedWithCustomError(
+      StrDomainsNFTInstance,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(StrDomainsNFTInstance.setLabelStatus(["scam"], 2))
+      .to.emit(StrDomainsNFTInstance, "LabelStatusUpdated")
+      .withArgs("scam", 2);
+
+    await expect(
+      StrDomainsNFTInstance.mint(holder.address, "uri", "scam.str"),
+    ).to.be.revertedWith("label blocked");
+  });
+
+  it("reserved labels can only be minted by an admin", async function () {
+    await StrDomainsNFTInstance.setLabelStatus(["str", "admin"], 1);
+    expect(await StrDomainsNFTInstance.labelStatus("admin")).to.equal(1);
+
+    await expect(
+      StrDomainsNFTInstance.connect(minter).mint(
+        holder.address,
+        "uri",
+        "admin.str",
+      ),
+    ).to.be.revertedWith("label reserved");
+    await StrDomainsNFTInstance.mint(holder.address, "uri", "admin.str");
+
+    await StrDomainsNFTInstance.setLabelStatus(["str"], 0);
+    await StrDomainsNFTInstance.connect(minter).mint(
+      holder.address,
+      "uri",
+      "str.str",
+    );
+  });
+
+  it("list entries must be canonical labels", async function () {
+    await expect(
+      StrDomainsNFTInstance.setLabelStatus(["Admin"], 1),
+    ).to.be.revertedWith("uppercase");
+  });
+});
+
+describe("Subdomains", function () {
+  const YEAR = 365 * 24 * 3600;
+  const GRACE = 90 * 24 * 3600;
+
+  let owner, alice, bob, other, treasury;
+  let StrDomainsNFTInstance;
+
+  beforeEach(async function () {
+    [owner, alice, bob, other, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Registry = await ethers.getContractFactory("StrDomainsNFT");
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      [
+        "Str Domains",
+        "STRDOM",
+        treasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await StrDomainsNFTInstance.waitForDeployment();
+
+    await StrDomainsNFTInstance.mint(alice.address, "a.str", "alice.str");
+  });
+
+  it("parent owner mints subdomains that resolve by full name", async function () {
+    await expect(
+      StrDomainsNFTInstance.connect(bob).mintSubdomain(
+        1,
+        "pay",
+        bob.address,
+        "",
+        true,
+      ),
+    ).to.be.revertedWith("not parent owner");
+
+    await expect(
+      StrDomainsNFTInstance.connect(alice).mintSubdomain(
+        1,
+        "pay",
+        bob.address,
+        "pay-uri",
+        true,
+      ),
+    )
+      .to.emit(StrDomainsNFTInstance, "SubdomainMinted")
+      .withArgs(1, 2, "pay.alice.str", true);
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "team",
+      alice.address,
+      "",
+      false,
+    );
+
+    expect(await StrDomainsNFTInstance.ownerOf(2)).to.equal(bob.address);
+    expect(await StrDomainsNFTInstance.parentOf(2)).to.equal(1);
+    const data =
+      await StrDomainsNFTInstance.getTokenDataByDomain("pay.alice.str");
+    expect(data.uri).to.equal("pay-uri");
+    expect(data.tokenId).to.equal(2);
+
+    const [ids, names] = await StrDomainsNFTInstance.subdomainsOf(1);
+    expect(ids).to.deep.equal([2n, 3n]);
+    expect(names).to.deep.equal(["pay.alice.str", "team.alice.str"]);
+
+    // nested names and label rules
+    await StrDomainsNFTInstance.connect(bob).mintSubdomain(
+      2,
+      "eu",
+      bob.address,
+      "",
+      false,
+    );
+    await StrDomainsNFTInstance.getTokenDataByDomain("eu.pay.alice.str");
+    await expect(
+      StrDomainsNFTInstance.connect(alice).mintSubdomain(
+        1,
+        "Pay",
+        alice.address,
+        "",
+        false,
+      ),
+    ).to.be.revertedWith("uppercase");
+    await expect(
+      StrDomainsNFTInstance.connect(alice).mintSubdomain(
+        1,
+        "pay",
+        alice.address,
+        "",
+        false,
+      ),
+    ).to.be.revertedWith("domain exists");
+  });
+
+  it("parent can revoke only revocable subdomains", async function () {
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "pay",
+      bob.address,
+      "",
+      true,
+    );
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "team",
+      bob.address,
+      "",
+      false,
+    );
+
+    await expect(
+      StrDomainsNFTInstance.connect(bob).revokeSubdomain(2),
+    ).to.be.revertedWith("not parent owner");
+    await expect(
+      StrDomainsNFTInstance.connect(alice).revokeSubdomain(3),
+    ).to.be.revertedWith("not revocable");
+
+    await expect(StrDomainsNFTInstance.connect(alice).revokeSubdomain(2))
+      .to.emit(StrDomainsNFTInstance, "SubdomainRevoked")
+      .withArgs(1, 2, "pay.alice.str");
+    const [ids] = await StrDomainsNFTInstance.subdomainsOf(1);
+    expect(ids).to.deep.equal([3n]);
+    await expect(
+      StrDomainsNFTInstance.getTokenDataByDomain("pay.alice.str"),
+    ).to.be.revertedWith("domain not found");
+
+    // the freed name can be issued again, and made irrevocable later
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "pay",
+      other.address,
+      "",
+      true,
+    );
+    await StrDomainsNFTInstance.connect(alice).makeSubdomainIrrevocable(4);
+    await expect(
+      StrDomainsNFTInstance.connect(alice).revokeSubdomain(4),
+    ).to.be.revertedWith("not revocable");
+  });
+
+  it("subdomains follow the parent's expiry", async function () {
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "pay",
+      bob.address,
+      "",
+      false,
+    );
+    expect(await StrDomainsNFTInstance.expiresAt(2)).to.equal(
+      await StrDomainsNFTInstance.expiresAt(1),
+    );
+    await expect(
+      StrDomainsNFTInstance.connect(bob).renew(2, 1),
+    ).to.be.revertedWith("subdomain");
+
+    await time.increase(YEAR);
+    expect(await StrDomainsNFTInstance.isExpired(2)).to.be.true;
+    await expect(
+      StrDomainsNFTInstance.getTokenDataByDomain("pay.alice.str"),
+    ).to.be.revertedWith("domain expired");
+    await expect(
+      StrDomainsNFTInstance.connect(alice).mintSubdomain(
+        1,
+        "team",
+        alice.address,
+        "",
+        false,
+      ),
+    ).to.be.revertedWith("domain expired");
+
+    // renewing the parent revives its subdomains
+    await StrDomainsNFTInstance.setRegistrationConfig(YEAR, GRACE, 1n);
+    await StrDomainsNFTInstance.connect(alice).renew(1, 1, { value: 1n });
+    expect(await StrDomainsNFTInstance.isExpired(2)).to.be.false;
+  });
+
+  it("subdomains of a released parent expire and can be released", async function () {
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "pay",
+      bob.address,
+      "",
+      false,
+    );
+    await StrDomainsNFTInstance.connect(alice).mintSubdomain(
+      1,
+      "team",
+      bob.address,
+      "",
+      false,
+    );
+    await time.increase(YEAR + GRACE);
+    await StrDomainsNFTInstance.release(1);
+
+    expect(await StrDomainsNFTInstance.expiresAt(2)).to.equal(0);
+    await expect(
+      StrDomainsNFTInstance.connect(bob).transferFrom(
+        bob.address,
+        other.address,
+        2,
+      ),
+    ).to.be.revertedWith("domain expired");
+    await expect(StrDomainsNFTInstance.connect(other).release(3))
+      .to.emit(StrDomainsNFTInstance, "Released")
+      .withArgs(3, "team.alice.str");
+
+    // the re-registered parent can issue the name again
+    await StrDomainsNFTInstance.mint(other.address, "a.str", "alice.str");
+    await expect(
+      StrDomainsNFTInstance.connect(other).mintSubdomain(
+        4,
+        "pay",
+        other.address,
+        "",
+        false,
+      ),
+    )
+      .to.emit(StrDomainsNFTInstance, "Released")
+      .withArgs(2, "pay.alice.str");
+    const [ids] = await StrDomainsNFTInstance.subdomainsOf(4);
+    expect(ids).to.deep.equal([5n]);
+  });
+});
+
+describe("Royalty configuration", function () {
+  let owner, holder, other, treasury;
+  let StrDomainsNFTInstance, factory;
+
+  // Splitter of a token and its [creator, treasury] shares
+  async function splitterShares(tokenId) {
+    const [receiver] = await StrDomainsNFTInstance.royaltyInfo(tokenId, 0);
+    const splitter = await ethers.getContractAt("RoyaltySplitter", receiver);
+    const [, shares] = await splitter.payees();
+    return [...shares];
+  }
+
+  beforeEach(async function () {
+    [owner, holder, other, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    factory = await Factory.deploy(await splitterImpl.getAddress());
+
+    const Registry = await ethers.getContractFactory("StrDomainsNFT");
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      ["Str Domains", "STRDOM", treasury.address, factory.target, 700],
+      { kind: "uups" },
+    );
+  });
+
+  it("uses the initialized defaults and lets admins change them", async function () {
+    expect(await StrDomainsNFTInstance.defaultRoyaltyBps()).to.equal(700n);
+    expect(await StrDomainsNFTInstance.creatorShareBps()).to.equal(4000n);
+    expect(await StrDomainsNFTInstance.treasuryShareBps()).to.equal(6000n);
+
+    await StrDomainsNFTInstance.mint(holder.address, "a", "alice.str");
+    expect((await StrDomainsNFTInstance.royaltyInfo(1, 10_000))[1]).to.equal(
+      700n,
+    );
+    expect(await splitterShares(1)).to.deep.equal([4000n, 6000n]);
+
+    await expect(StrDomainsNFTInstance.setRoyaltyDefaults(300, 5000, 5000))
+      .to.emit(StrDomainsNFTInstance, "RoyaltyDefaultsUpdated")
+      .withArgs(300, 5000, 5000)
+      .and.to.emit(StrDomainsNFTInstance, "DefaultRoyaltyUpdated")
+      .withArgs(treasury.address, 300);
+
+    // applies to new tokens only
+    await StrDomainsNFTInstance.mint(holder.address, "b", "bob.str");
+    expect((await StrDomainsNFTInstance.royaltyInfo(2, 10_000))[1]).to.equal(
+      300n,
+    );
+    expect(await splitterShares(2)).to.deep.equal([5000n, 5000n]);
+    expect((await StrDomainsNFTInstance.royaltyInfo(1, 10_000))[1]).to.equal(
+      700n,
+    );
+
+    await expect(
+      StrDomainsNFTInstance.setRoyaltyDefaults(1001, 5000, 5000),
+    ).to.be.revertedWith("royalty>max");
+    await expect(
+      StrDomainsNFTInstance.setRoyaltyDefaults(500, 5000, 4000),
+    ).to.be.revertedWith("split!=10000");
+    await expect(
+      StrDomainsNFTInstance.connect(other).setRoyaltyDefaults(500, 5000, 5000),
+    ).to.be.revertedWithCustomError(
+      StrDomainsNFTInstance,
+      "AccessControlUnauthorizedAccount",
+    );
+  });
+
+  it("mints with a per-token royalty override up to the cap", async function () {
+    await expect(
+      StrDomainsNFTInstance.mintWithRoyalty(
+        holder.address,
+        "a",
+        "alice.str",
+        1000,
+        7000,
+        3000,
+      ),
+    )
+      .to.emit(StrDomainsNFTInstance, "TokenSplitterSet")
+      .withArgs(1, anyValue, 1000);
+    expect((await StrDomainsNFTInstance.royaltyInfo(1, 10_000))[1]).to.equal(
+      1000n,
+    );
+    expect(await splitterShares(1)).to.deep.equal([7000n, 3000n]);
+
+    await expect(
+      StrDomainsNFTInstance.mintWithRoyalty(
+        holder.address,
+        "b",
+        "bob.str",
+        1001,
+        7000,
+        3000,
+      ),
+    ).to.be.revertedWith("royalty>max");
+
+    // minters without the admin role keep the defaults
+    await StrDomainsNFTInstance.grantRole(
+      await StrDomainsNFTInstance.MINTER_ROLE(),
+      other.address,
+    );
+    await expect(
+      StrDomainsNFTInstance.connect(other).mintWithRoyalty(
+        holder.address,
+        "b",
+        "bob.str",
+        100,
+        7000,
+        3000,
+      ),
+    ).to.be.revertedWithCustomError(
+      StrDomainsNFTInstance,
+      "AccessControlUnauthorizedAccount",
+    );
+  });
+
+  it("updates a minted token's rate and its splitter's shares", async function () {
+    await StrDomainsNFTInstance.mint(holder.address, "a", "alice.str");
+    const [splitter] = await StrDomainsNFTInstance.royaltyInfo(1, 0);
+
+    await expect(StrDomainsNFTInstance.setTokenRoyalty(1, 250, 8000, 2000))
+      .to.emit(StrDomainsNFTInstance, "TokenRoyaltyUpdated")
+      .withArgs(1, 250, 8000, 2000)
+      .and.to.emit(factory, "SplitterSharesUpdated")
+      .withArgs(splitter, StrDomainsNFTInstance.target, [8000, 2000]);
+    expect(await StrDomainsNFTInstance.royaltyInfo(1, 10_000)).to.deep.equal([
+      splitter,
+      250n,
+    ]);
+    expect(await splitterShares(1)).to.deep.equal([8000n, 2000n]);
+
+    await expect(
+      StrDomainsNFTInstance.setTokenRoyalty(1, 2000, 8000, 2000),
+    ).to.be.revertedWith("royalty>max");
+    await expect(
+      StrDomainsNFTInstance.setTokenRoyalty(9, 250, 8000, 2000),
+    ).to.be.revertedWithCustomError(
+      StrDomainsNFTInstance,
+      "ERC721NonexistentToken",
+    );
+    // only the collection (the splitter's manager) or a factory admin may re-split
+    await expect(
+      factory.connect(other).setSplitterShares(splitter, [5000, 5000]),
+    ).to.be.revertedWith("unauthorized");
+  });
+});
+
+describe("Rentals (ERC-4907)", function () {
+  let owner, holder, renter, other, treasury;
+  let StrDomainsNFTInstance;
+
+  beforeEach(async function () {
+    [owner, holder, renter, other, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+
+    const Registry = await ethers.getContractFactory("StrDomainsNFT");
+    StrDomainsNFTInstance = await upgrades.deployProxy(
+      Registry,
+      ["Str Domains", "STRDOM", treasury.address, factory.target, 500],
+      { kind: "uups" },
+    );
+    await StrDomainsNFTInstance.mint(holder.address, "a", "alice.str");
+  });
+
+  it("supports the ERC-4907 interface", async function () {
+    expect(await StrDomainsNFTInstance.supportsInterface("0xad092b5c")).to.be
+      .true;
+  });
+
+  it("owner or approved sets a user until the lease ends", async function () {
+    const expires = (await time.latest()) + 3600;
+    await expect(
+      StrDomainsNFTInstance.connect(other).setUser(1, renter.address, expires),
+    ).to.be.revertedWith("not owner nor approved");
+
+    await expect(
+      StrDomainsNFTInstance.connect(holder).setUser(1, renter.address, expires),
+    )
+      .to.emit(StrDomainsNFTInstance, "UpdateUser")
+      .withArgs(1, renter.address, expires);
+    expect(await StrDomainsNFTInstance.userOf(1)).to.equal(renter.address);
+    expect(await StrDomainsNFTInstance.userExpires(1)).to.equal(expires);
+
+    await time.increaseTo(expires);
+    expect(await StrDomainsNFTInstance.userOf(1)).to.equal(ethers.ZeroAddress);
+
+    // an approved operator may lease it out again, but not past the registration
+    await StrDomainsNFTInstance.connect(holder).approve(other.address, 1);
+    const expiry = await StrDomainsNFTInstance.expiresAt(1);
+    await expect(
+      StrDomainsNFTInstance.connect(other).setUser(
+        1,
+        renter.address,
+        expiry + 1n,
+      ),
+    ).to.be.revertedWith("beyond expiry");
+    await StrDomainsNFTInstance.connect(other).setUser(
+      1,
+      renter.address,
+      expiry,
+    );
+    expect(await StrDomainsNFTInstance.userOf(1)).to.equal(renter.address);
+  });
+
+  it("only the caller that set a running lease may change it", async function () {
+    const expires = (await time.latest()) + 3600;
+    await StrDomainsNFTInstance.connect(holder).approve(other.address, 1);
+    await StrDomainsNFTInstance.connect(other).setUser(
+      1,
+      renter.address,
+      expires,
+    );
+
+    await expect(
+      StrDomainsNFTInstance.connect(holder).setUser(1, holder.address, expires),
+    ).to.be.revertedWith("lease active");
+    await expect(
+      StrDomainsNFTInstance.connect(other).setUser(1, ethers.ZeroAddress, 0),
+    )
+      .to.emit(StrDomainsNFTInstance, "UpdateUser")
+      .withArgs(1, ethers.ZeroAddress, 0);
+    expect(await StrDomainsNFTInstance.userOf(1)).to.equal(ethers.ZeroAddress);
+
+    // nothing running any more: the owner may lease it again
+    await StrDomainsNFTInstance.connect(holder).setUser(
+      1,
+      renter.address,
+      expires,
+    );
+    expect(await StrDomainsNFTInstance.userOf(1)).to.equal(renter.address);
+  });
+
+  it("resets the user on transfer", async function () {
+    await StrDomainsNFTInstance.connect(holder).setUser(
+      1,
+      renter.address,
+      (await time.latest()) + 3600,
+    );
+    await expect(
+      StrDomainsNFTInstance.connect(holder).transferFrom(
+        holder.address,
+        other.address,
+        1,
+      ),
+    )
+      .to.emit(StrDomainsNFTInstance, "UpdateUser")
+      .withArgs(1, ethers.ZeroAddress, 0);
+    expect(await StrDomainsNFTInstance.userOf(1)).to.equal(ethers.ZeroAddress);
+    expect(await StrDomainsNFTInstance.userExpires(1)).to.equal(0n);
+  });
+});
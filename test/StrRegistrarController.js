@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("StrRegistrarController", function () {
+  const MIN_AGE = 60;
+  const MAX_AGE = 24 * 3600;
+  // 1, 2 and 3+ character labels
+  const NATIVE_PRICES = [
+    ethers.parseEther("1"),
+    ethers.parseEther("0.5"),
+    ethers.parseEther("0.01"),
+  ];
+  const TOKEN_PRICES = [300n, 200n, 100n];
+
+  let admin, alice, bob, treasury;
+  let nft, controller, token;
+
+  beforeEach(async function () {
+    [admin, alice, bob, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        treasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    const Controller = await ethers.getContractFactory(
+      "StrRegistrarController",
+    );
+    controller = await Controller.deploy(nft.target, MIN_AGE, MAX_AGE);
+    await controller.waitForDeployment();
+
+    await nft.grantRole(await nft.MINTER_ROLE(), controller.target);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock USD", "mUSD");
+    await token.waitForDeployment();
+
+    await controller.setLengthPrices(ethers.ZeroAddress, NATIVE_PRICES);
+    await controller.setLengthPrices(token.target, TOKEN_PRICES);
+  });
+
+  async function commitFor(name, owner, secret = ethers.id("secret")) {
+    const commitment = await controller.makeCommitment(name, owner, secret);
+    await controller.connect(alice).commit(commitment);
+    return { commitment, secret };
+  }
+
+  it("prices names by label length", async function () {
+    expect(await controller.rentPrice("a.str", ethers.ZeroAddress)).to.equal(
+      NATIVE_PRICES[0],
+    );
+    expect(await controller.rentPrice("ab.str", ethers.ZeroAddress)).to.equal(
+      NATIVE_PRICES[1],
+    );
+    expect(
+      await controller.rentPrice("a-very-long-name.str", ethers.ZeroAddress),
+    ).to.equal(NATIVE_PRICES[2]);
+    expect(await controller.rentPrice("ab.str", token.target)).to.equal(200n);
+
+    await expect(
+      controller.rentPrice("Alice.str", ethers.ZeroAddress),
+    ).to.be.revertedWith("uppercase");
+    await expect(
+      controller.rentPrice("alice.str", bob.address),
+    ).to.be.revertedWith("token not accepted");
+  });
+
+  it("registers a committed name and pays the treasury", async function () {
+    const { secret } = await commitFor("alice.str", alice.address);
+    await time.increase(MIN_AGE);
+
+    const cost = NATIVE_PRICES[2];
+    const tx = controller
+      .connect(alice)
+      .register("alice.str", alice.address, "ipfs://alice", secret, {
+        value: cost,
+      });
+    await expect(tx)
+      .to.emit(controller, "NameRegistered")
+      .withArgs(1, "alice.str", alice.address, ethers.ZeroAddress, cost);
+    await expect(tx).to.changeEtherBalance(treasury, cost);
+
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+    const data = await nft.getTokenData(1);
+    expect(data.creator).to.equal(alice.address);
+    expect(data.domainName).to.equal("alice.str");
+
+    // royalties go to the per-token splitter created by mint
+    const [receiver] = await nft.royaltyInfo(1, 10_000);
+    expect(await ethers.provider.getCode(receiver)).to.not.equal("0x");
+  });
+
+  it("registers with an accepted ERC20", async function () {
+    await token.mint(bob.address, 1_000n);
+    await token.connect(bob).approve(controller.target, 1_000n);
+    const { secret } = await commitFor("ab.str", bob.address);
+    await time.increase(MIN_AGE);
+
+    await expect(
+      controller
+        .connect(bob)
+        .registerWithERC20("ab.str", bob.address, "", secret, token.target),
+    )
+      .to.emit(controller, "NameRegistered")
+      .withArgs(1, "ab.str", bob.address, token.target, 200n);
+
+    expect(await token.balanceOf(treasury.address)).to.equal(200n);
+    expect(await nft.ownerOf(1)).to.equal(bob.address);
+  });
+
+  it("enforces the commitment window", async function () {
+    const cost = NATIVE_PRICES[2];
+    const secret = ethers.id("secret");
+
+    await expect(
+      controller
+        .connect(alice)
+        .register("alice.str", alice.address, "", secret, { value: cost }),
+    ).to.be.revertedWith("no commitment");
+
+    const { commitment } = await commitFor("alice.str", alice.address, secret);
+    await expect(controller.commit(commitment)).to.be.revertedWith(
+      "commitment exists",
+    );
+    await expect(
+      controller
+        .connect(alice)
+        .register("alice.str", alice.address, "", secret, { value: cost }),
+    ).to.be.revertedWith("commitment too new");
+
+    await time.increase(MAX_AGE);
+    await expect(
+      controller
+        .connect(alice)
+        .register("alice.str", alice.address, "", secret, { value: cost }),
+    ).to.be.revertedWith("commitment expired");
+
+    // a stale commitment can be made again
+    await controller.commit(commitment);
+  });
+
+  it("binds the commitment to the owner so it cannot be front-run", async function () {
+    const { secret } = await commitFor("alice.str", alice.address);
+    await time.increase(MIN_AGE);
+
+    await expect(
+      controller.connect(bob).register("alice.str", bob.address, "", secret, {
+        value: NATIVE_PRICES[2],
+      }),
+    ).to.be.revertedWith("no commitment");
+  });
+
+  it("rejects wrong payment and reserved labels", async function () {
+    const { secret } = await commitFor("alice.str", alice.address);
+    await time.increase(MIN_AGE);
+
+    await expect(
+      controller
+        .connect(alice)
+        .register("alice.str", alice.address, "", secret, { value: 1n }),
+    ).to.be.revertedWith("bad value");
+
+    await nft.setLabelStatus(["bob"], 1);
+    const reserved = await commitFor("bob.str", bob.address);
+    await time.increase(MIN_AGE);
+    await expect(
+      controller
+        .connect(bob)
+        .register("bob.str", bob.address, "", reserved.secret, {
+          value: NATIVE_PRICES[2],
+        }),
+    ).to.be.revertedWith("label reserved");
+  });
+
+  it("restricts configuration to the admin", async function () {
+    await expect(
+      controller.connect(alice).setLengthPrices(ethers.ZeroAddress, [0n]),
+    ).to.be.revertedWithCustomError(
+      controller,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(controller.setCommitmentAges(10, 10)).to.be.revertedWith(
+      "bad ages",
+    );
+
+    await controller.setLengthPrices(token.target, []);
+    expect(await controller.lengthPrices(token.target)).to.deep.equal([]);
+    await expect(
+      controller.rentPrice("alice.str", token.target),
+    ).to.be.revertedWith("token not accepted");
+  });
+});
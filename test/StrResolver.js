@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { resolve, lookupAddress } = require("../lib/resolver");
+
+describe("StrResolver", function () {
+  const YEAR = 365 * 24 * 3600;
+  const GRACE = 90 * 24 * 3600;
+  const BTC_COIN_TYPE = 0;
+
+  let admin, alice, bob, treasury;
+  let registry, resolver, contracts;
+
+  beforeEach(async function () {
+    [admin, alice, bob, treasury] = await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    registry = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        treasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await registry.waitForDeployment();
+
+    const Resolver = await ethers.getContractFactory("StrResolver");
+    resolver = await Resolver.deploy(registry.target);
+    await resolver.waitForDeployment();
+
+    contracts = { registry, resolver };
+
+    await registry.mint(alice.address, "a.str", "alice.str");
+  });
+
+  it("owner sets address, text and content hash records", async function () {
+    await expect(
+      resolver.connect(bob).setAddr(1, 60, bob.address),
+    ).to.be.revertedWith("not owner");
+
+    await expect(resolver.connect(alice).setAddr(1, 60, alice.address))
+      .to.emit(resolver, "AddrChanged")
+      .withArgs(1, 60, alice.address.toLowerCase());
+    await resolver.connect(alice).setAddr(1, BTC_COIN_TYPE, "0x0014abcd");
+    await resolver.connect(alice).setText(1, "avatar", "ipfs://avatar");
+    await resolver.connect(alice).setText(1, "com.twitter", "alice");
+    await resolver.connect(alice).setContenthash(1, "0xe301017012");
+
+    expect(await resolver.ethAddr(1)).to.equal(alice.address);
+    expect(await resolver.addr(1, BTC_COIN_TYPE)).to.equal("0x0014abcd");
+    expect(await resolver.text(1, "avatar")).to.equal("ipfs://avatar");
+    expect(await resolver.text(1, "com.twitter")).to.equal("alice");
+    expect(await resolver.contenthash(1)).to.equal("0xe301017012");
+
+    expect(await resolve("alice.str", contracts)).to.equal(alice.address);
+    expect(await resolve("alice.str", contracts, BTC_COIN_TYPE)).to.equal(
+      "0x0014abcd",
+    );
+    expect(await resolve("nobody.str", contracts)).to.be.null;
+  });
+
+  it("records are dropped on transfer and can be cleared", async function () {
+    await resolver.connect(alice).setAddr(1, 60, alice.address);
+    await resolver.connect(alice).setText(1, "url", "https://alice.example");
+
+    await registry.connect(alice).transferFrom(alice.address, bob.address, 1);
+    expect(await resolver.ethAddr(1)).to.equal(ethers.ZeroAddress);
+    expect(await resolver.text(1, "url")).to.equal("");
+
+    // records do not come back when the name returns to its former owner
+    await registry.connect(bob).transferFrom(bob.address, alice.address, 1);
+    expect(await resolve("alice.str", contracts)).to.be.null;
+
+    await resolver.connect(alice).setText(1, "url", "https://alice.example");
+    await expect(resolver.connect(alice).clearRecords(1)).to.emit(
+      resolver,
+      "RecordsCleared",
+    );
+    expect(await resolver.text(1, "url")).to.equal("");
+  });
+
+  it("expired, released and re-minted names do not resolve", async function () {
+    await resolver.connect(alice).setAddr(1, 60, alice.address);
+
+    await time.increase(YEAR);
+    expect(await resolver.ethAddr(1)).to.equal(ethers.ZeroAddress);
+    expect(await resolve("alice.str", contracts)).to.be.null;
+    await expect(
+      resolver.connect(alice).setText(1, "url", "x"),
+    ).to.be.revertedWith("domain expired");
+
+    await time.increase(GRACE);
+    await registry.mint(bob.address, "b.str", "alice.str");
+    expect(await resolver.ethAddr(1)).to.equal(ethers.ZeroAddress);
+    expect(await resolver.ethAddr(2)).to.equal(ethers.ZeroAddress);
+  });
+
+  it("primary names must resolve back to the account", async function () {
+    await expect(resolver.connect(alice).setPrimaryName(1)).to.be.revertedWith(
+      "not resolving",
+    );
+
+    await resolver.connect(alice).setAddr(1, 60, alice.address);
+    await expect(resolver.connect(alice).setPrimaryName(1))
+      .to.emit(resolver, "PrimaryNameSet")
+      .withArgs(alice.address, 1);
+    expect(await lookupAddress(alice.address, contracts)).to.equal("alice.str");
+
+    // any address the name points to can use it, e.g. a subdomain for a wallet
+    await registry
+      .connect(alice)
+      .mintSubdomain(1, "pay", alice.address, "", false);
+    await resolver.connect(alice).setAddr(2, 60, bob.address);
+    await resolver.connect(bob).setPrimaryName(2);
+    expect(await lookupAddress(bob.address, contracts)).to.equal(
+      "pay.alice.str",
+    );
+    expect(await resolve("pay.alice.str", contracts)).to.equal(bob.address);
+
+    // stale once the forward record changes
+    await registry.connect(alice).transferFrom(alice.address, bob.address, 1);
+    expect(await lookupAddress(alice.address, contracts)).to.be.null;
+
+    await resolver.connect(bob).setPrimaryName(0);
+    expect(await resolver.primaryName(bob.address)).to.equal("");
+  });
+});
@@ -0,0 +1,263 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("UUPS upgrades", function () {
+  let admin, alice, bob, marketplaceTreasury, nftTreasury;
+  let nft, marketplace, token;
+
+  beforeEach(async function () {
+    [admin, alice, bob, marketplaceTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(splitterImpl.target);
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      ["Str Domains", "STRDOM", nftTreasury.address, factory.target, 500],
+      { kind: "uups" },
+    );
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [marketplaceTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await nft.grantRole(await nft.SALES_ROLE(), marketplace.target);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock", "MCK");
+    await token.mint(bob.address, 1_000_000n);
+    await marketplace.setCollectionAllowed(nft.target, true);
+    await marketplace.setPaymentToken(token.target, true, 0);
+  });
+
+  it("cannot be initialized twice, directly or through the proxy", async function () {
+    await expect(
+      nft.initialize("X", "X", alice.address, alice.address, 0),
+    ).to.be.revertedWithCustomError(nft, "InvalidInitialization");
+    await expect(
+      marketplace.initialize(alice.address, 0),
+    ).to.be.revertedWithCustomError(marketplace, "InvalidInitialization");
+
+    const implementation = await ethers.getContractAt(
+      "Marketplace",
+      await upgrades.erc1967.getImplementationAddress(marketplace.target),
+    );
+    await expect(
+      implementation.initialize(alice.address, 0),
+    ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+  });
+
+  it("only lets the admin role upgrade", async function () {
+    const V2 = await ethers.getContractFactory("MarketplaceV2Mock");
+    const implementation = await upgrades.deployImplementation(V2, {
+      kind: "uups",
+    });
+
+    await expect(
+      marketplace.connect(alice).upgradeToAndCall(implementation, "0x"),
+    )
+      .to.be.revertedWithCustomError(
+        marketplace,
+        "AccessControlUnauthorizedAccount",
+      )
+      .withArgs(alice.address, await marketplace.ADMIN_ROLE());
+    await expect(
+      nft.connect(alice).upgradeToAndCall(implementation, "0x"),
+    ).to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
+
+    await marketplace.upgradeToAndCall(implementation, "0x");
+    expect(
+      await upgrades.erc1967.getImplementationAddress(marketplace.target),
+    ).to.equal(implementation);
+  });
+
+  it("keeps the collection state across an upgrade", async function () {
+    await nft.mint(alice.address, "ipfs://a", "alice.str");
+    await nft
+      .connect(alice)
+      .mintSubdomain(1, "pay", bob.address, "ipfs://pay", true);
+    await nft.setRegistrationConfig(30 * 24 * 3600, 7 * 24 * 3600, 1000n);
+    await nft.setLabelStatus(["vip"], 1);
+    await nft.setGeneratedMetadata([1], true);
+    const before = {
+      name: await nft.name(),
+      data: await nft.getTokenData(1),
+      byDomain: await nft.getTokenDataByDomain("pay.alice.str"),
+      expiresAt: await nft.expiresAt(1),
+      royalty: await nft.royaltyInfo(1, 10_000n),
+      subdomains: await nft.subdomainsOf(1),
+    };
+
+    const V2 = await ethers.getContractFactory("StrDomainsNFTV2Mock");
+    const upgraded = await upgrades.upgradeProxy(nft.target, V2, {
+      kind: "uups",
+      call: { fn: "initializeV2", args: [42] },
+    });
+
+    expect(await upgraded.version()).to.equal(2n);
+    expect(upgraded.target).to.equal(nft.target);
+    expect(await upgraded.name()).to.equal(before.name);
+    expect(await upgraded.symbol()).to.equal("STRDOM");
+    expect(await upgraded.ownerOf(1)).to.equal(alice.address);
+    expect(await upgraded.ownerOf(2)).to.equal(bob.address);
+    expect(await upgraded.getLastId()).to.equal(2n);
+    expect(await upgraded.getTokenData(1)).to.deep.equal(before.data);
+    expect(await upgraded.getTokenDataByDomain("pay.alice.str")).to.deep.equal(
+      before.byDomain,
+    );
+    expect(await upgraded.expiresAt(1)).to.equal(before.expiresAt);
+    expect(await upgraded.royaltyInfo(1, 10_000n)).to.deep.equal(
+      before.royalty,
+    );
+    expect(await upgraded.subdomainsOf(1)).to.deep.equal(before.subdomains);
+    expect(await upgraded.subdomainRevocable(2)).to.be.true;
+    expect(await upgraded.generatedMetadata(1)).to.be.true;
+    expect(await upgraded.labelStatus("vip")).to.equal(1n);
+    expect(await upgraded.renewalPrice()).to.equal(1000n);
+    expect(await upgraded.registrationPeriod()).to.equal(30n * 24n * 3600n);
+    expect(await upgraded.treasury()).to.equal(nftTreasury.address);
+    expect(
+      await upgraded.hasRole(await upgraded.SALES_ROLE(), marketplace.target),
+    ).to.be.true;
+
+    // appended state does not overlap the existing variables
+    expect(await upgraded.upgradeMarker()).to.equal(42n);
+    await expect(upgraded.initializeV2(1)).to.be.revertedWithCustomError(
+      upgraded,
+      "InvalidInitialization",
+    );
+
+    // the upgraded collection still mints and renews
+    await upgraded.mint(bob.address, "ipfs://b", "bob.str");
+    expect(await upgraded.getTokenDataByDomain("bob.str")).to.not.deep.equal(
+      before.byDomain,
+    );
+    await upgraded.connect(alice).renew(1, 1, { value: 1000n });
+    expect(await upgraded.expiresAt(1)).to.equal(
+      before.expiresAt + 30n * 24n * 3600n,
+    );
+  });
+
+  it("seeds the royalty defaults of a proxy deployed before they were configurable", async function () {
+    // proxies from that layout have the packed defaults slot still empty
+    const packed = 500n + (4000n << 96n) + (6000n << 112n);
+    let slot = 0;
+    while (
+      BigInt(await ethers.provider.getStorage(nft.target, slot)) !== packed
+    ) {
+      ++slot;
+    }
+    await ethers.provider.send("hardhat_setStorageAt", [
+      nft.target,
+      ethers.toQuantity(slot),
+      ethers.ZeroHash,
+    ]);
+    expect(await nft.defaultRoyaltyBps()).to.equal(0n);
+
+    await expect(
+      nft.connect(alice).initializeRoyaltyDefaults(500),
+    ).to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
+
+    const V2 = await ethers.getContractFactory("StrDomainsNFTV2Mock");
+    const upgraded = await upgrades.upgradeProxy(nft.target, V2, {
+      kind: "uups",
+      call: { fn: "initializeRoyaltyDefaults", args: [500] },
+    });
+    expect(await upgraded.defaultRoyaltyBps()).to.equal(500n);
+    expect(await upgraded.creatorShareBps()).to.equal(4000n);
+    expect(await upgraded.treasuryShareBps()).to.equal(6000n);
+    await expect(
+      upgraded.initializeRoyaltyDefaults(700),
+    ).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+
+    // a later upgrade step still runs after it
+    await upgraded.initializeV2(42);
+    expect(await upgraded.upgradeMarker()).to.equal(42n);
+  });
+
+  it("keeps escrowed listings and fees across an upgrade", async function () {
+    for (const domain of ["alice.str", "alice2.str", "alice3.str"]) {
+      await nft.mint(alice.address, "ipfs://a", domain);
+    }
+    await nft.connect(alice).setApprovalForAll(marketplace.target, true);
+    await marketplace.connect(alice).listToken(nft.target, 1, 1000n);
+    await marketplace
+      .connect(alice)
+      .listTokenERC20(nft.target, 2, 5000n, token.target);
+    await marketplace.connect(alice).listToken(nft.target, 3, 2000n);
+    await marketplace.connect(bob).buy(3, { value: 2000n });
+
+    const before = {
+      listing: await marketplace.getListing(1),
+      erc20Listing: await marketplace.getListing(2),
+      accruedFees: await marketplace.accruedFees(),
+      sellerListings: await marketplace.getSellerListings(alice.address, 0, 10),
+      collectionListings: await marketplace.getCollectionListings(
+        nft.target,
+        0,
+        10,
+      ),
+    };
+    expect(before.accruedFees).to.equal(50n);
+    expect(await nft.ownerOf(1)).to.equal(marketplace.target);
+
+    const V2 = await ethers.getContractFactory("MarketplaceV2Mock");
+    const upgraded = await upgrades.upgradeProxy(marketplace.target, V2, {
+      kind: "uups",
+      call: { fn: "initializeV2", args: [7] },
+    });
+
+    expect(await upgraded.version()).to.equal(2n);
+    expect(await upgraded.feeTreasury()).to.equal(marketplaceTreasury.address);
+    expect(await upgraded.marketplaceFeeBps()).to.equal(250n);
+    expect(await upgraded.accruedFees()).to.equal(before.accruedFees);
+    expect(await upgraded.lastListingId()).to.equal(3n);
+    expect(await upgraded.activeListingCount()).to.equal(2n);
+    expect(await upgraded.activeListingId(nft.target, 2)).to.equal(2n);
+    expect(await upgraded.getListing(1)).to.deep.equal(before.listing);
+    expect(await upgraded.getListing(2)).to.deep.equal(before.erc20Listing);
+    expect(
+      await upgraded.getSellerListings(alice.address, 0, 10),
+    ).to.deep.equal(before.sellerListings);
+    expect(
+      await upgraded.getCollectionListings(nft.target, 0, 10),
+    ).to.deep.equal(before.collectionListings);
+
+    expect(await upgraded.upgradeMarker()).to.equal(7n);
+
+    // escrowed tokens can still be bought or canceled and fees withdrawn
+    await token.connect(bob).approve(upgraded.target, 5000n);
+    await upgraded.connect(bob).buyWithERC20(2);
+    expect(await nft.ownerOf(2)).to.equal(bob.address);
+    await upgraded.connect(alice).cancelListing(1);
+    expect(await nft.ownerOf(1)).to.equal(alice.address);
+    await upgraded.withdrawFees();
+    expect(await upgraded.accruedFees()).to.equal(0n);
+  });
+
+  it("validates the storage layout of the new implementations", async function () {
+    await upgrades.validateUpgrade(
+      marketplace.target,
+      await ethers.getContractFactory("MarketplaceV2Mock"),
+      { kind: "uups" },
+    );
+    await upgrades.validateUpgrade(
+      nft.target,
+      await ethers.getContractFactory("StrDomainsNFTV2Mock"),
+      { kind: "uups" },
+    );
+    // an unrelated contract does not extend the deployed layout
+    await expect(
+      upgrades.validateUpgrade(
+        marketplace.target,
+        await ethers.getContractFactory("StrDomainsNFTV2Mock"),
+        { kind: "uups" },
+      ),
+    ).to.be.rejectedWith(/storage layout|incompatible/i);
+  });
+});
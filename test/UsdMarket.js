@@ -0,0 +1,323 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("UsdMarket", function () {
+  let admin, seller, buyer, feeTreasury, nftTreasury;
+  let nft, marketplace, usdMarket, token, oracle, ethFeed, tokenFeed;
+
+  const usd = (n) => BigInt(n) * 10n ** 8n;
+
+  beforeEach(async function () {
+    [admin, seller, buyer, feeTreasury, nftTreasury] =
+      await ethers.getSigners();
+
+    const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+    const splitterImpl = await Splitter.deploy();
+    await splitterImpl.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("RoyaltySplitterFactory");
+    const factory = await Factory.deploy(await splitterImpl.getAddress());
+    await factory.waitForDeployment();
+
+    const Collection = await ethers.getContractFactory("StrDomainsNFT");
+    nft = await upgrades.deployProxy(
+      Collection,
+      [
+        "Str Domains",
+        "STRDOM",
+        nftTreasury.address,
+        await factory.getAddress(),
+        500,
+      ],
+      { kind: "uups" },
+    );
+    await nft.waitForDeployment();
+
+    // the USD market follows the Marketplace's allowlists, minimum prices and pause switch
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await upgrades.deployProxy(
+      Marketplace,
+      [feeTreasury.address, 250],
+      { kind: "uups" },
+    );
+    await marketplace.waitForDeployment();
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    token = await Token.deploy("Mock USD", "mUSD");
+    await token.waitForDeployment();
+
+    await marketplace.setCollectionAllowed(nft.target, true);
+    await marketplace.setPaymentToken(token.target, true, 0);
+
+    // ETH at $2000, the mock token at $1, both with 8 decimals
+    const Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    ethFeed = await Aggregator.deploy(8, usd(2000));
+    tokenFeed = await Aggregator.deploy(8, usd(1));
+    const Oracle = await ethers.getContractFactory("UsdPriceOracle");
+    oracle = await Oracle.deploy();
+    await oracle.setFeed(ethers.ZeroAddress, ethFeed.target, 3600, 0);
+    await oracle.setFeed(token.target, tokenFeed.target, 3600, 0);
+
+    const UsdMarket = await ethers.getContractFactory("UsdMarket");
+    usdMarket = await UsdMarket.deploy(
+      feeTreasury.address,
+      250,
+      marketplace.target,
+      oracle.target,
+    );
+    await usdMarket.waitForDeployment();
+    await nft.grantRole(await nft.SALES_ROLE(), usdMarket.target);
+
+    await nft.mint(seller.address, "", "a.str");
+    await nft.connect(seller).setApprovalForAll(usdMarket.target, true);
+    await token.mint(buyer.address, ethers.parseEther("1000"));
+    await token
+      .connect(buyer)
+      .approve(usdMarket.target, ethers.parseEther("1000"));
+  });
+
+  it("only the admin sets the oracle and its feeds", async function () {
+    await expect(
+      usdMarket.connect(seller).setPriceOracle(seller.address),
+    ).to.be.revertedWithCustomError(
+      usdMarket,
+      "AccessControlUnauthorizedAccount",
+    );
+    await expect(
+      usdMarket.setPriceOracle(ethers.ZeroAddress),
+    ).to.be.revertedWith("oracle=0");
+    await expect(usdMarket.setPriceOracle(oracle.target))
+      .to.emit(usdMarket, "PriceOracleUpdated")
+      .withArgs(oracle.target);
+    await expect(
+      oracle.connect(seller).setFeed(token.target, tokenFeed.target, 60, 0),
+    ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+    await expect(
+      oracle.setFeed(token.target, tokenFeed.target, 0, 0),
+    ).to.be.revertedWith("maxAge=0");
+    await expect(
+      oracle.setFeed(token.target, tokenFeed.target, 60, 10_001),
+    ).to.be.revertedWith("deviation>10000");
+
+    await expect(oracle.setFeed(token.target, ethers.ZeroAddress, 0, 0))
+      .to.emit(oracle, "FeedUpdated")
+      .withArgs(token.target, ethers.ZeroAddress, 0, 0);
+    await expect(
+      usdMarket
+        .connect(seller)
+        .listToken(nft.target, 1, usd(100), token.target),
+    ).to.be.revertedWith("no feed");
+  });
+
+  it("converts native listings at purchase and refunds the surplus", async function () {
+    // $100 at $2000 per ETH
+    await expect(
+      usdMarket
+        .connect(seller)
+        .listToken(nft.target, 1, usd(100), ethers.ZeroAddress),
+    )
+      .to.emit(usdMarket, "Listed")
+      .withArgs(
+        1,
+        seller.address,
+        nft.target,
+        1,
+        ethers.parseEther("0.05"),
+        ethers.ZeroAddress,
+      )
+      .and.to.emit(usdMarket, "ListedUsd")
+      .withArgs(1, usd(100));
+    expect((await usdMarket.getListing(1)).usdPrice).to.equal(usd(100));
+    expect(await nft.ownerOf(1)).to.equal(usdMarket.target);
+
+    // ETH rises to $2500: the buyer sends the old price and gets the difference back
+    await ethFeed.updateAnswer(usd(2500));
+    await expect(
+      usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("0.039") }),
+    ).to.be.revertedWith("bad value");
+    const tx = usdMarket
+      .connect(buyer)
+      .buy(1, { value: ethers.parseEther("0.05") });
+    await expect(tx).to.changeEtherBalance(buyer, -ethers.parseEther("0.04"));
+    await expect(tx)
+      .to.emit(usdMarket, "Purchased")
+      .withArgs(
+        1,
+        buyer.address,
+        ethers.parseEther("0.04"),
+        anyValue,
+        ethers.parseEther("0.002"),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.037"),
+        ethers.ZeroAddress,
+      );
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await usdMarket.accruedFees()).to.equal(ethers.parseEther("0.001"));
+  });
+
+  it("pulls at most the buyer's limit for ERC20 listings", async function () {
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), token.target);
+    expect((await usdMarket.listings(1)).price).to.equal(
+      ethers.parseEther("100"),
+    );
+
+    // the token drops to $0.80: $100 is now 125 tokens
+    await tokenFeed.updateAnswer(80_000_000n);
+    await expect(
+      usdMarket.connect(buyer).buyWithERC20(1, ethers.parseEther("120")),
+    ).to.be.revertedWith("price above max");
+    await expect(
+      usdMarket.connect(buyer).buyWithERC20(1, ethers.parseEther("130")),
+    ).to.changeTokenBalance(token, buyer, -ethers.parseEther("125"));
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+  });
+
+  it("refuses stale and jumping prices", async function () {
+    await oracle.setFeed(ethers.ZeroAddress, ethFeed.target, 3600, 1000);
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), ethers.ZeroAddress);
+
+    // more than 10% over the price accepted when listing
+    await ethFeed.updateAnswer(usd(1600));
+    await expect(
+      usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("1") }),
+    ).to.be.revertedWith("price deviation");
+
+    // the base is the last accepted price ($2000), not the previous round ($1600)
+    await ethFeed.updateAnswer(usd(1700));
+    await expect(
+      usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("1") }),
+    ).to.be.revertedWith("price deviation");
+    await ethFeed.updateAnswer(usd(1800));
+    await usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("1") });
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await oracle.lastPrice(ethers.ZeroAddress)).to.equal(usd(1800));
+    expect(await oracle.lastPriceAt(ethers.ZeroAddress)).to.equal(
+      await time.latest(),
+    );
+
+    await time.increase(3601);
+    await expect(
+      oracle.usdToToken(ethers.ZeroAddress, usd(100)),
+    ).to.be.revertedWith("stale price");
+  });
+
+  it("does not compare with a price accepted longer than maxAge ago", async function () {
+    await oracle.setFeed(ethers.ZeroAddress, ethFeed.target, 3600, 1000);
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), ethers.ZeroAddress);
+
+    // no purchase for a day while ETH drifts from $2000 to $1500
+    await time.increase(24 * 3600);
+    await ethFeed.updateAnswer(usd(1500));
+    await usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("0.1") });
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+    expect(await oracle.lastPrice(ethers.ZeroAddress)).to.equal(usd(1500));
+
+    // the new price is the fresh reference again
+    await ethFeed.updateAnswer(usd(1000));
+    await expect(
+      oracle.usdToToken(ethers.ZeroAddress, usd(100)),
+    ).to.be.revertedWith("price deviation");
+  });
+
+  it("checks deviation across aggregator phases and lets the admin accept a new level", async function () {
+    await oracle.setFeed(ethers.ZeroAddress, ethFeed.target, 3600, 1000);
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), ethers.ZeroAddress);
+    expect(await oracle.lastPrice(ethers.ZeroAddress)).to.equal(usd(2000));
+
+    // a new phase starts its round ids at (phase << 64) + 1, with no round just before it
+    const phaseStart = (2n << 64n) + 1n;
+    await ethFeed.updateRoundData(phaseStart, usd(1000), await time.latest());
+    await expect(
+      oracle.usdToToken(ethers.ZeroAddress, usd(100)),
+    ).to.be.revertedWith("price deviation");
+    await expect(
+      usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("1") }),
+    ).to.be.revertedWith("price deviation");
+
+    // re-setting the feed clears the base, and the next conversion records the new level
+    await oracle.setFeed(ethers.ZeroAddress, ethFeed.target, 3600, 1000);
+    expect(await oracle.lastPrice(ethers.ZeroAddress)).to.equal(0n);
+    await usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("0.1") });
+    expect(await oracle.lastPrice(ethers.ZeroAddress)).to.equal(usd(1000));
+  });
+
+  it("reprices in USD and rounds the conversion up", async function () {
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), ethers.ZeroAddress);
+    await expect(
+      usdMarket.connect(buyer).updateListing(1, usd(300)),
+    ).to.be.revertedWith("not seller");
+    await expect(usdMarket.connect(seller).updateListing(1, usd(300)))
+      .to.emit(usdMarket, "ListingUpdated")
+      .withArgs(1, usd(300));
+    expect((await usdMarket.getListing(1)).usdPrice).to.equal(usd(300));
+
+    // $300 at $3000.00000001: one wei more than the exact amount rounded down
+    await ethFeed.updateAnswer(usd(3000) + 1n);
+    const exact = (usd(300) * 10n ** 18n) / (usd(3000) + 1n);
+    expect(await oracle.usdToToken(ethers.ZeroAddress, usd(300))).to.equal(
+      exact + 1n,
+    );
+    await usdMarket.connect(buyer).buy(1, { value: exact + 1n });
+    expect(await nft.ownerOf(1)).to.equal(buyer.address);
+  });
+
+  it("applies the minimum price and allowlists to reprices", async function () {
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), token.target);
+
+    // 50 tokens minimum: $40 converts to 40 tokens
+    await marketplace.setPaymentToken(
+      token.target,
+      true,
+      ethers.parseEther("50"),
+    );
+    await expect(
+      usdMarket.connect(seller).updateListing(1, usd(40)),
+    ).to.be.revertedWith("price<min");
+    await usdMarket.connect(seller).updateListing(1, usd(60));
+    expect((await usdMarket.listings(1)).price).to.equal(
+      ethers.parseEther("60"),
+    );
+
+    await marketplace.setPaymentToken(token.target, false, 0);
+    await expect(
+      usdMarket.connect(seller).updateListing(1, usd(70)),
+    ).to.be.revertedWith("token not allowed");
+    await marketplace.setPaymentToken(token.target, true, 0);
+    await marketplace.setCollectionAllowed(nft.target, false);
+    await expect(
+      usdMarket.connect(seller).updateListing(1, usd(70)),
+    ).to.be.revertedWith("collection not allowed");
+  });
+
+  it("follows the Marketplace pause switch but still lets sellers cancel", async function () {
+    await usdMarket
+      .connect(seller)
+      .listToken(nft.target, 1, usd(100), ethers.ZeroAddress);
+
+    await marketplace.pause();
+    await expect(
+      usdMarket.connect(buyer).buy(1, { value: ethers.parseEther("1") }),
+    ).to.be.revertedWith("market paused");
+    await expect(usdMarket.connect(buyer).cancelListing(1)).to.be.revertedWith(
+      "not seller",
+    );
+    await expect(usdMarket.connect(seller).cancelListing(1))
+      .to.emit(usdMarket, "ListingCanceled")
+      .withArgs(1);
+    expect(await nft.ownerOf(1)).to.equal(seller.address);
+  });
+});